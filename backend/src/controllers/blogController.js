@@ -1,7 +1,20 @@
-import axios from 'axios';
 import * as cheerio from 'cheerio';  //Converts HTML strings into a structure you can query
 import { evaluateLinks } from '../helpers/linkChecker.js';
-import { analyzeStructure, generateProposals, applyChanges } from '../helpers/aiAnalyzer.js';
+import { analyzeStructure, suggestAccessibleText, suggestReplacementSources, generateProposals, applyChanges, findInvalidLinkFixes, PROMPT_VERSION } from '../helpers/aiAnalyzer.js';
+import { getProviderInfo } from '../helpers/llmProvider.js';
+import { withCache, hashKey, getCacheConfig } from '../helpers/cache.js';
+import { verifyContentPreservation, extractSentences } from '../helpers/contentVerifier.js';
+import { sanitizeHtml } from '../helpers/htmlSanitizer.js';
+import { findReplacements } from '../helpers/linkReplacer.js';
+import { extractOutline } from '../helpers/outlineExtractor.js';
+import { detectStaleContent } from '../helpers/stalenessDetector.js';
+import { auditSeo } from '../helpers/seoAnalyzer.js';
+import { auditAccessibility } from '../helpers/accessibilityAnalyzer.js';
+import { extractMainContent } from '../helpers/contentExtractor.js';
+import { extractMetadata } from '../helpers/metadataExtractor.js';
+import { getSiteRules, findSiteRule, extractSiteFields, validateSiteRule } from '../helpers/siteRules.js';
+import { requestFollowingRedirects, UrlBlockedError } from '../helpers/urlPolicy.js';
+import { getStore } from '../helpers/storage.js';
 
 // Fetch blog content from URL
 export async function fetchBlog(req, res) {
@@ -12,41 +25,62 @@ export async function fetchBlog(req, res) {
       return res.status(400).json({ error: 'URL is required' });
     }
 
-    // Fetch the blog content
-    // axios sends a default User-Agent like 1.6.0 or node, which many websites block because they want to prevent bots and scrapers.
-    // By setting it to this value, the backend pretends to be a regular Chrome browser on Windows. 
-   const response = await axios.get(url, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
+    const html = await downloadPage(url);
+    const data = extractBlog(html, url, findSiteRule(url, getSiteRules()));
+
+    console.log(`Extracted content with strategy "${data.extraction.strategy}" (confidence ${data.extraction.confidence}) and title: ${data.title}`);
+
+    const post = await persist('post', store => store.savePost(data));
+
+    res.json({
+      success: true,
+      data: { ...data, postId: post?.id || null }
     });
 
-    const html = response.data;
-    const $ = cheerio.load(html);
+  } catch (error) {
+    console.error('Error fetching blog:', error.message);
+    if (error instanceof UrlBlockedError) {
+      return res.status(400).json({ error: 'URL not allowed', details: error.message });
+    }
+    res.status(500).json({
+      error: 'Failed to fetch blog content',
+      details: error
+    });
+  }
+}
 
-    // Try to extract main content (common selectors)
-    let content = $('article').html() ||
-      $('main').html() ||
-      $('.post-content').html() ||
-      $('.entry-content').html() ||
-      $('body').html();
+// Try a site rule against a URL and show what it extracts.
+// Body: { url, rule? } - `rule` is a draft rule to test; without it the configured rule matching the URL is used.
+export async function testSiteRule(req, res) {
+  const { url, rule: draftRule } = req.body;
 
-    // Extract title
-    const title = $('h1').first().text() || $('title').text() || 'Untitled';
+  if (!url) {
+    return res.status(400).json({ error: 'URL is required' });
+  }
+
+  let rule;
+  try {
+    rule = draftRule ? validateSiteRule(draftRule) : findSiteRule(url, getSiteRules());
+  } catch (error) {
+    return res.status(400).json({ error: 'Invalid site rule', details: error.message });
+  }
+
+  try {
+    const html = await downloadPage(url);
 
-    console.log('The html content:',content, 'and the title is:', title)
     res.json({
       success: true,
       data: {
-        title: title.trim(),
-        content,
-        url
+        rule: rule?.name || null,
+        ...extractBlog(html, url, rule)
       }
     });
 
   } catch (error) {
-    console.error('Error fetching blog:', error.message);
+    console.error('Error testing site rule:', error.message);
+    if (error instanceof UrlBlockedError) {
+      return res.status(400).json({ error: 'URL not allowed', details: error.message });
+    }
     res.status(500).json({
       error: 'Failed to fetch blog content',
       details: error
@@ -54,130 +88,312 @@ export async function fetchBlog(req, res) {
   }
 }
 
+// Every hop is checked against the URL policy, so a client cannot make the server fetch internal addresses
+async function downloadPage(url) {
+  // axios sends a default User-Agent like 1.6.0 or node, which many websites block because they want to prevent bots and scrapers.
+  // By setting it to this value, the backend pretends to be a regular Chrome browser on Windows. 
+  const { response } = await requestFollowingRedirects('get', url, {
+    timeout: 10000,
+    validateStatus: status => status < 400,
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+    }
+  });
+
+  return response.data;
+}
+
+// Title, main content and metadata of a fetched page.
+// Site-rule selectors are tried first; the generic detection fills in whatever they miss.
+function extractBlog(html, url, rule) {
+  const $ = cheerio.load(html);
+  const fields = rule ? extractSiteFields($, rule) : {};
+
+  // Score the page to find the main content and strip boilerplate (nav, comments, widgets)
+  const { content, ...extraction } = extractMainContent(html, { rule });
+
+  // Description, dates, author, tags, Open Graph / Twitter / JSON-LD data
+  const metadata = extractMetadata($, url, fields);
+
+  // Extract title - the visible <h1> comes first so analysis can recognise it as the title, not a section
+  const title = fields.title || $('h1').first().text() || metadata.title || 'Untitled';
+
+  return {
+    title: title.trim(),
+    content,
+    url,
+    metadata,
+    extraction: { ...extraction, rule: rule?.name || null }
+  };
+}
+
 // Analyze blog content and generate proposals
 export async function analyzeBlog(req, res) {
   try {
-    const { content, title } = req.body;
+    const { content, title, url, linkCheck, metadata, postId, bypassCache } = req.body;
 
     if (!content) {
       return res.status(400).json({ error: 'Content is required' });
     }
 
-    console.log(`Analyzing blog: "${title}"`);
-    // console.log('The content in analyzeblog:', content)
-    // Parse the HTML to extract sections and links
-    const $ = cheerio.load(content);
+    const data = await runAnalysis(content, title, { url, linkCheck, metadata, postId, bypassCache: bypassCache === true });
 
-    // Extract sections (based on h2 headers)
-    const sections = [];
-    $('h2').each((i, elem) => {
-      const heading = $(elem).text().trim();
-      let sectionContent = '';
-
-      // Get content until next h2
-      $(elem).nextUntil('h2').each((j, contentElem) => {
-        sectionContent += $.html(contentElem);
-      });
-
-      sections.push({
-        id: `section-${i}`,
-        heading,
-        content: sectionContent,
-        originalIndex: i
-      });
+    res.json({
+      success: true,
+      data
     });
 
-    // Extract all links
-    const links = [];
-    $('a[href]').each((i, elem) => {
-      const href = $(elem).attr('href');
-      const text = $(elem).text().trim();
-      if (href && href.startsWith('http')) {
-        links.push({
-          id: `link-${i}`,
-          url: href,
-          text,
-          context: $(elem).parent().text().substring(0, 100)
-        });
-      }
+  } catch (error) {
+    console.error('Error analyzing blog:', error);
+    res.status(500).json({
+      error: 'Failed to analyze blog',
+      details: error
     });
+  }
+}
+
+// Full analysis pipeline shared by the JSON and job endpoints.
+// onProgress(event, payload) is called as each stage finishes.
+// Aborting `signal` stops outstanding link checks and skips the AI call.
+// `metadata` is the fetched post's metadata (see fetchBlog); its dates drive the staleness check and
+// its title, description and canonical URL the SEO audit. `url` is the post's address.
+// The result is saved under `postId` (from fetchBlog), or under a new post for pasted content,
+// and returned with its `postId` and `analysisId`.
+// Link results and the AI structure analysis are reused from the cache unless `bypassCache` is set;
+// `cache` in the result says what was reused.
+export async function runAnalysis(content, title, { url, linkCheck, metadata, postId, bypassCache = false, signal, onProgress = () => {} } = {}) {
+  console.log(`Analyzing blog: "${title}"`);
+  // Parse the HTML to extract sections and links
+  const $ = cheerio.load(content);
 
-    console.log(`Found ${sections.length} sections and ${links.length} links`);
+  // Extract the heading tree (H1-H6), or paragraph-cluster pseudo-sections for posts without headings
+  const sections = extractOutline(content, title);
 
-    // Validation
-    if (sections.length === 0) {
-      console.log('Warning: No H2 sections found, blog might use different structure');
+  // Extract all links
+  const links = [];
+  $('a[href]').each((i, elem) => {
+    const href = $(elem).attr('href');
+    const text = $(elem).text().trim();
+    if (href && href.startsWith('http')) {
+      // The sentence the link sits in, so a broken link's sentence can be removed
+      const block = $(elem).closest('p, li, blockquote, td, th, dd, dt, figcaption');
+      const sentence = text && block.length > 0
+        ? extractSentences($.html(block)).find(candidate => candidate.includes(text.replace(/\s+/g, ' '))) || null
+        : null;
+      links.push({
+        id: `link-${i}`,
+        url: href,
+        text,
+        context: $(elem).parent().text().substring(0, 100),
+        sentence
+      });
     }
+  });
 
-    // Step 1: Check link validity
-    const linkEvaluations = await evaluateLinks(links);
-    console.log(`Link check complete: ${linkEvaluations.filter(l => !l.working).length} broken links`);
-
-    // Step 2: Ask AI to analyze structure (only if we have sections)
-    let structureAnalysis = {
-      needsRestructuring: false,
-      currentSectionCount: sections.length,
-      suggestions: []
-    };
-
-    if (sections.length > 0) {
-      try {
-        structureAnalysis = await analyzeStructure(sections, title);
-      } catch (error) {
-        console.error('Structure analysis failed:', error);
-        // Continue with empty suggestions rather than failing completely
-      }
+  console.log(`Found ${sections.length} sections and ${links.length} links`);
+
+  // Validation
+  if (sections.length === 0) {
+    console.log('Warning: No headings or paragraph clusters found, skipping structure analysis');
+  }
+
+  onProgress('sections', {
+    count: sections.length,
+    headings: sections.map(s => s.heading)
+  });
+  onProgress('links-found', {
+    count: links.length,
+    links: links.map(({ id, url, text }) => ({ id, url, text }))
+  });
+
+  // Step 1: Check link validity
+  const linkEvaluations = await evaluateLinks(links, {
+    ...getLinkCheckBudget(linkCheck),
+    bypassCache,
+    signal,
+    onResult: (result, index) => onProgress('link', { index, result })
+  });
+  const brokenCount = linkEvaluations.filter(l => l.state === 'broken').length;
+  const uncheckedCount = linkEvaluations.filter(l => l.state === 'unchecked').length;
+  console.log(`Link check complete: ${brokenCount} broken, ${uncheckedCount} unchecked links`);
+  onProgress('links-complete', { broken: brokenCount, unchecked: uncheckedCount });
+  signal?.throwIfAborted();
+
+  // Replacement candidates for broken links: same-site pages, archived copies and AI-suggested sources
+  const brokenLinks = linkEvaluations.filter(l => l.working === false);
+  if (brokenLinks.length > 0) {
+    let aiSuggestions = {};
+    try {
+      aiSuggestions = await suggestReplacementSources(brokenLinks, title, { signal });
+    } catch (error) {
+      signal?.throwIfAborted();
+      // Archive and same-site candidates do not need the AI
+      console.error('Replacement source suggestions failed:', error);
     }
 
-    // Step 3: Generate proposals
-    const proposals = await generateProposals(
-      sections,
-      linkEvaluations,
-      structureAnalysis
-    );
+    const replacements = await findReplacements(brokenLinks, { publishedAt: metadata?.publishedAt, aiSuggestions, signal });
+    linkEvaluations.forEach(link => {
+      if (link.working === false) link.candidates = replacements[link.id] || [];
+    });
+    onProgress('replacements', { count: Object.keys(replacements).length });
+    signal?.throwIfAborted();
+  }
 
-    console.log(`Generated ${proposals.length} improvement proposals`);
+  // Look for outdated statements (past years as current, old versions, "recently", retired products)
+  const stalenessFindings = detectStaleContent(content, sections, {
+    publishedAt: metadata?.publishedAt,
+    modifiedAt: metadata?.modifiedAt
+  });
+  onProgress('staleness', { count: stalenessFindings.length });
 
-    res.json({
-      success: true,
-      data: {
-        sections,
-        linkEvaluations,
-        structureAnalysis,
-        proposals
-      }
+  // On-page SEO checks (title, description, headings, alt text, links, canonical)
+  const seoAudit = auditSeo(content, { title, metadata, url });
+  onProgress('seo', { score: seoAudit.score, issueCount: seoAudit.issues.length });
+
+  // WCAG checks with deterministic fixes (alt text, link names, headings, table headers, iframe titles)
+  const accessibilityAudit = auditAccessibility(content);
+  const accessibilityIssueCount = accessibilityAudit.issues.reduce((sum, issue) => sum + issue.occurrences.length, 0);
+  onProgress('accessibility', { issueCount: accessibilityIssueCount });
+  console.log(`Audits: ${stalenessFindings.length} possibly outdated statement(s), SEO score ${seoAudit.score} with ${seoAudit.issues.length} issue(s), ${accessibilityIssueCount} accessibility issue(s)`);
+
+  // Step 2: Ask AI to analyze structure (only if we have sections)
+  let structureAnalysis = {
+    needsRestructuring: false,
+    currentSectionCount: sections.length,
+    suggestions: [],
+    analysisStatus: 'skipped'
+  };
+
+  let structureCache = null;
+
+  if (sections.length > 0) {
+    onProgress('ai-started', { sectionCount: sections.length });
+    try {
+      // Keyed by everything the prompt is built from; only valid analyses are kept
+      ({ value: structureAnalysis, cache: structureCache } = await withCache(
+        'structure-analysis',
+        hashKey(PROMPT_VERSION, getProviderInfo(), sections, title),
+        () => analyzeStructure(sections, title, { signal }),
+        { ttlMs: value => value.analysisStatus === 'ok' ? getCacheConfig().aiTtlMs : 0, bypass: bypassCache }
+      ));
+    } catch (error) {
+      signal?.throwIfAborted();
+      console.error('Structure analysis failed:', error);
+      // Continue without suggestions, but tell the client the analysis did not run
+      structureAnalysis = {
+        needsRestructuring: false,
+        currentSectionCount: sections.length,
+        restructuringReason: 'AI structure analysis failed',
+        suggestions: [],
+        analysisStatus: 'failed',
+        analysisErrors: [error.message]
+      };
+    }
+    onProgress('ai-finished', {
+      needsRestructuring: structureAnalysis.needsRestructuring,
+      suggestionCount: structureAnalysis.suggestions?.length || 0,
+      analysisStatus: structureAnalysis.analysisStatus
     });
+  }
+
+  signal?.throwIfAborted();
 
+  // Step 3: Ask AI for alt text and link text for the elements the accessibility audit flagged
+  let textSuggestions;
+  try {
+    textSuggestions = await suggestAccessibleText(content, accessibilityAudit, { signal });
   } catch (error) {
-    console.error('Error analyzing blog:', error);
-    res.status(500).json({
-      error: 'Failed to analyze blog',
-      details: error
-    });
+    signal?.throwIfAborted();
+    console.error('Text suggestions failed:', error);
+    // Continue without suggestions; the deterministic accessibility fixes still apply
+    textSuggestions = { suggestions: [], status: 'failed', errors: [error.message] };
+  }
+  if (textSuggestions.status !== 'skipped') {
+    onProgress('text-suggestions', { count: textSuggestions.suggestions.length, status: textSuggestions.status });
   }
+
+  signal?.throwIfAborted();
+
+  // Step 4: Generate proposals
+  const proposals = await generateProposals(
+    sections,
+    linkEvaluations,
+    structureAnalysis,
+    stalenessFindings,
+    seoAudit,
+    accessibilityAudit,
+    textSuggestions.suggestions
+  );
+
+  console.log(`Generated ${proposals.length} improvement proposals`);
+  onProgress('proposals', { count: proposals.length });
+
+  const result = {
+    sections,
+    linkEvaluations,
+    stalenessFindings,
+    seoAudit,
+    accessibilityAudit,
+    textSuggestions,
+    structureAnalysis,
+    proposals
+  };
+
+  // A job cancelled while the proposals were generated never showed them - do not save them either
+  signal?.throwIfAborted();
+
+  const saved = await persist('analysis', async store => {
+    // Pasted content has no address ("direct-input"); the store keys it by a hash of the content instead
+    const post = postId
+      ? { id: postId }
+      : await store.savePost({ url: /^https?:\/\//i.test(url || '') ? url : null, title, content, metadata });
+    return store.saveAnalysis(post.id, { content, result });
+  });
+
+  const cache = {
+    bypassed: bypassCache,
+    links: { hits: linkEvaluations.filter(l => l.cached).length, total: linkEvaluations.length },
+    structureAnalysis: structureCache
+  };
+
+  return { ...result, cache, postId: saved?.postId || null, analysisId: saved?.id || null };
+}
+
+// Link-check budget: env defaults, optionally narrowed per request via `linkCheck` in the body
+function getLinkCheckBudget(overrides = {}) {
+  const budget = {
+    maxLinks: Number(process.env.LINK_CHECK_MAX_LINKS) || 100,
+    timeBudgetMs: Number(process.env.LINK_CHECK_TIME_BUDGET_MS) || 120000,
+    requestTimeoutMs: Number(process.env.LINK_CHECK_REQUEST_TIMEOUT_MS) || undefined
+  };
+
+  for (const key of Object.keys(budget)) {
+    const value = Number(overrides?.[key]);
+    if (Number.isFinite(value) && value > 0) budget[key] = value;
+  }
+
+  return budget;
 }
 
 // Apply approved changes
 export async function applyBlogChanges(req, res) {
   try {
-    const { content, approvedProposals, originalSections } = req.body;
+    const { content, approvedProposals, originalSections, analysisId, reviewer, bypassCache } = req.body;
 
     if (!content || !approvedProposals) {
       return res.status(400).json({ error: 'Missing required data' });
     }
 
-    // Generate the refreshed content
-    const refreshedContent = await applyChanges(
-      content,
-      approvedProposals,
-      originalSections
-    );
+    const invalidLinks = findInvalidLinkFixes(approvedProposals);
+    if (invalidLinks.length > 0) {
+      return res.status(400).json({ error: 'Invalid link replacement', details: invalidLinks });
+    }
+
+    const result = await runApply(content, approvedProposals, originalSections, { analysisId, reviewer, bypassCache: bypassCache === true });
 
     res.json({
       success: true,
-      data: {
-        refreshedContent
-      }
+      data: result
     });
 
   } catch (error) {
@@ -188,3 +404,44 @@ export async function applyBlogChanges(req, res) {
     });
   }
 }
+
+// Apply approved proposals, then check that nothing the proposals do not explain was lost.
+// Every run is saved as the next version of the post of `analysisId` (when given), credited to `reviewer`,
+// and returned with its `runId` and `version`.
+// The same content with the same approved proposals reuses the cached output unless `bypassCache` is set.
+export async function runApply(content, approvedProposals, originalSections = [], { signal, analysisId, reviewer, bypassCache = false } = {}) {
+  // Generate the refreshed content
+  const { value: appliedContent, cache } = await withCache(
+    'apply-changes',
+    hashKey(PROMPT_VERSION, getProviderInfo(), content, approvedProposals, originalSections),
+    () => applyChanges(content, approvedProposals, originalSections, { signal }),
+    { ttlMs: getCacheConfig().aiTtlMs, bypass: bypassCache }
+  );
+
+  // AI output is never returned as-is: scripts, event handlers and unsafe URLs are stripped first
+  const { html: refreshedContent, removed } = sanitizeHtml(appliedContent);
+  if (removed.length > 0) {
+    console.log(`Stripped ${removed.reduce((sum, item) => sum + item.count, 0)} unsafe item(s) from the refreshed content`);
+  }
+
+  const preservationReport = verifyContentPreservation(content, refreshedContent, approvedProposals, originalSections);
+  const result = { refreshedContent, preservationReport, sanitizationReport: { removed } };
+
+  // Same for a cancelled apply: no version the reviewer never received
+  signal?.throwIfAborted();
+
+  const createdBy = typeof reviewer === 'string' && reviewer.trim() ? reviewer.trim().slice(0, 100) : null;
+  const run = await persist('refresh run', store => store.saveRun({ analysisId, approvedProposals, result, createdBy }));
+
+  return { ...result, cache: { ...cache, bypassed: bypassCache }, runId: run?.id || null, version: run?.version ?? null };
+}
+
+// Storage never fails the request: the result is still returned, only without an ID to come back to
+async function persist(label, save) {
+  try {
+    return await save(getStore());
+  } catch (error) {
+    console.error(`Could not save ${label}:`, error.message);
+    return null;
+  }
+}
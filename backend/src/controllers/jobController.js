@@ -0,0 +1,162 @@
+import { createJob, getJob, cancelJob, subscribeToJob } from '../helpers/jobManager.js';
+import { findInvalidLinkFixes } from '../helpers/aiAnalyzer.js';
+import { runAnalysis, runApply } from './blogController.js';
+
+// A comment line is written this often so proxies do not close a stream that is waiting on the AI
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+// Start an analysis job - responds immediately with the job ID
+export function submitAnalyzeJob(req, res) {
+  if (!req.body.content) {
+    return res.status(400).json({ error: 'Content is required' });
+  }
+
+  const job = createAnalyzeJob(req.body);
+
+  res.status(202).json({
+    success: true,
+    data: { jobId: job.id, status: job.status }
+  });
+}
+
+// Start an apply-changes job - responds immediately with the job ID
+export function submitApplyJob(req, res) {
+  const { content, approvedProposals, originalSections, analysisId, reviewer, bypassCache } = req.body;
+
+  if (!content || !approvedProposals) {
+    return res.status(400).json({ error: 'Missing required data' });
+  }
+
+  const invalidLinks = findInvalidLinkFixes(approvedProposals);
+  if (invalidLinks.length > 0) {
+    return res.status(400).json({ error: 'Invalid link replacement', details: invalidLinks });
+  }
+
+  const job = createJob('apply', async ({ signal }) => {
+    signal.throwIfAborted();
+    return runApply(content, approvedProposals, originalSections, { signal, analysisId, reviewer, bypassCache: bypassCache === true });
+  });
+
+  res.status(202).json({
+    success: true,
+    data: { jobId: job.id, status: job.status }
+  });
+}
+
+// Analysis streamed over the request's own connection: an analysis job whose events are sent as they happen.
+// Same events as GET /api/jobs/:id/events; closing the connection cancels the job.
+export function analyzeBlogStream(req, res) {
+  if (!req.body.content) {
+    return res.status(400).json({ error: 'Content is required' });
+  }
+
+  const job = createAnalyzeJob(req.body);
+  const unsubscribe = sendJobEvents(job.id, res);
+
+  res.on('close', () => {
+    unsubscribe();
+    cancelJob(job.id);
+  });
+}
+
+function createAnalyzeJob({ content, title, url, linkCheck, metadata, postId, bypassCache }) {
+  return createJob(
+    'analyze',
+    ({ signal, emit }) => runAnalysis(content, title, { url, linkCheck, metadata, postId, bypassCache: bypassCache === true, signal, onProgress: emit }),
+    { reducePartial: reduceAnalysisProgress }
+  );
+}
+
+// Job status, partial results and (when finished) the final result
+export function getJobStatus(req, res) {
+  const job = getJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json({ success: true, data: job });
+}
+
+// Cancel a running job (no-op for jobs that already finished)
+export function cancelJobRequest(req, res) {
+  const job = cancelJob(req.params.id);
+
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  res.json({ success: true, data: job });
+}
+
+// Server-Sent Events stream of a job: replays past events, then follows it until it ends.
+// Terminal events: complete, error, cancelled
+export function streamJobEvents(req, res) {
+  if (!getJob(req.params.id)) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+
+  const unsubscribe = sendJobEvents(req.params.id, res);
+
+  // Client went away (e.g. page refresh) - the job keeps running
+  res.on('close', unsubscribe);
+}
+
+// Write a job's events to `res` as Server-Sent Events and end the response with the job.
+// Returns the unsubscribe function.
+function sendJobEvents(jobId, res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_INTERVAL_MS);
+
+  const unsubscribe = subscribeToJob(
+    jobId,
+    (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`),
+    () => {
+      clearInterval(heartbeat);
+      res.end();
+    }
+  );
+
+  return () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  };
+}
+
+// Fold analysis progress events into partial results readable via GET /api/jobs/:id
+function reduceAnalysisProgress(partial, event, data) {
+  switch (event) {
+    case 'sections':
+      return { ...partial, sectionCount: data.count, headings: data.headings };
+    case 'links-found':
+      return { ...partial, linkEvaluations: data.links.map(link => ({ ...link, state: 'pending' })) };
+    case 'link': {
+      const linkEvaluations = [...(partial.linkEvaluations || [])];
+      linkEvaluations[data.index] = data.result;
+      return { ...partial, linkEvaluations };
+    }
+    case 'replacements':
+      return { ...partial, replacementCount: data.count };
+    case 'staleness':
+      return { ...partial, stalenessCount: data.count };
+    case 'seo':
+      return { ...partial, seoScore: data.score };
+    case 'accessibility':
+      return { ...partial, accessibilityIssueCount: data.issueCount };
+    case 'text-suggestions':
+      return { ...partial, textSuggestionCount: data.count };
+    case 'ai-started':
+      return { ...partial, aiStatus: 'running' };
+    case 'ai-finished':
+      return { ...partial, aiStatus: 'done' };
+    case 'proposals':
+      return { ...partial, proposalCount: data.count };
+    default:
+      return partial;
+  }
+}
@@ -0,0 +1,137 @@
+import { getStore } from '../helpers/storage.js';
+
+// Saved posts, analyses and refresh runs, so a review can be picked up later
+
+// All saved posts, most recently updated first
+export async function listPosts(req, res) {
+  try {
+    const posts = await getStore().listPosts();
+    res.json({ success: true, data: posts });
+  } catch (error) {
+    sendStorageError(res, 'Failed to list posts', error);
+  }
+}
+
+// A post with summaries of its analyses and runs (the runs are its version timeline, newest first)
+export async function getPost(req, res) {
+  try {
+    const post = await getStore().getPost(req.params.id);
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    res.json({ success: true, data: post });
+  } catch (error) {
+    sendStorageError(res, 'Failed to load post', error);
+  }
+}
+
+// Delete a post together with its analyses and runs
+export async function deletePost(req, res) {
+  try {
+    if (!await getStore().deletePost(req.params.id)) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendStorageError(res, 'Failed to delete post', error);
+  }
+}
+
+// Make one of the post's refresh runs its current draft (restoring an earlier version).
+// Body: { runId }
+export async function setDraft(req, res) {
+  const { runId } = req.body;
+
+  if (typeof runId !== 'string' || !runId) {
+    return res.status(400).json({ error: 'Run ID is required' });
+  }
+
+  try {
+    const store = getStore();
+    const run = await store.getRun(runId);
+    if (run && run.postId !== req.params.id) {
+      return res.status(400).json({ error: 'Run is not a version of this post' });
+    }
+
+    const post = run && await store.setDraft(req.params.id, runId);
+    if (!post) {
+      return res.status(404).json({ error: run ? 'Post not found' : 'Run not found' });
+    }
+    res.json({ success: true, data: { id: post.id, draftRunId: post.draftRunId, updatedAt: post.updatedAt } });
+  } catch (error) {
+    sendStorageError(res, 'Failed to restore version', error);
+  }
+}
+
+// An analysis result with the reviewer's current proposal decisions
+export async function getAnalysis(req, res) {
+  try {
+    const analysis = await getStore().getAnalysis(req.params.id);
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    res.json({ success: true, data: analysis });
+  } catch (error) {
+    sendStorageError(res, 'Failed to load analysis', error);
+  }
+}
+
+// Save proposal decisions (approvals, chosen link actions) as the reviewer makes them.
+// Body: { proposals } - the full proposal list as shown in the review
+export async function saveDecisions(req, res) {
+  const { proposals } = req.body;
+
+  if (!Array.isArray(proposals)) {
+    return res.status(400).json({ error: 'Proposals are required' });
+  }
+
+  try {
+    const analysis = await getStore().saveDecisions(req.params.id, proposals);
+    if (!analysis) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    res.json({ success: true, data: { id: analysis.id, updatedAt: analysis.updatedAt } });
+  } catch (error) {
+    sendStorageError(res, 'Failed to save decisions', error);
+  }
+}
+
+export async function deleteAnalysis(req, res) {
+  try {
+    if (!await getStore().deleteAnalysis(req.params.id)) {
+      return res.status(404).json({ error: 'Analysis not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendStorageError(res, 'Failed to delete analysis', error);
+  }
+}
+
+// A generated refresh: approved proposals, refreshed content and its reports
+export async function getRun(req, res) {
+  try {
+    const run = await getStore().getRun(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json({ success: true, data: run });
+  } catch (error) {
+    sendStorageError(res, 'Failed to load run', error);
+  }
+}
+
+export async function deleteRun(req, res) {
+  try {
+    if (!await getStore().deleteRun(req.params.id)) {
+      return res.status(404).json({ error: 'Run not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    sendStorageError(res, 'Failed to delete run', error);
+  }
+}
+
+function sendStorageError(res, message, error) {
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message, details: error.message });
+}
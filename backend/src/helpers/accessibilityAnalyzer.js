@@ -0,0 +1,306 @@
+import * as cheerio from 'cheerio';
+import { findHeadingSkips } from './seoAnalyzer.js';
+
+// Elements an occurrence can point at, by kind. Occurrences are located by their index
+// among these elements, so analysis and apply must see the same document.
+const TARGETS = {
+  image: 'img',
+  link: 'a[href]',
+  heading: 'h1, h2, h3, h4, h5, h6',
+  table: 'table',
+  iframe: 'iframe'
+};
+
+// Link text that only makes sense next to the surrounding sentence
+const CLICK_HERE_TEXT = /^(click here|click|here|this link|link|tap here|go here)$/i;
+const LOW_INFORMATION_TEXT = /^(read more|more|learn more|see more|find out more|more info|info|details|this|this page|this post|this article|article|page|website|source|continue|continue reading)$/i;
+
+// File names that say nothing about the picture ("IMG_1234.jpg", "DSC0042.png", "image-1.webp")
+const MEANINGLESS_FILE_NAME = /^(img|image|dsc|dscn|pxl|photo|pic|screenshot|screen shot|untitled)?[\s_-]*\d*$/i;
+
+// Titles for iframes from well-known embed hosts
+const IFRAME_TITLES = [
+  { host: /(^|\.)youtube(-nocookie)?\.com$|(^|\.)youtu\.be$/, title: 'YouTube video' },
+  { host: /(^|\.)vimeo\.com$/, title: 'Vimeo video' },
+  { host: /(^|\.)google\.[a-z.]+$/, path: /^\/maps/, title: 'Google Map' },
+  { host: /(^|\.)codepen\.io$/, title: 'CodePen demo' },
+  { host: /(^|\.)codesandbox\.io$/, title: 'CodeSandbox demo' },
+  { host: /(^|\.)(twitter|x)\.com$/, title: 'Embedded post' },
+  { host: /(^|\.)spotify\.com$/, title: 'Spotify player' },
+  { host: /(^|\.)soundcloud\.com$/, title: 'SoundCloud player' },
+  { host: /(^|\.)docs\.google\.com$/, title: 'Embedded Google document' }
+];
+
+const CHECKS = {
+  'image-alt': {
+    severity: 'high',
+    title: 'Add Missing Alt Text',
+    rationale: 'Screen reader users hear nothing - or the file name - for an image without alt text.'
+  },
+  'empty-link': {
+    severity: 'high',
+    title: 'Name Empty Links',
+    rationale: 'A link with no text is announced as just "link", so nobody can tell where it goes.'
+  },
+  'click-here-link': {
+    severity: 'medium',
+    title: 'Describe "Click Here" Links',
+    rationale: 'Screen reader users often jump between links; "click here" out of context says nothing about the destination.'
+  },
+  'low-information-link': {
+    severity: 'low',
+    title: 'Describe Low-Information Links',
+    rationale: '"Read more" and bare URLs repeated across a page are indistinguishable in a list of links.'
+  },
+  'heading-skips': {
+    severity: 'medium',
+    title: 'Fix Skipped Heading Levels',
+    rationale: 'Screen reader users navigate by heading level; a skipped level suggests missing content.'
+  },
+  'table-headers': {
+    severity: 'medium',
+    title: 'Add Table Headers',
+    rationale: 'Without header cells, screen readers cannot say which column a value belongs to.'
+  },
+  'iframe-title': {
+    severity: 'medium',
+    title: 'Title Embedded Frames',
+    rationale: 'Frames are announced by their title; without one users cannot tell what the embed is.'
+  }
+};
+
+// Check a post for common WCAG problems.
+// Returns { issues: [{ check, severity, title, rationale, occurrences }] }, one issue per check.
+// Each occurrence: { id, target: { kind, index, key }, evidence, description, fix }
+// fix is the cheerio edit that resolves it ({ attribute, value } or { rename } or { headerRow: true }),
+// or null when it has to be fixed by hand.
+export function auditAccessibility(content) {
+  const $ = cheerio.load(content || '');
+  const found = Object.fromEntries(Object.keys(CHECKS).map(check => [check, []]));
+
+  const add = (check, kind, elem, description, fix) => {
+    found[check].push({
+      target: { kind, index: $(TARGETS[kind]).index(elem), key: targetKey($, kind, elem) },
+      evidence: evidenceOf($, elem),
+      description,
+      fix
+    });
+  };
+
+  $('img').each((i, elem) => {
+    if ($(elem).attr('alt') !== undefined) return;
+
+    const alt = suggestAltText($, elem);
+    add('image-alt', 'image', elem,
+      alt ? `Set alt="${alt}"` : 'No caption or descriptive file name to use - describe this image by hand',
+      alt ? { attribute: 'alt', value: alt } : null);
+  });
+
+  $('a[href]').each((i, elem) => {
+    const href = $(elem).attr('href').trim();
+    if (!href || href.startsWith('#') || /^(mailto|tel|javascript):/i.test(href)) return;
+    // An explicit label already describes the link
+    if (normalize($(elem).attr('aria-label'))) return;
+
+    const text = accessibleName($, elem);
+    const destination = describeDestination(href);
+    const fix = label => (label ? { attribute: 'aria-label', value: label } : null);
+
+    if (!text) {
+      add('empty-link', 'link', elem,
+        destination ? `Set aria-label="${destination}"` : 'Add link text describing the destination',
+        fix(destination));
+    } else if (CLICK_HERE_TEXT.test(text)) {
+      const label = destination && `${text}: ${destination}`;
+      add('click-here-link', 'link', elem,
+        label ? `Set aria-label="${label}"` : 'Rewrite the link text to describe the destination',
+        fix(label));
+    } else if (LOW_INFORMATION_TEXT.test(text) || isBareUrl(text)) {
+      const label = destination && (isBareUrl(text) ? destination : `${text}: ${destination}`);
+      add('low-information-link', 'link', elem,
+        label ? `Set aria-label="${label}"` : 'Rewrite the link text to describe the destination',
+        fix(label));
+    }
+  });
+
+  findHeadingSkips($).forEach(({ elem, from, to }) => {
+    add('heading-skips', 'heading', elem, `Change H${from} to H${to}`, { rename: `h${to}` });
+  });
+
+  $('table').each((i, elem) => {
+    if ($(elem).find('th').length > 0) return;
+
+    const hasRows = $(elem).find('tr').length > 1;
+    add('table-headers', 'table', elem,
+      hasRows ? 'Turn the first row into column headers' : 'Add a header row naming each column',
+      hasRows ? { headerRow: true } : null);
+  });
+
+  $('iframe').each((i, elem) => {
+    if (normalize($(elem).attr('title'))) return;
+
+    const title = suggestIframeTitle($(elem).attr('src'));
+    add('iframe-title', 'iframe', elem, `Set title="${title}"`, { attribute: 'title', value: title });
+  });
+
+  const issues = Object.entries(found)
+    .filter(([, occurrences]) => occurrences.length > 0)
+    .map(([check, occurrences]) => ({
+      check,
+      ...CHECKS[check],
+      occurrences: occurrences.map((occurrence, i) => ({ id: `a11y-${check}-${i}`, ...occurrence }))
+    }));
+
+  return { issues };
+}
+
+// Apply the fixes of approved accessibility occurrences in place.
+// Every target is resolved before editing, and checked against the analyzed document so a
+// fix never lands on the wrong element.
+export function applyAccessibilityFixes($, proposals) {
+  const occurrences = proposals
+    .filter(p => p.type === 'accessibility')
+    .flatMap(p => p.occurrences || [])
+    .filter(o => o.approved !== false && o.fix);
+  if (occurrences.length === 0) return;
+
+  const resolved = occurrences.map(occurrence => ({ elem: resolveTarget($, occurrence.target), fix: occurrence.fix }));
+
+  resolved.forEach(({ elem, fix }) => {
+    if (fix.attribute) {
+      $(elem).attr(fix.attribute, fix.value);
+    } else if (fix.rename) {
+      elem.name = fix.rename;
+    } else if (fix.headerRow) {
+      $(elem).find('tr').first().children('td').each((i, cell) => {
+        cell.name = 'th';
+        $(cell).attr('scope', 'col');
+      });
+    }
+  });
+}
+
+// The element an occurrence points at. Throws when the document no longer matches the analysis.
+export function resolveTarget($, { kind, index, key }) {
+  const elem = $(TARGETS[kind]).get(index);
+
+  if (!elem) {
+    throw new Error(`${capitalize(kind)} ${index} does not exist in the content`);
+  }
+  if (targetKey($, kind, elem) !== key) {
+    throw new Error(`${capitalize(kind)} ${index} no longer matches "${key}" - re-analyze the post before applying changes`);
+  }
+
+  return elem;
+}
+
+// What identifies an element of each kind when re-locating it
+function targetKey($, kind, elem) {
+  switch (kind) {
+    case 'image':
+    case 'iframe':
+      return $(elem).attr('src') || '';
+    case 'link':
+      return $(elem).attr('href').trim();
+    case 'heading':
+      return normalize($(elem).text());
+    default:
+      return normalize($(elem).find('tr').first().text());
+  }
+}
+
+// Opening tag of the element, with its text for links and headings: <a href="/x">here</a>
+function evidenceOf($, elem) {
+  const attributes = Object.entries(elem.attribs || {})
+    .map(([name, value]) => `${name}="${value}"`)
+    .join(' ');
+  const tag = `<${elem.name}${attributes ? ` ${attributes}` : ''}>`;
+
+  if (elem.name === 'a' || /^h[1-6]$/.test(elem.name)) {
+    return `${tag}${truncate(normalize($(elem).text()), 80)}</${elem.name}>`;
+  }
+  return truncate(tag, 160);
+}
+
+// Text a screen reader would announce for a link without an aria-label
+function accessibleName($, elem) {
+  const text = normalize($(elem).text());
+  if (text) return text;
+
+  const altTexts = $(elem).find('img[alt]').toArray().map(img => normalize($(img).attr('alt'))).filter(Boolean);
+  return altTexts.join(' ') || normalize($(elem).attr('title'));
+}
+
+// Alt text from the figure caption, the title attribute or a descriptive file name
+function suggestAltText($, elem) {
+  const caption = normalize($(elem).closest('figure').find('figcaption').first().text());
+  if (caption) return truncate(caption, 125);
+
+  const title = normalize($(elem).attr('title'));
+  if (title) return title;
+
+  const fileName = decodeSafe(((($(elem).attr('src') || '').split(/[?#]/)[0]).split('/').pop() || ''))
+    .replace(/\.[a-z0-9]+$/i, '')
+    .replace(/[-_+]+/g, ' ')
+    .trim();
+  if (!fileName || MEANINGLESS_FILE_NAME.test(fileName) || !/[a-z]{3}/i.test(fileName)) return null;
+
+  return capitalize(fileName.toLowerCase());
+}
+
+// "Getting started (nodejs.org)" from https://nodejs.org/en/getting-started
+function describeDestination(href) {
+  let url;
+  try {
+    url = new URL(href, 'relative://site');
+  } catch {
+    return null;
+  }
+
+  const slug = decodeSafe(url.pathname.split('/').filter(Boolean).pop() || '')
+    .replace(/\.(html?|php|aspx?)$/i, '')
+    .replace(/[-_+]+/g, ' ')
+    .trim();
+  const page = /[a-z]{3}/i.test(slug) ? capitalize(slug.toLowerCase()) : null;
+  const host = url.protocol === 'relative:' ? null : url.hostname.replace(/^www\./, '');
+
+  if (page && host) return `${page} (${host})`;
+  return page || host;
+}
+
+function suggestIframeTitle(src) {
+  let url;
+  try {
+    url = new URL(src || '', 'https://unknown.invalid');
+  } catch {
+    return 'Embedded content';
+  }
+
+  const known = IFRAME_TITLES.find(entry => entry.host.test(url.hostname) && (!entry.path || entry.path.test(url.pathname)));
+  if (known) return known.title;
+  return url.hostname === 'unknown.invalid' ? 'Embedded content' : `Embedded content from ${url.hostname.replace(/^www\./, '')}`;
+}
+
+function isBareUrl(text) {
+  return /^(https?:\/\/|www\.)\S+$/i.test(text);
+}
+
+function decodeSafe(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+function normalize(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
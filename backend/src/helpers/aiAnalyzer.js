@@ -1,21 +1,60 @@
-import { GoogleGenAI } from '@google/genai';
-import dotenv from 'dotenv';
 import * as cheerio from 'cheerio';
-
-dotenv.config();
-
-const genAI = new GoogleGenAI({ apiKey: process.env.GOOGLE_API_KEY });
-
-// Analyze structure with Gemini - balanced approach
-export async function analyzeStructure(sections, title) {
-  try {
-    const sectionList = sections.map((s, i) => `${i}. "${s.heading}"`).join('\n');
-
-    const prompt = `You are an editorial assistant reviewing a blog post titled "${title}".
-
-The blog has ${sections.length} sections:
+import { generateText } from './llmProvider.js';
+import { parseStructureAnalysis, parseTextSuggestions, parseReplacementSources } from './structureSchema.js';
+import { resolveStructureProposals } from './structureApplier.js';
+import { applySeoFixes } from './seoAnalyzer.js';
+import { applyAccessibilityFixes, resolveTarget } from './accessibilityAnalyzer.js';
+import { extractSentences } from './contentVerifier.js';
+
+// Part of the cache key of AI results - bump it when a prompt or the apply pipeline changes,
+// so responses cached for the old version are not reused
+export const PROMPT_VERSION = 1;
+
+// How many times a malformed structure response is sent back to the model for repair
+const MAX_REPAIR_ATTEMPTS = 1;
+
+// Number of sections each structure action works on
+const SECTIONS_PER_ACTION = {
+  merge: 2,
+  rewrite: 1,
+  remove: 1,
+  keep: 1
+};
+
+// Accessibility checks whose elements get AI-written text, by suggestion kind
+const TEXT_SUGGESTION_KINDS = {
+  'image-alt': 'alt-text',
+  'empty-link': 'link-text',
+  'click-here-link': 'link-text',
+  'low-information-link': 'link-text'
+};
+
+// Most elements sent in one text-suggestion request
+const MAX_TEXT_SUGGESTIONS = 25;
+
+// Broken links sent in one replacement-source request, and sources kept per link
+const MAX_REPLACEMENT_LINKS = 10;
+const MAX_SOURCES_PER_LINK = 2;
+
+// Blocks whose text is the context of an image or link
+const CONTEXT_BLOCKS = 'p, li, figure, blockquote, td, th, dd, dt';
+
+// Elements that keep a block alive when its text is cut away
+const MEDIA_ELEMENTS = ['img', 'iframe', 'video', 'br'];
+
+// Analyze structure with the configured LLM - balanced approach.
+// The response is validated against a strict schema; invalid responses get a bounded
+// repair/retry, and if that still fails the result carries analysisStatus: 'failed'.
+// Provider errors (network, quota) are thrown so the caller can report them.
+export async function analyzeStructure(sections, title, { signal } = {}) {
+  const sectionList = sections.map((s, i) => `${i}. ${'  '.repeat(s.depth || 0)}${describeSectionLabel(s)}`).join('\n');
+  const hasPseudoSections = sections.some(s => s.pseudo);
+
+  const prompt = `You are an editorial assistant reviewing a blog post titled "${title}".
+
+The blog has ${sections.length} sections (indented sections are nested under the section above them):
 ${sectionList}
-
+${hasPseudoSections ? '\nThe post has no headings, so its sections are groups of consecutive paragraphs, labelled by their first words.\n' : ''}
 Your job is to identify ONLY genuine structural problems. Use these clear criteria:
 
 SUGGEST A MERGE when:
@@ -28,11 +67,18 @@ DO NOT SUGGEST A MERGE when:
 - You are unsure whether they overlap - only suggest if it is obvious from the headings alone
 - Sections are already well-named and distinct
 
+SUGGEST A REWRITE when a single section's heading is vague, misleading or clearly outdated.
+SUGGEST A REMOVE when a single section is obviously off-topic, empty or pure filler.
+SUGGEST A KEEP only when a section might look like a candidate for change but should stay as it is.
+
 IMPORTANT RULES:
-- Suggest "rewrite", "remove", "keep" and "merge"
-- Only suggest merges you are highly confident about
-- Each merge should combine exactly 2 sections (not 3 or more)
-- If there are no obvious merges, return needsRestructuring: false with empty suggestions array
+- Actions are "merge", "rewrite", "remove" and "keep"
+- Only suggest changes you are highly confident about
+- Each merge combines exactly 2 sections (not 3 or more); rewrite, remove and keep each affect exactly 1 section
+- A section should appear in at most one suggestion
+- Removing a section also removes the sections nested under it; merging moves the later section's nested sections along with it
+- Rate each suggestion's confidenceLevel as "high", "medium" or "low"
+- If there are no obvious problems, return needsRestructuring: false with empty suggestions array
 - Do not try to force the blog into a certain number of sections
 
 Return ONLY this JSON with no extra text:
@@ -43,130 +89,422 @@ Return ONLY this JSON with no extra text:
   "suggestions": [
     {
       "action": "merge|rewrite|keep|remove",
-      "affectedSections": [indexA, indexB],
-      "newHeading": "proposed heading only if merging",
-      "rationale": "one sentence: why these two specifically overlap"
+      "affectedSections": [indexA, indexB] for merge, [index] otherwise,
+      "newHeading": "proposed heading, only for merge or rewrite",
+      "rationale": "one sentence explaining this specific suggestion",
+      "confidenceLevel": "high|medium|low"
     }
   ]
 }`;
 
-    const response = await genAI.models.generateContent({
-      model: 'gemini-2.5-flash',
-      contents: prompt
+  let responseText = await generateText(prompt, {
+    task: 'structure-analysis',
+    context: { sectionCount: sections.length, title },
+    signal
+  });
+
+  let { value: parsed, errors } = parseStructureAnalysis(responseText, sections.length);
+
+  for (let attempt = 1; errors && attempt <= MAX_REPAIR_ATTEMPTS; attempt++) {
+    console.log(`Structure analysis failed validation (attempt ${attempt}):`, errors);
+    responseText = await generateText(buildRepairPrompt(responseText, errors, sections.length), {
+      task: 'structure-repair',
+      context: { sectionCount: sections.length, title },
+      signal
     });
+    ({ value: parsed, errors } = parseStructureAnalysis(responseText, sections.length));
+  }
 
-    const responseText = response.text;
-    console.log('Raw AI response:', responseText);
+  if (errors) {
+    console.error('Structure analysis response still invalid after repair:', errors);
+    return buildFailed(sections.length, errors);
+  }
 
-    // Extract JSON - handle cases where AI wraps in code blocks
-    const cleaned = responseText
-      .replace(/^```json\s*/i, '')
-      .replace(/^```\s*/i, '')
-      .replace(/\s*```$/i, '')
-      .trim();
+  // --- Safety validations ---
+  const suggestedCount = parsed.suggestions.length;
 
-    const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-    if (!jsonMatch) {
-      console.log('No JSON found in response, returning safe default');
-      return buildDefault(sections.length);
-    }
+  // 1. Drop low-confidence suggestions (only high/medium are shown to reviewers)
+  parsed.suggestions = parsed.suggestions.filter(s => s.confidenceLevel !== 'low');
 
-    const parsed = JSON.parse(jsonMatch[0]);
+  // 2. Remove suggestions with the wrong number of sections for their action
+  parsed.suggestions = parsed.suggestions.filter(s => hasValidSections(s, sections.length));
 
-    // --- Safety validations ---
+  // 3. Remove suggestions that touch a section an earlier suggestion already covers
+  const claimed = new Set();
+  parsed.suggestions = parsed.suggestions.filter(s => {
+    if (s.affectedSections.some(i => claimed.has(i))) return false;
+    s.affectedSections.forEach(i => claimed.add(i));
+    return true;
+  });
 
-    // 1. Ensure suggestions array exists
-    if (!Array.isArray(parsed.suggestions)) {
-      parsed.suggestions = [];
-    }
+  // 4. Sync needsRestructuring with actual suggestions
+  parsed.needsRestructuring = parsed.suggestions.length > 0;
+  parsed.currentSectionCount = sections.length;
+  parsed.analysisStatus = 'ok';
 
-    // 2. Remove any merge that does not have exactly 2 sections
-    parsed.suggestions = parsed.suggestions.filter(s => {
-      const valid = Array.isArray(s.affectedSections) && s.affectedSections.length === 2;
-      if (!valid) console.log('Removed invalid suggestion (not exactly 2 sections):', s);
-      return valid;
-    });
+  console.log(`Structure analysis: kept ${parsed.suggestions.length} of ${suggestedCount} suggestion(s) (low-confidence, invalid and conflicting ones are dropped)`);
+  return parsed;
+}
 
-    // 3. Remove any suggestion where section indices are out of bounds
-    parsed.suggestions = parsed.suggestions.filter(s => {
-      const inBounds = s.affectedSections.every(i => i >= 0 && i < sections.length);
-      if (!inBounds) console.log('Removed out-of-bounds suggestion:', s);
-      return inBounds;
-    });
+// Ask the LLM for alt text for images without it and descriptive text for vague links,
+// using each element's surrounding paragraph and heading as context.
+// Returns { suggestions: [{ id, kind, target, evidence, current, suggested, sentence, context }], status }
+// status is 'ok', 'skipped' (nothing to suggest) or 'failed' (unusable response, with errors).
+// Provider errors are thrown so the caller can report them.
+export async function suggestAccessibleText(content, accessibilityAudit, { signal } = {}) {
+  const $ = cheerio.load(content || '');
+
+  const candidates = (accessibilityAudit?.issues || [])
+    .filter(issue => TEXT_SUGGESTION_KINDS[issue.check])
+    .flatMap(issue => issue.occurrences.map(occurrence => ({ kind: TEXT_SUGGESTION_KINDS[issue.check], occurrence })))
+    .slice(0, MAX_TEXT_SUGGESTIONS)
+    .map(({ kind, occurrence }, i) => ({
+      id: `text-${i}`,
+      kind,
+      target: occurrence.target,
+      evidence: occurrence.evidence,
+      ...describeTextContext($, resolveTarget($, occurrence.target), kind)
+    }));
+
+  if (candidates.length === 0) {
+    return { suggestions: [], status: 'skipped' };
+  }
 
-    // 4. Remove duplicate suggestions (same pair of sections)
-    const seen = new Set();
-    parsed.suggestions = parsed.suggestions.filter(s => {
-      const key = [...s.affectedSections].sort().join('-');
-      if (seen.has(key)) return false;
-      seen.add(key);
-      return true;
-    });
+  const prompt = `You are improving the accessibility of a blog post.
 
-    // 5. Sync needsRestructuring with actual suggestions
-    parsed.needsRestructuring = parsed.suggestions.length > 0;
+For each element below, write replacement text:
+- "alt-text": alt text for an image - describe what the image shows and why it is in the post, in under 125 characters. Do not start with "Image of" or "Picture of".
+- "link-text": new text for a link - name the destination or what the reader gets, in 2 to 8 words. It replaces only the link text, so it must read naturally inside the given sentence.
 
-    console.log('Final structure analysis:', JSON.stringify(parsed, null, 2));
-    return parsed;
+ELEMENTS:
+${candidates.map(describeTextCandidate).join('\n')}
 
-  } catch (error) {
-    console.error('Error in analyzeStructure:', error);
-    return buildDefault(sections.length);
+Return ONLY this JSON with no extra text:
+{
+  "suggestions": [
+    { "id": "text-0", "text": "replacement text" }
+  ]
+}
+Leave out any element you cannot describe from the information given.`;
+
+  const responseText = await generateText(prompt, {
+    task: 'text-suggestions',
+    context: { count: candidates.length },
+    signal
+  });
+
+  const { value, errors } = parseTextSuggestions(responseText);
+  if (errors) {
+    console.error('Text suggestion response invalid:', errors);
+    return { suggestions: [], status: 'failed', errors };
+  }
+
+  // One suggestion per element, and only for elements that were asked about
+  const byId = new Map(candidates.map(candidate => [candidate.id, candidate]));
+  const suggestions = [];
+  for (const { id, text } of value.suggestions) {
+    const candidate = byId.get(id);
+    const suggested = text.replace(/\s+/g, ' ').trim();
+    if (!candidate || !suggested || suggested === candidate.current) continue;
+
+    byId.delete(id);
+    suggestions.push({ ...candidate, suggested });
   }
+
+  console.log(`AI suggested text for ${suggestions.length} of ${candidates.length} element(s)`);
+  return { suggestions, status: 'ok' };
 }
 
-function buildDefault(sectionCount) {
+// Ask the LLM for authoritative pages that could replace broken links, using the link text and
+// the sentence it sits in. Returns { [linkId]: [{ url, title }] } - unverified, so the caller checks
+// that each URL responds (see findReplacements). An unusable response returns {}.
+// Provider errors are thrown so the caller can report them.
+export async function suggestReplacementSources(brokenLinks, title, { signal } = {}) {
+  const links = brokenLinks.slice(0, MAX_REPLACEMENT_LINKS);
+  if (links.length === 0) return {};
+
+  const prompt = `You are fixing broken links in a blog post titled "${title}".
+
+For each broken link below, suggest up to ${MAX_SOURCES_PER_LINK} replacement URLs that cover the same information:
+- Prefer the official source (project documentation, standards bodies, the original publisher) over blogs and aggregators
+- Only suggest URLs you are confident exist - leave a link out rather than guess
+- Never suggest the broken URL itself
+
+BROKEN LINKS:
+${links.map(link => `${link.id}:
+  - URL: ${link.url}
+  - Link text: "${link.text}"${link.sentence ? `
+  - Sentence: "${link.sentence}"` : ''}`).join('\n')}
+
+Return ONLY this JSON with no extra text:
+{
+  "replacements": [
+    { "id": "link-0", "url": "https://...", "title": "page title" }
+  ]
+}`;
+
+  const responseText = await generateText(prompt, {
+    task: 'replacement-sources',
+    context: { count: links.length },
+    signal
+  });
+
+  const { value, errors } = parseReplacementSources(responseText);
+  if (errors) {
+    console.error('Replacement source response invalid:', errors);
+    return {};
+  }
+
+  const brokenUrls = new Map(links.map(link => [link.id, link.url]));
+  const sources = {};
+  for (const { id, url, title: pageTitle } of value.replacements) {
+    if (!brokenUrls.has(id) || url === brokenUrls.get(id)) continue;
+    const list = (sources[id] ||= []);
+    if (list.length < MAX_SOURCES_PER_LINK) list.push({ url, title: pageTitle || null });
+  }
+
+  return sources;
+}
+
+// What the model needs to know about an element: its current text, the sentence a link sits in,
+// the surrounding paragraph and the heading above it
+function describeTextContext($, elem, kind) {
+  const block = $(elem).closest(CONTEXT_BLOCKS);
+  const context = normalizeText(block.length > 0 ? block.text() : $(elem).parent().text()).slice(0, 400);
+  // The last heading before the element in document order
+  const ordered = $('h1, h2, h3, h4, h5, h6').add(elem).toArray();
+  const previous = ordered[ordered.indexOf(elem) - 1];
+  const heading = previous ? normalizeText($(previous).text()) || null : null;
+
+  if (kind === 'alt-text') {
+    return { current: null, sentence: null, context, heading, src: $(elem).attr('src') || null };
+  }
+
+  const current = normalizeText($(elem).text());
+  const sentence = current && block.length > 0
+    ? extractSentences($.html(block)).find(candidate => candidate.includes(current)) || null
+    : null;
+  return { current, sentence, context, heading, href: $(elem).attr('href').trim() };
+}
+
+function describeTextCandidate(candidate) {
+  const lines = [`${candidate.id} (${candidate.kind}):`];
+  if (candidate.kind === 'alt-text') {
+    lines.push(`  - Image: ${candidate.src}`);
+  } else {
+    lines.push(`  - Link to: ${candidate.href}`);
+    lines.push(`  - Current text: "${candidate.current}"`);
+    if (candidate.sentence) lines.push(`  - Sentence: "${candidate.sentence}"`);
+  }
+  if (candidate.heading) lines.push(`  - Under heading: "${candidate.heading}"`);
+  if (candidate.context) lines.push(`  - Surrounding text: "${candidate.context}"`);
+  return lines.join('\n');
+}
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// '"Heading" (H3)', or the opening words for paragraph-cluster pseudo-sections
+function describeSectionLabel(section) {
+  if (section.pseudo) return `[paragraphs] "${section.heading}"`;
+  return section.level ? `"${section.heading}" (H${section.level})` : `"${section.heading}"`;
+}
+
+// Distinct, in-range section indices matching the action's section count
+function hasValidSections(suggestion, sectionCount) {
+  const indices = suggestion.affectedSections;
+  return Array.isArray(indices) &&
+    indices.length === SECTIONS_PER_ACTION[suggestion.action] &&
+    new Set(indices).size === indices.length &&
+    indices.every(i => Number.isInteger(i) && i >= 0 && i < sectionCount);
+}
+
+// Ask the model to fix its own response, quoting the validation errors
+function buildRepairPrompt(previousResponse, errors, sectionCount) {
+  return `Your previous response could not be used because it did not match the required JSON schema.
+
+PREVIOUS RESPONSE:
+${previousResponse}
+
+VALIDATION ERRORS:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Return ONLY corrected JSON with no extra text. Requirements:
+- Top-level keys: "needsRestructuring" (boolean), "currentSectionCount" (integer), "restructuringReason" (string), "suggestions" (array)
+- Each suggestion has exactly: "action" ("merge", "rewrite", "keep" or "remove"), "affectedSections" (array of section indices between 0 and ${sectionCount - 1}), "rationale" (string), "confidenceLevel" ("high", "medium" or "low"), and optionally "newHeading" (string)
+- Keep the same suggestions you intended, only fix the format`;
+}
+
+// Result when the model never produced a usable response - distinct from "no issues found"
+function buildFailed(sectionCount, errors) {
   return {
     needsRestructuring: false,
     currentSectionCount: sectionCount,
-    restructuringReason: 'No structural issues detected',
-    suggestions: []
+    restructuringReason: 'Unable to parse AI response',
+    suggestions: [],
+    analysisStatus: 'failed',
+    analysisErrors: errors
   };
 }
 
 // Generate improvement proposals
-export function generateProposals(sections, linkEvals, structureAnalysis) {
+export function generateProposals(sections, linkEvals, structureAnalysis, stalenessFindings = [], seoAudit = null, accessibilityAudit = null, textSuggestions = []) {
   try {
     const proposals = [];
 
     // --- Link proposals ---
-    const brokenLinks = linkEvals.filter(l => !l.working);
+    // Unchecked links (working === null) are not known to be broken
+    const brokenLinks = linkEvals.filter(l => l.working === false);
     if (brokenLinks.length > 0) {
       proposals.push({
         id: 'proposal-links',
         type: 'link-fixes',
         title: 'Fix Broken Links',
-        description: `Found ${brokenLinks.length} broken or inaccessible link${brokenLinks.length > 1 ? 's' : ''} that should be updated or removed.`,
-        affectedLinks: brokenLinks,
+        description: `Found ${brokenLinks.length} broken or inaccessible link(s) to review one by one.`,
+        // Each link is approved on its own, starting on its best replacement, or on unlinking when nothing was found.
+        // The reviewer can also type a replacement URL (action 'replace' with their own replacementUrl).
+        affectedLinks: brokenLinks.map(link => {
+          const candidates = link.candidates || [];
+          return {
+            ...link,
+            candidates,
+            action: candidates.length > 0 ? 'replace' : 'unlink',
+            replacementUrl: candidates[0]?.url || null,
+            approved: false
+          };
+        }),
         rationale: 'Broken links harm user experience and SEO. These links return errors or are unreachable.',
         approved: false
       });
     }
 
+    // --- Redirect proposals ---
+    // Links that moved permanently (every hop 301/308) are pointed straight at their final address
+    const movedLinks = linkEvals.filter(l => l.working === true && l.permanentRedirect && l.finalUrl);
+    if (movedLinks.length > 0) {
+      proposals.push({
+        id: 'proposal-redirects',
+        type: 'redirect-updates',
+        title: 'Update Redirected Links',
+        description: `Found ${movedLinks.length} link(s) that permanently redirect to a new address.`,
+        affectedLinks: movedLinks.map(link => ({ ...link, approved: false })),
+        rationale: 'Every redirect costs readers and crawlers a round trip, and old addresses are not guaranteed to keep redirecting.',
+        approved: false
+      });
+    }
+
     // --- Structure proposals ---
     if (structureAnalysis.needsRestructuring && structureAnalysis.suggestions.length > 0) {
       for (let i = 0; i < structureAnalysis.suggestions.length; i++) {
         const suggestion = structureAnalysis.suggestions[i];
 
-        // Build readable section names for the UI
-        const sectionA = sections[suggestion.affectedSections[0]]?.heading || `Section ${suggestion.affectedSections[0]}`;
-        const sectionB = sections[suggestion.affectedSections[1]]?.heading || `Section ${suggestion.affectedSections[1]}`;
+        if (!hasValidSections(suggestion, sections.length)) {
+          console.log('Skipping structure suggestion with invalid sections:', suggestion);
+          continue;
+        }
 
         proposals.push({
           id: `proposal-structure-${i}`,
           type: 'structure',
           action: suggestion.action,
-          title: suggestion.newHeading || `Merge: ${sectionA} + ${sectionB}`,
-          description: `Merge "${sectionA}" and "${sectionB}" into a single section: "${suggestion.newHeading}"`,
+          ...describeStructureSuggestion(suggestion, sections),
           affectedSections: suggestion.affectedSections,
           newHeading: suggestion.newHeading,
           rationale: suggestion.rationale,
+          confidenceLevel: suggestion.confidenceLevel,
           approved: false
         });
       }
     }
 
-    console.log(`Generated ${proposals.length} total proposals (${proposals.filter(p => p.type === 'link-fixes').length} link, ${proposals.filter(p => p.type === 'structure').length} structure)`);
+    // --- Outdated content proposal ---
+    // One proposal; reviewers approve each occurrence on its own
+    if (stalenessFindings.length > 0) {
+      proposals.push({
+        id: 'proposal-outdated',
+        type: 'outdated-content',
+        title: 'Update Outdated Information',
+        description: `Found ${stalenessFindings.length} statement${stalenessFindings.length > 1 ? 's' : ''} that may be out of date.`,
+        occurrences: stalenessFindings.map(finding => ({
+          ...finding,
+          section: sections[finding.sectionIndex]?.heading || null,
+          approved: false
+        })),
+        rationale: 'Old years, versions and "recently" wording make a post look neglected and can mislead readers.',
+        approved: false
+      });
+    }
+
+    // --- SEO proposals ---
+    // One proposal per issue; approving it recovers its weight in the SEO score.
+    // Missing alt text is left to the accessibility and alt text proposals below, which fix each image.
+    const seoIssues = seoAudit?.issues || [];
+    seoIssues.filter(issue => issue.fix !== 'accessibility').forEach(issue => {
+      proposals.push({
+        id: `proposal-${issue.id}`,
+        type: 'seo',
+        check: issue.check,
+        severity: issue.severity,
+        title: issue.message,
+        description: issue.recommendation,
+        rationale: SEO_RATIONALES[issue.check],
+        fix: issue.fix,
+        weight: issue.weight,
+        details: issue.details,
+        approved: false
+      });
+    });
+
+    // Alt text proposals also clear the SEO issue for missing alt text
+    const altTextSeoIssue = seoIssues.find(issue => issue.check === 'image-alt');
+    const resolvesAltTextSeo = altTextSeoIssue
+      ? { resolvesSeoIssue: { id: altTextSeoIssue.id, weight: altTextSeoIssue.weight } }
+      : {};
+
+    // --- Accessibility proposals ---
+    // One proposal per check; reviewers approve each element on its own.
+    // Elements the AI suggested text for are left to that suggestion, so each element has one fix to approve.
+    const suggestedTargets = new Set(textSuggestions.map(s => `${s.target?.kind}-${s.target?.index}`));
+    (accessibilityAudit?.issues || []).forEach(issue => {
+      const occurrences = issue.occurrences.filter(o => !suggestedTargets.has(`${o.target.kind}-${o.target.index}`));
+      const count = occurrences.length;
+      if (count === 0) return;
+
+      proposals.push({
+        id: `proposal-a11y-${issue.check}`,
+        type: 'accessibility',
+        check: issue.check,
+        severity: issue.severity,
+        title: issue.title,
+        description: `Found ${count} element${count > 1 ? 's' : ''} to fix.`,
+        occurrences: occurrences.map(occurrence => ({ ...occurrence, approved: false })),
+        rationale: issue.rationale,
+        ...(issue.check === 'image-alt' && resolvesAltTextSeo),
+        approved: false
+      });
+    });
+
+    // --- AI text proposals ---
+    // Alt text and link text; each suggestion is approved on its own
+    for (const { kind, title, noun, rationale } of TEXT_PROPOSALS) {
+      const suggestions = textSuggestions.filter(s => s.kind === kind);
+      if (suggestions.length === 0) continue;
+
+      proposals.push({
+        id: `proposal-${kind}`,
+        type: kind,
+        title,
+        description: `AI suggested new text for ${suggestions.length} ${noun}${suggestions.length > 1 ? 's' : ''}.`,
+        occurrences: suggestions.map(suggestion => ({ ...suggestion, approved: false })),
+        rationale,
+        ...(kind === 'alt-text' && resolvesAltTextSeo),
+        approved: false
+      });
+    }
+
+    const countOf = type => proposals.filter(p => p.type === type).length;
+    console.log(`Generated ${proposals.length} total proposals (${countOf('link-fixes')} link, ${countOf('redirect-updates')} redirect update, ${countOf('structure')} structure, ${countOf('outdated-content')} outdated, ${countOf('seo')} SEO, ${countOf('accessibility')} accessibility, ${countOf('alt-text')} alt text, ${countOf('link-text')} link text)`);
     return proposals;
 
   } catch (error) {
@@ -175,58 +513,139 @@ export function generateProposals(sections, linkEvals, structureAnalysis) {
   }
 }
 
+// Why each SEO check matters, shown with its proposal
+const SEO_RATIONALES = {
+  'title-length': 'Search results cut long titles off and short titles waste space that could describe the post.',
+  'meta-description': 'Search engines show the meta description under the title - without a good one they pick a random snippet.',
+  canonical: 'The canonical URL tells search engines which address to rank when the post is reachable at several.',
+  'h1-count': 'A single H1 makes the main topic of the page unambiguous.',
+  'heading-skips': 'Skipped heading levels break the outline search engines and screen readers build from the page.',
+  'keyword-in-headings': 'Subheadings that repeat the topic of the title help search engines match the post to queries.',
+  'internal-links': 'Links to related posts spread ranking across the site and keep readers on it.'
+};
+
+// One proposal per kind of AI text suggestion
+const TEXT_PROPOSALS = [
+  { kind: 'alt-text', title: 'Write Alt Text for Images', noun: 'image', rationale: 'Alt text written from the surrounding content tells screen reader users what each image shows.' },
+  { kind: 'link-text', title: 'Improve Link Text', noun: 'link', rationale: 'Link text that names its destination makes sense on its own, for screen readers and skimming readers alike.' }
+];
+
+// Title and description shown to reviewers for each structure action
+function describeStructureSuggestion(suggestion, sections) {
+  // Build readable section names for the UI
+  const [sectionA, sectionB] = suggestion.affectedSections.map(i => sections[i]?.heading || `Section ${i}`);
+  const { newHeading } = suggestion;
+
+  switch (suggestion.action) {
+    case 'merge':
+      return {
+        title: newHeading || `Merge: ${sectionA} + ${sectionB}`,
+        description: newHeading
+          ? `Merge "${sectionA}" and "${sectionB}" into a single section: "${newHeading}"`
+          : `Merge "${sectionA}" and "${sectionB}" into a single section`
+      };
+    case 'rewrite':
+      return {
+        title: `Rewrite: ${sectionA}`,
+        description: newHeading
+          ? `Rewrite "${sectionA}" under the heading "${newHeading}", keeping all of its information`
+          : `Rewrite "${sectionA}" for clarity, keeping all of its information`
+      };
+    case 'remove':
+      return {
+        title: `Remove: ${sectionA}`,
+        description: `Remove the "${sectionA}" section and its content from the post`
+      };
+    default:
+      return {
+        title: `Keep: ${sectionA}`,
+        description: `Keep "${sectionA}" exactly as it is`
+      };
+  }
+}
+
 // Apply approved changes
-export async function applyChanges(originalContent, approvedProposals, originalSections) {
+export async function applyChanges(originalContent, approvedProposals, originalSections, { signal } = {}) {
   try {
     const $ = cheerio.load(originalContent);
-
-    // --- Apply link fixes ---
-    const linkProposal = approvedProposals.find(p => p.type === 'link-fixes');
-    if (linkProposal && linkProposal.affectedLinks) {
-      linkProposal.affectedLinks.forEach(link => {
-        $(`a[href="${link.url}"]`).attr('href', '#').addClass('broken-link-removed');
-      });
-      console.log(`Removed ${linkProposal.affectedLinks.length} broken links`);
-    }
-
-    // --- Apply structure changes ---
     const structureProposals = approvedProposals.filter(p => p.type === 'structure');
 
-    if (structureProposals.length > 0) {
-      const prompt = `You are refreshing a blog post by applying approved structural changes.
-
-FULL ORIGINAL CONTENT:
-${originalContent}
+    // Merges and removals are done on the section boundaries directly - no AI involved.
+    // The sections are located before heading level fixes change the outline, and edited last.
+    const applyStructureEdits = resolveStructureProposals($, structureProposals, originalSections);
 
-ORIGINAL SECTIONS:
-${originalSections.map((s, i) => `Section ${i}: "${s.heading}"`).join('\n')}
+    // --- Apply accessibility fixes ---
+    // First, while every element is where the analysis found it
+    applyAccessibilityFixes($, approvedProposals);
+    applyTextSuggestions($, approvedProposals);
 
-APPROVED MERGES TO APPLY:
-${structureProposals.map((p, i) => `
-Merge ${i + 1}:
-  - Combine section ${p.affectedSections[0]} ("${originalSections[p.affectedSections[0]]?.heading}") 
-    with section ${p.affectedSections[1]} ("${originalSections[p.affectedSections[1]]?.heading}")
-  - New heading: "${p.newHeading}"
-  - Why: ${p.rationale}
-`).join('\n')}
+    // --- Apply link fixes ---
+    // Replace, unlink or remove the sentence of each broken link, and point redirected links at their
+    // final address - no AI involved. One pass, so every link is located before any is edited.
+    const linkProposal = approvedProposals.find(p => p.type === 'link-fixes');
+    const redirectProposal = approvedProposals.find(p => p.type === 'redirect-updates');
+    const linkFixes = [
+      ...(linkProposal?.affectedLinks || []),
+      ...(redirectProposal?.affectedLinks || []).map(link => ({ ...link, action: 'replace', replacementUrl: link.finalUrl }))
+    ];
+    applyLinkFixes($, linkFixes);
 
+    // --- Apply structure changes ---
+    applyStructureEdits();
+
+    // --- Apply SEO fixes ---
+    // Heading fixes are done with cheerio; alt text and keyword wording go to the AI below.
+    // Manual fixes (page <head>, site links) are listed for the author on the results screen.
+    const seoProposals = approvedProposals.filter(p => p.type === 'seo');
+    applySeoFixes($, seoProposals);
+    const aiSeoProposals = seoProposals.filter(p => p.fix === 'ai');
+
+    // Only rewrites, outdated statements and AI SEO fixes need new prose. "keep" proposals leave the section alone.
+    const rewriteProposals = structureProposals.filter(p => p.action === 'rewrite');
+    const outdatedStatements = getApprovedOccurrences(approvedProposals, 'outdated-content');
+
+    const tasks = [
+      rewriteProposals.length > 0 && 'rewriting approved sections',
+      outdatedStatements.length > 0 && 'updating outdated statements',
+      aiSeoProposals.length > 0 && 'making SEO fixes'
+    ].filter(Boolean);
+
+    const textCount = getApprovedOccurrences(approvedProposals, 'alt-text').length + getApprovedOccurrences(approvedProposals, 'link-text').length;
+    console.log(`Applied without AI: ${linkFixes.filter(link => link.approved !== false).length} link, ${structureProposals.filter(p => p.action === 'merge' || p.action === 'remove').length} structure, ${getApprovedOccurrences(approvedProposals, 'accessibility').length} accessibility, ${textCount} AI text and ${seoProposals.filter(p => p.fix === 'deterministic').length} SEO change(s)${tasks.length > 0 ? `; asking the AI for ${tasks.join(' and ')}` : ''}`);
+
+    if (tasks.length > 0) {
+
+      const prompt = `You are refreshing a blog post by ${tasks.join(' and ')}.
+
+FULL CONTENT:
+${$.html()}
+${rewriteProposals.length > 0 ? `
+APPROVED REWRITES TO APPLY:
+${rewriteProposals.map((p, i) => describeRewrite(p, i + 1, originalSections)).join('\n')}
+` : ''}${outdatedStatements.length > 0 ? `
+APPROVED OUTDATED STATEMENTS TO UPDATE:
+${outdatedStatements.map((o, i) => describeOutdatedStatement(o, i + 1)).join('\n')}
+` : ''}${aiSeoProposals.length > 0 ? `
+APPROVED SEO FIXES:
+${aiSeoProposals.map((p, i) => describeSeoFix(p, i + 1)).join('\n')}
+` : ''}
 RULES:
-1. Apply ONLY the merges listed above - do not change anything else
-2. Keep ALL original text, examples, and details - do not remove or summarise content
-3. Preserve the original tone and writing style exactly
-4. For each approved merge: combine the two sections under the new heading
-5. All other sections stay exactly as they are
-6. Return ONLY clean HTML - no markdown, no code blocks, no explanation text
+1. Change ONLY the sections, statements and SEO fixes listed above - do not change anything else
+2. Keep every fact, example, link and detail of a rewritten section - do not remove or summarise content
+3. Preserve the original tone and writing style
+4. Use the heading given for each rewrite
+5. Update each outdated statement in place. If you are not certain what is current, make the statement clearly dated (e.g. "As of 2021, ...") instead of guessing
+6. All other sections stay exactly as they are
+7. Return ONLY clean HTML - no markdown, no code blocks, no explanation text
 
 Output the full refreshed HTML content now:`;
 
-      const response = await genAI.models.generateContent({
-        model: 'gemini-2.5-flash',
-        contents: prompt
+      let refreshedContent = await generateText(prompt, {
+        task: 'apply-changes',
+        context: { content: $.html() },
+        signal
       });
 
-      let refreshedContent = response.text;
-
       // Strip any markdown wrapping the AI might add
       refreshedContent = refreshedContent
         .replace(/^```html\s*/i, '')
@@ -237,11 +656,194 @@ Output the full refreshed HTML content now:`;
       return refreshedContent;
     }
 
-    // No structure changes - return with link fixes only
+    // No AI edits - return with link fixes and deterministic structure, SEO and accessibility changes only
     return $.html();
 
   } catch (error) {
     console.error('Error in applyChanges:', error);
     throw error;
   }
-}
\ No newline at end of file
+}
+
+// Approved alt text and link text, edited in place - the rest of the document is untouched
+function applyTextSuggestions($, approvedProposals) {
+  const suggestions = [
+    ...getApprovedOccurrences(approvedProposals, 'alt-text'),
+    ...getApprovedOccurrences(approvedProposals, 'link-text')
+  ];
+  if (suggestions.length === 0) return;
+
+  const resolved = suggestions.map(suggestion => ({ elem: resolveTarget($, suggestion.target), suggestion }));
+
+  resolved.forEach(({ elem, suggestion }) => {
+    if (suggestion.kind === 'alt-text') {
+      $(elem).attr('alt', suggestion.suggested);
+    } else if ($(elem).children().length > 0) {
+      // Links wrapping images or markup keep their content and get a label instead
+      $(elem).attr('aria-label', suggestion.suggested);
+    } else {
+      // The new text names the destination, so a generated label is no longer needed
+      $(elem).text(suggestion.suggested).removeAttr('aria-label');
+    }
+  });
+}
+
+// Approved broken links whose 'replace' action cannot be carried out: no replacement URL, or one that is
+// not http(s). Returns [{ id, url, replacementUrl, issue }], empty when every link fix can be applied.
+export function findInvalidLinkFixes(approvedProposals) {
+  return approvedProposals
+    .filter(p => p.type === 'link-fixes')
+    .flatMap(p => (p.affectedLinks || []).filter(link => link.approved !== false && link.action === 'replace'))
+    .filter(link => !isHttpUrl(link.replacementUrl))
+    .map(link => ({
+      id: link.id || null,
+      url: link.url,
+      replacementUrl: link.replacementUrl ?? null,
+      issue: link.replacementUrl?.trim() ? 'Replacement is not an http(s) URL' : 'No replacement URL given'
+    }));
+}
+
+// Each broken link gets the action the reviewer chose:
+// 'replace' points it at `replacementUrl`, 'unlink' keeps its text without the link,
+// 'remove-sentence' drops the sentence the link sits in.
+// Links are located by their analysis id (link-N is the Nth <a href>), so every target is resolved before editing.
+// Links the reviewer ignored (approved: false) are left alone.
+function applyLinkFixes($, affectedLinks) {
+  const resolved = affectedLinks.filter(link => link.approved !== false).flatMap(link => {
+    const action = link.action || 'unlink';
+    if (action === 'replace' && !isHttpUrl(link.replacementUrl)) {
+      throw new Error(`Replacement for ${link.url} is not an http(s) URL: "${link.replacementUrl}"`);
+    }
+    const index = /^link-(\d+)$/.exec(link.id || '')?.[1];
+    // Proposals from before links had ids are matched by address
+    const elems = index !== undefined
+      ? [resolveTarget($, { kind: 'link', index: Number(index), key: link.url.trim() })]
+      : $('a[href]').filter((i, elem) => $(elem).attr('href') === link.url).toArray();
+    return elems.map(elem => ({ elem, action, replacementUrl: link.replacementUrl }));
+  });
+
+  if (resolved.length === 0) return;
+
+  resolved.forEach(({ elem, action, replacementUrl }) => {
+    // Already gone with a sentence removed for another link
+    if (!$.contains($.root()[0], elem)) return;
+
+    if (action === 'replace') {
+      $(elem).attr('href', replacementUrl);
+    } else if (action === 'remove-sentence') {
+      removeSentenceAround($, elem);
+    } else {
+      $(elem).replaceWith($(elem).contents());
+    }
+  });
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Cut the sentence containing `elem` out of its text block, across inline markup.
+// A block left empty is removed; the link alone is removed when it is not inside a text block.
+function removeSentenceAround($, elem) {
+  const block = $(elem).closest(CONTEXT_BLOCKS);
+  if (block.length === 0) {
+    $(elem).remove();
+    return;
+  }
+
+  // Text nodes of the block in order, with their offsets in the block text
+  const textNodes = [];
+  let text = '';
+  let linkStart = 0;
+  const walk = node => {
+    if (node === elem) linkStart = text.length;
+    if (node.type === 'text') {
+      textNodes.push({ node, start: text.length });
+      text += node.data;
+    } else {
+      (node.children || []).forEach(walk);
+    }
+  };
+  walk(block.get(0));
+  const linkEnd = linkStart + $(elem).text().length;
+
+  // The sentence runs from after the previous ". " to its own closing punctuation and trailing space.
+  // The last sentence of a block takes the space before it instead.
+  const boundary = [...text.slice(0, linkStart).matchAll(/[.!?]\s+/g)].at(-1);
+  const after = /[.!?](\s+|$)/.exec(text.slice(linkEnd));
+  const end = after ? linkEnd + after.index + after[0].length : text.length;
+  let start = boundary ? boundary.index + boundary[0].length : 0;
+  if (boundary && !text.slice(end).trim()) start = boundary.index + 1;
+
+  $(elem).remove();
+  textNodes.forEach(({ node, start: nodeStart }) => {
+    const nodeEnd = nodeStart + node.data.length;
+    if (nodeEnd <= start || nodeStart >= end) return;
+    node.data = node.data.slice(0, Math.max(0, start - nodeStart)) + node.data.slice(Math.max(0, end - nodeStart));
+  });
+
+  // Inline elements emptied by the cut (e.g. <strong> around a removed phrase) go too
+  block.find('*').toArray().reverse().forEach(child => {
+    if (!$(child).text().trim() && !MEDIA_ELEMENTS.includes(child.name) && $(child).find(MEDIA_ELEMENTS.join(', ')).length === 0) {
+      $(child).remove();
+    }
+  });
+
+  if (!block.text().trim() && block.find(MEDIA_ELEMENTS.join(', ')).length === 0) {
+    block.remove();
+  }
+}
+
+// Occurrences the reviewer approved in proposals of the given type
+function getApprovedOccurrences(approvedProposals, type) {
+  return approvedProposals
+    .filter(p => p.type === type)
+    .flatMap(p => (p.occurrences || []).filter(o => o.approved !== false));
+}
+
+function describeOutdatedStatement(occurrence, number) {
+  return `
+Update ${number}:
+  - Statement: "${occurrence.sentence}"
+  - Problem: ${occurrence.reason}
+`;
+}
+
+function describeSeoFix(proposal, number) {
+  const instructions = {
+    'keyword-in-headings': `Reword one relevant subheading so it naturally includes one of these terms: ${(proposal.details?.keywords || []).join(', ')}. Do not change what the heading says`
+  };
+
+  return `
+SEO fix ${number}:
+  - ${instructions[proposal.check] || proposal.description}
+`;
+}
+
+// One numbered entry in the rewrite prompt. Sections are named by heading because
+// merges and removals have already shifted their positions.
+function describeRewrite(proposal, number, originalSections) {
+  const section = originalSections[proposal.affectedSections[0]];
+  const heading = section?.heading;
+
+  // Pseudo-sections have no heading element: point at the paragraphs by their opening words
+  if (section?.pseudo) {
+    return `
+Rewrite ${number}:
+  - Rewrite the group of paragraphs starting "${heading.replace(/…$/, '')}" (only those paragraphs)
+  ${proposal.newHeading ? `- Add the heading "${proposal.newHeading}" before them` : '- Do not add a heading'}
+  - Why: ${proposal.rationale}
+`;
+  }
+
+  return `
+Rewrite ${number}:
+  - Rewrite the section headed "${heading}"
+  - Heading: "${proposal.newHeading || heading}"
+  - Why: ${proposal.rationale}
+`;
+}
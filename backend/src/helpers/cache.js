@@ -0,0 +1,74 @@
+import { createHash } from 'node:crypto';
+
+// In-memory caches for repeatable, expensive work: AI responses and link checks.
+// Entries expire after their TTL; past CACHE_MAX_ENTRIES the least recently used entry is evicted.
+// Nothing survives a restart.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Cache settings come from the environment: CACHE_ENABLED, CACHE_MAX_ENTRIES (per cache), AI_CACHE_TTL_MS,
+// LINK_CACHE_TTL_WORKING_MS, LINK_CACHE_TTL_BROKEN_MS, LINK_CACHE_TTL_TRANSIENT_MS
+export function getCacheConfig() {
+  return {
+    enabled: (process.env.CACHE_ENABLED || 'true').trim().toLowerCase() !== 'false',
+    maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 1000,
+    aiTtlMs: Number(process.env.AI_CACHE_TTL_MS) || 24 * HOUR_MS,
+    linkTtlMs: {
+      working: Number(process.env.LINK_CACHE_TTL_WORKING_MS) || 24 * HOUR_MS,
+      broken: Number(process.env.LINK_CACHE_TTL_BROKEN_MS) || HOUR_MS,
+      // Timeouts, network errors, rate limits and server errors may clear up on their own
+      transient: Number(process.env.LINK_CACHE_TTL_TRANSIENT_MS) || 5 * 60 * 1000
+    }
+  };
+}
+
+// Stable key for JSON-serialisable inputs (content, proposals, prompt and model versions, ...)
+export function hashKey(...parts) {
+  return createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+const caches = new Map();
+
+// Run `compute` unless a fresh value is cached under `key` in the cache called `name`.
+// Returns { value, cache: { hit, cachedAt } }. `bypass` skips the lookup but still stores the new value.
+// `ttlMs` is a number or a function of the value; a TTL of 0 leaves that value uncached.
+// Values are copied in and out, so callers may change them freely.
+export async function withCache(name, key, compute, { ttlMs, bypass = false } = {}) {
+  const { enabled, maxEntries } = getCacheConfig();
+  if (!enabled) {
+    return { value: await compute(), cache: { hit: false, cachedAt: null } };
+  }
+
+  if (!caches.has(name)) caches.set(name, new Map());
+  const entries = caches.get(name);
+
+  const entry = entries.get(key);
+  if (entry && entry.expiresAt <= Date.now()) {
+    entries.delete(key);
+  } else if (entry && !bypass) {
+    // Re-inserting marks the entry as recently used
+    entries.delete(key);
+    entries.set(key, entry);
+    return { value: structuredClone(entry.value), cache: { hit: true, cachedAt: entry.cachedAt } };
+  }
+
+  const value = await compute();
+  const ttl = typeof ttlMs === 'function' ? ttlMs(value) : ttlMs;
+
+  if (ttl > 0) {
+    const now = Date.now();
+    entries.delete(key);
+    entries.set(key, { value: structuredClone(value), cachedAt: new Date(now).toISOString(), expiresAt: now + ttl });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  }
+
+  return { value, cache: { hit: false, cachedAt: null } };
+}
+
+// Forget every cached value (all caches, or only `name`)
+export function clearCaches(name) {
+  if (name) caches.delete(name);
+  else caches.clear();
+}
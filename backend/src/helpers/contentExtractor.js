@@ -0,0 +1,223 @@
+import * as cheerio from 'cheerio';
+
+// Markup selectors that usually wrap the post itself
+const SEMANTIC_SELECTORS = [
+  'article',
+  'main',
+  '[role="main"]',
+  '.post-content',
+  '.entry-content',
+  '.post-body',
+  '.article-body',
+  '.article-content'
+];
+
+// Never content. Everything else (embeds, inline SVG, callout <aside>s) stays for the sanitizer to judge.
+const ALWAYS_STRIP = 'script, style, noscript, template';
+
+// Page chrome: its text never scores, and it is dropped inside the chosen container
+const PAGE_CHROME = 'nav, aside, footer, form';
+const CHROME_INSIDE_CONTENT = ['nav', 'footer'];
+
+// class/id hints in the spirit of Mozilla Readability
+const POSITIVE_HINTS = /article|body|content|entry|main|post|story|text|blog/i;
+const NEGATIVE_HINTS = /comment|meta|footer|footnote|sidebar|widget|nav|menu|breadcrumb|related|share|social|cookie|consent|banner|promo|popup|modal|subscribe|newsletter|advert|sponsor|\bads?\b|author-bio|pagination|tags/i;
+
+// Blocks whose text gives a parent its content score
+const SCORED_BLOCKS = 'p, pre, td, blockquote, li';
+
+// A block with less text than this is ignored when scoring
+const MIN_BLOCK_TEXT = 25;
+
+// Extractions scoring below this are flagged so the UI can warn
+export const LOW_CONFIDENCE_THRESHOLD = 0.6;
+
+// Find the main post content in a full HTML page and strip boilerplate around and inside it.
+// Returns { content, strategy, confidence, lowConfidence, selector, wordCount, linkDensity }
+// strategy: 'site-rule' (content selector of a configured site rule), 'semantic' (markup
+//           selector backed by scoring), 'scoring' (best-scoring block), or 'body' (nothing better found)
+// A site rule's strip selectors always apply; if none of its content selectors match,
+// the generic detection runs as usual.
+export function extractMainContent(html, { rule } = {}) {
+  const $ = cheerio.load(html);
+  $(ALWAYS_STRIP).remove();
+  if (rule?.strip?.length) $(rule.strip.join(', ')).remove();
+
+  const ruleMatch = rule ? findRuleCandidate($, rule) : null;
+  if (ruleMatch) {
+    // The rule was written for this markup, so its result is trusted as-is
+    const $content = $(ruleMatch.node);
+    return {
+      ...describeContent($, $content),
+      strategy: 'site-rule',
+      confidence: 1,
+      lowConfidence: false,
+      selector: ruleMatch.selector
+    };
+  }
+
+  const topCandidate = findTopCandidate($);
+  const semantic = findSemanticCandidate($);
+
+  let node;
+  let strategy;
+  let agreement;
+
+  if (semantic && topCandidate && (semantic.node === topCandidate.node || $(semantic.node).find(topCandidate.node).length > 0)) {
+    // The markup and the scoring point at the same place
+    ({ node } = semantic);
+    strategy = 'semantic';
+    agreement = true;
+  } else if (topCandidate) {
+    ({ node } = topCandidate);
+    strategy = 'scoring';
+    agreement = false;
+  } else if (semantic) {
+    ({ node } = semantic);
+    strategy = 'semantic';
+    agreement = false;
+  } else {
+    node = $('body')[0];
+    strategy = 'body';
+    agreement = false;
+  }
+
+  const $content = $(node);
+  stripBoilerplate($, $content);
+
+  const description = describeContent($, $content);
+  const confidence = scoreConfidence({ strategy, agreement, ...description });
+
+  return {
+    ...description,
+    strategy,
+    confidence,
+    lowConfidence: confidence < LOW_CONFIDENCE_THRESHOLD,
+    selector: strategy === 'semantic' ? semantic.selector : describeNode(node)
+  };
+}
+
+// { content, wordCount, linkDensity } of the chosen container
+function describeContent($, $content) {
+  const text = normalize($content.text());
+
+  return {
+    content: $content.html() || '',
+    wordCount: text ? text.split(' ').length : 0,
+    linkDensity: Math.round(getLinkDensity($, $content) * 100) / 100
+  };
+}
+
+// First content selector of the rule that matches an element with text
+function findRuleCandidate($, rule) {
+  for (const selector of rule.content || []) {
+    const match = $(selector).toArray().find(elem => normalize($(elem).text()));
+    if (match) return { node: match, selector };
+  }
+  return null;
+}
+
+// Readability-style scoring: each text block adds to its parent (and half to its grandparent)
+// based on its length and commas; totals are weighted by class/id hints and link density.
+function findTopCandidate($) {
+  const scores = new Map();
+
+  const addScore = (elem, amount) => {
+    if (!elem || elem.type !== 'tag' || elem.name === 'body' || elem.name === 'html') return;
+    if (!scores.has(elem)) scores.set(elem, classWeight(elem));
+    scores.set(elem, scores.get(elem) + amount);
+  };
+
+  $(SCORED_BLOCKS).each((i, elem) => {
+    if ($(elem).closest(PAGE_CHROME).length > 0) return;
+
+    const text = normalize($(elem).text());
+    if (text.length < MIN_BLOCK_TEXT) return;
+
+    const blockScore = 1 + text.split(',').length + Math.min(Math.floor(text.length / 100), 3);
+    addScore(elem.parent, blockScore);
+    addScore(elem.parent?.parent, blockScore / 2);
+  });
+
+  let best = null;
+  for (const [elem, score] of scores) {
+    const finalScore = score * (1 - getLinkDensity($, $(elem)));
+    if (!best || finalScore > best.score) {
+      best = { node: elem, score: finalScore };
+    }
+  }
+
+  return best && best.score > 0 ? best : null;
+}
+
+function findSemanticCandidate($) {
+  for (const selector of SEMANTIC_SELECTORS) {
+    // Prefer the candidate with the most text (pages often have several <article> teasers)
+    const matches = $(selector).toArray()
+      .map(elem => ({ node: elem, length: normalize($(elem).text()).length }))
+      .filter(match => match.length > 0)
+      .sort((a, b) => b.length - a.length);
+
+    if (matches.length > 0) {
+      return { node: matches[0].node, selector };
+    }
+  }
+  return null;
+}
+
+// Remove widgets, comment threads and link lists that live inside the chosen container.
+// <nav> and <footer> count as negative hints; <aside> does not, as posts use it for callouts.
+function stripBoilerplate($, $content) {
+  $content.find('*').filter((i, elem) => {
+    const $elem = $(elem);
+    const hints = `${$elem.attr('class') || ''} ${$elem.attr('id') || ''}`;
+
+    if ((CHROME_INSIDE_CONTENT.includes(elem.name) || NEGATIVE_HINTS.test(hints)) && !POSITIVE_HINTS.test(hints)) return true;
+
+    // Lists and divs that are mostly links ("related posts", tag clouds, share bars)
+    if (['ul', 'ol', 'div', 'section'].includes(elem.name)) {
+      const text = normalize($elem.text());
+      return text.length > 0 && text.length < 500 && $elem.find('p').length === 0 && getLinkDensity($, $elem) > 0.5;
+    }
+
+    return false;
+  }).remove();
+}
+
+function scoreConfidence({ strategy, agreement, wordCount, linkDensity }) {
+  const base = agreement ? 0.5 : strategy === 'body' ? 0.1 : 0.3;
+  const length = Math.min(wordCount / 300, 1) * 0.3;
+  const cleanliness = (1 - Math.min(linkDensity * 2, 1)) * 0.2;
+
+  return Math.round((base + length + cleanliness) * 100) / 100;
+}
+
+// Share of an element's text that sits inside links
+function getLinkDensity($, $elem) {
+  const textLength = normalize($elem.text()).length;
+  if (textLength === 0) return 0;
+
+  const linkLength = $elem.find('a').toArray()
+    .reduce((sum, link) => sum + normalize($(link).text()).length, 0);
+  return Math.min(linkLength / textLength, 1);
+}
+
+function classWeight(elem) {
+  const hints = `${elem.attribs?.class || ''} ${elem.attribs?.id || ''}`;
+  let weight = 0;
+  if (POSITIVE_HINTS.test(hints)) weight += 25;
+  if (NEGATIVE_HINTS.test(hints)) weight -= 25;
+  return weight;
+}
+
+// "div#content.post" - for logs and the UI
+function describeNode(elem) {
+  if (!elem) return null;
+  const id = elem.attribs?.id ? `#${elem.attribs.id}` : '';
+  const classes = (elem.attribs?.class || '').trim().split(/\s+/).filter(Boolean).map(c => `.${c}`).join('');
+  return `${elem.name}${id}${classes}`;
+}
+
+function normalize(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,238 @@
+import * as cheerio from 'cheerio';
+import { getSubtreeIndices } from './outlineExtractor.js';
+
+// Block elements whose text is split into sentences (headings are structure, not content)
+const TEXT_BLOCKS = 'p, li, blockquote, td, th, dd, dt, figcaption';
+
+// A sentence counts as "altered" rather than "missing" when this share of its words survives
+const ALTERED_SIMILARITY = 0.5;
+
+const ITEM_TYPES = ['sentence', 'link', 'image', 'code', 'table', 'number'];
+
+// Compare the original post with the refreshed one and report content that was dropped
+// or changed without an approved proposal to explain it.
+// Returns { preserved, counts, issues: [{ type, status, original, refreshed? }], explained }
+export function verifyContentPreservation(originalContent, refreshedContent, approvedProposals = [], originalSections = []) {
+  const original = extractInventory(originalContent);
+  const refreshed = extractInventory(refreshedContent);
+  const allowances = buildAllowances(approvedProposals, originalSections);
+
+  const issues = [];
+  const explained = [];
+
+  for (const type of ITEM_TYPES) {
+    const missing = subtract(original[type], refreshed[type]);
+    const added = subtract(refreshed[type], original[type]);
+
+    for (const item of missing) {
+      const reason = takeAllowance(allowances, type, item);
+      if (reason) {
+        explained.push({ type, original: item, reason });
+        continue;
+      }
+
+      const replacement = findAlteredVersion(type, item, added);
+      if (replacement !== undefined) {
+        issues.push({ type, status: 'altered', original: item, refreshed: replacement });
+      } else {
+        issues.push({ type, status: 'missing', original: item });
+      }
+    }
+  }
+
+  const counts = Object.fromEntries(ITEM_TYPES.map(type => [
+    type,
+    { original: original[type].length, refreshed: refreshed[type].length }
+  ]));
+
+  if (issues.length > 0) {
+    console.log(`Content verification found ${issues.length} unexplained change(s)`);
+  }
+
+  return {
+    preserved: issues.length === 0,
+    counts,
+    issues,
+    explained
+  };
+}
+
+// Everything the verifier tracks, as lists (duplicates kept so counts can be compared)
+export function extractInventory(html) {
+  const $ = cheerio.load(html || '');
+  $('script, style, noscript').remove();
+
+  const sentences = collectSentences($);
+
+  const links = $('a[href]').toArray()
+    .map(elem => $(elem).attr('href').trim())
+    .filter(href => href && href !== '#');
+
+  const images = $('img[src]').toArray().map(elem => $(elem).attr('src').trim());
+
+  const code = $('pre').toArray().map(elem => $(elem).text().trim()).filter(Boolean);
+
+  const table = $('table').toArray().map(elem =>
+    $(elem).find('tr').toArray()
+      .map(row => $(row).find('th, td').toArray().map(cell => normalize($(cell).text())).join(' | '))
+      .join('\n')
+  );
+
+  // Numbers in running text; code and headings are covered elsewhere or renamed by proposals
+  const $text = $.root().clone();
+  $text.find('pre, h1, h2, h3, h4, h5, h6').remove();
+  const number = extractNumbers($text.text());
+
+  return { sentence: sentences, link: links, image: images, code, table, number };
+}
+
+// Sentences of the running text, split the same way the verifier compares them
+export function extractSentences(html) {
+  const $ = cheerio.load(html || '');
+  $('script, style, noscript').remove();
+  return collectSentences($);
+}
+
+function collectSentences($) {
+  const sentences = [];
+  $(TEXT_BLOCKS).each((i, elem) => {
+    // Only leaf blocks, so nested lists and paragraphs inside list items are not counted twice
+    if ($(elem).find(TEXT_BLOCKS).length > 0 || $(elem).closest('pre').length > 0) return;
+    sentences.push(...splitSentences($(elem).text()));
+  });
+  return sentences;
+}
+
+// What the approved proposals are allowed to change, as { type: Map(item -> { count, reason }) }
+function buildAllowances(approvedProposals, originalSections) {
+  const allowances = Object.fromEntries(ITEM_TYPES.map(type => [type, new Map()]));
+
+  const allow = (type, item, reason) => {
+    const entry = allowances[type].get(item) || { count: 0, reason };
+    entry.count += 1;
+    allowances[type].set(item, entry);
+  };
+
+  for (const proposal of approvedProposals) {
+    if (proposal.type === 'link-fixes') {
+      for (const link of (proposal.affectedLinks || []).filter(l => l.approved !== false)) {
+        allow('link', link.url, 'Broken link fix');
+        // Removing the sentence takes its wording and numbers with it
+        if (link.action === 'remove-sentence' && link.sentence) {
+          allow('sentence', link.sentence, 'Sentence with broken link removed');
+          extractNumbers(link.sentence).forEach(item => allow('number', item, 'Sentence with broken link removed'));
+        }
+      }
+      continue;
+    }
+
+    if (proposal.type === 'redirect-updates') {
+      (proposal.affectedLinks || []).filter(l => l.approved !== false).forEach(link => allow('link', link.url, 'Redirect updated to final URL'));
+      continue;
+    }
+
+    if (proposal.type === 'outdated-content') {
+      // Updating a statement rewords it and changes its years and version numbers
+      for (const occurrence of (proposal.occurrences || []).filter(o => o.approved !== false)) {
+        const reason = 'Outdated statement updated';
+        allow('sentence', occurrence.sentence, reason);
+        extractNumbers(occurrence.sentence).forEach(item => allow('number', item, reason));
+      }
+      continue;
+    }
+
+    if (proposal.type === 'link-text') {
+      // New link text changes the wording of the sentence around the link
+      for (const occurrence of (proposal.occurrences || []).filter(o => o.approved !== false && o.sentence)) {
+        allow('sentence', occurrence.sentence, 'Link text improved');
+      }
+      continue;
+    }
+
+    if (proposal.type !== 'structure') continue;
+
+    for (const index of proposal.affectedSections || []) {
+      const section = originalSections[index];
+      if (!section?.content) continue;
+
+      if (proposal.action === 'remove') {
+        // Everything in a removed section - including nested sections - is expected to go
+        const reason = `Section "${section.heading}" removed`;
+        for (const i of getSubtreeIndices(originalSections, index)) {
+          const inventory = extractInventory(originalSections[i].content || '');
+          ITEM_TYPES.forEach(type => inventory[type].forEach(item => allow(type, item, reason)));
+        }
+      } else if (proposal.action === 'rewrite') {
+        const inventory = extractInventory(section.content);
+        // Rewrites change the wording, but facts, links and code must survive
+        inventory.sentence.forEach(item => allow('sentence', item, `Section "${section.heading}" rewritten`));
+      }
+    }
+  }
+
+  return allowances;
+}
+
+function takeAllowance(allowances, type, item) {
+  const entry = allowances[type].get(item);
+  if (!entry || entry.count === 0) return null;
+  entry.count -= 1;
+  return entry.reason;
+}
+
+// Text items that lost their exact match may still exist in reworded form
+function findAlteredVersion(type, item, added) {
+  if (!['sentence', 'code', 'table'].includes(type)) return undefined;
+
+  let best;
+  let bestScore = 0;
+  for (const candidate of added) {
+    const score = similarity(item, candidate);
+    if (score > bestScore) {
+      best = candidate;
+      bestScore = score;
+    }
+  }
+
+  return bestScore >= ALTERED_SIMILARITY ? best : undefined;
+}
+
+// Multiset difference: items in `from` that have no remaining match in `other`
+function subtract(from, other) {
+  const remaining = new Map();
+  other.forEach(item => remaining.set(item, (remaining.get(item) || 0) + 1));
+
+  return from.filter(item => {
+    const count = remaining.get(item) || 0;
+    if (count === 0) return true;
+    remaining.set(item, count - 1);
+    return false;
+  });
+}
+
+// Share of words two strings have in common (Jaccard index)
+function similarity(a, b) {
+  const wordsA = new Set(a.toLowerCase().match(/\w+/g) || []);
+  const wordsB = new Set(b.toLowerCase().match(/\w+/g) || []);
+  if (wordsA.size === 0 || wordsB.size === 0) return 0;
+
+  let shared = 0;
+  wordsA.forEach(word => { if (wordsB.has(word)) shared++; });
+  return shared / (wordsA.size + wordsB.size - shared);
+}
+
+function extractNumbers(text) {
+  return (normalize(text).match(/\d[\d,.]*\d|\d/g) || [])
+    .map(n => n.replace(/,/g, ''));
+}
+
+function splitSentences(text) {
+  return normalize(text)
+    .split(/(?<=[.!?])\s+/)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+function normalize(text) {
+  return text.replace(/\s+/g, ' ').trim();
+}
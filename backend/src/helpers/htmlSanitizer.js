@@ -0,0 +1,78 @@
+import * as cheerio from 'cheerio';
+import { ALLOWED_TAGS, DROPPED_TAGS, IFRAME_SANDBOX, isAllowedAttribute, isSafeUrlAttribute, withTargetRel } from './htmlPolicy.js';
+
+// Allowlist HTML sanitizer for content that leaves the backend (AI output in particular).
+// The allowlist lives in htmlPolicy.js; the frontend preview applies a copy of it in the browser.
+
+// Sanitize an HTML document or fragment.
+// Returns { html, removed: [{ type: 'element' | 'attribute' | 'url', name, element?, count, contentKept?, example? }] }
+// - 'element': a disallowed tag; dropped with its content, or unwrapped when `contentKept`
+// - 'attribute': an attribute outside the allowlist (event handlers, style, ...)
+// - 'url': a link or source with an unsafe scheme (javascript:, data: outside images, ...), or an iframe
+//   that does not embed a known player
+// Kept iframes are always sandboxed, and links that keep a target always get rel="noopener noreferrer".
+export function sanitizeHtml(html) {
+  const source = html || '';
+  // Full documents keep their <html>/<body> wrapper, fragments stay fragments
+  const isDocument = /^\s*(<!doctype|<html[\s>])/i.test(source);
+  const $ = cheerio.load(source, null, isDocument);
+  const removed = new Map();
+
+  const record = (type, name, details = {}) => {
+    const key = [type, details.element, name].join(':');
+    const entry = removed.get(key) || { type, name, ...details, count: 0 };
+    entry.count++;
+    removed.set(key, entry);
+  };
+
+  sanitizeChildren($, $.root()[0], record);
+
+  return { html: $.html(), removed: [...removed.values()] };
+}
+
+function sanitizeChildren($, node, record) {
+  for (const child of [...(node.children || [])]) {
+    if (child.type === 'comment') {
+      // Comments are never rendered; conditional comments are a script vector in old browsers
+      $(child).remove();
+      continue;
+    }
+    if (!child.attribs) continue;
+
+    const tag = child.name.toLowerCase();
+
+    if (DROPPED_TAGS.has(tag)) {
+      $(child).remove();
+      record('element', tag);
+      continue;
+    }
+
+    sanitizeAttributes($, child, tag, record);
+    if (tag === 'iframe') {
+      $(child).attr('sandbox', IFRAME_SANDBOX);
+    }
+    if (tag === 'a' && $(child).attr('target') !== undefined) {
+      $(child).attr('rel', withTargetRel($(child).attr('rel')));
+    }
+    sanitizeChildren($, child, record);
+
+    if (!ALLOWED_TAGS.has(tag)) {
+      $(child).replaceWith($(child).contents());
+      record('element', tag, { contentKept: true });
+    }
+  }
+}
+
+function sanitizeAttributes($, elem, tag, record) {
+  for (const [name, value] of Object.entries(elem.attribs)) {
+    const attribute = name.toLowerCase();
+
+    if (!isAllowedAttribute(tag, attribute)) {
+      $(elem).removeAttr(name);
+      record('attribute', attribute, { element: tag });
+    } else if (!isSafeUrlAttribute(tag, attribute, value)) {
+      $(elem).removeAttr(name);
+      record('url', attribute, { element: tag, example: value.slice(0, 80) });
+    }
+  }
+}
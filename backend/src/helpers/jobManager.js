@@ -0,0 +1,148 @@
+import { randomUUID } from 'node:crypto';
+import { EventEmitter } from 'node:events';
+
+// Finished jobs are kept around this long so a refreshed page can still pick up the result
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+// ...unless more jobs than this pile up, then the oldest finished ones go first
+const MAX_RETAINED_JOBS = 100;
+
+const jobs = new Map();
+
+// Start a background job and return its public view right away.
+// run({ signal, emit }) does the work: emit(event, data) records progress,
+// signal is aborted when the job is cancelled.
+// reducePartial(partial, event, data) folds progress events into `partial` results.
+export function createJob(type, run, { reducePartial } = {}) {
+  const controller = new AbortController();
+  const emitter = new EventEmitter();
+  const now = new Date().toISOString();
+
+  const job = {
+    id: randomUUID(),
+    type,
+    status: 'running',
+    createdAt: now,
+    updatedAt: now,
+    events: [],
+    partial: {},
+    result: null,
+    error: null,
+    controller,
+    emitter
+  };
+  evictFinishedJobs(MAX_RETAINED_JOBS - 1);
+  jobs.set(job.id, job);
+
+  const record = (event, data) => {
+    job.events.push({ event, data });
+    job.updatedAt = new Date().toISOString();
+    emitter.emit('event', { event, data });
+  };
+
+  const emit = (event, data) => {
+    // Late progress from work that ignored the abort signal is dropped
+    if (job.status !== 'running') return;
+    if (reducePartial) job.partial = reducePartial(job.partial, event, data);
+    record(event, data);
+  };
+
+  Promise.resolve()
+    .then(() => run({ signal: controller.signal, emit }))
+    .then(result => {
+      if (job.status !== 'running') return;
+      job.status = 'completed';
+      job.result = result;
+      recordFinal(job, 'complete', result);
+    })
+    .catch(error => {
+      if (job.status !== 'running') return;
+      console.error(`Job ${job.id} (${type}) failed:`, error);
+      job.status = 'failed';
+      job.error = error.message || 'Job failed';
+      recordFinal(job, 'error', { error: job.error });
+    })
+    .finally(() => {
+      emitter.emit('end');
+      setTimeout(() => jobs.delete(job.id), FINISHED_JOB_TTL_MS).unref();
+    });
+
+  return toPublicJob(job);
+}
+
+export function getJob(id) {
+  const job = jobs.get(id);
+  return job ? toPublicJob(job) : null;
+}
+
+// Cancel a running job. Returns the job view, or null if it does not exist.
+export function cancelJob(id) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  if (job.status === 'running') {
+    job.status = 'cancelled';
+    job.controller.abort();
+    recordFinal(job, 'cancelled', {});
+    job.emitter.emit('end');
+  }
+
+  return toPublicJob(job);
+}
+
+// The progress of a finished job is already folded into `partial` and `result`, so only
+// its final event is kept for late subscribers
+function recordFinal(job, event, data) {
+  job.events = [{ event, data }];
+  job.updatedAt = new Date().toISOString();
+  job.emitter.emit('event', { event, data });
+}
+
+// Drop the oldest finished jobs until at most `limit` are kept. Running jobs are never dropped.
+function evictFinishedJobs(limit) {
+  for (const [id, job] of jobs) {
+    if (jobs.size <= limit) return;
+    if (job.status !== 'running') jobs.delete(id);
+  }
+}
+
+// Replay every event recorded so far, then forward new ones until the job ends.
+// Returns an unsubscribe function.
+export function subscribeToJob(id, onEvent, onEnd) {
+  const job = jobs.get(id);
+  if (!job) return null;
+
+  job.events.forEach(entry => onEvent(entry.event, entry.data));
+
+  if (job.status !== 'running') {
+    onEnd();
+    return () => {};
+  }
+
+  const handleEvent = ({ event, data }) => onEvent(event, data);
+  const handleEnd = () => {
+    unsubscribe();
+    onEnd();
+  };
+  const unsubscribe = () => {
+    job.emitter.off('event', handleEvent);
+    job.emitter.off('end', handleEnd);
+  };
+
+  job.emitter.on('event', handleEvent);
+  job.emitter.on('end', handleEnd);
+  return unsubscribe;
+}
+
+function toPublicJob(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    partial: job.partial,
+    result: job.result,
+    error: job.error,
+    eventCount: job.events.length
+  };
+}
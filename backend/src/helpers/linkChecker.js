@@ -1,28 +1,212 @@
-import axios from 'axios';
+import { requestFollowingRedirects, UrlBlockedError } from './urlPolicy.js';
+import { withCache, getCacheConfig } from './cache.js';
+
+const DEFAULT_CONCURRENCY = 5;
+const DEFAULT_PER_HOST_CONCURRENCY = 2;
+const DEFAULT_MAX_LINKS = 100;
+const DEFAULT_TIME_BUDGET_MS = 120000;
+
+// Redirects are followed one hop at a time so the chain can be reported (see requestFollowingRedirects)
+const PERMANENT_REDIRECTS = [301, 308];
 
 // Evaluate links with special handling for PDFs and Google Drive
-export async function evaluateLinks(links) {
-  const evaluations = [];
+// Links are checked in parallel by a bounded worker pool (global + per-host caps),
+// results are returned in the same order as the input links.
+// Links that fall outside the budget (maxLinks / timeBudgetMs), that were never started
+// or were still in flight when `signal` was aborted are still returned, marked with state 'unchecked'.
+// The time budget is a hard limit: requests still in flight when it runs out are aborted too.
+// So are links the URL policy blocks (private addresses, disallowed ports - see urlPolicy.js),
+// including links that redirect to a blocked address.
+// Results are cached by URL for a time that depends on the outcome (see getLinkCacheTtl); cached results
+// carry `cached: true` and `cachedAt`. `bypassCache` checks every link again (and refreshes the cache).
+export async function evaluateLinks(links, options = {}) {
+  const {
+    concurrency = Number(process.env.LINK_CHECK_CONCURRENCY) || DEFAULT_CONCURRENCY,
+    perHostConcurrency = Number(process.env.LINK_CHECK_PER_HOST_CONCURRENCY) || DEFAULT_PER_HOST_CONCURRENCY,
+    maxLinks = DEFAULT_MAX_LINKS,
+    timeBudgetMs = DEFAULT_TIME_BUDGET_MS,
+    requestTimeoutMs,
+    bypassCache = false,
+    signal,
+    onResult
+  } = options;
+
+  // Every request is aborted by a cancellation or at the deadline, whichever comes first
+  const budget = timeBudgetMs ? AbortSignal.timeout(timeBudgetMs) : null;
+  const settings = { requestTimeoutMs, signal: combineSignals(signal, budget) };
+  const linksToCheck = links.slice(0, maxLinks);
+  const overLimit = links.slice(maxLinks).map(link =>
+    buildUncheckedResult(link, 'Not checked (link limit reached)')
+  );
+
+  const checked = await runPool(linksToCheck, link => checkLinkCached(link, settings, bypassCache), {
+    concurrency: Math.max(1, concurrency),
+    perHostConcurrency: Math.max(1, perHostConcurrency),
+    skipReason: () => {
+      if (signal?.aborted) return 'Not checked (analysis cancelled)';
+      if (budget?.aborted) return 'Not checked (time budget exhausted)';
+      return null;
+    },
+    skip: buildUncheckedResult,
+    onResult
+  });
+
+  overLimit.forEach((result, i) => notifyResult(onResult, result, linksToCheck.length + i));
+
+  return [...checked, ...overLimit];
+}
 
-  // Check up to 20 links to avoid timeout
-  const linksToCheck = links.slice(0, 20);
+// Aborts as soon as any of the given signals does
+function combineSignals(...signals) {
+  const present = signals.filter(Boolean);
+  return present.length > 1 ? AbortSignal.any(present) : present[0];
+}
+
+// Result for a link that was never requested
+function buildUncheckedResult(link, issue) {
+  return {
+    ...link,
+    status: null,
+    working: null,
+    state: 'unchecked',
+    issue,
+    method: null
+  };
+}
 
-  for (const link of linksToCheck) {
-    const result = await checkLink(link);
-    evaluations.push(result);
+// A failing observer must not stop the check (or leave the pool waiting for a result that was already in)
+function notifyResult(onResult, result, index) {
+  if (!onResult) return;
+  try {
+    onResult(result, index);
+  } catch (error) {
+    console.error('Link result callback failed:', error);
   }
+}
+
+function withState(result) {
+  if (result.state) return result;
+  return { ...result, state: result.working ? 'working' : 'broken' };
+}
+
+// Run worker over items with at most `concurrency` in flight overall and
+// at most `perHostConcurrency` in flight against the same hostname.
+// Once skipReason() returns a reason, items that have not started are resolved via skip(item, reason).
+function runPool(items, worker, { concurrency, perHostConcurrency, skipReason, skip, onResult }) {
+  return new Promise((resolve) => {
+    const results = new Array(items.length);
+    const pending = items.map((_, index) => index);
+    const activeByHost = new Map();
+    let active = 0;
+    let finished = 0;
+
+    if (items.length === 0) {
+      resolve(results);
+      return;
+    }
 
-  return evaluations;
+    const complete = (index, result) => {
+      results[index] = result;
+      finished++;
+      notifyResult(onResult, result, index);
+      if (finished === items.length) resolve(results);
+    };
+
+    const schedule = () => {
+      const reason = skipReason();
+      if (reason) {
+        pending.splice(0).forEach(index => complete(index, skip(items[index], reason)));
+        return;
+      }
+
+      let cursor = 0;
+      while (cursor < pending.length && active < concurrency) {
+        const index = pending[cursor];
+        const host = getHostKey(items[index].url);
+
+        // Host is saturated - leave it queued and look further down the list
+        if ((activeByHost.get(host) || 0) >= perHostConcurrency) {
+          cursor++;
+          continue;
+        }
+
+        pending.splice(cursor, 1);
+        active++;
+        activeByHost.set(host, (activeByHost.get(host) || 0) + 1);
+
+        Promise.resolve()
+          .then(() => worker(items[index]))
+          .catch(error => ({
+            ...items[index],
+            status: 0,
+            working: false,
+            state: 'broken',
+            issue: getErrorMessage(error),
+            method: 'HEAD'
+          }))
+          .then(result => {
+            active--;
+            activeByHost.set(host, activeByHost.get(host) - 1);
+            complete(index, result);
+            if (finished < items.length) schedule();
+          });
+      }
+    };
+
+    schedule();
+  });
 }
 
-async function checkLink(link) {
-  // Special handling for known file types and services
-  if (isSpecialUrl(link.url)) {
-    return await checkSpecialUrl(link);
+// A cached result belongs to whichever link had the URL first - the current link's own fields replace its
+async function checkLinkCached(link, settings, bypassCache) {
+  const { value, cache } = await withCache('links', link.url, () => checkLink(link, settings).then(withState), {
+    // A check that finished after the analysis was cancelled or the budget ran out may have been cut short - never reuse it
+    ttlMs: result => (settings.signal?.aborted ? 0 : getLinkCacheTtl(result)),
+    bypass: bypassCache
+  });
+  return cache.hit ? { ...value, ...link, cached: true, cachedAt: cache.cachedAt } : value;
+}
+
+// How long a link result is reused: working links for a day, broken ones for an hour, and failures that
+// may clear up on their own (network errors, 429, 5xx) for minutes. Unchecked links are never cached.
+function getLinkCacheTtl(result) {
+  const { linkTtlMs } = getCacheConfig();
+
+  if (result.state === 'unchecked') return 0;
+  if (result.working) return linkTtlMs.working;
+  if (!result.status || result.status === 429 || result.status >= 500) return linkTtlMs.transient;
+  return linkTtlMs.broken;
+}
+
+// Hostname used for per-host throttling (falls back to the raw URL if unparsable)
+function getHostKey(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return url;
   }
+}
 
-  // Standard link checking for regular URLs
-  return await checkStandardUrl(link);
+async function checkLink(link, settings = {}) {
+  try {
+    // Special handling for known file types and services
+    if (isSpecialUrl(link.url)) {
+      return await checkSpecialUrl(link, settings);
+    }
+
+    // Standard link checking for regular URLs
+    return await checkStandardUrl(link, settings);
+  } catch (error) {
+    if (error instanceof UrlBlockedError) {
+      return buildUncheckedResult(link, `Not checked (${error.reason})`);
+    }
+    if (isCancelled(error, settings)) {
+      // AbortSignal.timeout aborts with a TimeoutError - anything else is the job being cancelled
+      const budgetSpent = settings.signal?.reason?.name === 'TimeoutError';
+      return buildUncheckedResult(link, budgetSpent ? 'Not checked (time budget exhausted)' : 'Not checked (analysis cancelled)');
+    }
+    throw error;
+  }
 }
 
 // Check if URL needs special handling
@@ -42,7 +226,7 @@ function isSpecialUrl(url) {
 }
 
 // Special handling for PDFs, Google Drive, etc.
-async function checkSpecialUrl(link) {
+async function checkSpecialUrl(link, settings = {}) {
   try {
     // For Google Drive, convert to direct access format if needed
     let checkUrl = link.url;
@@ -50,8 +234,9 @@ async function checkSpecialUrl(link) {
       checkUrl = convertGoogleDriveUrl(link.url);
     }
 
-    const response = await axios.head(checkUrl, {
-      timeout: 15000,
+    const { response, redirects } = await requestFollowingRedirects('head', checkUrl, {
+      timeout: settings.requestTimeoutMs || 15000,
+      signal: settings.signal,
       maxRedirects: 10, // Google services often redirect multiple times
       validateStatus: () => true,
       headers: {
@@ -70,13 +255,14 @@ async function checkSpecialUrl(link) {
         status: status === 403 ? 200 : status, // Normalize private Google files to 200
         working: true,
         issue: status === 403 ? 'Private file (access restricted)' : null,
-        method: 'HEAD-SPECIAL'
+        method: 'HEAD-SPECIAL',
+        ...describeRedirects(redirects)
       };
     }
 
     // If HEAD failed, try GET for PDFs and documents
     if (status === 405 || status === 403) {
-      return await fallbackToGetSpecial(link, checkUrl);
+      return await fallbackToGetSpecial(link, checkUrl, settings);
     }
 
     return {
@@ -84,13 +270,15 @@ async function checkSpecialUrl(link) {
       status,
       working: false,
       issue: getIssueMessage(status),
-      method: 'HEAD-SPECIAL'
+      method: 'HEAD-SPECIAL',
+      ...describeRedirects(redirects)
     };
 
   } catch (error) {
+    if (error instanceof UrlBlockedError || isCancelled(error, settings)) throw error;
     // Network errors - try GET fallback
     if (isNetworkError(error)) {
-      return await fallbackToGetSpecial(link, link.url);
+      return await fallbackToGetSpecial(link, link.url, settings);
     }
 
     return {
@@ -121,10 +309,11 @@ function isGoogleService(url) {
 }
 
 // Fallback GET request for special URLs
-async function fallbackToGetSpecial(link, checkUrl) {
+async function fallbackToGetSpecial(link, checkUrl, settings = {}) {
   try {
-    const response = await axios.get(checkUrl, {
-      timeout: 20000,
+    const { response, redirects } = await requestFollowingRedirects('get', checkUrl, {
+      timeout: settings.requestTimeoutMs || 20000,
+      signal: settings.signal,
       maxRedirects: 10,
       validateStatus: () => true,
       headers: {
@@ -150,7 +339,8 @@ async function fallbackToGetSpecial(link, checkUrl) {
         status: (status === 403 || status === 401 || status === 416) ? 200 : status,
         working: true,
         issue: (status === 403 || status === 401) ? 'Private file (access restricted)' : null,
-        method: 'GET-SPECIAL'
+        method: 'GET-SPECIAL',
+        ...describeRedirects(redirects)
       };
     }
 
@@ -159,10 +349,12 @@ async function fallbackToGetSpecial(link, checkUrl) {
       status,
       working: false,
       issue: getIssueMessage(status),
-      method: 'GET-SPECIAL'
+      method: 'GET-SPECIAL',
+      ...describeRedirects(redirects)
     };
 
   } catch (error) {
+    if (error instanceof UrlBlockedError || isCancelled(error, settings)) throw error;
     return {
       ...link,
       status: 0,
@@ -174,10 +366,11 @@ async function fallbackToGetSpecial(link, checkUrl) {
 }
 
 // Standard URL checking (original logic)
-async function checkStandardUrl(link) {
+async function checkStandardUrl(link, settings = {}) {
   try {
-    const response = await axios.head(link.url, {
-      timeout: 20000,
+    const { response, redirects } = await requestFollowingRedirects('head', link.url, {
+      timeout: settings.requestTimeoutMs || 20000,
+      signal: settings.signal,
       maxRedirects: 5,
       validateStatus: () => true,
       headers: {
@@ -189,17 +382,18 @@ async function checkStandardUrl(link) {
     const status = response.status;
 
     if (status >= 200 && status < 400) {
-      return {
+      return withSoftNotFound({
         ...link,
         status,
         working: true,
         issue: null,
-        method: 'HEAD'
-      };
+        method: 'HEAD',
+        ...describeRedirects(redirects)
+      });
     }
 
     if (status === 405 || status === 403 || status === 401) {
-      return await fallbackToGet(link);
+      return await fallbackToGet(link, settings);
     }
 
     return {
@@ -207,12 +401,14 @@ async function checkStandardUrl(link) {
       status,
       working: false,
       issue: getIssueMessage(status),
-      method: 'HEAD'
+      method: 'HEAD',
+      ...describeRedirects(redirects)
     };
 
   } catch (headError) {
+    if (headError instanceof UrlBlockedError || isCancelled(headError, settings)) throw headError;
     if (isNetworkError(headError)) {
-      return await fallbackToGet(link);
+      return await fallbackToGet(link, settings);
     }
 
     return {
@@ -226,10 +422,11 @@ async function checkStandardUrl(link) {
 }
 
 // Standard GET fallback (original logic)
-async function fallbackToGet(link) {
+async function fallbackToGet(link, settings = {}) {
   try {
-    const response = await axios.get(link.url, {
-      timeout: 25000,
+    const { response, redirects } = await requestFollowingRedirects('get', link.url, {
+      timeout: settings.requestTimeoutMs || 25000,
+      signal: settings.signal,
       maxRedirects: 5,
       validateStatus: () => true,
       headers: {
@@ -245,13 +442,14 @@ async function fallbackToGet(link) {
     const status = response.status;
 
     if (status >= 200 && status < 400 || status === 416) {
-      return {
+      return withSoftNotFound({
         ...link,
         status: status === 416 ? 200 : status,
         working: true,
         issue: null,
-        method: 'GET'
-      };
+        method: 'GET',
+        ...describeRedirects(redirects)
+      });
     }
 
     return {
@@ -259,10 +457,12 @@ async function fallbackToGet(link) {
       status,
       working: false,
       issue: getIssueMessage(status),
-      method: 'GET'
+      method: 'GET',
+      ...describeRedirects(redirects)
     };
 
   } catch (getError) {
+    if (getError instanceof UrlBlockedError || isCancelled(getError, settings)) throw getError;
     return {
       ...link,
       status: 0,
@@ -273,6 +473,39 @@ async function fallbackToGet(link) {
   }
 }
 
+// Redirect fields of a result: the chain, where it ends and whether every hop was permanent (301/308).
+// Links that did not redirect get none of these fields.
+function describeRedirects(redirects) {
+  if (redirects.length === 0) return {};
+  return {
+    redirects,
+    finalUrl: redirects[redirects.length - 1].location,
+    permanentRedirect: redirects.every(hop => PERMANENT_REDIRECTS.includes(hop.status))
+  };
+}
+
+// A page that redirects to a site's homepage has almost always been removed (a "soft 404")
+function withSoftNotFound(result) {
+  if (!result.finalUrl || !isHomepageRedirect(result.url, result.finalUrl)) return result;
+  return {
+    ...result,
+    working: false,
+    softNotFound: true,
+    issue: 'Redirects to the homepage (probable soft 404)'
+  };
+}
+
+function isHomepageRedirect(url, finalUrl) {
+  try {
+    const from = new URL(url);
+    const to = new URL(finalUrl);
+    const isRoot = target => target.pathname.replace(/\/(index\.\w+)?$/, '') === '' && !target.search;
+    return isRoot(to) && !isRoot(from);
+  } catch {
+    return false;
+  }
+}
+
 // Check if error is a network/connectivity issue (worth retrying with GET)
 function isNetworkError(error) {
   const retryCodes = [
@@ -284,6 +517,11 @@ function isNetworkError(error) {
   return retryCodes.includes(error.code);
 }
 
+// A request cut off by the abort signal (cancellation or time budget) says nothing about the link
+function isCancelled(error, settings) {
+  return error?.code === 'ERR_CANCELED' || Boolean(settings.signal?.aborted);
+}
+
 // Human-readable issue messages for HTTP status codes
 function getIssueMessage(status) {
   const messages = {
@@ -313,6 +551,7 @@ function getErrorMessage(error) {
     'ERR_TLS_CERT':   'SSL certificate error',
     'DEPTH_ZERO_SELF_SIGNED_CERT': 'Self-signed SSL certificate',
     'CERT_HAS_EXPIRED': 'SSL certificate has expired',
+    'ERR_FR_TOO_MANY_REDIRECTS': 'Too many redirects',
   };
   return errorMessages[error.code] || `Connection failed (${error.code || error.message})`;
 }
\ No newline at end of file
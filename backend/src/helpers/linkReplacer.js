@@ -0,0 +1,231 @@
+import axios from 'axios';
+import * as cheerio from 'cheerio';
+import { evaluateLinks } from './linkChecker.js';
+import { requestFollowingRedirects } from './urlPolicy.js';
+
+const DEFAULT_WAYBACK_API_URL = 'https://archive.org/wayback/available';
+
+// Broken links that get replacement candidates; the rest are left to unlink or remove
+const MAX_LINKS = 10;
+const REQUEST_TIMEOUT_MS = 8000;
+
+// Sitemaps are capped so a huge site cannot stall the analysis
+const MAX_CHILD_SITEMAPS = 3;
+const MAX_SITEMAP_URLS = 5000;
+
+// A sitemap page replaces a broken one when this share of their slug words match
+const MIN_SLUG_SIMILARITY = 0.5;
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36';
+
+// Candidate replacements for broken links, by link id: { [linkId]: [{ source, url, label }] }
+// source: 'same-site' (a page on the link's own site whose address matches, from its sitemap),
+//         'archive' (a Wayback Machine snapshot, closest to the post's publish date),
+//         'ai' (an authoritative source the AI suggested, kept only if it responds)
+// `aiSuggestions` are the AI's { [linkId]: [{ url, title }] }.
+// The Wayback-compatible endpoint is read from WAYBACK_API_URL ('off' disables archive lookups).
+// Lookups that fail are skipped - a link with no candidates can still be unlinked or removed.
+export async function findReplacements(brokenLinks, { publishedAt, aiSuggestions = {}, signal } = {}) {
+  const links = brokenLinks.slice(0, MAX_LINKS);
+  const sitemaps = new Map();
+
+  const verifiedAi = await verifyAiSuggestions(links, aiSuggestions, signal);
+
+  const entries = [];
+  for (const link of links) {
+    signal?.throwIfAborted();
+
+    const [sameSite, archive] = await Promise.all([
+      // A host that never answered has no sitemap to search
+      link.status ? findSameSitePage(link.url, sitemaps, signal) : null,
+      findArchivedCopy(link.url, publishedAt, signal)
+    ]);
+
+    const candidates = dedupe([sameSite, archive, ...(verifiedAi[link.id] || [])].filter(Boolean));
+    if (candidates.length > 0) {
+      entries.push([link.id, candidates]);
+    }
+  }
+
+  console.log(`Found replacement candidates for ${entries.length} of ${brokenLinks.length} broken link(s)`);
+  return Object.fromEntries(entries);
+}
+
+// The snapshot closest to `publishedAt` (or the latest one) from a Wayback-compatible availability API:
+// GET <api>?url=<url>&timestamp=<YYYYMMDD> -> { archived_snapshots: { closest: { available, url, timestamp } } }
+async function findArchivedCopy(url, publishedAt, signal) {
+  const api = getWaybackApiUrl();
+  if (!api) return null;
+
+  try {
+    const params = { url };
+    const date = publishedAt ? new Date(publishedAt) : null;
+    if (date && !Number.isNaN(date.getTime())) {
+      params.timestamp = date.toISOString().slice(0, 10).replace(/-/g, '');
+    }
+
+    const response = await axios.get(api, { params, timeout: REQUEST_TIMEOUT_MS, signal });
+    const closest = response.data?.archived_snapshots?.closest;
+    if (!closest?.available || !closest.url) return null;
+
+    return {
+      source: 'archive',
+      url: closest.url.replace(/^http:\/\//, 'https://'),
+      label: `Archived copy${formatTimestamp(closest.timestamp)}`
+    };
+  } catch (error) {
+    signal?.throwIfAborted();
+    console.log(`Archive lookup failed for ${url}: ${error.message}`);
+    return null;
+  }
+}
+
+// A page from the link's own sitemap whose last path segment matches the broken one
+// ("/blog/2019/caching-guide" -> "/guides/caching-guide-2024")
+async function findSameSitePage(brokenUrl, sitemaps, signal) {
+  let url;
+  try {
+    url = new URL(brokenUrl);
+  } catch {
+    return null;
+  }
+
+  const words = slugWords(url.pathname);
+  if (words.size === 0) return null;
+
+  if (!sitemaps.has(url.origin)) {
+    sitemaps.set(url.origin, loadSitemap(`${url.origin}/sitemap.xml`, signal));
+  }
+  const pages = await sitemaps.get(url.origin);
+
+  let best = null;
+  let bestScore = 0;
+  for (const page of pages) {
+    if (page === brokenUrl) continue;
+
+    let pathname;
+    try {
+      pathname = new URL(page).pathname;
+    } catch {
+      continue;
+    }
+
+    const score = similarity(words, slugWords(pathname));
+    if (score > bestScore) {
+      best = page;
+      bestScore = score;
+    }
+  }
+
+  return bestScore >= MIN_SLUG_SIMILARITY
+    ? { source: 'same-site', url: best, label: `Similar page on ${url.hostname.replace(/^www\./, '')}` }
+    : null;
+}
+
+// Page URLs from a sitemap, following a sitemap index one level deep
+async function loadSitemap(sitemapUrl, signal) {
+  try {
+    const $ = await fetchXml(sitemapUrl, signal);
+
+    if ($('sitemapindex').length > 0) {
+      const children = $('sitemap > loc').toArray().map(elem => $(elem).text().trim()).slice(0, MAX_CHILD_SITEMAPS);
+      const nested = await Promise.all(children.map(child => fetchXml(child, signal).then(
+        $child => $child('url > loc').toArray().map(elem => $child(elem).text().trim()),
+        () => []
+      )));
+      return nested.flat().slice(0, MAX_SITEMAP_URLS);
+    }
+
+    return $('url > loc').toArray().map(elem => $(elem).text().trim()).slice(0, MAX_SITEMAP_URLS);
+  } catch (error) {
+    signal?.throwIfAborted();
+    console.log(`No usable sitemap at ${sitemapUrl}: ${error.message}`);
+    return [];
+  }
+}
+
+// Sitemap addresses come from the post's links, so they go through the URL policy.
+// The archive endpoint is configured by the operator and is requested directly.
+async function fetchXml(url, signal) {
+  const { response } = await requestFollowingRedirects('get', url, {
+    timeout: REQUEST_TIMEOUT_MS,
+    signal,
+    validateStatus: status => status < 400,
+    responseType: 'text',
+    headers: { 'User-Agent': USER_AGENT }
+  });
+  return cheerio.load(response.data, { xmlMode: true });
+}
+
+// AI suggestions are only offered if they actually respond - models invent plausible URLs
+async function verifyAiSuggestions(links, aiSuggestions, signal) {
+  const suggested = links.flatMap(link => (aiSuggestions[link.id] || []).map((suggestion, i) => ({
+    id: `${link.id}-ai-${i}`,
+    linkId: link.id,
+    url: suggestion.url,
+    title: suggestion.title
+  })));
+  if (suggested.length === 0) return {};
+
+  const results = await evaluateLinks(suggested, { maxLinks: suggested.length, timeBudgetMs: 30000, signal });
+
+  const verified = {};
+  for (const result of results.filter(r => r.state === 'working')) {
+    (verified[result.linkId] ||= []).push({
+      source: 'ai',
+      url: result.url,
+      label: result.title ? `Suggested source: ${result.title}` : 'Suggested source'
+    });
+  }
+  return verified;
+}
+
+function getWaybackApiUrl() {
+  const value = process.env.WAYBACK_API_URL;
+  if (value === 'off') return null;
+  return value || DEFAULT_WAYBACK_API_URL;
+}
+
+// " from Mar 4, 2019" for a Wayback timestamp (YYYYMMDDhhmmss)
+function formatTimestamp(timestamp) {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(timestamp || '');
+  if (!match) return '';
+  const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+  return ` from ${date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' })}`;
+}
+
+// Words of the last meaningful path segment: "/blog/2019/Caching-Guide.html" -> { caching, guide }
+function slugWords(pathname) {
+  const segment = pathname.split('/').filter(Boolean).pop() || '';
+  const words = decodeSafe(segment)
+    .toLowerCase()
+    .replace(/\.(html?|php|aspx?)$/, '')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1 && !/^\d+$/.test(word));
+  return new Set(words);
+}
+
+// Share of words two slugs have in common (Jaccard index)
+function similarity(a, b) {
+  if (a.size === 0 || b.size === 0) return 0;
+  let shared = 0;
+  a.forEach(word => { if (b.has(word)) shared++; });
+  return shared / (a.size + b.size - shared);
+}
+
+function dedupe(candidates) {
+  const seen = new Set();
+  return candidates.filter(candidate => {
+    if (seen.has(candidate.url)) return false;
+    seen.add(candidate.url);
+    return true;
+  });
+}
+
+function decodeSafe(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch {
+    return value;
+  }
+}
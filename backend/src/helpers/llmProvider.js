@@ -0,0 +1,157 @@
+import { GoogleGenAI } from '@google/genai';
+import axios from 'axios';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const DEFAULT_MODELS = {
+  gemini: 'gemini-2.5-flash',
+  openai: 'llama3.1',
+  mock: 'mock-1'
+};
+
+// Ollama's OpenAI-compatible endpoint; llama.cpp's server uses http://localhost:8080/v1
+const DEFAULT_OPENAI_BASE_URL = 'http://localhost:11434/v1';
+
+// Provider settings come from the environment:
+// LLM_PROVIDER (gemini | openai | mock), LLM_MODEL, LLM_BASE_URL, LLM_API_KEY, LLM_TIMEOUT_MS
+export function getLLMConfig() {
+  const provider = (process.env.LLM_PROVIDER || 'gemini').trim().toLowerCase();
+
+  return {
+    provider,
+    model: process.env.LLM_MODEL || DEFAULT_MODELS[provider],
+    baseUrl: process.env.LLM_BASE_URL,
+    apiKey: process.env.LLM_API_KEY,
+    timeoutMs: Number(process.env.LLM_TIMEOUT_MS) || 120000
+  };
+}
+
+// Build a provider: { name, model, generate(prompt, { task, context, signal }) -> Promise<string> }
+// `task` names the kind of request (e.g. 'structure-analysis'); `context` carries the
+// structured inputs behind the prompt so offline providers can answer deterministically.
+export function createProvider(config = getLLMConfig()) {
+  const factory = PROVIDERS[config.provider];
+
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${config.provider}". Use one of: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  return factory({ ...config, model: config.model || DEFAULT_MODELS[config.provider] });
+}
+
+let cachedProvider = null;
+let cachedConfigKey = null;
+
+// Provider for the current configuration (rebuilt if the environment changes)
+export function getProvider() {
+  const config = getLLMConfig();
+  const configKey = JSON.stringify(config);
+
+  if (!cachedProvider || cachedConfigKey !== configKey) {
+    cachedProvider = createProvider(config);
+    cachedConfigKey = configKey;
+  }
+
+  return cachedProvider;
+}
+
+// Send a prompt to the configured provider and return its text response
+export async function generateText(prompt, options = {}) {
+  return getProvider().generate(prompt, options);
+}
+
+// Name and model of the configured provider, for logging and API responses
+export function getProviderInfo() {
+  const { name, model } = getProvider();
+  return { provider: name, model };
+}
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider
+};
+
+// Google Gemini via @google/genai - the client is only built on first use
+function createGeminiProvider({ model, apiKey }) {
+  let client = null;
+
+  return {
+    name: 'gemini',
+    model,
+    async generate(prompt, { signal } = {}) {
+      if (!client) {
+        client = new GoogleGenAI({ apiKey: apiKey || process.env.GOOGLE_API_KEY });
+      }
+
+      const response = await client.models.generateContent({
+        model,
+        contents: prompt,
+        ...(signal && { config: { abortSignal: signal } })
+      });
+
+      return response.text;
+    }
+  };
+}
+
+// Any server speaking the OpenAI chat completions API (Ollama, llama.cpp, vLLM, OpenAI itself)
+function createOpenAICompatibleProvider({ model, baseUrl, apiKey, timeoutMs }) {
+  const endpoint = `${(baseUrl || DEFAULT_OPENAI_BASE_URL).replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: 'openai',
+    model,
+    async generate(prompt, { signal } = {}) {
+      const response = await axios.post(endpoint, {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: 0.2
+      }, {
+        timeout: timeoutMs,
+        signal,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+        }
+      });
+
+      const text = response.data?.choices?.[0]?.message?.content;
+      if (typeof text !== 'string') {
+        throw new Error('LLM response did not contain a message');
+      }
+
+      return text;
+    }
+  };
+}
+
+// Offline provider for tests and air-gapped environments: same input, same output, no network.
+// It never suggests changes - structure analysis finds nothing, no alt or link text or replacement
+// sources are suggested, applying changes returns the content as-is.
+function createMockProvider({ model }) {
+  const noStructureChanges = ({ sectionCount = 0 }) => JSON.stringify({
+    needsRestructuring: false,
+    currentSectionCount: sectionCount,
+    restructuringReason: 'Mock provider does not suggest structural changes',
+    suggestions: []
+  });
+
+  const responses = {
+    'structure-analysis': noStructureChanges,
+    'structure-repair': noStructureChanges,
+    'apply-changes': ({ content = '' }) => content,
+    'text-suggestions': () => JSON.stringify({ suggestions: [] }),
+    'replacement-sources': () => JSON.stringify({ replacements: [] })
+  };
+
+  return {
+    name: 'mock',
+    model,
+    async generate(prompt, { task, context = {} } = {}) {
+      const respond = responses[task];
+      return respond ? respond(context) : '';
+    }
+  };
+}
@@ -0,0 +1,163 @@
+// schema.org types that describe a post
+const ARTICLE_TYPES = /^(Article|BlogPosting|NewsArticle|TechArticle|Report|ScholarlyArticle|SocialMediaPosting|LiveBlogPosting)$/;
+
+// Metadata of a fetched page, from (in order of preference) the site rule, JSON-LD Article data,
+// Open Graph / Twitter card tags and plain HTML.
+// `siteFields` are the { title, date, author } a site rule found (user-curated, so they win).
+// Returns { title, description, canonicalUrl, language, author, publishedAt, modifiedAt, tags,
+//           featuredImage, openGraph, twitter, jsonLd } - anything not found is null (tags: [])
+export function extractMetadata($, url, siteFields = {}) {
+  const openGraph = {
+    title: meta($, 'og:title'),
+    description: meta($, 'og:description'),
+    type: meta($, 'og:type'),
+    url: resolveUrl(meta($, 'og:url'), url),
+    image: resolveUrl(meta($, 'og:image'), url),
+    siteName: meta($, 'og:site_name'),
+    locale: meta($, 'og:locale')
+  };
+
+  const twitter = {
+    card: meta($, 'twitter:card'),
+    title: meta($, 'twitter:title'),
+    description: meta($, 'twitter:description'),
+    image: resolveUrl(meta($, 'twitter:image'), url),
+    site: meta($, 'twitter:site'),
+    creator: meta($, 'twitter:creator')
+  };
+
+  const jsonLd = findArticleJsonLd($);
+
+  return {
+    title: first(siteFields.title, jsonLd?.headline, openGraph.title, twitter.title, normalize($('title').first().text()), normalize($('h1').first().text())),
+    description: first(meta($, 'description'), openGraph.description, twitter.description, jsonLd?.description),
+    canonicalUrl: first(resolveUrl($('link[rel="canonical"]').attr('href'), url), openGraph.url),
+    language: first(
+      $('html').attr('lang')?.trim(),
+      $('meta[http-equiv="content-language"]').attr('content')?.trim(),
+      jsonLd?.inLanguage,
+      openGraph.locale?.replace('_', '-')
+    ),
+    author: first(siteFields.author, jsonLd?.author, meta($, 'author'), meta($, 'article:author'), twitter.creator),
+    publishedAt: normalizeDate(first(siteFields.date, jsonLd?.datePublished, meta($, 'article:published_time'), $('time[datetime]').first().attr('datetime'))),
+    modifiedAt: normalizeDate(first(jsonLd?.dateModified, meta($, 'article:modified_time'), meta($, 'og:updated_time'))),
+    tags: unique([
+      ...metaAll($, 'article:tag'),
+      ...(jsonLd?.keywords || []),
+      ...splitList(meta($, 'keywords'))
+    ]),
+    featuredImage: first(openGraph.image, twitter.image, resolveUrl(jsonLd?.image, url)),
+    openGraph,
+    twitter,
+    jsonLd
+  };
+}
+
+// The first JSON-LD object describing an article, flattened to plain values:
+// { type, headline, description, author, datePublished, dateModified, image, keywords, inLanguage, publisher }
+function findArticleJsonLd($) {
+  for (const script of $('script[type="application/ld+json"]').toArray()) {
+    let data;
+    try {
+      data = JSON.parse($(script).text());
+    } catch {
+      // Malformed JSON-LD is common; the other sources still apply
+      continue;
+    }
+
+    const article = flattenGraph(data).find(item => toArray(item?.['@type']).some(type => ARTICLE_TYPES.test(type)));
+    if (article) {
+      return {
+        type: toArray(article['@type']).join(', '),
+        headline: textValue(article.headline || article.name),
+        description: textValue(article.description),
+        author: names(article.author),
+        datePublished: textValue(article.datePublished),
+        dateModified: textValue(article.dateModified),
+        image: imageUrl(article.image),
+        keywords: toArray(article.keywords).flatMap(splitList),
+        inLanguage: textValue(article.inLanguage),
+        publisher: names(article.publisher)
+      };
+    }
+  }
+  return null;
+}
+
+// JSON-LD may be a single object, an array, or an object with an @graph
+function flattenGraph(data) {
+  return toArray(data).flatMap(item => (item?.['@graph'] ? flattenGraph(item['@graph']) : [item]));
+}
+
+// "Jane Doe" from a string, a Person/Organization object, or a list of them
+function names(value) {
+  const list = toArray(value).map(item => (typeof item === 'string' ? item : item?.name)).filter(Boolean);
+  return list.length > 0 ? list.join(', ') : null;
+}
+
+function imageUrl(value) {
+  const image = toArray(value)[0];
+  return typeof image === 'string' ? image : image?.url || null;
+}
+
+function meta($, name) {
+  const content = $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content');
+  return normalize(content) || null;
+}
+
+function metaAll($, name) {
+  return $(`meta[property="${name}"], meta[name="${name}"]`).toArray()
+    .map(elem => normalize($(elem).attr('content')))
+    .filter(Boolean);
+}
+
+// ISO dates, or a day and month name next to each other ("March 1, 2020", "1 Mar 2020")
+const DATE_LIKE = /^\d{4}-\d{2}-\d{2}|\b(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?\s+\d{1,2}\b|\b\d{1,2}\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)/i;
+
+// ISO 8601 when the date can be parsed, otherwise the text as found.
+// Date.parse accepts almost anything ("Spring 2020"), so only date-like text is converted.
+function normalizeDate(value) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return DATE_LIKE.test(value) && !Number.isNaN(time) ? new Date(time).toISOString() : value;
+}
+
+function resolveUrl(value, base) {
+  if (!value) return null;
+  try {
+    return new URL(value, base).href;
+  } catch {
+    return value;
+  }
+}
+
+function splitList(value) {
+  return typeof value === 'string' ? value.split(',').map(item => item.trim()).filter(Boolean) : [];
+}
+
+function unique(values) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = value.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function textValue(value) {
+  return typeof value === 'string' ? normalize(value) || null : null;
+}
+
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+function first(...values) {
+  return values.find(value => value) || null;
+}
+
+function normalize(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,191 @@
+import * as cheerio from 'cheerio';
+
+const HEADINGS = 'h1, h2, h3, h4, h5, h6';
+
+// Posts without headings are split into "pseudo-sections" of this many paragraphs
+const PSEUDO_SECTION_PARAGRAPHS = 3;
+
+// Words of the first paragraph used to label a pseudo-section
+const PSEUDO_HEADING_WORDS = 8;
+
+// Build the heading tree of a post as a flat list in document order.
+// Each section: { id, heading, level, depth, parentId, content, contentRange, originalIndex, pseudo }
+// - level is the heading level (1-6); depth is the nesting depth in the tree (0 = top level)
+// - content is the section's own body (up to the next heading of any level)
+// - contentRange is { start, end } - character offsets of the heading and body in the source HTML
+// An <h1> matching the post title is the title, not a section.
+export function extractOutline(html, title = '') {
+  const $ = cheerio.load(html, { sourceCodeLocationInfo: true });
+
+  return buildOutline($, title).map((entry, i) => ({
+    id: entry.id,
+    heading: entry.heading,
+    level: entry.level,
+    depth: entry.depth,
+    parentId: entry.parentId,
+    content: entry.body.map(node => $.html(node)).join(''),
+    contentRange: getRange([entry.node, ...entry.body].filter(Boolean)),
+    originalIndex: i,
+    pseudo: entry.pseudo
+  }));
+}
+
+// Outline with live nodes, for code that edits the document: same order and IDs as extractOutline.
+// Entries: { id, heading, level, depth, parentId, node (heading element, null for pseudo-sections), body, pseudo }
+export function buildOutline($, title = '') {
+  const normalizedTitle = normalize(title).toLowerCase();
+
+  const headings = $(HEADINGS).toArray().filter(elem =>
+    !(elem.name === 'h1' && normalizedTitle && normalize($(elem).text()).toLowerCase() === normalizedTitle)
+  );
+
+  if (headings.length === 0) {
+    return buildPseudoSections($);
+  }
+
+  const entries = [];
+  const stack = [];
+
+  headings.forEach((elem, i) => {
+    const level = Number(elem.name[1]);
+
+    // The parent is the closest earlier heading with a smaller level number
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1] || null;
+
+    const entry = {
+      id: `section-${i}`,
+      heading: normalize($(elem).text()),
+      level,
+      depth: stack.length,
+      parentId: parent ? parent.id : null,
+      node: elem,
+      body: collectBody(elem),
+      pseudo: false
+    };
+
+    entries.push(entry);
+    stack.push(entry);
+  });
+
+  return entries;
+}
+
+// Indices of a section and every section nested under it
+export function getSubtreeIndices(sections, index) {
+  const indices = [index];
+  if (!sections[index]?.id) return indices;
+
+  const ids = new Set([sections[index].id]);
+
+  for (let i = index + 1; i < sections.length; i++) {
+    if (!ids.has(sections[i].parentId)) break;
+    ids.add(sections[i].id);
+    indices.push(i);
+  }
+
+  return indices;
+}
+
+// Siblings after a heading up to the next heading (or an element containing one).
+// Text nodes are included so editing a section never leaves stray text behind.
+function collectBody(heading) {
+  const body = [];
+  let node = heading.nextSibling;
+
+  while (node && !isOrContainsHeading(node)) {
+    body.push(node);
+    node = node.nextSibling;
+  }
+
+  return body;
+}
+
+function isOrContainsHeading(node) {
+  if (node.type !== 'tag') return false;
+  if (/^h[1-6]$/.test(node.name)) return true;
+  return (node.children || []).some(isOrContainsHeading);
+}
+
+// Group the top-level blocks of a heading-less post into clusters of paragraphs.
+// A post with only one cluster has nothing to restructure, so it gets no sections.
+function buildPseudoSections($) {
+  const root = findContentRoot($);
+  const clusters = [];
+  let current = [];
+  let paragraphs = 0;
+
+  const close = () => {
+    if (paragraphs > 0) clusters.push(current);
+    current = [];
+    paragraphs = 0;
+  };
+
+  for (const node of root.contents().toArray()) {
+    // A thematic break ends a cluster; a title heading is never part of one
+    if (node.type === 'tag' && (node.name === 'hr' || isOrContainsHeading(node))) {
+      close();
+      continue;
+    }
+
+    current.push(node);
+    if (node.type === 'tag' && normalize($(node).text())) {
+      paragraphs++;
+      if (paragraphs === PSEUDO_SECTION_PARAGRAPHS) close();
+    }
+  }
+  close();
+
+  if (clusters.length < 2) return [];
+
+  return clusters.map((body, i) => ({
+    id: `section-${i}`,
+    heading: pseudoHeading($, body),
+    level: 2,
+    depth: 0,
+    parentId: null,
+    node: null,
+    body,
+    pseudo: true
+  }));
+}
+
+// Descend through single wrapper elements (<body>, <article>, <div>) to the element holding the paragraphs
+function findContentRoot($) {
+  // Fragments loaded without a document wrapper have no <body>
+  let root = $('body').length > 0 ? $('body') : $.root();
+
+  for (;;) {
+    const children = root.children().toArray();
+    const hasOwnText = root.contents().toArray().some(node => node.type === 'text' && node.data.trim());
+    if (children.length !== 1 || hasOwnText || !['article', 'main', 'section', 'div'].includes(children[0].name)) {
+      return root;
+    }
+    root = $(children[0]);
+  }
+}
+
+// "First words of the cluster…"
+function pseudoHeading($, body) {
+  const text = normalize(body.map(node => $(node).text()).join(' '));
+  const words = text.split(' ');
+  return words.length > PSEUDO_HEADING_WORDS
+    ? `${words.slice(0, PSEUDO_HEADING_WORDS).join(' ')}…`
+    : text;
+}
+
+function getRange(nodes) {
+  const located = nodes.filter(node => node.sourceCodeLocation);
+  if (located.length === 0) return null;
+
+  return {
+    start: located[0].sourceCodeLocation.startOffset,
+    end: located[located.length - 1].sourceCodeLocation.endOffset
+  };
+}
+
+function normalize(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
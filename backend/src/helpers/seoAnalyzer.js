@@ -0,0 +1,284 @@
+import * as cheerio from 'cheerio';
+
+// Points an issue costs the score, by severity
+const SEVERITY_WEIGHTS = { high: 15, medium: 8, low: 4 };
+
+const TITLE_LENGTH = { min: 30, max: 60 };
+const DESCRIPTION_LENGTH = { min: 70, max: 160 };
+
+// Below this share of internal links the post is poorly connected to the rest of the site
+const MIN_INTERNAL_LINK_RATIO = 0.2;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'for', 'from', 'how', 'in', 'into',
+  'is', 'it', 'its', 'of', 'on', 'or', 'our', 'that', 'the', 'this', 'to', 'was', 'what', 'when', 'why',
+  'with', 'you', 'your', 'we', 'will', 'using', 'use', 'guide', 'tips'
+]);
+
+// How an approved issue is fixed:
+// 'deterministic' - edited with cheerio by applySeoFixes, 'ai' - sent to the AI with the apply prompt,
+// 'manual' - outside the post body (page <head>, site navigation), listed for the author to do,
+// 'accessibility' - fixed per element by the accessibility and AI alt text proposals, so it gets no proposal of its own
+const FIX_MODES = {
+  'title-length': 'manual',
+  'meta-description': 'manual',
+  'h1-count': 'deterministic',
+  'heading-skips': 'deterministic',
+  'image-alt': 'accessibility',
+  'keyword-in-headings': 'ai',
+  'internal-links': 'manual',
+  canonical: 'manual'
+};
+
+// Check a post for common on-page SEO problems.
+// `title` is the post title, `metadata` the fetched page metadata (head-level checks are skipped
+// without it, e.g. for pasted HTML) and `url` the post's address, used to tell internal links apart.
+// Returns { score, issues: [{ id, check, severity, message, recommendation, fix, weight, details }], skipped }
+// score is 0-100; fixing an issue recovers its weight.
+export function auditSeo(content, { title = '', metadata, url } = {}) {
+  const $ = cheerio.load(content || '');
+  const issues = [];
+  const skipped = [];
+
+  const report = (check, severity, message, recommendation, details = {}) => {
+    issues.push({
+      id: `seo-${check}`,
+      check,
+      severity,
+      message,
+      recommendation,
+      fix: FIX_MODES[check],
+      weight: SEVERITY_WEIGHTS[severity],
+      details
+    });
+  };
+
+  if (metadata) {
+    checkTitle(metadata.title || title, report);
+    checkDescription(metadata.description, report);
+    checkCanonical(metadata.canonicalUrl, url, report);
+  } else {
+    skipped.push('title-length', 'meta-description', 'canonical');
+  }
+
+  checkH1Count($, report);
+  checkHeadingSkips($, report);
+  checkImageAlt($, report);
+  checkKeywordInHeadings($, title, report);
+  checkInternalLinks($, url, report);
+
+  const score = Math.max(0, 100 - issues.reduce((sum, issue) => sum + issue.weight, 0));
+
+  return { score, issues, skipped };
+}
+
+function checkTitle(title, report) {
+  const length = (title || '').trim().length;
+
+  if (length === 0) {
+    report('title-length', 'high', 'The page has no title', `Add a title of ${TITLE_LENGTH.min}-${TITLE_LENGTH.max} characters`);
+  } else if (length < TITLE_LENGTH.min || length > TITLE_LENGTH.max) {
+    report(
+      'title-length',
+      'medium',
+      `The title is ${length} characters long`,
+      `Keep the title between ${TITLE_LENGTH.min} and ${TITLE_LENGTH.max} characters so search results show it in full`,
+      { length }
+    );
+  }
+}
+
+function checkDescription(description, report) {
+  const length = (description || '').trim().length;
+
+  if (length === 0) {
+    report('meta-description', 'high', 'The page has no meta description', `Add a meta description of ${DESCRIPTION_LENGTH.min}-${DESCRIPTION_LENGTH.max} characters summarising the post`);
+  } else if (length < DESCRIPTION_LENGTH.min || length > DESCRIPTION_LENGTH.max) {
+    report(
+      'meta-description',
+      'low',
+      `The meta description is ${length} characters long`,
+      `Keep the meta description between ${DESCRIPTION_LENGTH.min} and ${DESCRIPTION_LENGTH.max} characters`,
+      { length }
+    );
+  }
+}
+
+function checkCanonical(canonicalUrl, url, report) {
+  if (!canonicalUrl) {
+    report('canonical', 'medium', 'The page has no canonical URL', 'Add a <link rel="canonical"> pointing at the preferred URL of the post');
+    return;
+  }
+
+  const pageUrl = parseUrl(url);
+  const canonical = parseUrl(canonicalUrl);
+  if (pageUrl && canonical && stripUrl(pageUrl) !== stripUrl(canonical)) {
+    report(
+      'canonical',
+      'low',
+      'The canonical URL points at a different page',
+      'Check that the canonical URL is the preferred address of this post',
+      { canonicalUrl }
+    );
+  }
+}
+
+function checkH1Count($, report) {
+  const count = $('h1').length;
+
+  // The title <h1> often sits in the page header outside the extracted post body, so none is fine
+  if (count > 1) {
+    report(
+      'h1-count',
+      'medium',
+      `The post has ${count} H1 headings`,
+      'Keep a single H1 for the title and turn the others into H2 headings',
+      { count }
+    );
+  }
+}
+
+function checkHeadingSkips($, report) {
+  const skips = findHeadingSkips($).map(({ elem, from, to }) => ({ heading: normalize($(elem).text()), from, to }));
+
+  if (skips.length > 0) {
+    report(
+      'heading-skips',
+      'medium',
+      `${skips.length} heading${skips.length > 1 ? 's skip' : ' skips'} a level`,
+      'Nest headings one level at a time (H2 → H3 → H4) so the outline stays readable',
+      { skips }
+    );
+  }
+}
+
+function checkImageAlt($, report) {
+  const images = $('img').toArray().filter(elem => $(elem).attr('alt') === undefined);
+
+  if (images.length > 0) {
+    report(
+      'image-alt',
+      'medium',
+      `${images.length} image${images.length > 1 ? 's have' : ' has'} no alt attribute`,
+      'Describe each image in its alt attribute',
+      { images: images.map(elem => $(elem).attr('src') || null) }
+    );
+  }
+}
+
+function checkKeywordInHeadings($, title, report) {
+  const keywords = getKeywords(title);
+  const headings = $('h2, h3').toArray().map(elem => normalize($(elem).text()).toLowerCase());
+  if (keywords.length === 0 || headings.length === 0) return;
+
+  const found = keywords.some(keyword => headings.some(heading => heading.includes(keyword)));
+  if (!found) {
+    report(
+      'keyword-in-headings',
+      'low',
+      'No subheading mentions the topic of the title',
+      `Work one of the title's key terms (${keywords.join(', ')}) into a relevant subheading`,
+      { keywords }
+    );
+  }
+}
+
+function checkInternalLinks($, url, report) {
+  const pageUrl = parseUrl(url);
+  let internal = 0;
+  let external = 0;
+
+  $('a[href]').each((i, elem) => {
+    const href = $(elem).attr('href').trim();
+    if (!href || href.startsWith('#') || /^(mailto|tel|javascript):/i.test(href)) return;
+
+    const target = parseUrl(href, pageUrl?.href);
+    if (!target) {
+      // Relative link with no page URL to resolve against - it stays on the site
+      internal++;
+    } else if (pageUrl && target.hostname === pageUrl.hostname) {
+      internal++;
+    } else {
+      external++;
+    }
+  });
+
+  const total = internal + external;
+  const ratio = total > 0 ? internal / total : 0;
+
+  if (ratio < MIN_INTERNAL_LINK_RATIO) {
+    report(
+      'internal-links',
+      'low',
+      total === 0 ? 'The post has no links' : `Only ${internal} of ${total} links point to the same site`,
+      'Link to related posts on your own site to keep readers exploring',
+      { internal, external }
+    );
+  }
+}
+
+// Headings that are more than one level below their parent heading.
+// Each skip: { elem, from, to } - `to` is the level that closes the gap (siblings and children move with it).
+export function findHeadingSkips($) {
+  const skips = [];
+  const stack = [];
+
+  $('h1, h2, h3, h4, h5, h6').each((i, elem) => {
+    const level = Number(elem.name[1]);
+
+    while (stack.length > 0 && stack[stack.length - 1].level >= level) {
+      stack.pop();
+    }
+    const parent = stack[stack.length - 1];
+    const fixed = parent ? Math.min(level, parent.fixed + 1) : level;
+
+    if (fixed !== level) {
+      skips.push({ elem, from: level, to: fixed });
+    }
+    stack.push({ level, fixed });
+  });
+
+  return skips;
+}
+
+// Apply the deterministic fixes of approved SEO proposals in place
+export function applySeoFixes($, proposals) {
+  const checks = new Set(proposals.filter(p => p.fix === 'deterministic').map(p => p.check));
+
+  if (checks.has('h1-count')) {
+    // The first H1 stays the title
+    $('h1').slice(1).each((i, elem) => {
+      elem.name = 'h2';
+    });
+  }
+
+  if (checks.has('heading-skips')) {
+    findHeadingSkips($).forEach(({ elem, to }) => {
+      elem.name = `h${to}`;
+    });
+  }
+}
+
+// Significant words of the title: "Caching Strategies for Node APIs" -> ['caching', 'strategies', 'node', 'apis']
+function getKeywords(title) {
+  return [...new Set(
+    (title || '').toLowerCase().match(/[\p{L}\p{N}][\p{L}\p{N}+#.-]*/gu) || []
+  )].filter(word => word.length > 2 && !STOPWORDS.has(word));
+}
+
+function parseUrl(value, base) {
+  try {
+    return new URL(value, base);
+  } catch {
+    return null;
+  }
+}
+
+// Compare URLs without query string, fragment or trailing slash
+function stripUrl(url) {
+  return `${url.hostname.replace(/^www\./, '')}${url.pathname.replace(/\/$/, '')}`;
+}
+
+function normalize(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
@@ -0,0 +1,193 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import yaml from 'js-yaml';
+import * as cheerio from 'cheerio';
+
+const ajv = new Ajv({ allErrors: true });
+
+// Looked up in order when SITE_RULES_FILE is not set
+const DEFAULT_RULE_FILES = ['site-rules.json', 'site-rules.yaml', 'site-rules.yml'];
+const DEFAULT_RULES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../config');
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const SELECTOR_FIELDS = ['content', 'title', 'strip', 'date', 'author'];
+
+// One rule per known blog. A rule matches a URL when its hostname is listed (exactly or via
+// "*.example.com") and/or the URL matches `urlPattern` (a regular expression).
+const SITE_RULES_SCHEMA = {
+  type: 'object',
+  required: ['rules'],
+  additionalProperties: false,
+  properties: {
+    rules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name'],
+        anyOf: [{ required: ['hostnames'] }, { required: ['urlPattern'] }],
+        additionalProperties: false,
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          hostnames: { ...stringList, minItems: 1 },
+          urlPattern: { type: 'string', minLength: 1 },
+          content: stringList,
+          title: stringList,
+          strip: stringList,
+          date: stringList,
+          author: stringList
+        }
+      }
+    }
+  }
+};
+
+const validateSiteRules = ajv.compile(SITE_RULES_SCHEMA);
+
+// Parse and validate a rules document. `format` is 'json' or 'yaml'.
+// Throws with every problem listed so a broken config is fixed in one go.
+export function parseSiteRules(text, format = 'json') {
+  let parsed;
+  try {
+    parsed = format === 'yaml' ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid site rules: ${error.message}`);
+  }
+
+  // A bare list of rules is accepted as shorthand for { rules: [...] }
+  const document = Array.isArray(parsed) ? { rules: parsed } : parsed;
+  validateRules(document);
+
+  return document.rules;
+}
+
+// Validate a single rule (e.g. a draft sent to the test endpoint)
+export function validateSiteRule(rule) {
+  validateRules({ rules: [rule] });
+  return rule;
+}
+
+function validateRules(document) {
+  if (!validateSiteRules(document)) {
+    const errors = validateSiteRules.errors.map(error => `${error.instancePath || '(root)'}: ${error.message}`);
+    throw new Error(`Invalid site rules: ${errors.join('; ')}`);
+  }
+
+  // Selectors are compiled up front: a typo would otherwise only surface as a failed fetch
+  const $ = cheerio.load('');
+  const problems = [];
+
+  for (const rule of document.rules) {
+    if (rule.urlPattern) {
+      try {
+        new RegExp(rule.urlPattern);
+      } catch (error) {
+        problems.push(`rule "${rule.name}" has an invalid urlPattern - ${error.message}`);
+      }
+    }
+
+    for (const field of SELECTOR_FIELDS) {
+      for (const selector of rule[field] || []) {
+        try {
+          $(selector);
+        } catch (error) {
+          problems.push(`rule "${rule.name}" has an invalid ${field} selector "${selector}" - ${error.message}`);
+        }
+      }
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new Error(`Invalid site rules: ${problems.join('; ')}`);
+  }
+}
+
+// Read rules from a .json, .yaml or .yml file
+export function loadSiteRules(filePath) {
+  const format = /\.ya?ml$/i.test(filePath) ? 'yaml' : 'json';
+  return parseSiteRules(fs.readFileSync(filePath, 'utf8'), format);
+}
+
+let cachedRules = null;
+let cachedKey = null;
+
+// Rules from SITE_RULES_FILE, or backend/config/site-rules.{json,yaml,yml} if present.
+// Reloaded when the file changes, so rules can be edited without restarting the server.
+export function getSiteRules() {
+  const filePath = findRulesFile();
+  if (!filePath) return [];
+
+  const key = `${filePath}:${fs.statSync(filePath).mtimeMs}`;
+  if (cachedKey !== key) {
+    cachedRules = loadSiteRules(filePath);
+    cachedKey = key;
+    console.log(`Loaded ${cachedRules.length} site rule(s) from ${filePath}`);
+  }
+
+  return cachedRules;
+}
+
+function findRulesFile() {
+  if (process.env.SITE_RULES_FILE) {
+    return process.env.SITE_RULES_FILE;
+  }
+
+  return DEFAULT_RULE_FILES
+    .map(file => path.join(DEFAULT_RULES_DIR, file))
+    .find(file => fs.existsSync(file)) || null;
+}
+
+// First rule matching the URL, or null
+export function findSiteRule(url, rules) {
+  let hostname;
+  try {
+    hostname = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+
+  return rules.find(rule => {
+    if (rule.hostnames && !rule.hostnames.some(pattern => matchesHostname(hostname, pattern))) {
+      return false;
+    }
+    if (rule.urlPattern && !new RegExp(rule.urlPattern).test(url)) {
+      return false;
+    }
+    return true;
+  }) || null;
+}
+
+// "example.com" matches exactly (and with "www."); "*.example.com" matches any subdomain
+export function matchesHostname(hostname, pattern) {
+  const normalized = pattern.trim().toLowerCase();
+
+  if (normalized.startsWith('*.')) {
+    return hostname.endsWith(normalized.slice(1));
+  }
+  return hostname === normalized || hostname === `www.${normalized}`;
+}
+
+// Title, date and author from a rule's selectors. The first selector with a value wins;
+// dates prefer machine-readable attributes (<time datetime>, <meta content>).
+// Returns { title, date, author } with null for anything not found.
+export function extractSiteFields($, rule) {
+  return {
+    title: firstText($, rule.title),
+    date: firstText($, rule.date, ['datetime', 'content']),
+    author: firstText($, rule.author, ['content'])
+  };
+}
+
+function firstText($, selectors = [], attributes = []) {
+  for (const selector of selectors) {
+    const $elem = $(selector).first();
+    if ($elem.length === 0) continue;
+
+    const attribute = attributes.find(name => $elem.attr(name));
+    const value = (attribute ? $elem.attr(attribute) : $elem.text()).replace(/\s+/g, ' ').trim();
+    if (value) return value;
+  }
+  return null;
+}
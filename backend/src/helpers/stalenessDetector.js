@@ -0,0 +1,136 @@
+import { extractSentences } from './contentVerifier.js';
+
+// Time-relative wording is only suspicious once the post is this old
+const STALE_AFTER_DAYS = 180;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Words that present a statement as current. Not a bare "now": "founded in 2015 and now employs 40 people"
+// is about the present, not 2015.
+const CURRENT_CUES = /\b(currently|current|latest|newest|today|nowadays|this year|at the moment|at present|right now|upcoming|coming soon|will be released|is expected to)\b/i;
+
+// Words that claim a version is the newest one
+const LATEST_CUES = /\b(latest|newest|current|currently|most recent|just released)\b/i;
+
+const YEARS = /\b(199\d|20\d{2})\b/g;
+const VERSION_NUMBER = /\bv?\d+\.\d+(?:\.\d+)*\b/;
+const VERSION_WORDS = /\b(version|release|v\d)/i;
+
+// Phrases whose meaning drifts as the post ages
+const RELATIVE_TIME = /\b(recently|this year|last year|next year|this month|last month|next month|upcoming|coming soon|nowadays|these days|just (?:been )?(?:released|launched|announced))\b/i;
+
+// Products and names that were shut down, renamed or reached end of life
+const DEPRECATED_TERMS = [
+  { pattern: /\bGoogle\+/, note: 'Google+ was shut down in 2019' },
+  { pattern: /\bInternet Explorer\b/, note: 'Internet Explorer was retired in 2022 - Microsoft Edge replaced it' },
+  { pattern: /\bUniversal Analytics\b/, note: 'Universal Analytics stopped processing data in 2023 - Google Analytics 4 replaced it' },
+  { pattern: /\bGoogle Optimize\b/, note: 'Google Optimize was sunset in 2023' },
+  { pattern: /\bPython 2(?:\.\d+)?\b/, note: 'Python 2 reached end of life in 2020' },
+  { pattern: /\bAngularJS\b/, note: 'AngularJS support ended in 2022' },
+  { pattern: /\b[Cc]reate[ -][Rr]eact[ -][Aa]pp\b/, note: 'Create React App was deprecated in 2025' },
+  { pattern: /\bTSLint\b/, note: 'TSLint was deprecated in favour of ESLint' },
+  { pattern: /\bnode-sass\b|\bLibSass\b/, note: 'LibSass and node-sass are deprecated - Dart Sass replaced them' },
+  { pattern: /\bAzure (?:Active Directory|AD)\b/, note: 'Azure Active Directory was renamed Microsoft Entra ID in 2023' },
+  { pattern: /\bGoogle Bard\b/, note: 'Google Bard was renamed Gemini in 2024' },
+  { pattern: /\b(?:Adobe )?Flash Player\b|\bAdobe Flash\b/, note: 'Adobe Flash reached end of life in 2020' },
+  { pattern: /\bVue(?:\.js)? 2\b/, note: 'Vue 2 reached end of life at the end of 2023' },
+  { pattern: /\bHeroku(?:'s)? free (?:tier|plan|dynos?)\b/, note: 'Heroku ended its free plans in 2022' }
+];
+
+// Find statements that have probably gone out of date.
+// Each finding is one sentence: { id, kind, match, sentence, sectionIndex, reason }
+// kind: 'past-year' (a past year presented as current), 'deprecated' (a retired product or name),
+//       'version' (a version called the latest), 'relative-time' ("recently", "this year", ... in an old post)
+// The post's date is the later of publishedAt and modifiedAt; without one, only wording that is
+// stale on its own (past years, retired products, "latest version") is flagged.
+export function detectStaleContent(content, sections = [], { publishedAt, modifiedAt, now = new Date() } = {}) {
+  const postDate = getPostDate(publishedAt, modifiedAt);
+  const ageDays = postDate ? (now - postDate) / DAY_MS : null;
+  const isOld = ageDays === null || ageDays >= STALE_AFTER_DAYS;
+
+  // Sections are matched by sentence so evidence can be shown under its heading
+  const sectionSentences = sections.map(section => new Set(extractSentences(section.content)));
+
+  const findings = [];
+  const seen = new Set();
+
+  for (const sentence of extractSentences(content)) {
+    if (seen.has(sentence)) continue;
+
+    const finding = checkSentence(sentence, { now, postDate, ageDays, isOld });
+    if (!finding) continue;
+
+    seen.add(sentence);
+    const sectionIndex = sectionSentences.findIndex(sentences => sentences.has(sentence));
+    findings.push({
+      id: `stale-${findings.length}`,
+      ...finding,
+      sentence,
+      sectionIndex: sectionIndex === -1 ? null : sectionIndex
+    });
+  }
+
+  return findings;
+}
+
+// The first signal in a sentence, most specific first
+function checkSentence(sentence, { now, postDate, ageDays, isOld }) {
+  const currentYear = now.getUTCFullYear();
+
+  if (CURRENT_CUES.test(sentence)) {
+    const pastYear = (sentence.match(YEARS) || []).map(Number).find(year => year < currentYear);
+    if (pastYear) {
+      const years = currentYear - pastYear;
+      return {
+        kind: 'past-year',
+        match: String(pastYear),
+        reason: `Presents ${pastYear} as current - that was ${years} year${years > 1 ? 's' : ''} ago`
+      };
+    }
+  }
+
+  const deprecated = DEPRECATED_TERMS.find(term => term.pattern.test(sentence));
+  if (deprecated) {
+    return { kind: 'deprecated', match: sentence.match(deprecated.pattern)[0], reason: deprecated.note };
+  }
+
+  if (isOld && LATEST_CUES.test(sentence) && VERSION_WORDS.test(sentence) && VERSION_NUMBER.test(sentence)) {
+    const version = sentence.match(VERSION_NUMBER)[0];
+    return {
+      kind: 'version',
+      match: version,
+      reason: postDate
+        ? `Calls ${version} the latest version, written ${formatAge(ageDays)} ago - newer releases may exist`
+        : `Calls ${version} the latest version - newer releases may exist`
+    };
+  }
+
+  const relative = sentence.match(RELATIVE_TIME);
+  if (relative && postDate && isOld) {
+    return {
+      kind: 'relative-time',
+      match: relative[0],
+      reason: `"${relative[0]}" was written ${formatAge(ageDays)} ago (${postDate.toISOString().slice(0, 10)})`
+    };
+  }
+
+  return null;
+}
+
+function getPostDate(publishedAt, modifiedAt) {
+  const times = [publishedAt, modifiedAt]
+    .map(value => (value ? Date.parse(value) : NaN))
+    .filter(time => !Number.isNaN(time));
+
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+}
+
+// "2 years", "8 months"
+function formatAge(days) {
+  if (days >= 365) {
+    const years = Math.floor(days / 365.25) || 1;
+    return `${years} year${years > 1 ? 's' : ''}`;
+  }
+  const months = Math.max(Math.floor(days / 30), 1);
+  return `${months} month${months > 1 ? 's' : ''}`;
+}
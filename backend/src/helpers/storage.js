@@ -0,0 +1,546 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createHash, randomUUID } from 'node:crypto';
+import Database from 'better-sqlite3';
+
+// Persistence for fetched posts, their analyses (with the reviewer's proposal decisions) and every
+// generated refresh run.
+//
+// A store implements these methods, each returning a promise:
+//   savePost({ url, title, content, metadata, extraction }) -> post
+//     Posts are keyed by getPostKey (canonical URL, else URL, else content hash): saving the same key updates that post.
+//   listPosts() -> [{ id, key, url, title, createdAt, updatedAt, analysisCount, runCount, latestAnalysisId, latestRunId, draftRunId }]
+//   getPost(id) -> { ...post, analyses: [analysis summary], runs: [run summary] } | null
+//   deletePost(id) -> boolean (its analyses and runs go with it)
+//   setDraft(postId, runId) -> post | null; throws if the run belongs to another post
+//   saveAnalysis(postId, { content, result }) -> analysis; throws if the post does not exist
+//   getAnalysis(id) -> { id, postId, content, result, proposals, createdAt, updatedAt } | null
+//   saveDecisions(id, proposals) -> analysis | null
+//   deleteAnalysis(id) -> boolean
+//   saveRun({ analysisId, approvedProposals, result, createdBy }) -> run
+//     postId comes from the analysis. Runs of a post are numbered versions (1, 2, ...); the new run becomes the post's draft.
+//   getRun(id) -> { id, postId, analysisId, version, createdBy, approvedProposals, refreshedContent, preservationReport, sanitizationReport, createdAt } | null
+//   deleteRun(id) -> boolean
+// Newest first everywhere. `proposals` starts as the analysis result's proposals and is replaced by saveDecisions.
+// A post's runs are its version timeline; `draftRunId` is the version currently used as the refreshed draft.
+
+const DEFAULT_SQLITE_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '../../data/blog-refresh.db');
+
+// Storage settings come from the environment: STORAGE_DRIVER (sqlite | memory), STORAGE_PATH (SQLite file)
+export function getStorageConfig() {
+  return {
+    driver: (process.env.STORAGE_DRIVER || 'sqlite').trim().toLowerCase(),
+    path: process.env.STORAGE_PATH || DEFAULT_SQLITE_PATH
+  };
+}
+
+export function createStore(config = getStorageConfig()) {
+  const factory = STORES[config.driver];
+
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${config.driver}". Use one of: ${Object.keys(STORES).join(', ')}`);
+  }
+
+  return factory(config);
+}
+
+let cachedStore = null;
+let cachedConfigKey = null;
+
+// Store for the current configuration (reopened if the environment changes)
+export function getStore() {
+  const config = getStorageConfig();
+  const configKey = JSON.stringify(config);
+
+  if (!cachedStore || cachedConfigKey !== configKey) {
+    cachedStore?.close?.();
+    cachedStore = createStore(config);
+    cachedConfigKey = configKey;
+  }
+
+  return cachedStore;
+}
+
+const STORES = {
+  sqlite: createSqliteStore,
+  memory: createMemoryStore
+};
+
+// The identity of a post: its canonical URL, else the address it was fetched from,
+// else (pasted HTML) a hash of its content. Fragments never make a different post.
+export function getPostKey({ url, metadata, content }) {
+  for (const candidate of [metadata?.canonicalUrl, url]) {
+    if (!/^https?:\/\//i.test(candidate || '')) continue;
+    try {
+      const parsed = new URL(candidate);
+      parsed.hash = '';
+      return parsed.href;
+    } catch {
+      // Not a usable address - try the next one
+    }
+  }
+  return `sha256:${createHash('sha256').update(content || '').digest('hex')}`;
+}
+
+// Applied in order on open; PRAGMA user_version records how many have run
+const MIGRATIONS = [
+  `
+  CREATE TABLE IF NOT EXISTS posts (
+    id TEXT PRIMARY KEY,
+    url TEXT UNIQUE,
+    title TEXT,
+    content TEXT NOT NULL,
+    metadata TEXT,
+    extraction TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS analyses (
+    id TEXT PRIMARY KEY,
+    post_id TEXT NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    result TEXT NOT NULL,
+    proposals TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS runs (
+    id TEXT PRIMARY KEY,
+    post_id TEXT REFERENCES posts(id) ON DELETE CASCADE,
+    analysis_id TEXT REFERENCES analyses(id) ON DELETE SET NULL,
+    approved_proposals TEXT NOT NULL,
+    result TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS analyses_post ON analyses (post_id);
+  CREATE INDEX IF NOT EXISTS runs_post ON runs (post_id);
+  CREATE INDEX IF NOT EXISTS runs_analysis ON runs (analysis_id);
+  `,
+  // Version timeline: posts keyed by canonical URL or content hash (so the URL is no longer unique),
+  // numbered runs with their reviewer, and the run currently used as the draft
+  `
+  CREATE TABLE posts_keyed (
+    id TEXT PRIMARY KEY,
+    key TEXT NOT NULL UNIQUE,
+    url TEXT,
+    title TEXT,
+    content TEXT NOT NULL,
+    metadata TEXT,
+    extraction TEXT,
+    draft_run_id TEXT REFERENCES runs(id) ON DELETE SET NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  );
+  INSERT INTO posts_keyed (id, key, url, title, content, metadata, extraction, created_at, updated_at)
+    SELECT id, COALESCE(url, 'post:' || id), url, title, content, metadata, extraction, created_at, updated_at
+    FROM posts ORDER BY rowid;
+  DROP TABLE posts;
+  ALTER TABLE posts_keyed RENAME TO posts;
+  ALTER TABLE runs ADD COLUMN version INTEGER;
+  ALTER TABLE runs ADD COLUMN created_by TEXT;
+  UPDATE runs SET version = (
+    SELECT COUNT(*) FROM runs earlier WHERE earlier.post_id = runs.post_id AND earlier.rowid <= runs.rowid
+  ) WHERE post_id IS NOT NULL;
+  UPDATE posts SET draft_run_id = (
+    SELECT id FROM runs WHERE runs.post_id = posts.id ORDER BY version DESC LIMIT 1
+  );
+  `
+];
+
+// Runs with foreign keys off, so a migration can rebuild a table without cascading deletes
+function migrate(db) {
+  const applied = db.pragma('user_version', { simple: true });
+
+  MIGRATIONS.slice(applied).forEach((sql, i) => {
+    db.transaction(() => {
+      db.exec(sql);
+      db.pragma(`user_version = ${applied + i + 1}`);
+    })();
+  });
+}
+
+// SQLite store (the default). `path` may be ':memory:'.
+export function createSqliteStore({ path: file }) {
+  if (file !== ':memory:') {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+  }
+
+  const db = new Database(file);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = OFF');
+  migrate(db);
+  db.pragma('foreign_keys = ON');
+
+  const toPost = row => row && {
+    id: row.id,
+    key: row.key,
+    url: row.url,
+    title: row.title,
+    content: row.content,
+    metadata: parseJson(row.metadata),
+    extraction: parseJson(row.extraction),
+    draftRunId: row.draft_run_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+
+  const toAnalysis = row => row && {
+    id: row.id,
+    postId: row.post_id,
+    content: row.content,
+    result: parseJson(row.result),
+    proposals: parseJson(row.proposals),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+
+  const toRun = row => row && {
+    id: row.id,
+    postId: row.post_id,
+    analysisId: row.analysis_id,
+    version: row.version,
+    createdBy: row.created_by,
+    approvedProposals: parseJson(row.approved_proposals),
+    ...parseJson(row.result),
+    createdAt: row.created_at
+  };
+
+  const statements = {
+    postByKey: db.prepare('SELECT * FROM posts WHERE key = ?'),
+    post: db.prepare('SELECT * FROM posts WHERE id = ?'),
+    insertPost: db.prepare(`INSERT INTO posts (id, key, url, title, content, metadata, extraction, created_at, updated_at)
+      VALUES (@id, @key, @url, @title, @content, @metadata, @extraction, @now, @now)`),
+    updatePost: db.prepare(`UPDATE posts SET url = @url, title = @title, content = @content, metadata = @metadata,
+      extraction = @extraction, updated_at = @now WHERE id = @id`),
+    setDraft: db.prepare('UPDATE posts SET draft_run_id = @runId, updated_at = @now WHERE id = @postId'),
+    listPosts: db.prepare(`SELECT p.id, p.key, p.url, p.title, p.draft_run_id, p.created_at, p.updated_at,
+        (SELECT COUNT(*) FROM analyses a WHERE a.post_id = p.id) AS analysis_count,
+        (SELECT COUNT(*) FROM runs r WHERE r.post_id = p.id) AS run_count,
+        (SELECT a.id FROM analyses a WHERE a.post_id = p.id ORDER BY a.created_at DESC, a.rowid DESC LIMIT 1) AS latest_analysis_id,
+        (SELECT r.id FROM runs r WHERE r.post_id = p.id ORDER BY r.created_at DESC, r.rowid DESC LIMIT 1) AS latest_run_id
+      FROM posts p ORDER BY p.updated_at DESC, p.rowid DESC`),
+    deletePost: db.prepare('DELETE FROM posts WHERE id = ?'),
+    analysesForPost: db.prepare('SELECT * FROM analyses WHERE post_id = ? ORDER BY created_at DESC, rowid DESC'),
+    analysis: db.prepare('SELECT * FROM analyses WHERE id = ?'),
+    insertAnalysis: db.prepare(`INSERT INTO analyses (id, post_id, content, result, proposals, created_at, updated_at)
+      VALUES (@id, @postId, @content, @result, @proposals, @now, @now)`),
+    updateDecisions: db.prepare('UPDATE analyses SET proposals = @proposals, updated_at = @now WHERE id = @id'),
+    deleteAnalysis: db.prepare('DELETE FROM analyses WHERE id = ?'),
+    runsForPost: db.prepare('SELECT * FROM runs WHERE post_id = ? ORDER BY created_at DESC, rowid DESC'),
+    run: db.prepare('SELECT * FROM runs WHERE id = ?'),
+    nextVersion: db.prepare('SELECT COALESCE(MAX(version), 0) + 1 AS version FROM runs WHERE post_id = ?'),
+    insertRun: db.prepare(`INSERT INTO runs (id, post_id, analysis_id, version, created_by, approved_proposals, result, created_at)
+      VALUES (@id, @postId, @analysisId, @version, @createdBy, @approvedProposals, @result, @now)`),
+    deleteRun: db.prepare('DELETE FROM runs WHERE id = ?')
+  };
+
+  return {
+    name: 'sqlite',
+
+    async savePost({ url = null, title = null, content, metadata = null, extraction = null }) {
+      const now = new Date().toISOString();
+      const key = getPostKey({ url, metadata, content });
+      const values = { key, url, title, content, metadata: toJson(metadata), extraction: toJson(extraction), now };
+      const existing = statements.postByKey.get(key);
+
+      if (existing) {
+        statements.updatePost.run({ ...values, id: existing.id });
+        return toPost(statements.post.get(existing.id));
+      }
+
+      const id = randomUUID();
+      statements.insertPost.run({ ...values, id });
+      return toPost(statements.post.get(id));
+    },
+
+    async listPosts() {
+      return statements.listPosts.all().map(row => ({
+        id: row.id,
+        key: row.key,
+        url: row.url,
+        title: row.title,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at,
+        analysisCount: row.analysis_count,
+        runCount: row.run_count,
+        latestAnalysisId: row.latest_analysis_id,
+        latestRunId: row.latest_run_id,
+        draftRunId: row.draft_run_id
+      }));
+    },
+
+    async getPost(id) {
+      const post = toPost(statements.post.get(id));
+      if (!post) return null;
+
+      return {
+        ...post,
+        analyses: statements.analysesForPost.all(id).map(row => summarizeAnalysis(toAnalysis(row))),
+        runs: statements.runsForPost.all(id).map(row => summarizeRun(toRun(row)))
+      };
+    },
+
+    async deletePost(id) {
+      return statements.deletePost.run(id).changes > 0;
+    },
+
+    async setDraft(postId, runId) {
+      if (!statements.post.get(postId)) return null;
+      if (statements.run.get(runId)?.post_id !== postId) {
+        throw new Error(`Run ${runId} is not a version of post ${postId}`);
+      }
+
+      statements.setDraft.run({ postId, runId, now: new Date().toISOString() });
+      return toPost(statements.post.get(postId));
+    },
+
+    async saveAnalysis(postId, { content, result }) {
+      if (!statements.post.get(postId)) {
+        throw new Error(`Post ${postId} does not exist`);
+      }
+
+      const id = randomUUID();
+      statements.insertAnalysis.run({
+        id,
+        postId,
+        content,
+        result: toJson(result),
+        proposals: toJson(result.proposals || []),
+        now: new Date().toISOString()
+      });
+      return toAnalysis(statements.analysis.get(id));
+    },
+
+    async getAnalysis(id) {
+      return toAnalysis(statements.analysis.get(id)) || null;
+    },
+
+    async saveDecisions(id, proposals) {
+      const { changes } = statements.updateDecisions.run({ id, proposals: toJson(proposals), now: new Date().toISOString() });
+      return changes > 0 ? toAnalysis(statements.analysis.get(id)) : null;
+    },
+
+    async deleteAnalysis(id) {
+      return statements.deleteAnalysis.run(id).changes > 0;
+    },
+
+    async saveRun({ analysisId = null, approvedProposals, result, createdBy = null }) {
+      const analysis = analysisId ? statements.analysis.get(analysisId) : null;
+      if (analysisId && !analysis) {
+        throw new Error(`Analysis ${analysisId} does not exist`);
+      }
+
+      const id = randomUUID();
+      const postId = analysis?.post_id || null;
+      const now = new Date().toISOString();
+
+      db.transaction(() => {
+        statements.insertRun.run({
+          id,
+          postId,
+          analysisId,
+          version: postId ? statements.nextVersion.get(postId).version : null,
+          createdBy,
+          approvedProposals: toJson(approvedProposals),
+          result: toJson(result),
+          now
+        });
+        if (postId) statements.setDraft.run({ postId, runId: id, now });
+      })();
+
+      return toRun(statements.run.get(id));
+    },
+
+    async getRun(id) {
+      return toRun(statements.run.get(id)) || null;
+    },
+
+    async deleteRun(id) {
+      return statements.deleteRun.run(id).changes > 0;
+    },
+
+    close() {
+      db.close();
+    }
+  };
+}
+
+// In-process store: nothing survives a restart. For tests, demos and read-only deployments.
+export function createMemoryStore() {
+  const posts = new Map();
+  const analyses = new Map();
+  const runs = new Map();
+
+  // Structured copies, so callers never share objects with the store (as with a database)
+  const copy = value => value && structuredClone(value);
+  const newestFirst = items => [...items].reverse().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  const analysesOf = postId => newestFirst([...analyses.values()].filter(a => a.postId === postId));
+  const runsOf = postId => newestFirst([...runs.values()].filter(r => r.postId === postId));
+
+  return {
+    name: 'memory',
+
+    async savePost({ url = null, title = null, content, metadata = null, extraction = null }) {
+      const now = new Date().toISOString();
+      const key = getPostKey({ url, metadata, content });
+      const existing = [...posts.values()].find(post => post.key === key);
+      const post = existing
+        ? { ...existing, url, title, content, metadata, extraction, updatedAt: now }
+        : { id: randomUUID(), key, url, title, content, metadata, extraction, draftRunId: null, createdAt: now, updatedAt: now };
+
+      // Updated posts move to the end, like a newer row
+      posts.delete(post.id);
+      posts.set(post.id, copy(post));
+      return copy(post);
+    },
+
+    async listPosts() {
+      return [...posts.values()].reverse()
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+        .map(post => ({
+          id: post.id,
+          key: post.key,
+          url: post.url,
+          title: post.title,
+          createdAt: post.createdAt,
+          updatedAt: post.updatedAt,
+          analysisCount: analysesOf(post.id).length,
+          runCount: runsOf(post.id).length,
+          latestAnalysisId: analysesOf(post.id)[0]?.id || null,
+          latestRunId: runsOf(post.id)[0]?.id || null,
+          draftRunId: post.draftRunId
+        }));
+    },
+
+    async getPost(id) {
+      const post = posts.get(id);
+      if (!post) return null;
+
+      return {
+        ...copy(post),
+        analyses: analysesOf(id).map(summarizeAnalysis),
+        runs: runsOf(id).map(summarizeRun)
+      };
+    },
+
+    async deletePost(id) {
+      if (!posts.delete(id)) return false;
+      analysesOf(id).forEach(analysis => analyses.delete(analysis.id));
+      runsOf(id).forEach(run => runs.delete(run.id));
+      return true;
+    },
+
+    async setDraft(postId, runId) {
+      const post = posts.get(postId);
+      if (!post) return null;
+      if (runs.get(runId)?.postId !== postId) {
+        throw new Error(`Run ${runId} is not a version of post ${postId}`);
+      }
+
+      Object.assign(post, { draftRunId: runId, updatedAt: new Date().toISOString() });
+      return copy(post);
+    },
+
+    async saveAnalysis(postId, { content, result }) {
+      if (!posts.has(postId)) {
+        throw new Error(`Post ${postId} does not exist`);
+      }
+
+      const now = new Date().toISOString();
+      const analysis = { id: randomUUID(), postId, content, result, proposals: result.proposals || [], createdAt: now, updatedAt: now };
+      analyses.set(analysis.id, copy(analysis));
+      return copy(analysis);
+    },
+
+    async getAnalysis(id) {
+      return copy(analyses.get(id)) || null;
+    },
+
+    async saveDecisions(id, proposals) {
+      const analysis = analyses.get(id);
+      if (!analysis) return null;
+
+      Object.assign(analysis, { proposals: copy(proposals), updatedAt: new Date().toISOString() });
+      return copy(analysis);
+    },
+
+    async deleteAnalysis(id) {
+      if (!analyses.delete(id)) return false;
+      runs.forEach(run => {
+        if (run.analysisId === id) run.analysisId = null;
+      });
+      return true;
+    },
+
+    async saveRun({ analysisId = null, approvedProposals, result, createdBy = null }) {
+      const analysis = analysisId ? analyses.get(analysisId) : null;
+      if (analysisId && !analysis) {
+        throw new Error(`Analysis ${analysisId} does not exist`);
+      }
+
+      const postId = analysis?.postId || null;
+      const run = {
+        id: randomUUID(),
+        postId,
+        analysisId,
+        version: postId ? Math.max(0, ...runsOf(postId).map(r => r.version)) + 1 : null,
+        createdBy,
+        approvedProposals,
+        ...result,
+        createdAt: new Date().toISOString()
+      };
+      runs.set(run.id, copy(run));
+      if (postId) {
+        Object.assign(posts.get(postId), { draftRunId: run.id, updatedAt: run.createdAt });
+      }
+      return copy(run);
+    },
+
+    async getRun(id) {
+      return copy(runs.get(id)) || null;
+    },
+
+    async deleteRun(id) {
+      const run = runs.get(id);
+      if (!run) return false;
+
+      runs.delete(id);
+      const post = posts.get(run.postId);
+      if (post?.draftRunId === id) post.draftRunId = null;
+      return true;
+    }
+  };
+}
+
+function summarizeAnalysis(analysis) {
+  return {
+    id: analysis.id,
+    createdAt: analysis.createdAt,
+    updatedAt: analysis.updatedAt,
+    proposalCount: analysis.proposals.length,
+    approvedCount: analysis.proposals.filter(p => p.approved).length
+  };
+}
+
+// One entry of a post's version timeline
+function summarizeRun(run) {
+  return {
+    id: run.id,
+    analysisId: run.analysisId,
+    version: run.version,
+    createdAt: run.createdAt,
+    createdBy: run.createdBy,
+    approvedCount: run.approvedProposals.length,
+    approved: run.approvedProposals.map(p => ({ id: p.id, type: p.type, title: p.title })),
+    preserved: run.preservationReport?.preserved ?? null
+  };
+}
+
+function toJson(value) {
+  return value === null || value === undefined ? null : JSON.stringify(value);
+}
+
+function parseJson(value) {
+  return value === null || value === undefined ? null : JSON.parse(value);
+}
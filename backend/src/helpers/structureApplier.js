@@ -0,0 +1,105 @@
+import { buildOutline, getSubtreeIndices } from './outlineExtractor.js';
+
+// Deterministic structure edits on a loaded cheerio document.
+// Sections use the same outline as analyzeBlog: every heading (H1-H6) plus its body up to the
+// next heading, or paragraph-cluster pseudo-sections for posts without headings.
+
+// Actions that are applied here without the AI
+export const DETERMINISTIC_ACTIONS = ['merge', 'remove'];
+
+// Apply approved merge and remove proposals in place.
+// originalSections are the sections returned by analysis; their headings are checked against
+// the document so a proposal never lands on the wrong section.
+export function applyStructureProposals($, proposals, originalSections) {
+  resolveStructureProposals($, proposals, originalSections)();
+}
+
+// Locate the sections of approved merge and remove proposals now, and return the function that
+// edits them. Lets other edits that change the outline (heading level fixes) run in between
+// without moving a section's boundaries.
+export function resolveStructureProposals($, proposals, originalSections) {
+  const deterministic = proposals.filter(p => DETERMINISTIC_ACTIONS.includes(p.action));
+  if (deterministic.length === 0) return () => {};
+
+  // Resolve every node before editing so indices keep pointing at the original sections
+  const outline = buildOutline($, inferTitle($, originalSections));
+
+  const getSection = (index) => {
+    const section = outline[index];
+    const expected = originalSections[index]?.heading;
+
+    if (!section) {
+      throw new Error(`Section ${index} does not exist in the content`);
+    }
+    if (expected !== undefined && section.heading !== expected) {
+      throw new Error(`Section ${index} no longer matches "${expected}" - re-analyze the post before applying changes`);
+    }
+
+    return section;
+  };
+
+  // A section together with everything nested under it
+  const getSubtree = (index) => {
+    getSection(index);
+    return getSubtreeIndices(outline, index).map(i => outline[i]);
+  };
+
+  const edits = deterministic.map(proposal => {
+    if (proposal.action === 'merge') {
+      const [first, second] = [...proposal.affectedSections].sort((a, b) => a - b);
+      const target = getSection(first);
+      const sourceSubtree = getSubtree(second);
+      return () => mergeSections($, target, sourceSubtree, proposal.newHeading);
+    }
+    const subtree = getSubtree(proposal.affectedSections[0]);
+    return () => subtree.forEach(section => removeSection($, section));
+  });
+
+  return () => edits.forEach(edit => edit());
+}
+
+// The analysis skips an <h1> that matches the post title. The first <h1> is that title
+// unless the analyzed sections include it.
+function inferTitle($, originalSections) {
+  const firstH1 = $('h1').first().text().replace(/\s+/g, ' ').trim();
+  if (!firstH1) return '';
+
+  const analyzedAsSection = originalSections.some(s => s.level === 1 && s.heading === firstH1);
+  return analyzedAsSection ? '' : firstH1;
+}
+
+// Move the source section's body - and any sections nested under it - to the end of the
+// target's own body, under the (optional) new heading
+function mergeSections($, target, sourceSubtree, newHeading) {
+  const [source, ...nested] = sourceSubtree;
+
+  if (newHeading) {
+    if (target.node) {
+      $(target.node).text(newHeading);
+    } else {
+      // Pseudo-sections have no heading element to rename
+      target.node = $('<h2></h2>').text(newHeading)[0];
+      $(target.body[0]).before(target.node);
+    }
+  }
+
+  const moved = [
+    ...source.body,
+    ...nested.flatMap(section => [section.node, ...section.body].filter(Boolean))
+  ];
+
+  let anchor = target.body[target.body.length - 1] || target.node;
+  for (const node of moved) {
+    $(anchor).after(node);
+    anchor = node;
+  }
+
+  if (source.node) $(source.node).remove();
+  target.body.push(...source.body);
+  source.body = [];
+}
+
+function removeSection($, section) {
+  if (section.node) $(section.node).remove();
+  section.body.forEach(node => $(node).remove());
+}
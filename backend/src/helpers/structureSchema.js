@@ -0,0 +1,147 @@
+import Ajv from 'ajv';
+
+const ajv = new Ajv({ allErrors: true });
+
+// Shape the structure-analysis prompt asks the model to return.
+// Section indices are bounded by the number of sections actually sent.
+function buildStructureAnalysisSchema(sectionCount) {
+  return {
+    type: 'object',
+    required: ['needsRestructuring', 'restructuringReason', 'suggestions'],
+    properties: {
+      needsRestructuring: { type: 'boolean' },
+      currentSectionCount: { type: 'integer', minimum: 0 },
+      restructuringReason: { type: 'string' },
+      suggestions: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['action', 'affectedSections', 'rationale', 'confidenceLevel'],
+          additionalProperties: false,
+          properties: {
+            action: { enum: ['merge', 'rewrite', 'keep', 'remove'] },
+            affectedSections: {
+              type: 'array',
+              minItems: 1,
+              items: { type: 'integer', minimum: 0, maximum: Math.max(sectionCount - 1, 0) }
+            },
+            newHeading: { type: 'string' },
+            rationale: { type: 'string', minLength: 1 },
+            confidenceLevel: { enum: ['high', 'medium', 'low'] }
+          }
+        }
+      }
+    }
+  };
+}
+
+const validators = new Map();
+
+function getValidator(sectionCount) {
+  if (!validators.has(sectionCount)) {
+    validators.set(sectionCount, ajv.compile(buildStructureAnalysisSchema(sectionCount)));
+  }
+  return validators.get(sectionCount);
+}
+
+// Parse a raw model response and validate it against the schema.
+// Returns { value } on success or { errors: [ '<path>: <message>', ... ] } on failure.
+export function parseStructureAnalysis(responseText, sectionCount) {
+  return parseResponse(responseText, getValidator(sectionCount));
+}
+
+// Shape of the alt-text / link-text suggestion response: one entry per element id
+const validateTextSuggestions = ajv.compile({
+  type: 'object',
+  required: ['suggestions'],
+  properties: {
+    suggestions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'text'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string' },
+          text: { type: 'string', minLength: 1, maxLength: 250 }
+        }
+      }
+    }
+  }
+});
+
+// Parse and validate a text-suggestion response, same contract as parseStructureAnalysis
+export function parseTextSuggestions(responseText) {
+  return parseResponse(responseText, validateTextSuggestions);
+}
+
+// Shape of the replacement-source response: suggested URLs per broken link id
+const validateReplacementSources = ajv.compile({
+  type: 'object',
+  required: ['replacements'],
+  properties: {
+    replacements: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'url'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string' },
+          url: { type: 'string', pattern: '^https?://' },
+          title: { type: 'string' }
+        }
+      }
+    }
+  }
+});
+
+// Parse and validate a replacement-source response, same contract as parseStructureAnalysis
+export function parseReplacementSources(responseText) {
+  return parseResponse(responseText, validateReplacementSources);
+}
+
+function parseResponse(responseText, validate) {
+  if (typeof responseText !== 'string' || !responseText.trim()) {
+    return { errors: ['(root): response was empty'] };
+  }
+
+  // Extract JSON - handle cases where AI wraps in code blocks or surrounding text
+  const cleaned = responseText
+    .replace(/^```json\s*/i, '')
+    .replace(/^```\s*/i, '')
+    .replace(/\s*```$/i, '')
+    .trim();
+
+  const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    return { errors: ['(root): no JSON object found in response'] };
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    return { errors: [`(root): invalid JSON - ${error.message}`] };
+  }
+
+  if (!validate(parsed)) {
+    return { errors: validate.errors.map(formatError) };
+  }
+
+  return { value: parsed };
+}
+
+// '/suggestions/0/action: must be equal to one of the allowed values (merge, rewrite, keep, remove)'
+function formatError(error) {
+  const path = error.instancePath || '(root)';
+  let message = error.message;
+
+  if (error.keyword === 'enum') {
+    message += ` (${error.params.allowedValues.join(', ')})`;
+  } else if (error.keyword === 'additionalProperties') {
+    message += ` ("${error.params.additionalProperty}")`;
+  }
+
+  return `${path}: ${message}`;
+}
@@ -0,0 +1,187 @@
+import axios from 'axios';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+import dns from 'node:dns';
+import { lookup } from 'node:dns/promises';
+import { matchesHostname } from './siteRules.js';
+
+const DEFAULT_SCHEMES = ['http', 'https'];
+const DEFAULT_PORTS = [80, 443];
+
+// Addresses no outbound request may reach: loopback, private (RFC 1918), link-local (cloud metadata),
+// carrier-grade NAT, documentation, NAT64, multicast and reserved ranges. IPv4-mapped IPv6 addresses
+// are checked as IPv4; IPv4-compatible ones (::/96) are blocked outright.
+const BLOCKED_RANGES = [
+  ['0.0.0.0', 8, 'ipv4', 'unspecified address'],
+  ['10.0.0.0', 8, 'ipv4', 'private address'],
+  ['100.64.0.0', 10, 'ipv4', 'shared (CGNAT) address'],
+  ['127.0.0.0', 8, 'ipv4', 'loopback address'],
+  ['169.254.0.0', 16, 'ipv4', 'link-local address'],
+  ['172.16.0.0', 12, 'ipv4', 'private address'],
+  ['192.0.0.0', 24, 'ipv4', 'reserved address'],
+  ['192.0.2.0', 24, 'ipv4', 'documentation address'],
+  ['192.168.0.0', 16, 'ipv4', 'private address'],
+  ['198.18.0.0', 15, 'ipv4', 'reserved address'],
+  ['198.51.100.0', 24, 'ipv4', 'documentation address'],
+  ['203.0.113.0', 24, 'ipv4', 'documentation address'],
+  ['224.0.0.0', 4, 'ipv4', 'multicast address'],
+  ['240.0.0.0', 4, 'ipv4', 'reserved address'],
+  ['::', 128, 'ipv6', 'unspecified address'],
+  ['::1', 128, 'ipv6', 'loopback address'],
+  // Deprecated IPv4-compatible addresses (::127.0.0.1) - blocked whole, as they embed an IPv4 address
+  ['::', 96, 'ipv6', 'reserved address'],
+  ['64:ff9b::', 96, 'ipv6', 'NAT64 address'],
+  ['fc00::', 7, 'ipv6', 'private address'],
+  ['fe80::', 10, 'ipv6', 'link-local address'],
+  ['ff00::', 8, 'ipv6', 'multicast address']
+].map(([network, prefix, type, reason]) => {
+  const list = new net.BlockList();
+  list.addSubnet(network, prefix, type);
+  return { list, reason };
+});
+
+// Thrown for any outbound request the URL policy does not allow
+export class UrlBlockedError extends Error {
+  constructor(url, reason) {
+    super(`Request to ${url} blocked: ${reason}`);
+    this.name = 'UrlBlockedError';
+    this.code = 'ERR_URL_BLOCKED';
+    this.url = url;
+    this.reason = reason;
+  }
+}
+
+// Check a URL against the outbound-request policy before it is requested. Throws UrlBlockedError when:
+// - the scheme or port is not allowed (URL_ALLOWED_SCHEMES, default http,https; URL_ALLOWED_PORTS, default 80,443)
+// - the host is on URL_DENY_HOSTS
+// - the host is, or resolves to, a loopback, private, link-local or reserved address
+// Hosts on URL_ALLOW_HOSTS skip the address check (e.g. a staging blog on the internal network).
+// Host lists use the site-rule syntax: "example.com" (and www.), "*.example.com" for subdomains.
+// DNS failures are thrown as-is, so callers report them like any other unreachable host.
+export async function assertUrlAllowed(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new UrlBlockedError(url, 'not a valid URL');
+  }
+
+  const policy = getPolicy();
+  const scheme = parsed.protocol.replace(/:$/, '');
+  if (!policy.schemes.includes(scheme)) {
+    throw new UrlBlockedError(url, `scheme "${scheme}" is not allowed`);
+  }
+
+  const port = Number(parsed.port) || (scheme === 'https' ? 443 : 80);
+  if (!policy.ports.includes(port)) {
+    throw new UrlBlockedError(url, `port ${port} is not allowed`);
+  }
+
+  // URL keeps IPv6 literals in brackets
+  const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (policy.denyHosts.some(pattern => matchesHostname(hostname, pattern))) {
+    throw new UrlBlockedError(url, `host ${hostname} is on the deny list`);
+  }
+  if (isAllowedHost(hostname, policy)) {
+    return;
+  }
+
+  const addresses = net.isIP(hostname)
+    ? [hostname]
+    : (await lookup(hostname, { all: true })).map(entry => entry.address);
+
+  for (const address of addresses) {
+    const reason = blockedReason(address);
+    if (reason) {
+      const resolved = address === hostname ? '' : ` (${address})`;
+      throw new UrlBlockedError(url, `${hostname} is a ${reason}${resolved}`);
+    }
+  }
+}
+
+// Send a request, following redirects one hop at a time so every hop is checked against the
+// policy and recorded. Returns { response, redirects: [{ url, status, location }] } - the response
+// is that of the last hop.
+// The request goes through agents that check the address they connect to as well, so a host whose
+// DNS changes after assertUrlAllowed (DNS rebinding) is still refused.
+export async function requestFollowingRedirects(method, url, { maxRedirects = 5, ...config } = {}) {
+  const redirects = [];
+  let currentUrl = url;
+
+  for (;;) {
+    await assertUrlAllowed(currentUrl);
+
+    let response;
+    try {
+      response = await axios[method](currentUrl, { ...config, maxRedirects: 0, httpAgent, httpsAgent });
+    } catch (error) {
+      if (error.cause instanceof UrlBlockedError) {
+        throw new UrlBlockedError(currentUrl, error.cause.reason);
+      }
+      throw error;
+    }
+    const location = response.headers?.location;
+    if (response.status < 300 || response.status >= 400 || !location) {
+      return { response, redirects };
+    }
+
+    // Only the final response is read
+    response.data?.destroy?.();
+
+    if (redirects.length >= maxRedirects) {
+      const error = new Error(`More than ${maxRedirects} redirects`);
+      error.code = 'ERR_FR_TOO_MANY_REDIRECTS';
+      throw error;
+    }
+
+    const next = new URL(location, currentUrl).href;
+    redirects.push({ url: currentUrl, status: response.status, location: next });
+    currentUrl = next;
+  }
+}
+
+// dns.lookup for the request agents: fails with UrlBlockedError when the host resolves to a blocked
+// address, so the socket never connects to it. Accepts both the single-address and `all` forms.
+function checkedLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    if (!isAllowedHost(hostname.toLowerCase(), getPolicy())) {
+      const addresses = Array.isArray(address) ? address.map(entry => entry.address) : [address];
+      for (const resolved of addresses) {
+        const reason = blockedReason(resolved);
+        if (reason) {
+          return callback(new UrlBlockedError(hostname, `${hostname} is a ${reason} (${resolved})`));
+        }
+      }
+    }
+    callback(null, address, family);
+  });
+}
+
+const httpAgent = new http.Agent({ lookup: checkedLookup });
+const httpsAgent = new https.Agent({ lookup: checkedLookup });
+
+function isAllowedHost(hostname, policy) {
+  return policy.allowHosts.some(pattern => matchesHostname(hostname, pattern));
+}
+
+function blockedReason(address) {
+  const type = net.isIPv6(address) ? 'ipv6' : 'ipv4';
+  return BLOCKED_RANGES.find(({ list }) => list.check(address, type))?.reason || null;
+}
+
+// Policy settings from the environment, read on each check
+function getPolicy() {
+  return {
+    schemes: parseList(process.env.URL_ALLOWED_SCHEMES, DEFAULT_SCHEMES).map(scheme => scheme.toLowerCase()),
+    ports: parseList(process.env.URL_ALLOWED_PORTS, DEFAULT_PORTS).map(Number),
+    allowHosts: parseList(process.env.URL_ALLOW_HOSTS, []),
+    denyHosts: parseList(process.env.URL_DENY_HOSTS, [])
+  };
+}
+
+function parseList(value, fallback) {
+  if (!value) return fallback;
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
@@ -1,7 +1,9 @@
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import { fetchBlog, analyzeBlog, applyBlogChanges } from './controllers/blogController.js';
+import { fetchBlog, testSiteRule, analyzeBlog, applyBlogChanges } from './controllers/blogController.js';
+import { analyzeBlogStream, submitAnalyzeJob, submitApplyJob, getJobStatus, cancelJobRequest, streamJobEvents } from './controllers/jobController.js';
+import { listPosts, getPost, deletePost, setDraft, getAnalysis, saveDecisions, deleteAnalysis, getRun, deleteRun } from './controllers/storageController.js';
 
 dotenv.config();
 
@@ -18,9 +20,29 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.post('/api/fetch-blog', fetchBlog);
+app.post('/api/site-rules/test', testSiteRule);
 app.post('/api/analyze-blog', analyzeBlog);
+app.post('/api/analyze-blog/stream', analyzeBlogStream);
 app.post('/api/apply-changes', applyBlogChanges);
 
+// Background jobs (analysis / apply) with polling, event streaming and cancellation
+app.post('/api/jobs/analyze', submitAnalyzeJob);
+app.post('/api/jobs/apply', submitApplyJob);
+app.get('/api/jobs/:id', getJobStatus);
+app.get('/api/jobs/:id/events', streamJobEvents);
+app.post('/api/jobs/:id/cancel', cancelJobRequest);
+
+// Saved posts, analyses (with proposal decisions) and refresh runs
+app.get('/api/posts', listPosts);
+app.get('/api/posts/:id', getPost);
+app.delete('/api/posts/:id', deletePost);
+app.put('/api/posts/:id/draft', setDraft);
+app.get('/api/analyses/:id', getAnalysis);
+app.put('/api/analyses/:id/decisions', saveDecisions);
+app.delete('/api/analyses/:id', deleteAnalysis);
+app.get('/api/runs/:id', getRun);
+app.delete('/api/runs/:id', deleteRun);
+
 
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
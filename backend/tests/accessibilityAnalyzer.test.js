@@ -0,0 +1,152 @@
+import * as cheerio from 'cheerio';
+import { auditAccessibility, applyAccessibilityFixes } from '../src/helpers/accessibilityAnalyzer.js';
+
+const occurrencesOf = (audit, check) => audit.issues.find(issue => issue.check === check)?.occurrences || [];
+
+// Approve every occurrence of the audit, as the approval screen would
+const approveAll = audit => audit.issues.map(issue => ({
+  type: 'accessibility',
+  occurrences: issue.occurrences.map(occurrence => ({ ...occurrence, approved: true }))
+}));
+
+describe('Accessibility Analyzer', () => {
+  describe('auditAccessibility', () => {
+    it('should find nothing in an accessible post', () => {
+      const audit = auditAccessibility(`
+        <h2>Setup</h2><h3>Install</h3>
+        <p>Read the <a href="https://nodejs.org/en/docs">Node documentation</a>.</p>
+        <img src="chart.png" alt="Latency chart"><img src="divider.png" alt="">
+        <table><tr><th>Name</th></tr><tr><td>A</td></tr></table>
+        <iframe src="https://www.youtube.com/embed/abc" title="Demo video"></iframe>
+      `);
+
+      expect(audit.issues).toEqual([]);
+    });
+
+    it('should suggest alt text from captions, titles and file names', () => {
+      const audit = auditAccessibility(`
+        <figure><img src="a.png"><figcaption>Requests per second by cache size</figcaption></figure>
+        <img src="b.png" title="Architecture diagram">
+        <img src="/uploads/redis-cluster_setup.jpg?w=800">
+        <img src="IMG_1234.jpg">
+      `);
+
+      expect(occurrencesOf(audit, 'image-alt').map(o => o.fix)).toEqual([
+        { attribute: 'alt', value: 'Requests per second by cache size' },
+        { attribute: 'alt', value: 'Architecture diagram' },
+        { attribute: 'alt', value: 'Redis cluster setup' },
+        null
+      ]);
+      expect(occurrencesOf(audit, 'image-alt')[3]).toMatchObject({
+        id: 'a11y-image-alt-3',
+        target: { kind: 'image', index: 3, key: 'IMG_1234.jpg' },
+        evidence: '<img src="IMG_1234.jpg">',
+        description: 'No caption or descriptive file name to use - describe this image by hand'
+      });
+    });
+
+    it('should flag empty, "click here" and low-information links', () => {
+      const audit = auditAccessibility(`
+        <a href="https://github.com/acme/cache-kit"><img src="logo.svg" alt=""></a>
+        <a href="https://nodejs.org/en/getting-started">click here</a>
+        <a href="/posts/redis-caching">Read more</a>
+        <a href="https://example.com/page">https://example.com/page</a>
+        <a href="/posts/redis-caching" aria-label="Read more about Redis caching">Read more</a>
+        <a href="mailto:team@example.com">here</a>
+        <a href="#top">here</a>
+      `);
+
+      expect(occurrencesOf(audit, 'empty-link')).toEqual([expect.objectContaining({
+        evidence: '<a href="https://github.com/acme/cache-kit"></a>',
+        fix: { attribute: 'aria-label', value: 'Cache kit (github.com)' }
+      })]);
+      expect(occurrencesOf(audit, 'click-here-link').map(o => o.fix.value)).toEqual([
+        'click here: Getting started (nodejs.org)'
+      ]);
+      expect(occurrencesOf(audit, 'low-information-link').map(o => o.fix.value)).toEqual([
+        'Read more: Redis caching',
+        'Page (example.com)'
+      ]);
+    });
+
+    it('should flag skipped heading levels', () => {
+      const audit = auditAccessibility('<h2>Intro</h2><h4>Details</h4>');
+
+      expect(occurrencesOf(audit, 'heading-skips')).toEqual([expect.objectContaining({
+        target: { kind: 'heading', index: 1, key: 'Details' },
+        evidence: '<h4>Details</h4>',
+        description: 'Change H4 to H3',
+        fix: { rename: 'h3' }
+      })]);
+    });
+
+    it('should flag tables without header cells', () => {
+      const audit = auditAccessibility(`
+        <table><tr><td>Plan</td><td>Price</td></tr><tr><td>Pro</td><td>$10</td></tr></table>
+        <table><tr><td>Only row</td></tr></table>
+      `);
+
+      expect(occurrencesOf(audit, 'table-headers').map(o => o.fix)).toEqual([{ headerRow: true }, null]);
+    });
+
+    it('should title iframes by their embed host', () => {
+      const audit = auditAccessibility(`
+        <iframe src="https://www.youtube.com/embed/abc"></iframe>
+        <iframe src="https://www.google.com/maps/embed?pb=1" title=" "></iframe>
+        <iframe src="https://widgets.example.com/chart"></iframe>
+      `);
+
+      expect(occurrencesOf(audit, 'iframe-title').map(o => o.fix.value)).toEqual([
+        'YouTube video',
+        'Google Map',
+        'Embedded content from widgets.example.com'
+      ]);
+    });
+
+    it('should group occurrences into one issue per check', () => {
+      const audit = auditAccessibility('<img src="a.png"><img src="b.png"><a href="/x">here</a>');
+
+      expect(audit.issues.map(issue => [issue.check, issue.severity, issue.occurrences.length])).toEqual([
+        ['image-alt', 'high', 2],
+        ['click-here-link', 'medium', 1]
+      ]);
+    });
+  });
+
+  describe('applyAccessibilityFixes', () => {
+    it('should apply approved fixes in place', () => {
+      const content = `<h2>Intro</h2><h4>Details</h4><img src="/img/team-offsite.png"><a href="/posts/setup-guide">here</a><table><tr><td>Plan</td></tr><tr><td>Pro</td></tr></table><iframe src="https://vimeo.com/1"></iframe>`;
+      const $ = cheerio.load(content, null, false);
+
+      applyAccessibilityFixes($, approveAll(auditAccessibility(content)));
+
+      expect($.html()).toBe(
+        '<h2>Intro</h2><h3>Details</h3><img src="/img/team-offsite.png" alt="Team offsite">' +
+        '<a href="/posts/setup-guide" aria-label="here: Setup guide">here</a>' +
+        '<table><tbody><tr><th scope="col">Plan</th></tr><tr><td>Pro</td></tr></tbody></table>' +
+        '<iframe src="https://vimeo.com/1" title="Vimeo video"></iframe>'
+      );
+    });
+
+    it('should skip occurrences that are not approved or have no fix', () => {
+      const content = '<img src="one-chart.png"><img src="IMG_1.jpg">';
+      const audit = auditAccessibility(content);
+      const $ = cheerio.load(content, null, false);
+
+      applyAccessibilityFixes($, [{
+        type: 'accessibility',
+        occurrences: audit.issues[0].occurrences.map(occurrence => ({ ...occurrence, approved: occurrence.fix === null }))
+      }]);
+
+      expect($.html()).toBe(content);
+    });
+
+    it('should refuse to edit an element that no longer matches the analysis', () => {
+      const audit = auditAccessibility('<img src="chart-one.png">');
+      const $ = cheerio.load('<img src="other-chart.png">', null, false);
+
+      expect(() => applyAccessibilityFixes($, approveAll(audit)))
+        .toThrow('Image 0 no longer matches "chart-one.png" - re-analyze the post before applying changes');
+    });
+  });
+});
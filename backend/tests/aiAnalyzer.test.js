@@ -13,7 +13,8 @@ jest.unstable_mockModule('@google/genai', () => ({
 }));
 
 // Import after mocking
-const { analyzeStructure, generateProposals, applyChanges } = await import('../src/helpers/aiAnalyzer.js');
+const { analyzeStructure, suggestAccessibleText, suggestReplacementSources, generateProposals, applyChanges, findInvalidLinkFixes } = await import('../src/helpers/aiAnalyzer.js');
+const { auditAccessibility } = await import('../src/helpers/accessibilityAnalyzer.js');
 
 describe('AI Analyzer', () => {
   beforeEach(() => {
@@ -61,7 +62,8 @@ describe('AI Analyzer', () => {
             rationale: 'These sections flow better together',
             confidenceLevel: 'high'
           }
-        ]
+        ],
+        analysisStatus: 'ok'
       });
     });
 
@@ -137,8 +139,61 @@ describe('AI Analyzer', () => {
         needsRestructuring: false,
         currentSectionCount: 3,
         restructuringReason: 'Unable to parse AI response',
-        suggestions: []
+        suggestions: [],
+        analysisStatus: 'failed',
+        analysisErrors: ['(root): no JSON object found in response']
       });
+      // One original request plus one repair attempt
+      expect(mockGenerateContent).toHaveBeenCalledTimes(2);
+    });
+
+    it('should send validation errors back to the model and use the repaired response', async () => {
+      mockGenerateContent
+        .mockResolvedValueOnce({
+          text: JSON.stringify({
+            needsRestructuring: true,
+            restructuringReason: 'Overlapping sections',
+            suggestions: [
+              { action: 'combine', affectedSections: [0, 1], rationale: 'Same topic', confidenceLevel: 'high' }
+            ]
+          })
+        })
+        .mockResolvedValueOnce({
+          text: JSON.stringify({
+            needsRestructuring: true,
+            restructuringReason: 'Overlapping sections',
+            suggestions: [
+              { action: 'merge', affectedSections: [0, 1], rationale: 'Same topic', confidenceLevel: 'high' }
+            ]
+          })
+        });
+
+      const result = await analyzeStructure(mockSections, 'Test Blog');
+
+      expect(mockGenerateContent).toHaveBeenCalledTimes(2);
+      const repairPrompt = mockGenerateContent.mock.calls[1][0].contents;
+      expect(repairPrompt).toContain('/suggestions/0/action: must be equal to one of the allowed values');
+      expect(result.analysisStatus).toBe('ok');
+      expect(result.suggestions).toHaveLength(1);
+      expect(result.suggestions[0].action).toBe('merge');
+    });
+
+    it('should report a failed analysis when the repaired response is still invalid', async () => {
+      mockGenerateContent.mockResolvedValue({
+        text: JSON.stringify({
+          needsRestructuring: true,
+          restructuringReason: 'Overlapping sections',
+          suggestions: [
+            { action: 'merge', affectedSections: [0, 7], rationale: 'Same topic', confidenceLevel: 'high' }
+          ]
+        })
+      });
+
+      const result = await analyzeStructure(mockSections, 'Test Blog');
+
+      expect(result.analysisStatus).toBe('failed');
+      expect(result.suggestions).toEqual([]);
+      expect(result.analysisErrors).toEqual(['/suggestions/0/affectedSections/1: must be <= 2']);
     });
 
     it('should handle API errors', async () => {
@@ -191,6 +246,187 @@ describe('AI Analyzer', () => {
       expect(result.suggestions).toHaveLength(1);
       expect(result.suggestions[0].confidenceLevel).toBe('medium');
     });
+
+    it('should describe nested and pseudo-sections in the prompt', async () => {
+      mockGenerateContent.mockResolvedValue({
+        text: JSON.stringify({ needsRestructuring: false, restructuringReason: 'Fine', suggestions: [] })
+      });
+
+      await analyzeStructure([
+        { id: 'section-0', heading: 'Setup', level: 2, depth: 0, parentId: null },
+        { id: 'section-1', heading: 'Install', level: 3, depth: 1, parentId: 'section-0' }
+      ], 'Test Blog');
+      const nestedPrompt = mockGenerateContent.mock.calls[0][0].contents;
+      expect(nestedPrompt).toContain('0. "Setup" (H2)\n1.   "Install" (H3)');
+
+      await analyzeStructure([
+        { id: 'section-0', heading: 'First words…', level: 2, depth: 0, parentId: null, pseudo: true },
+        { id: 'section-1', heading: 'More words…', level: 2, depth: 0, parentId: null, pseudo: true }
+      ], 'Test Blog');
+      const pseudoPrompt = mockGenerateContent.mock.calls[1][0].contents;
+      expect(pseudoPrompt).toContain('0. [paragraphs] "First words…"');
+      expect(pseudoPrompt).toContain('The post has no headings');
+    });
+
+    it('should drop suggestions with the wrong number of sections for their action', async () => {
+      mockGenerateContent.mockResolvedValue({
+        text: JSON.stringify({
+          needsRestructuring: true,
+          restructuringReason: 'Mixed suggestions',
+          suggestions: [
+            { action: 'merge', affectedSections: [0], rationale: 'Too few', confidenceLevel: 'high' },
+            { action: 'remove', affectedSections: [1, 2], rationale: 'Too many', confidenceLevel: 'high' },
+            { action: 'remove', affectedSections: [2], rationale: 'Filler section', confidenceLevel: 'high' }
+          ]
+        })
+      });
+
+      const result = await analyzeStructure(mockSections, 'Test Blog');
+
+      expect(result.suggestions).toEqual([
+        { action: 'remove', affectedSections: [2], rationale: 'Filler section', confidenceLevel: 'high' }
+      ]);
+      expect(result.needsRestructuring).toBe(true);
+    });
+
+    it('should drop suggestions that touch a section already covered by an earlier one', async () => {
+      mockGenerateContent.mockResolvedValue({
+        text: JSON.stringify({
+          needsRestructuring: true,
+          restructuringReason: 'Overlapping suggestions',
+          suggestions: [
+            { action: 'merge', affectedSections: [0, 1], newHeading: 'Intro', rationale: 'Overlap', confidenceLevel: 'high' },
+            { action: 'rewrite', affectedSections: [1], rationale: 'Vague heading', confidenceLevel: 'high' }
+          ]
+        })
+      });
+
+      const result = await analyzeStructure(mockSections, 'Test Blog');
+
+      expect(result.suggestions).toHaveLength(1);
+      expect(result.suggestions[0].action).toBe('merge');
+    });
+  });
+
+  describe('suggestAccessibleText', () => {
+    const content = `
+      <h2>Our offsite</h2>
+      <p>We spent a week in Lisbon. <img src="IMG_1.jpg"></p>
+      <p>For the agenda, <a href="https://example.com/agenda">click here</a>.</p>
+    `;
+
+    it('should ask for alt text and link text with their context', async () => {
+      mockGenerateContent.mockResolvedValue({
+        text: JSON.stringify({
+          suggestions: [
+            { id: 'text-0', text: 'The team on a rooftop in Lisbon' },
+            { id: 'text-1', text: 'see the full offsite agenda' }
+          ]
+        })
+      });
+
+      const result = await suggestAccessibleText(content, auditAccessibility(content));
+
+      const prompt = mockGenerateContent.mock.calls[0][0].contents;
+      expect(prompt).toContain('text-0 (alt-text):\n  - Image: IMG_1.jpg\n  - Under heading: "Our offsite"');
+      expect(prompt).toContain('- Current text: "click here"');
+      expect(prompt).toContain('- Sentence: "For the agenda, click here."');
+
+      expect(result.status).toBe('ok');
+      expect(result.suggestions).toEqual([
+        expect.objectContaining({
+          id: 'text-0',
+          kind: 'alt-text',
+          target: { kind: 'image', index: 0, key: 'IMG_1.jpg' },
+          current: null,
+          suggested: 'The team on a rooftop in Lisbon'
+        }),
+        expect.objectContaining({
+          id: 'text-1',
+          kind: 'link-text',
+          target: { kind: 'link', index: 0, key: 'https://example.com/agenda' },
+          current: 'click here',
+          sentence: 'For the agenda, click here.',
+          suggested: 'see the full offsite agenda'
+        })
+      ]);
+    });
+
+    it('should ignore unknown ids, duplicates and unchanged text', async () => {
+      mockGenerateContent.mockResolvedValue({
+        text: JSON.stringify({
+          suggestions: [
+            { id: 'text-7', text: 'Made up' },
+            { id: 'text-1', text: 'click here' },
+            { id: 'text-0', text: 'Lisbon rooftop' },
+            { id: 'text-0', text: 'Second try' }
+          ]
+        })
+      });
+
+      const result = await suggestAccessibleText(content, auditAccessibility(content));
+
+      expect(result.suggestions.map(s => [s.id, s.suggested])).toEqual([['text-0', 'Lisbon rooftop']]);
+    });
+
+    it('should report unusable responses as failed', async () => {
+      mockGenerateContent.mockResolvedValue({ text: '{"suggestions": [{"id": "text-0"}]}' });
+
+      const result = await suggestAccessibleText(content, auditAccessibility(content));
+
+      expect(result).toEqual({
+        suggestions: [],
+        status: 'failed',
+        errors: ["/suggestions/0: must have required property 'text'"]
+      });
+    });
+
+    it('should not call the AI when nothing needs text', async () => {
+      const clean = '<p><img src="a.png" alt="A chart"> <a href="/docs">Setup docs</a></p>';
+
+      const result = await suggestAccessibleText(clean, auditAccessibility(clean));
+
+      expect(result).toEqual({ suggestions: [], status: 'skipped' });
+      expect(mockGenerateContent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('suggestReplacementSources', () => {
+    const brokenLinks = [
+      { id: 'link-0', url: 'https://old.example.com/redis-guide', text: 'Redis guide', sentence: 'Start with the Redis guide.' },
+      { id: 'link-3', url: 'https://gone.example.com', text: 'benchmarks' }
+    ];
+
+    it('should ask for sources with each link\'s text and sentence', async () => {
+      mockGenerateContent.mockResolvedValue({
+        text: JSON.stringify({
+          replacements: [
+            { id: 'link-0', url: 'https://redis.io/docs/latest/', title: 'Redis docs' },
+            { id: 'link-3', url: 'https://gone.example.com' },
+            { id: 'link-9', url: 'https://made-up.example.com' }
+          ]
+        })
+      });
+
+      const result = await suggestReplacementSources(brokenLinks, 'Caching with Redis');
+
+      const prompt = mockGenerateContent.mock.calls[0][0].contents;
+      expect(prompt).toContain('link-0:\n  - URL: https://old.example.com/redis-guide\n  - Link text: "Redis guide"\n  - Sentence: "Start with the Redis guide."');
+      expect(prompt).toContain('link-3:\n  - URL: https://gone.example.com\n  - Link text: "benchmarks"');
+      // Unknown ids and the broken URL itself are dropped
+      expect(result).toEqual({ 'link-0': [{ url: 'https://redis.io/docs/latest/', title: 'Redis docs' }] });
+    });
+
+    it('should return no sources for an unusable response', async () => {
+      mockGenerateContent.mockResolvedValue({ text: 'not json' });
+
+      expect(await suggestReplacementSources(brokenLinks, 'Post')).toEqual({});
+    });
+
+    it('should not call the AI without broken links', async () => {
+      expect(await suggestReplacementSources([], 'Post')).toEqual({});
+      expect(mockGenerateContent).not.toHaveBeenCalled();
+    });
   });
 
   describe('generateProposals', () => {
@@ -200,6 +436,158 @@ describe('AI Analyzer', () => {
       { heading: 'Section 3', content: 'Content 3' }
     ];
 
+    it('should generate one outdated-content proposal with per-occurrence evidence', () => {
+      const findings = [
+        { id: 'stale-0', kind: 'past-year', match: '2019', sentence: 'In 2019 the latest is X.', sectionIndex: 1, reason: 'Presents 2019 as current' },
+        { id: 'stale-1', kind: 'deprecated', match: 'Google+', sentence: 'Share it on Google+.', sectionIndex: null, reason: 'Google+ was shut down' }
+      ];
+
+      const proposals = generateProposals(mockSections, [], { needsRestructuring: false, suggestions: [] }, findings);
+
+      expect(proposals).toHaveLength(1);
+      expect(proposals[0]).toMatchObject({
+        id: 'proposal-outdated',
+        type: 'outdated-content',
+        title: 'Update Outdated Information',
+        description: 'Found 2 statements that may be out of date.',
+        approved: false
+      });
+      expect(proposals[0].occurrences).toEqual([
+        { ...findings[0], section: 'Section 2', approved: false },
+        { ...findings[1], section: null, approved: false }
+      ]);
+    });
+
+    it('should generate one seo proposal per audit issue', () => {
+      const seoAudit = {
+        score: 77,
+        skipped: [],
+        issues: [
+          { id: 'seo-meta-description', check: 'meta-description', severity: 'high', message: 'The page has no meta description', recommendation: 'Add a meta description', fix: 'manual', weight: 15, details: {} },
+          { id: 'seo-h1-count', check: 'h1-count', severity: 'medium', message: 'The post has 2 H1 headings', recommendation: 'Keep a single H1', fix: 'deterministic', weight: 8, details: { count: 2 } }
+        ]
+      };
+
+      const proposals = generateProposals(mockSections, [], { needsRestructuring: false, suggestions: [] }, [], seoAudit);
+
+      expect(proposals).toHaveLength(2);
+      expect(proposals[0]).toEqual({
+        id: 'proposal-seo-meta-description',
+        type: 'seo',
+        check: 'meta-description',
+        severity: 'high',
+        title: 'The page has no meta description',
+        description: 'Add a meta description',
+        rationale: expect.any(String),
+        fix: 'manual',
+        weight: 15,
+        details: {},
+        approved: false
+      });
+      expect(proposals[1]).toMatchObject({ id: 'proposal-seo-h1-count', severity: 'medium', fix: 'deterministic', weight: 8 });
+    });
+
+    it('should generate one accessibility proposal per check with approvable occurrences', () => {
+      const accessibilityAudit = {
+        issues: [{
+          check: 'image-alt',
+          severity: 'high',
+          title: 'Add Missing Alt Text',
+          rationale: 'Screen readers need it.',
+          occurrences: [
+            { id: 'a11y-image-alt-0', target: { kind: 'image', index: 0, key: 'a.png' }, evidence: '<img src="a.png">', description: 'Set alt="A"', fix: { attribute: 'alt', value: 'A' } },
+            { id: 'a11y-image-alt-1', target: { kind: 'image', index: 1, key: 'b.png' }, evidence: '<img src="b.png">', description: 'Describe by hand', fix: null }
+          ]
+        }]
+      };
+
+      const proposals = generateProposals(mockSections, [], { needsRestructuring: false, suggestions: [] }, [], null, accessibilityAudit);
+
+      expect(proposals).toHaveLength(1);
+      expect(proposals[0]).toMatchObject({
+        id: 'proposal-a11y-image-alt',
+        type: 'accessibility',
+        check: 'image-alt',
+        severity: 'high',
+        title: 'Add Missing Alt Text',
+        description: 'Found 2 elements to fix.',
+        rationale: 'Screen readers need it.',
+        approved: false
+      });
+      expect(proposals[0].occurrences).toEqual(
+        accessibilityAudit.issues[0].occurrences.map(occurrence => ({ ...occurrence, approved: false }))
+      );
+    });
+
+    it('should generate alt-text and link-text proposals with one occurrence per suggestion', () => {
+      const textSuggestions = [
+        { id: 'text-0', kind: 'alt-text', suggested: 'A chart' },
+        { id: 'text-1', kind: 'link-text', current: 'here', suggested: 'the setup guide' },
+        { id: 'text-2', kind: 'link-text', current: 'more', suggested: 'pricing details' }
+      ];
+
+      const proposals = generateProposals(mockSections, [], { needsRestructuring: false, suggestions: [] }, [], null, null, textSuggestions);
+
+      expect(proposals.map(p => [p.id, p.type, p.description])).toEqual([
+        ['proposal-alt-text', 'alt-text', 'AI suggested new text for 1 image.'],
+        ['proposal-link-text', 'link-text', 'AI suggested new text for 2 links.']
+      ]);
+      expect(proposals[1].occurrences).toEqual([
+        { ...textSuggestions[1], approved: false },
+        { ...textSuggestions[2], approved: false }
+      ]);
+    });
+
+    it('should give each image without alt text one proposal to fix it', () => {
+      const image = index => ({ kind: 'image', index, key: `${index}.png` });
+      const seoAudit = {
+        score: 92,
+        skipped: [],
+        issues: [{ id: 'seo-image-alt', check: 'image-alt', severity: 'medium', message: '2 images have no alt attribute', recommendation: 'Describe each image', fix: 'accessibility', weight: 8, details: {} }]
+      };
+      const accessibilityAudit = {
+        issues: [{
+          check: 'image-alt',
+          severity: 'high',
+          title: 'Add Missing Alt Text',
+          rationale: 'Screen readers need it.',
+          occurrences: [
+            { id: 'a11y-image-alt-0', target: image(0), description: 'Set alt="Chart"', fix: { attribute: 'alt', value: 'Chart' } },
+            { id: 'a11y-image-alt-1', target: image(1), description: 'Describe by hand', fix: null }
+          ]
+        }]
+      };
+      const textSuggestions = [{ id: 'text-0', kind: 'alt-text', target: image(1), suggested: 'Team at the offsite' }];
+
+      const proposals = generateProposals(mockSections, [], { needsRestructuring: false, suggestions: [] }, [], seoAudit, accessibilityAudit, textSuggestions);
+
+      // No SEO proposal rewrites the post for alt text; the element proposals clear the SEO issue instead
+      expect(proposals.map(p => p.id)).toEqual(['proposal-a11y-image-alt', 'proposal-alt-text']);
+      expect(proposals[0].occurrences.map(o => o.id)).toEqual(['a11y-image-alt-0']);
+      expect(proposals[1].occurrences.map(o => o.id)).toEqual(['text-0']);
+      proposals.forEach(proposal => {
+        expect(proposal.resolvesSeoIssue).toEqual({ id: 'seo-image-alt', weight: 8 });
+      });
+    });
+
+    it('should leave out accessibility proposals whose every element has an AI suggestion', () => {
+      const accessibilityAudit = {
+        issues: [{
+          check: 'click-here-link',
+          severity: 'medium',
+          title: 'Describe "Click Here" Links',
+          rationale: 'Out of context it says nothing.',
+          occurrences: [{ id: 'a11y-click-here-link-0', target: { kind: 'link', index: 2, key: '/setup' }, fix: { attribute: 'aria-label', value: 'here: Setup' } }]
+        }]
+      };
+      const textSuggestions = [{ id: 'text-0', kind: 'link-text', target: { kind: 'link', index: 2, key: '/setup' }, suggested: 'the setup guide' }];
+
+      const proposals = generateProposals(mockSections, [], { needsRestructuring: false, suggestions: [] }, [], null, accessibilityAudit, textSuggestions);
+
+      expect(proposals.map(p => p.id)).toEqual(['proposal-link-text']);
+      expect(proposals[0].resolvesSeoIssue).toBeUndefined();
+    });
+
     it('should generate link fix proposals for broken links', () => {
       const linkEvals = [
         { id: 'link-1', url: 'https://broken.com', working: false, text: 'Broken Link' },
@@ -217,12 +605,48 @@ describe('AI Analyzer', () => {
       expect(proposals[0]).toMatchObject({
         type: 'link-fixes',
         title: 'Fix Broken Links',
-        description: 'Found 1 broken or inaccessible links that should be updated or removed.',
-        affectedLinks: [linkEvals[0]],
+        description: 'Found 1 broken or inaccessible link(s) to review one by one.',
+        affectedLinks: [{ ...linkEvals[0], approved: false }],
         approved: false
       });
     });
 
+    it('should propose updating links that permanently redirect', () => {
+      const linkEvals = [
+        { id: 'link-0', url: 'http://a.com', working: true, finalUrl: 'https://a.com/', permanentRedirect: true },
+        { id: 'link-1', url: 'https://b.com/x', working: true, finalUrl: 'https://b.com/y', permanentRedirect: false },
+        { id: 'link-2', url: 'https://c.com/old', working: false, finalUrl: 'https://c.com/', permanentRedirect: true, softNotFound: true }
+      ];
+
+      const proposals = generateProposals(mockSections, linkEvals, { needsRestructuring: false, suggestions: [] });
+
+      expect(proposals.map(p => p.type)).toEqual(['link-fixes', 'redirect-updates']);
+      expect(proposals[1]).toMatchObject({
+        id: 'proposal-redirects',
+        title: 'Update Redirected Links',
+        description: 'Found 1 link(s) that permanently redirect to a new address.',
+        affectedLinks: [{ id: 'link-0', finalUrl: 'https://a.com/', approved: false }]
+      });
+    });
+
+    it('should default each broken link to its first replacement candidate, or to unlinking', () => {
+      const candidate = { source: 'archive', url: 'https://web.archive.org/web/2019/https://a.com', label: 'Archived copy' };
+      const linkEvals = [
+        { id: 'link-0', url: 'https://a.com', working: false, candidates: [candidate] },
+        { id: 'link-1', url: 'https://b.com', working: false, candidates: [] },
+        { id: 'link-2', url: 'https://c.com', working: false }
+      ];
+
+      const [proposal] = generateProposals(mockSections, linkEvals, { needsRestructuring: false, suggestions: [] });
+
+      expect(proposal.affectedLinks.map(({ action, replacementUrl }) => [action, replacementUrl])).toEqual([
+        ['replace', candidate.url],
+        ['unlink', null],
+        ['unlink', null]
+      ]);
+      expect(proposal.affectedLinks[2].candidates).toEqual([]);
+    });
+
     it('should generate structure proposals for high/medium confidence suggestions', () => {
       const linkEvals = [];
       const structureAnalysis = {
@@ -344,6 +768,64 @@ describe('AI Analyzer', () => {
       expect(proposals[0].id).toBe('proposal-links');
       expect(proposals[1].id).toBe('proposal-structure-0');
     });
+
+    it('should word each structure action differently', () => {
+      const structureAnalysis = {
+        needsRestructuring: true,
+        suggestions: [
+          { action: 'merge', affectedSections: [0, 1], rationale: 'Overlap', confidenceLevel: 'high' },
+          { action: 'rewrite', affectedSections: [2], newHeading: 'Wrapping Up', rationale: 'Vague', confidenceLevel: 'high' }
+        ]
+      };
+
+      const proposals = generateProposals(mockSections, [], structureAnalysis);
+
+      expect(proposals[0]).toMatchObject({
+        title: 'Merge: Section 1 + Section 2',
+        description: 'Merge "Section 1" and "Section 2" into a single section'
+      });
+      expect(proposals[1]).toMatchObject({
+        title: 'Rewrite: Section 3',
+        description: 'Rewrite "Section 3" under the heading "Wrapping Up", keeping all of its information'
+      });
+    });
+
+    it('should create single-section remove and keep proposals', () => {
+      const structureAnalysis = {
+        needsRestructuring: true,
+        suggestions: [
+          { action: 'remove', affectedSections: [1], rationale: 'Off-topic', confidenceLevel: 'high' },
+          { action: 'keep', affectedSections: [2], rationale: 'Already clear', confidenceLevel: 'medium' }
+        ]
+      };
+
+      const proposals = generateProposals(mockSections, [], structureAnalysis);
+
+      expect(proposals).toHaveLength(2);
+      expect(proposals[0]).toMatchObject({
+        action: 'remove',
+        title: 'Remove: Section 2',
+        description: 'Remove the "Section 2" section and its content from the post',
+        affectedSections: [1]
+      });
+      expect(proposals[1]).toMatchObject({
+        action: 'keep',
+        title: 'Keep: Section 3',
+        description: 'Keep "Section 3" exactly as it is',
+        affectedSections: [2]
+      });
+    });
+
+    it('should skip rewrites that target more than one section', () => {
+      const structureAnalysis = {
+        needsRestructuring: true,
+        suggestions: [
+          { action: 'rewrite', affectedSections: [0, 1], rationale: 'Both vague', confidenceLevel: 'high' }
+        ]
+      };
+
+      expect(generateProposals(mockSections, [], structureAnalysis)).toHaveLength(0);
+    });
   });
 
   describe('applyChanges', () => {
@@ -373,11 +855,101 @@ describe('AI Analyzer', () => {
 
       const result = await applyChanges(originalContent, approvedProposals, originalSections);
 
-      expect(result).toContain('href="#"');
-      expect(result).toContain('class="broken-link-removed"');
+      // Without a chosen action the link is unlinked and its text kept
+      expect(result).not.toContain('href="https://broken.com"');
+      expect(result).toContain('Broken Link');
+    });
+
+    it('should replace, unlink or remove the sentence of each broken link', async () => {
+      const content = '<p>Intro. See <a href="https://old.com/guide">the <b>guide</b></a> for details. More text.</p>' +
+        '<p>Read <a href="https://gone.com">this</a> first.</p>' +
+        '<p>Docs are <a href="https://dead.com">here</a>.</p>';
+      const approvedProposals = [{
+        type: 'link-fixes',
+        affectedLinks: [
+          { id: 'link-0', url: 'https://old.com/guide', action: 'remove-sentence' },
+          { id: 'link-1', url: 'https://gone.com', action: 'replace', replacementUrl: 'https://web.archive.org/web/2019/https://gone.com' },
+          { id: 'link-2', url: 'https://dead.com', action: 'unlink' }
+        ]
+      }];
+
+      const result = await applyChanges(content, approvedProposals, []);
+
+      expect(mockGenerateContent).not.toHaveBeenCalled();
+      expect(result).toContain('<p>Intro. More text.</p>');
+      expect(result).toContain('<p>Read <a href="https://web.archive.org/web/2019/https://gone.com">this</a> first.</p>');
+      expect(result).toContain('<p>Docs are here.</p>');
+    });
+
+    it('should point approved redirected links at their final URL alongside broken link fixes', async () => {
+      const content = '<p><a href="https://gone.com">gone</a> <a href="http://moved.com/a">moved</a> <a href="http://moved.com/b">b</a></p>';
+      const approvedProposals = [
+        { type: 'link-fixes', affectedLinks: [{ id: 'link-0', url: 'https://gone.com', action: 'unlink', approved: true }] },
+        {
+          type: 'redirect-updates',
+          affectedLinks: [
+            { id: 'link-1', url: 'http://moved.com/a', finalUrl: 'https://moved.com/new-a', approved: true },
+            { id: 'link-2', url: 'http://moved.com/b', finalUrl: 'https://moved.com/new-b', approved: false }
+          ]
+        }
+      ];
+
+      const result = await applyChanges(content, approvedProposals, []);
+
+      expect(result).toContain('<p>gone <a href="https://moved.com/new-a">moved</a> <a href="http://moved.com/b">b</a></p>');
     });
 
-    it('should apply structure changes with AI', async () => {
+    it('should leave ignored links alone and write manually typed replacements', async () => {
+      const content = '<p><a href="https://a.com">a</a> <a href="https://b.com">b</a></p>';
+      const approvedProposals = [{
+        type: 'link-fixes',
+        affectedLinks: [
+          { id: 'link-0', url: 'https://a.com', action: 'unlink', approved: false },
+          { id: 'link-1', url: 'https://b.com', action: 'replace', replacementUrl: 'https://b.example.org/new-home', approved: true }
+        ]
+      }];
+
+      const result = await applyChanges(content, approvedProposals, []);
+
+      expect(result).toContain('<p><a href="https://a.com">a</a> <a href="https://b.example.org/new-home">b</a></p>');
+    });
+
+    it('should reject a replacement that is not an http(s) URL', async () => {
+      const approvedProposals = [{
+        type: 'link-fixes',
+        affectedLinks: [{ id: 'link-0', url: 'https://a.com', action: 'replace', replacementUrl: 'javascript:alert(1)', approved: true }]
+      }];
+
+      await expect(applyChanges('<p><a href="https://a.com">a</a></p>', approvedProposals, []))
+        .rejects.toThrow('Replacement for https://a.com is not an http(s) URL: "javascript:alert(1)"');
+    });
+
+    it('should drop a paragraph left empty by removing its only sentence', async () => {
+      const content = '<p>Keep me.</p><p>Only <a href="https://gone.com">this</a> sentence.</p><p>Last one. Ends with <a href="https://dead.com">a link</a>!</p>';
+      const approvedProposals = [{
+        type: 'link-fixes',
+        affectedLinks: [
+          { id: 'link-0', url: 'https://gone.com', action: 'remove-sentence' },
+          { id: 'link-1', url: 'https://dead.com', action: 'remove-sentence' }
+        ]
+      }];
+
+      const result = await applyChanges(content, approvedProposals, []);
+
+      expect(result).toContain('<body><p>Keep me.</p><p>Last one.</p></body>');
+    });
+
+    it('should refuse to fix a link that no longer matches the analysis', async () => {
+      const approvedProposals = [{
+        type: 'link-fixes',
+        affectedLinks: [{ id: 'link-0', url: 'https://gone.com', action: 'unlink' }]
+      }];
+
+      await expect(applyChanges('<p><a href="https://other.com">x</a></p>', approvedProposals, []))
+        .rejects.toThrow('Link 0 no longer matches "https://gone.com" - re-analyze the post before applying changes');
+    });
+
+    it('should merge sections without calling the AI', async () => {
       const approvedProposals = [
         {
           type: 'structure',
@@ -389,30 +961,84 @@ describe('AI Analyzer', () => {
         }
       ];
 
-      const mockResponse = {
-        text: `
-          <h1>Test Blog</h1>
-          <h2>Combined Section</h2>
-          <p>Content 1</p>
-          <p>Content 2</p>
-        `
-      };
+      const result = await applyChanges(originalContent, approvedProposals, originalSections);
 
-      mockGenerateContent.mockResolvedValue(mockResponse);
+      expect(mockGenerateContent).not.toHaveBeenCalled();
+      expect(result).toContain('<h2>Combined Section</h2>');
+      expect(result).not.toContain('Section 1</h2>');
+      expect(result).not.toContain('Section 2</h2>');
+      expect(result.indexOf('Content 1')).toBeLessThan(result.indexOf('Content 2'));
+    });
 
-      const result = await applyChanges(originalContent, approvedProposals, originalSections);
+    it('should move the later section body under the earlier heading when merging non-adjacent sections', async () => {
+      const content = '<h2>A</h2><p>a</p><h2>B</h2><p>b</p><h2>C</h2><p>c</p>';
+      const sections = [{ heading: 'A' }, { heading: 'B' }, { heading: 'C' }];
+
+      const result = await applyChanges(content, [
+        { type: 'structure', action: 'merge', affectedSections: [2, 0], newHeading: 'A and C' }
+      ], sections);
+
+      expect(result).toContain('<h2>A and C</h2><p>a</p><p>c</p><h2>B</h2><p>b</p>');
+    });
+
+    it('should remove a section and its content without calling the AI', async () => {
+      const content = '<h2>A</h2><p>a</p>text<h2>B</h2><p>b</p><ul><li>b2</li></ul><h2>C</h2><p>c</p>';
+      const sections = [{ heading: 'A' }, { heading: 'B' }, { heading: 'C' }];
+
+      const result = await applyChanges(content, [
+        { type: 'structure', action: 'remove', affectedSections: [1] }
+      ], sections);
+
+      expect(mockGenerateContent).not.toHaveBeenCalled();
+      expect(result).toContain('<h2>A</h2><p>a</p>text<h2>C</h2><p>c</p>');
+    });
+
+    it('should apply merges and removals by original index', async () => {
+      const content = '<h2>A</h2><p>a</p><h2>B</h2><p>b</p><h2>C</h2><p>c</p><h2>D</h2><p>d</p>';
+      const sections = [{ heading: 'A' }, { heading: 'B' }, { heading: 'C' }, { heading: 'D' }];
 
-      expect(result).toContain('Combined Section');
+      const result = await applyChanges(content, [
+        { type: 'structure', action: 'remove', affectedSections: [0] },
+        { type: 'structure', action: 'merge', affectedSections: [2, 3], newHeading: 'C and D' }
+      ], sections);
+
+      expect(result).toContain('<h2>B</h2><p>b</p><h2>C and D</h2><p>c</p><p>d</p>');
+      expect(result).not.toContain('<p>a</p>');
+    });
+
+    it('should remove the sections as analyzed when a heading level fix changes the nesting', async () => {
+      const content = '<h3>A</h3><p>a</p><h3>B</h3><p>b</p>';
+      const sections = [{ heading: 'A', level: 3 }, { heading: 'B', level: 3 }];
+
+      const result = await applyChanges(content, [
+        { type: 'accessibility', occurrences: [{ target: { kind: 'heading', index: 0, key: 'A' }, fix: { rename: 'h2' }, approved: true }] },
+        { type: 'structure', action: 'remove', affectedSections: [0] }
+      ], sections);
+
+      // As an <h2>, A would own B - but B was its sibling when the removal was approved
+      expect(result).toContain('<h3>B</h3><p>b</p>');
+      expect(result).not.toContain('<p>a</p>');
+    });
+
+    it('should refuse to apply when the headings no longer match the analysis', async () => {
+      const approvedProposals = [
+        { type: 'structure', action: 'remove', affectedSections: [1] }
+      ];
+
+      await expect(applyChanges(originalContent, approvedProposals, [
+        { heading: 'Section 1' },
+        { heading: 'Something Else' }
+      ])).rejects.toThrow('Section 1 no longer matches "Something Else"');
     });
 
     it('should strip markdown code blocks from AI response', async () => {
       const approvedProposals = [
         {
           type: 'structure',
-          action: 'merge',
-          description: 'Merge sections',
+          action: 'rewrite',
+          description: 'Rewrite section',
           rationale: 'Better flow',
-          affectedSections: [0, 1]
+          affectedSections: [0]
         }
       ];
 
@@ -441,29 +1067,164 @@ describe('AI Analyzer', () => {
           action: 'merge',
           description: 'Merge sections',
           rationale: 'Better flow',
-          affectedSections: [0, 1]
+          affectedSections: [0, 1],
+          newHeading: 'Merged'
         }
       ];
 
-      const mockResponse = {
-        text: '<h1>Test Blog</h1><h2>Merged</h2><p>Combined content</p>'
-      };
+      const result = await applyChanges(originalContent, approvedProposals, originalSections);
 
-      mockGenerateContent.mockResolvedValue(mockResponse);
+      expect(result).toContain('<h2>Merged</h2>');
+      expect(result).not.toContain('href="https://broken.com"');
+    });
+
+    it('should only send rewrites to the AI, after merges and removals are applied', async () => {
+      const content = originalContent + '<h2>Section 3</h2><p>Content 3</p>';
+      const sections = [...originalSections, { heading: 'Section 3', content: '<p>Content 3</p>' }];
+      const approvedProposals = [
+        { type: 'structure', action: 'rewrite', affectedSections: [0], newHeading: 'Getting Started', rationale: 'Vague heading' },
+        { type: 'structure', action: 'remove', affectedSections: [2], rationale: 'Off-topic' }
+      ];
+
+      mockGenerateContent.mockResolvedValue({ text: '<h2>Getting Started</h2><p>Content 1</p>' });
+
+      await applyChanges(content, approvedProposals, sections);
+
+      expect(mockGenerateContent).toHaveBeenCalledTimes(1);
+      const prompt = mockGenerateContent.mock.calls[0][0].contents;
+      expect(prompt).toContain('Rewrite the section headed "Section 1"');
+      expect(prompt).toContain('Heading: "Getting Started"');
+      expect(prompt).not.toContain('Content 3');
+    });
+
+    it('should send approved outdated statements to the AI', async () => {
+      const approvedProposals = [{
+        type: 'outdated-content',
+        occurrences: [
+          { id: 'stale-0', sentence: 'The latest version is 1.2.', reason: 'Calls 1.2 the latest version', approved: true },
+          { id: 'stale-1', sentence: 'We recently launched.', reason: '"recently" was written 3 years ago', approved: false }
+        ]
+      }];
+
+      mockGenerateContent.mockResolvedValue({ text: '<h2>Section 1</h2><p>As of 2021, the latest version was 1.2.</p>' });
+
+      const result = await applyChanges(originalContent, approvedProposals, originalSections);
+
+      const prompt = mockGenerateContent.mock.calls[0][0].contents;
+      expect(prompt).toContain('by updating outdated statements');
+      expect(prompt).toContain('Statement: "The latest version is 1.2."');
+      expect(prompt).toContain('Problem: Calls 1.2 the latest version');
+      expect(prompt).not.toContain('We recently launched.');
+      expect(prompt).not.toContain('APPROVED REWRITES');
+      expect(result).toContain('As of 2021');
+    });
+
+    it('should not call the AI when no outdated statement is approved', async () => {
+      const approvedProposals = [{
+        type: 'outdated-content',
+        occurrences: [{ id: 'stale-0', sentence: 'Content 1', reason: 'x', approved: false }]
+      }];
+
+      await applyChanges(originalContent, approvedProposals, originalSections);
+
+      expect(mockGenerateContent).not.toHaveBeenCalled();
+    });
+
+    it('should apply deterministic SEO fixes without AI', async () => {
+      const approvedProposals = [
+        { type: 'seo', check: 'h1-count', fix: 'deterministic' },
+        { type: 'seo', check: 'meta-description', fix: 'manual' }
+      ];
+
+      const result = await applyChanges('<h1>Title</h1><h1>Again</h1><p>Text</p>', approvedProposals, []);
+
+      expect(mockGenerateContent).not.toHaveBeenCalled();
+      expect(result).toContain('<h1>Title</h1><h2>Again</h2>');
+    });
+
+    it('should apply approved accessibility fixes without AI', async () => {
+      const approvedProposals = [{
+        type: 'accessibility',
+        occurrences: [
+          { id: 'a11y-image-alt-0', target: { kind: 'image', index: 0, key: 'chart.png' }, fix: { attribute: 'alt', value: 'Chart' }, approved: true },
+          { id: 'a11y-image-alt-1', target: { kind: 'image', index: 1, key: 'photo.png' }, fix: { attribute: 'alt', value: 'Photo' }, approved: false }
+        ]
+      }, {
+        type: 'link-fixes',
+        affectedLinks: [{ url: 'https://broken.com' }]
+      }];
+
+      const result = await applyChanges(
+        '<p><img src="chart.png"><img src="photo.png"><a href="https://broken.com">gone</a></p>',
+        approvedProposals,
+        []
+      );
+
+      expect(mockGenerateContent).not.toHaveBeenCalled();
+      expect(result).toContain('<img src="chart.png" alt="Chart"><img src="photo.png">gone</p>');
+    });
+
+    it('should apply approved text suggestions in place without AI', async () => {
+      const approvedProposals = [{
+        type: 'alt-text',
+        occurrences: [{ kind: 'alt-text', target: { kind: 'image', index: 0, key: 'IMG_1.jpg' }, suggested: 'Lisbon rooftop', approved: true }]
+      }, {
+        type: 'link-text',
+        occurrences: [
+          { kind: 'link-text', target: { kind: 'link', index: 0, key: '/agenda' }, suggested: 'the offsite agenda', approved: true },
+          { kind: 'link-text', target: { kind: 'link', index: 1, key: '/team' }, suggested: 'meet the team', approved: true },
+          { kind: 'link-text', target: { kind: 'link', index: 2, key: '/faq' }, suggested: 'offsite FAQ', approved: false }
+        ]
+      }];
+
+      const result = await applyChanges(
+        '<p><img src="IMG_1.jpg"> See <a href="/agenda" aria-label="here: Agenda">here</a>, <a href="/team"><img src="t.png" alt=""></a> and <a href="/faq">more</a>.</p>',
+        approvedProposals,
+        []
+      );
+
+      expect(mockGenerateContent).not.toHaveBeenCalled();
+      expect(result).toContain('<img src="IMG_1.jpg" alt="Lisbon rooftop">');
+      expect(result).toContain('<a href="/agenda">the offsite agenda</a>');
+      expect(result).toContain('<a href="/team" aria-label="meet the team"><img src="t.png" alt=""></a>');
+      expect(result).toContain('<a href="/faq">more</a>');
+    });
+
+    it('should send approved AI SEO fixes to the AI', async () => {
+      const approvedProposals = [
+        { type: 'seo', check: 'keyword-in-headings', fix: 'ai', details: { keywords: ['caching', 'node'] } }
+      ];
+
+      mockGenerateContent.mockResolvedValue({ text: '<h2>Caching in Section 1</h2>' });
+
+      await applyChanges(originalContent, approvedProposals, originalSections);
+
+      const prompt = mockGenerateContent.mock.calls[0][0].contents;
+      expect(prompt).toContain('by making SEO fixes');
+      expect(prompt).toContain('APPROVED SEO FIXES:');
+      expect(prompt).toContain('one of these terms: caching, node');
+      expect(prompt).not.toContain('APPROVED REWRITES');
+    });
+
+    it('should not call the AI for keep proposals', async () => {
+      const approvedProposals = [
+        { type: 'structure', action: 'keep', affectedSections: [1], rationale: 'Already clear' }
+      ];
 
       const result = await applyChanges(originalContent, approvedProposals, originalSections);
 
-      expect(result).toContain('Merged');
+      expect(mockGenerateContent).not.toHaveBeenCalled();
+      expect(result).toContain('<h2>Section 2</h2>');
     });
 
     it('should handle AI errors', async () => {
       const approvedProposals = [
         {
           type: 'structure',
-          action: 'merge',
-          description: 'Merge sections',
+          action: 'rewrite',
+          description: 'Rewrite section',
           rationale: 'Better flow',
-          affectedSections: [0, 1]
+          affectedSections: [0]
         }
       ];
 
@@ -484,8 +1245,9 @@ describe('AI Analyzer', () => {
 
       const result = await applyChanges(originalContent, approvedProposals, originalSections);
 
-      expect(result).toContain('href="#"');
-      expect(result).toContain('class="broken-link-removed"');
+      // Without a chosen action the link is unlinked and its text kept
+      expect(result).not.toContain('href="https://broken.com"');
+      expect(result).toContain('Broken Link');
     });
 
     it('should handle empty proposals', async () => {
@@ -498,7 +1260,7 @@ describe('AI Analyzer', () => {
       const approvedProposals = [
         {
           type: 'structure',
-          action: 'merge',
+          action: 'rewrite',
           description: 'Test',
           rationale: 'Test',
           affectedSections: [0]
@@ -514,4 +1276,39 @@ describe('AI Analyzer', () => {
       expect(result).toBe('<div>Test</div>');
     });
   });
+
+  describe('findInvalidLinkFixes', () => {
+    it('should list approved replacements without a usable URL', () => {
+      const approvedProposals = [
+        { type: 'metadata-updates', changes: [] },
+        {
+          type: 'link-fixes',
+          affectedLinks: [
+            { id: 'link-0', url: 'https://a.com', action: 'replace', replacementUrl: '' },
+            { id: 'link-1', url: 'https://b.com', action: 'replace', replacementUrl: 'javascript:alert(1)' },
+            { id: 'link-2', url: 'https://c.com', action: 'replace' }
+          ]
+        }
+      ];
+
+      expect(findInvalidLinkFixes(approvedProposals)).toEqual([
+        { id: 'link-0', url: 'https://a.com', replacementUrl: '', issue: 'No replacement URL given' },
+        { id: 'link-1', url: 'https://b.com', replacementUrl: 'javascript:alert(1)', issue: 'Replacement is not an http(s) URL' },
+        { id: 'link-2', url: 'https://c.com', replacementUrl: null, issue: 'No replacement URL given' }
+      ]);
+    });
+
+    it('should accept http(s) replacements, other actions and ignored links', () => {
+      const approvedProposals = [{
+        type: 'link-fixes',
+        affectedLinks: [
+          { id: 'link-0', url: 'https://a.com', action: 'replace', replacementUrl: 'https://a.example.org' },
+          { id: 'link-1', url: 'https://b.com', action: 'unlink' },
+          { id: 'link-2', url: 'https://c.com', action: 'replace', replacementUrl: '', approved: false }
+        ]
+      }];
+
+      expect(findInvalidLinkFixes(approvedProposals)).toEqual([]);
+    });
+  });
 });
@@ -1,4 +1,7 @@
 import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import request from 'supertest';
 import express from 'express';
 
@@ -7,7 +10,21 @@ const mockAxiosGet = jest.fn();
 const mockEvaluateLinks = jest.fn();
 const mockAnalyzeStructure = jest.fn();
 const mockGenerateProposals = jest.fn();
+const mockSuggestAccessibleText = jest.fn();
+const mockSuggestReplacementSources = jest.fn();
+const mockFindReplacements = jest.fn();
 const mockApplyChanges = jest.fn();
+const mockFindInvalidLinkFixes = jest.fn();
+const mockStore = {
+  savePost: jest.fn(),
+  saveAnalysis: jest.fn(),
+  saveRun: jest.fn()
+};
+
+// Every host resolves to a public address, so the URL policy lets requests through
+jest.unstable_mockModule('node:dns/promises', () => ({
+  lookup: jest.fn(async () => [{ address: '93.184.215.14', family: 4 }])
+}));
 
 // Mock modules
 jest.unstable_mockModule('axios', () => ({
@@ -21,25 +38,47 @@ jest.unstable_mockModule('../src/helpers/linkChecker.js', () => ({
   evaluateLinks: mockEvaluateLinks
 }));
 
+jest.unstable_mockModule('../src/helpers/linkReplacer.js', () => ({
+  findReplacements: mockFindReplacements
+}));
+
 jest.unstable_mockModule('../src/helpers/aiAnalyzer.js', () => ({
   analyzeStructure: mockAnalyzeStructure,
+  suggestAccessibleText: mockSuggestAccessibleText,
+  suggestReplacementSources: mockSuggestReplacementSources,
   generateProposals: mockGenerateProposals,
-  applyChanges: mockApplyChanges
+  applyChanges: mockApplyChanges,
+  findInvalidLinkFixes: mockFindInvalidLinkFixes,
+  PROMPT_VERSION: 1
+}));
+
+jest.unstable_mockModule('../src/helpers/storage.js', () => ({
+  getStore: () => mockStore
 }));
 
 // Import after mocking
-const { fetchBlog, analyzeBlog, applyBlogChanges } = await import('../src/controllers/blogController.js');
+const { fetchBlog, testSiteRule, analyzeBlog, applyBlogChanges, runAnalysis, runApply } = await import('../src/controllers/blogController.js');
+const { clearCaches } = await import('../src/helpers/cache.js');
 
 // Create test app
 const app = express();
 app.use(express.json());
 app.post('/fetch-blog', fetchBlog);
+app.post('/site-rules/test', testSiteRule);
 app.post('/analyze-blog', analyzeBlog);
 app.post('/apply-changes', applyBlogChanges);
 
 describe('Blog Controller', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    clearCaches();
+    mockSuggestAccessibleText.mockResolvedValue({ suggestions: [], status: 'skipped' });
+    mockSuggestReplacementSources.mockResolvedValue({});
+    mockFindReplacements.mockResolvedValue({});
+    mockFindInvalidLinkFixes.mockReturnValue([]);
+    mockStore.savePost.mockImplementation(async post => ({ id: 'post-1', ...post }));
+    mockStore.saveAnalysis.mockImplementation(async postId => ({ id: 'analysis-1', postId }));
+    mockStore.saveRun.mockResolvedValue({ id: 'run-1', version: 1 });
   });
 
   describe('fetchBlog', () => {
@@ -90,6 +129,17 @@ describe('Blog Controller', () => {
       expect(response.body.error).toBe('Failed to fetch blog content');
     });
 
+    it('should refuse to fetch URLs on private addresses', async () => {
+      const response = await request(app)
+        .post('/fetch-blog')
+        .send({ url: 'http://169.254.169.254/latest/meta-data/' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('URL not allowed');
+      expect(response.body.details).toContain('link-local address');
+      expect(mockAxiosGet).not.toHaveBeenCalled();
+    });
+
     it('should extract content from article tag', async () => {
       const mockHtml = `
         <html>
@@ -159,6 +209,208 @@ describe('Blog Controller', () => {
 
       expect(response.body.data.title).toBe('Page Title');
     });
+
+    it('should strip navigation and comments and report how the content was found', async () => {
+      const paragraphs = Array.from({ length: 8 }, (_, i) =>
+        `<p>Paragraph ${i} of the post, long enough, with commas, to be scored as real content.</p>`).join('');
+      const mockHtml = `
+        <html><body>
+          <nav><a href="/">Home</a></nav>
+          <article><h1>Title</h1>${paragraphs}<div class="comments"><p>First comment on this post, hello there!</p></div></article>
+        </body></html>
+      `;
+      mockAxiosGet.mockResolvedValue({ data: mockHtml });
+
+      const response = await request(app)
+        .post('/fetch-blog')
+        .send({ url: 'https://example.com/blog' });
+
+      expect(response.body.data.content).toContain('Paragraph 7');
+      expect(response.body.data.content).not.toContain('Home');
+      expect(response.body.data.content).not.toContain('First comment');
+      expect(response.body.data.extraction).toMatchObject({
+        strategy: 'semantic',
+        selector: 'article',
+        lowConfidence: expect.any(Boolean)
+      });
+    });
+  });
+
+  describe('fetchBlog metadata', () => {
+    it('should return page metadata with the content', async () => {
+      const mockHtml = `
+        <html lang="en"><head>
+          <title>Post | Site</title>
+          <meta name="description" content="What the post is about">
+          <link rel="canonical" href="/blog/post">
+          <meta property="og:image" content="/img/cover.png">
+          <meta property="article:tag" content="javascript">
+          <script type="application/ld+json">{"@type": "BlogPosting", "author": {"name": "Ada"}, "datePublished": "2021-02-03"}</script>
+        </head><body><h1>Post</h1><article><p>Body</p></article></body></html>
+      `;
+      mockAxiosGet.mockResolvedValue({ data: mockHtml });
+
+      const response = await request(app)
+        .post('/fetch-blog')
+        .send({ url: 'https://example.com/blog/post?ref=home' });
+
+      expect(response.body.data.title).toBe('Post');
+      expect(response.body.data.metadata).toMatchObject({
+        title: 'Post | Site',
+        description: 'What the post is about',
+        canonicalUrl: 'https://example.com/blog/post',
+        language: 'en',
+        author: 'Ada',
+        publishedAt: '2021-02-03T00:00:00.000Z',
+        tags: ['javascript'],
+        featuredImage: 'https://example.com/img/cover.png'
+      });
+    });
+  });
+
+  describe('site rules', () => {
+    const ruleHtml = `
+      <html><head><meta property="article:published_time" content="2023-05-04"></head><body>
+        <h1>Blog name</h1>
+        <div class="col-main"><h2 class="headline">Rule title</h2><p>Post body text.</p><div class="promo">Buy now</div></div>
+        <span class="byline">Grace Hopper</span>
+      </body></html>
+    `;
+    const rule = {
+      name: 'Example blog',
+      hostnames: ['example.com'],
+      content: ['.col-main'],
+      title: ['.headline'],
+      strip: ['.promo'],
+      date: ['meta[property="article:published_time"]'],
+      author: ['.byline']
+    };
+
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-rules-'));
+      process.env.SITE_RULES_FILE = path.join(dir, 'rules.json');
+      fs.writeFileSync(process.env.SITE_RULES_FILE, JSON.stringify({ rules: [rule] }));
+    });
+
+    afterEach(() => {
+      delete process.env.SITE_RULES_FILE;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should apply the matching site rule when fetching a blog', async () => {
+      mockAxiosGet.mockResolvedValue({ data: ruleHtml });
+
+      const response = await request(app)
+        .post('/fetch-blog')
+        .send({ url: 'https://example.com/blog' });
+
+      expect(response.body.data).toMatchObject({
+        title: 'Rule title',
+        metadata: { publishedAt: '2023-05-04T00:00:00.000Z', author: 'Grace Hopper' },
+        extraction: { strategy: 'site-rule', rule: 'Example blog', selector: '.col-main' }
+      });
+      expect(response.body.data.content).toContain('Post body text.');
+      expect(response.body.data.content).not.toContain('Buy now');
+    });
+
+    it('should use the generic extraction for sites without a rule', async () => {
+      mockAxiosGet.mockResolvedValue({ data: ruleHtml });
+
+      const response = await request(app)
+        .post('/fetch-blog')
+        .send({ url: 'https://other.com/blog' });
+
+      expect(response.body.data.title).toBe('Blog name');
+      expect(response.body.data.metadata.author).toBeNull();
+      expect(response.body.data.extraction.rule).toBeNull();
+      expect(response.body.data.extraction.strategy).not.toBe('site-rule');
+    });
+
+    it('should fail the fetch when the rules file is invalid', async () => {
+      fs.writeFileSync(process.env.SITE_RULES_FILE, '{ "rules": [{ "hostnames": [] }] }');
+      const later = new Date(Date.now() + 5000);
+      fs.utimesSync(process.env.SITE_RULES_FILE, later, later);
+      mockAxiosGet.mockResolvedValue({ data: ruleHtml });
+
+      const response = await request(app)
+        .post('/fetch-blog')
+        .send({ url: 'https://example.com/blog' });
+
+      expect(response.status).toBe(500);
+    });
+
+    it('should test the configured rule against a URL', async () => {
+      mockAxiosGet.mockResolvedValue({ data: ruleHtml });
+
+      const response = await request(app)
+        .post('/site-rules/test')
+        .send({ url: 'https://example.com/blog' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ rule: 'Example blog', title: 'Rule title', metadata: { author: 'Grace Hopper' } });
+    });
+
+    it('should test a draft rule sent in the request', async () => {
+      mockAxiosGet.mockResolvedValue({ data: ruleHtml });
+
+      const response = await request(app)
+        .post('/site-rules/test')
+        .send({ url: 'https://other.com/blog', rule: { name: 'Draft', hostnames: ['other.com'], content: ['.byline'] } });
+
+      expect(response.body.data.rule).toBe('Draft');
+      expect(response.body.data.content).toBe('Grace Hopper');
+    });
+
+    it('should report when no rule matches the URL', async () => {
+      mockAxiosGet.mockResolvedValue({ data: ruleHtml });
+
+      const response = await request(app)
+        .post('/site-rules/test')
+        .send({ url: 'https://other.com/blog' });
+
+      expect(response.body.data.rule).toBeNull();
+    });
+
+    it('should reject an invalid draft rule without fetching', async () => {
+      const response = await request(app)
+        .post('/site-rules/test')
+        .send({ url: 'https://example.com/blog', rule: { name: 'Draft' } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid site rule');
+      expect(mockAxiosGet).not.toHaveBeenCalled();
+    });
+
+    it('should reject a draft rule with a broken selector without fetching', async () => {
+      const response = await request(app)
+        .post('/site-rules/test')
+        .send({ url: 'https://example.com/blog', rule: { name: 'Draft', hostnames: ['example.com'], content: ['div[[['] } });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toMatchObject({ error: 'Invalid site rule', details: expect.stringContaining('invalid content selector "div[[["') });
+      expect(mockAxiosGet).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 if URL is missing', async () => {
+      const response = await request(app)
+        .post('/site-rules/test')
+        .send({});
+
+      expect(response.status).toBe(400);
+    });
+
+    it('should handle fetch errors', async () => {
+      mockAxiosGet.mockRejectedValue(new Error('Network error'));
+
+      const response = await request(app)
+        .post('/site-rules/test')
+        .send({ url: 'https://example.com/blog' });
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Failed to fetch blog content');
+    });
   });
 
   describe('analyzeBlog', () => {
@@ -205,6 +457,166 @@ describe('Blog Controller', () => {
       expect(response.body.data.sections).toHaveLength(2);
     });
 
+    it('should check for outdated statements using the post metadata', async () => {
+      mockEvaluateLinks.mockResolvedValue([]);
+      mockAnalyzeStructure.mockResolvedValue({ needsRestructuring: false, suggestions: [], analysisStatus: 'ok' });
+      mockGenerateProposals.mockReturnValue([]);
+
+      const response = await request(app)
+        .post('/analyze-blog')
+        .send({
+          content: '<h2>News</h2><p>We recently moved to a new office.</p><p>Nothing else changed.</p>',
+          title: 'Post',
+          metadata: { publishedAt: '2015-01-01T00:00:00.000Z' }
+        });
+
+      expect(response.body.data.stalenessFindings).toEqual([
+        expect.objectContaining({ kind: 'relative-time', match: 'recently', sectionIndex: 0 })
+      ]);
+      expect(mockGenerateProposals).toHaveBeenCalledWith(
+        expect.any(Array),
+        expect.any(Array),
+        expect.any(Object),
+        response.body.data.stalenessFindings,
+        response.body.data.seoAudit,
+        response.body.data.accessibilityAudit,
+        []
+      );
+    });
+
+    it('should audit SEO using the post URL and metadata', async () => {
+      mockEvaluateLinks.mockResolvedValue([]);
+      mockAnalyzeStructure.mockResolvedValue({ needsRestructuring: false, suggestions: [], analysisStatus: 'ok' });
+      mockGenerateProposals.mockReturnValue([]);
+
+      const response = await request(app)
+        .post('/analyze-blog')
+        .send({
+          content: '<h1>One</h1><h1>Two</h1><h2>Post</h2><p>See <a href="/more">more</a>.</p>',
+          title: 'Post',
+          url: 'https://blog.example.com/post',
+          metadata: { title: 'Post', description: null, canonicalUrl: 'https://blog.example.com/post' }
+        });
+
+      expect(response.body.data.seoAudit.issues.map(issue => issue.check)).toEqual(['title-length', 'meta-description', 'h1-count']);
+      expect(response.body.data.seoAudit.score).toBe(100 - 8 - 15 - 8);
+    });
+
+    it('should audit accessibility of the analyzed content', async () => {
+      mockEvaluateLinks.mockResolvedValue([]);
+      mockGenerateProposals.mockReturnValue([]);
+
+      const response = await request(app)
+        .post('/analyze-blog')
+        .send({ content: '<p><img src="IMG_1.jpg"> See <a href="/docs/setup">here</a>.</p>', title: 'Post' });
+
+      expect(response.body.data.accessibilityAudit.issues.map(issue => issue.check)).toEqual(['image-alt', 'click-here-link']);
+    });
+
+    it('should turn AI text suggestions into proposals', async () => {
+      const suggestion = { id: 'text-0', kind: 'alt-text', target: { kind: 'image', index: 0, key: 'IMG_1.jpg' }, suggested: 'Team at the offsite' };
+      mockEvaluateLinks.mockResolvedValue([]);
+      mockSuggestAccessibleText.mockResolvedValue({ suggestions: [suggestion], status: 'ok' });
+      mockGenerateProposals.mockReturnValue([]);
+
+      const response = await request(app)
+        .post('/analyze-blog')
+        .send({ content: '<p><img src="IMG_1.jpg"></p>', title: 'Post' });
+
+      expect(mockSuggestAccessibleText).toHaveBeenCalledWith(
+        '<p><img src="IMG_1.jpg"></p>',
+        response.body.data.accessibilityAudit,
+        { signal: undefined }
+      );
+      expect(mockGenerateProposals.mock.calls[0][6]).toEqual([suggestion]);
+      expect(response.body.data.textSuggestions.status).toBe('ok');
+    });
+
+    it('should continue without text suggestions when the AI request fails', async () => {
+      mockEvaluateLinks.mockResolvedValue([]);
+      mockSuggestAccessibleText.mockRejectedValue(new Error('quota exceeded'));
+      mockGenerateProposals.mockReturnValue([]);
+
+      const response = await request(app)
+        .post('/analyze-blog')
+        .send({ content: '<p><img src="IMG_1.jpg"></p>', title: 'Post' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.textSuggestions).toEqual({ suggestions: [], status: 'failed', errors: ['quota exceeded'] });
+    });
+
+    it('should look up replacement candidates for broken links', async () => {
+      const content = '<p>Setup is covered in <a href="https://old.com/setup">the setup guide</a>. Then deploy.</p><a href="https://ok.com">ok</a>';
+      const candidate = { source: 'archive', url: 'https://web.archive.org/web/2019/https://old.com/setup', label: 'Archived copy' };
+      mockEvaluateLinks.mockImplementation(async links => [
+        { ...links[0], working: false, state: 'broken', status: 404 },
+        { ...links[1], working: true, state: 'working', status: 200 }
+      ]);
+      mockSuggestReplacementSources.mockResolvedValue({ 'link-0': [{ url: 'https://docs.old.com/setup', title: 'Setup' }] });
+      mockFindReplacements.mockResolvedValue({ 'link-0': [candidate] });
+      mockGenerateProposals.mockReturnValue([]);
+
+      const response = await request(app)
+        .post('/analyze-blog')
+        .send({ content, title: 'Post', metadata: { publishedAt: '2019-05-01' } });
+
+      const broken = expect.objectContaining({ id: 'link-0', sentence: 'Setup is covered in the setup guide.' });
+      expect(mockSuggestReplacementSources).toHaveBeenCalledWith([broken], 'Post', { signal: undefined });
+      expect(mockFindReplacements).toHaveBeenCalledWith([broken], {
+        publishedAt: '2019-05-01',
+        aiSuggestions: { 'link-0': [{ url: 'https://docs.old.com/setup', title: 'Setup' }] },
+        signal: undefined
+      });
+      expect(response.body.data.linkEvaluations[0].candidates).toEqual([candidate]);
+      expect(response.body.data.linkEvaluations[1]).not.toHaveProperty('candidates');
+    });
+
+    it('should still search archives when AI replacement sources fail', async () => {
+      mockEvaluateLinks.mockImplementation(async links => [{ ...links[0], working: false, state: 'broken' }]);
+      mockSuggestReplacementSources.mockRejectedValue(new Error('quota exceeded'));
+      mockGenerateProposals.mockReturnValue([]);
+
+      const response = await request(app)
+        .post('/analyze-blog')
+        .send({ content: '<p><a href="https://gone.com">gone</a></p>', title: 'Post' });
+
+      expect(response.status).toBe(200);
+      expect(mockFindReplacements).toHaveBeenCalledWith(expect.any(Array), expect.objectContaining({ aiSuggestions: {} }));
+      expect(response.body.data.linkEvaluations[0].candidates).toEqual([]);
+    });
+
+    it('should skip head-level SEO checks for pasted content', async () => {
+      mockEvaluateLinks.mockResolvedValue([]);
+      mockGenerateProposals.mockReturnValue([]);
+
+      const response = await request(app)
+        .post('/analyze-blog')
+        .send({ content: '<p>Just a paragraph</p>', title: 'Post' });
+
+      expect(response.body.data.seoAudit.skipped).toEqual(['title-length', 'meta-description', 'canonical']);
+    });
+
+    it('should return a nested outline for posts without H2 headings', async () => {
+      mockEvaluateLinks.mockResolvedValue([]);
+      mockAnalyzeStructure.mockResolvedValue({ needsRestructuring: false, suggestions: [], analysisStatus: 'ok' });
+      mockGenerateProposals.mockReturnValue([]);
+
+      const response = await request(app)
+        .post('/analyze-blog')
+        .send({ content: '<h1>Post</h1><h3>Part A</h3><p>a</p><h4>Detail</h4><p>d</p><h3>Part B</h3><p>b</p>', title: 'Post' });
+
+      expect(response.body.data.sections.map(s => [s.heading, s.level, s.parentId])).toEqual([
+        ['Part A', 3, null],
+        ['Detail', 4, 'section-0'],
+        ['Part B', 3, null]
+      ]);
+      expect(mockAnalyzeStructure).toHaveBeenCalledWith(
+        expect.arrayContaining([expect.objectContaining({ heading: 'Detail', depth: 1 })]),
+        'Post',
+        expect.anything()
+      );
+    });
+
     it('should return 400 if content is missing', async () => {
       const response = await request(app)
         .post('/analyze-blog')
@@ -246,6 +658,21 @@ describe('Blog Controller', () => {
       expect(linksArg[0].url).toBe('https://example.com');
     });
 
+    it('should pass the link-check budget to evaluateLinks', async () => {
+      mockEvaluateLinks.mockResolvedValue([]);
+      mockAnalyzeStructure.mockResolvedValue({ needsRestructuring: false, suggestions: [] });
+      mockGenerateProposals.mockReturnValue([]);
+
+      await request(app)
+        .post('/analyze-blog')
+        .send({ content: mockContent, title: 'Test', linkCheck: { maxLinks: 5, timeBudgetMs: 'bad' } });
+
+      expect(mockEvaluateLinks.mock.calls[0][1]).toMatchObject({
+        maxLinks: 5,
+        timeBudgetMs: 120000
+      });
+    });
+
     it('should continue if structure analysis fails', async () => {
       mockEvaluateLinks.mockResolvedValue([]);
       mockAnalyzeStructure.mockRejectedValue(new Error('AI Error'));
@@ -257,6 +684,8 @@ describe('Blog Controller', () => {
 
       expect(response.status).toBe(200);
       expect(response.body.data.structureAnalysis.needsRestructuring).toBe(false);
+      expect(response.body.data.structureAnalysis.analysisStatus).toBe('failed');
+      expect(response.body.data.structureAnalysis.analysisErrors).toEqual(['AI Error']);
     });
 
     it('should handle analysis errors', async () => {
@@ -303,6 +732,267 @@ describe('Blog Controller', () => {
     });
   });
 
+  describe('analysis progress', () => {
+    const mockContent = `
+      <h2>Section 1</h2>
+      <p>Content 1</p>
+      <a href="https://example.com">Link 1</a>
+      <h2>Section 2</h2>
+      <a href="https://broken.com">Broken Link</a>
+    `;
+
+    // Run the analysis and collect its progress as [{ event, data }]
+    const collectEvents = async (content) => {
+      const events = [];
+      const result = await runAnalysis(content, 'Test', { onProgress: (event, data) => events.push({ event, data }) });
+      return { events, result };
+    };
+
+    it('should report each stage as it finishes', async () => {
+      mockEvaluateLinks.mockImplementation(async (links, options) => {
+        const results = [
+          { ...links[0], working: true, state: 'working' },
+          { ...links[1], working: false, state: 'broken' }
+        ];
+        results.forEach((result, index) => options.onResult(result, index));
+        return results;
+      });
+      mockAnalyzeStructure.mockResolvedValue({ needsRestructuring: false, suggestions: [] });
+      mockGenerateProposals.mockReturnValue([{ id: 'proposal-links', type: 'link-fixes' }]);
+
+      const { events, result } = await collectEvents(mockContent);
+
+      expect(events.map(e => e.event)).toEqual([
+        'sections',
+        'links-found',
+        'link',
+        'link',
+        'links-complete',
+        'replacements',
+        'staleness',
+        'seo',
+        'accessibility',
+        'ai-started',
+        'ai-finished',
+        'proposals'
+      ]);
+      expect(events[0].data).toEqual({ count: 2, headings: ['Section 1', 'Section 2'] });
+      expect(events[3].data).toMatchObject({ index: 1, result: { url: 'https://broken.com', state: 'broken' } });
+      expect(events[4].data).toEqual({ broken: 1, unchecked: 0 });
+      expect(events[5].data).toEqual({ count: 0 });
+      expect(events[6].data).toEqual({ count: 0 });
+      expect(events[7].data).toEqual({ score: expect.any(Number), issueCount: expect.any(Number) });
+      expect(events[8].data).toEqual({ issueCount: 0 });
+      expect(result.proposals).toHaveLength(1);
+    });
+
+    it('should skip AI events when there are no sections', async () => {
+      mockEvaluateLinks.mockResolvedValue([]);
+      mockGenerateProposals.mockReturnValue([]);
+
+      const { events } = await collectEvents('<p>Just a paragraph</p>');
+
+      expect(events.map(e => e.event)).not.toContain('ai-started');
+      expect(events[events.length - 1].event).toBe('proposals');
+    });
+
+    it('should skip the AI call when the analysis is cancelled', async () => {
+      const controller = new AbortController();
+      mockEvaluateLinks.mockImplementation(async () => {
+        controller.abort();
+        return [];
+      });
+
+      await expect(runAnalysis(mockContent, 'Test', { signal: controller.signal })).rejects.toThrow();
+      expect(mockEvaluateLinks.mock.calls[0][1].signal).toBe(controller.signal);
+      expect(mockAnalyzeStructure).not.toHaveBeenCalled();
+      expect(mockGenerateProposals).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('storage', () => {
+    beforeEach(() => {
+      mockEvaluateLinks.mockResolvedValue([]);
+      mockAnalyzeStructure.mockResolvedValue({ needsRestructuring: false, suggestions: [] });
+      mockGenerateProposals.mockReturnValue([{ id: 'proposal-1', type: 'structure' }]);
+    });
+
+    it('should not save an analysis cancelled while its proposals were generated', async () => {
+      const controller = new AbortController();
+      mockGenerateProposals.mockImplementation(() => {
+        controller.abort();
+        return [{ id: 'proposal-1', type: 'structure' }];
+      });
+
+      await expect(runAnalysis('<h2>A</h2><p>Text</p>', 'Post', { signal: controller.signal })).rejects.toThrow();
+      expect(mockStore.savePost).not.toHaveBeenCalled();
+      expect(mockStore.saveAnalysis).not.toHaveBeenCalled();
+    });
+
+    it('should not save a refresh run cancelled while it was generated', async () => {
+      const controller = new AbortController();
+      mockApplyChanges.mockImplementation(async () => {
+        controller.abort();
+        return '<p>Refreshed</p>';
+      });
+
+      await expect(runApply('<p>Text</p>', [], [], { signal: controller.signal, analysisId: 'analysis-1' })).rejects.toThrow();
+      expect(mockStore.saveRun).not.toHaveBeenCalled();
+    });
+
+    it('should save fetched posts and return their ID', async () => {
+      mockAxiosGet.mockResolvedValue({ data: '<html><body><article><h1>Saved</h1><p>Text</p></article></body></html>' });
+
+      const response = await request(app)
+        .post('/fetch-blog')
+        .send({ url: 'https://example.com/blog' });
+
+      expect(response.body.data.postId).toBe('post-1');
+      expect(mockStore.savePost).toHaveBeenCalledWith(expect.objectContaining({
+        url: 'https://example.com/blog',
+        title: 'Saved',
+        metadata: expect.any(Object),
+        extraction: expect.any(Object)
+      }));
+    });
+
+    it('should save the analysis under the fetched post', async () => {
+      const response = await request(app)
+        .post('/analyze-blog')
+        .send({ content: '<h2>A</h2><p>Text</p>', title: 'Post', url: 'https://example.com/blog', postId: 'post-7' });
+
+      expect(response.body.data).toMatchObject({ postId: 'post-7', analysisId: 'analysis-1' });
+      expect(mockStore.savePost).not.toHaveBeenCalled();
+      expect(mockStore.saveAnalysis).toHaveBeenCalledWith('post-7', {
+        content: '<h2>A</h2><p>Text</p>',
+        result: expect.objectContaining({ proposals: [{ id: 'proposal-1', type: 'structure' }] })
+      });
+    });
+
+    it('should save pasted content as a new post without an address', async () => {
+      await request(app)
+        .post('/analyze-blog')
+        .send({ content: '<h2>A</h2><p>Text</p>', title: 'Pasted', url: 'direct-input' });
+
+      expect(mockStore.savePost).toHaveBeenCalledWith({ url: null, title: 'Pasted', content: '<h2>A</h2><p>Text</p>', metadata: undefined });
+      expect(mockStore.saveAnalysis).toHaveBeenCalledWith('post-1', expect.any(Object));
+    });
+
+    it('should still return the analysis when it cannot be saved', async () => {
+      mockStore.saveAnalysis.mockRejectedValue(new Error('Post post-9 does not exist'));
+
+      const response = await request(app)
+        .post('/analyze-blog')
+        .send({ content: '<h2>A</h2><p>Text</p>', title: 'Post', postId: 'post-9' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ postId: null, analysisId: null, proposals: [{ id: 'proposal-1' }] });
+    });
+
+    it('should save every refresh run with its analysis', async () => {
+      mockApplyChanges.mockResolvedValue('<p>Text</p>');
+      const approvedProposals = [{ id: 'proposal-1', type: 'structure', approved: true }];
+
+      const response = await request(app)
+        .post('/apply-changes')
+        .send({ content: '<p>Text</p>', approvedProposals, originalSections: [], analysisId: 'analysis-1' });
+
+      expect(response.body.data).toMatchObject({ runId: 'run-1', version: 1 });
+      expect(mockStore.saveRun).toHaveBeenCalledWith({
+        analysisId: 'analysis-1',
+        approvedProposals,
+        result: {
+          refreshedContent: '<p>Text</p>',
+          preservationReport: expect.objectContaining({ preserved: true }),
+          sanitizationReport: { removed: [] }
+        },
+        createdBy: null
+      });
+    });
+
+    it('should credit the run to the reviewer', async () => {
+      mockApplyChanges.mockResolvedValue('<p>Text</p>');
+
+      await request(app)
+        .post('/apply-changes')
+        .send({ content: '<p>Text</p>', approvedProposals: [], analysisId: 'analysis-1', reviewer: '  Sam Lee  ' });
+
+      expect(mockStore.saveRun).toHaveBeenCalledWith(expect.objectContaining({ createdBy: 'Sam Lee' }));
+    });
+  });
+
+  describe('caching', () => {
+    const structure = { needsRestructuring: false, currentSectionCount: 1, suggestions: [], analysisStatus: 'ok' };
+    const analyze = (body = {}) => request(app)
+      .post('/analyze-blog')
+      .send({ content: '<h2>A</h2><p>Text</p>', title: 'Post', ...body });
+
+    beforeEach(() => {
+      mockEvaluateLinks.mockResolvedValue([{ id: 'link-0', url: 'https://a.com', state: 'working', working: true, cached: true }]);
+      mockAnalyzeStructure.mockResolvedValue(structure);
+      mockGenerateProposals.mockReturnValue([]);
+    });
+
+    it('should reuse the structure analysis of unchanged content', async () => {
+      const first = await analyze();
+      const second = await analyze();
+
+      expect(mockAnalyzeStructure).toHaveBeenCalledTimes(1);
+      expect(first.body.data.cache).toEqual({
+        bypassed: false,
+        links: { hits: 1, total: 1 },
+        structureAnalysis: { hit: false, cachedAt: null }
+      });
+      expect(second.body.data.cache.structureAnalysis).toEqual({ hit: true, cachedAt: expect.any(String) });
+      expect(second.body.data.structureAnalysis).toEqual(structure);
+    });
+
+    it('should analyze changed content again', async () => {
+      await analyze();
+      await analyze({ content: '<h2>B</h2><p>Text</p>' });
+      await analyze({ title: 'Renamed' });
+
+      expect(mockAnalyzeStructure).toHaveBeenCalledTimes(3);
+    });
+
+    it('should bypass the cache on request', async () => {
+      await analyze();
+      const response = await analyze({ bypassCache: true });
+
+      expect(mockAnalyzeStructure).toHaveBeenCalledTimes(2);
+      expect(mockEvaluateLinks).toHaveBeenLastCalledWith(expect.any(Array), expect.objectContaining({ bypassCache: true }));
+      expect(response.body.data.cache).toMatchObject({ bypassed: true, structureAnalysis: { hit: false } });
+    });
+
+    it('should not keep failed structure analyses', async () => {
+      mockAnalyzeStructure.mockResolvedValueOnce({ ...structure, analysisStatus: 'failed', analysisErrors: ['Not JSON'] });
+
+      await analyze();
+      const response = await analyze();
+
+      expect(mockAnalyzeStructure).toHaveBeenCalledTimes(2);
+      expect(response.body.data.structureAnalysis.analysisStatus).toBe('ok');
+    });
+
+    it('should reuse the output for the same approved proposals and still save the run', async () => {
+      mockApplyChanges.mockResolvedValue('<p>Refreshed</p>');
+      const apply = (body = {}) => request(app)
+        .post('/apply-changes')
+        .send({ content: '<p>Text</p>', approvedProposals: [{ id: 'proposal-1', type: 'structure' }], originalSections: [], ...body });
+
+      const first = await apply();
+      const second = await apply();
+      await apply({ approvedProposals: [{ id: 'proposal-2', type: 'structure' }] });
+      const bypassed = await apply({ bypassCache: true });
+
+      expect(mockApplyChanges).toHaveBeenCalledTimes(3);
+      expect(first.body.data.cache).toEqual({ hit: false, cachedAt: null, bypassed: false });
+      expect(second.body.data).toMatchObject({ refreshedContent: '<p>Refreshed</p>', cache: { hit: true, bypassed: false } });
+      expect(bypassed.body.data.cache).toEqual({ hit: false, cachedAt: null, bypassed: true });
+      expect(mockStore.saveRun).toHaveBeenCalledTimes(4);
+    });
+  });
+
   describe('applyBlogChanges', () => {
     const mockContent = '<h1>Test</h1><p>Content</p>';
     const mockProposals = [
@@ -326,6 +1016,61 @@ describe('Blog Controller', () => {
       expect(response.status).toBe(200);
       expect(response.body.success).toBe(true);
       expect(response.body.data).toHaveProperty('refreshedContent');
+      expect(response.body.data).toHaveProperty('preservationReport');
+    });
+
+    it('should return 400 with the link fixes that cannot be applied', async () => {
+      const invalidLinks = [{ id: 'link-0', url: 'https://broken.com', replacementUrl: 'ftp://x', issue: 'Replacement is not an http(s) URL' }];
+      mockFindInvalidLinkFixes.mockReturnValue(invalidLinks);
+
+      const response = await request(app)
+        .post('/apply-changes')
+        .send({
+          content: mockContent,
+          approvedProposals: mockProposals,
+          originalSections: []
+        });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Invalid link replacement', details: invalidLinks });
+      expect(mockFindInvalidLinkFixes).toHaveBeenCalledWith(mockProposals);
+      expect(mockApplyChanges).not.toHaveBeenCalled();
+    });
+
+    it('should report original content the proposals do not explain', async () => {
+      mockApplyChanges.mockResolvedValue('<h1>Test</h1>');
+
+      const response = await request(app)
+        .post('/apply-changes')
+        .send({
+          content: mockContent,
+          approvedProposals: mockProposals,
+          originalSections: []
+        });
+
+      expect(response.body.data.preservationReport).toMatchObject({
+        preserved: false,
+        issues: [{ type: 'sentence', status: 'missing', original: 'Content' }]
+      });
+    });
+
+    it('should strip scripts and event handlers from the refreshed content', async () => {
+      mockApplyChanges.mockResolvedValue('<h1>Test</h1><p onclick="steal()">Content</p><script>steal()</script>');
+
+      const response = await request(app)
+        .post('/apply-changes')
+        .send({
+          content: mockContent,
+          approvedProposals: mockProposals,
+          originalSections: []
+        });
+
+      expect(response.body.data.refreshedContent).toBe('<h1>Test</h1><p>Content</p>');
+      expect(response.body.data.sanitizationReport.removed).toEqual([
+        { type: 'attribute', name: 'onclick', element: 'p', count: 1 },
+        { type: 'element', name: 'script', count: 1 }
+      ]);
+      expect(response.body.data.preservationReport.preserved).toBe(true);
     });
 
     it('should return 400 if content is missing', async () => {
@@ -0,0 +1,149 @@
+import { jest } from '@jest/globals';
+import { withCache, hashKey, clearCaches, getCacheConfig } from '../src/helpers/cache.js';
+
+describe('Cache', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    clearCaches();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...originalEnv };
+  });
+
+  describe('withCache', () => {
+    it('should compute once and reuse the value', async () => {
+      const compute = jest.fn(async () => ({ answer: 42 }));
+
+      const first = await withCache('test', 'key', compute, { ttlMs: 1000 });
+      const second = await withCache('test', 'key', compute, { ttlMs: 1000 });
+
+      expect(compute).toHaveBeenCalledTimes(1);
+      expect(first).toEqual({ value: { answer: 42 }, cache: { hit: false, cachedAt: null } });
+      expect(second).toEqual({ value: { answer: 42 }, cache: { hit: true, cachedAt: expect.any(String) } });
+    });
+
+    it('should keep caches and keys apart', async () => {
+      await withCache('test', 'a', async () => 'a', { ttlMs: 1000 });
+      await withCache('other', 'a', async () => 'other', { ttlMs: 1000 });
+
+      expect((await withCache('test', 'a', async () => 'new', { ttlMs: 1000 })).value).toBe('a');
+      expect((await withCache('test', 'b', async () => 'b', { ttlMs: 1000 })).cache.hit).toBe(false);
+      expect((await withCache('other', 'a', async () => 'new', { ttlMs: 1000 })).value).toBe('other');
+    });
+
+    it('should recompute and store the new value when bypassed', async () => {
+      await withCache('test', 'key', async () => 'old', { ttlMs: 1000 });
+
+      const bypassed = await withCache('test', 'key', async () => 'new', { ttlMs: 1000, bypass: true });
+      const next = await withCache('test', 'key', async () => 'newer', { ttlMs: 1000 });
+
+      expect(bypassed).toEqual({ value: 'new', cache: { hit: false, cachedAt: null } });
+      expect(next).toMatchObject({ value: 'new', cache: { hit: true } });
+    });
+
+    it('should expire values after their TTL', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000);
+      await withCache('test', 'key', async () => 'old', { ttlMs: 1000 });
+
+      now.mockReturnValue(1_000_999);
+      expect((await withCache('test', 'key', async () => 'new', { ttlMs: 1000 })).value).toBe('old');
+
+      now.mockReturnValue(1_001_000);
+      expect((await withCache('test', 'key', async () => 'new', { ttlMs: 1000 })).value).toBe('new');
+    });
+
+    it('should pick the TTL from the value and skip values with none', async () => {
+      const ttlMs = value => value.ok ? 1000 : 0;
+
+      await withCache('test', 'failed', async () => ({ ok: false }), { ttlMs });
+      await withCache('test', 'ok', async () => ({ ok: true }), { ttlMs });
+
+      expect((await withCache('test', 'failed', async () => ({ ok: true }), { ttlMs })).cache.hit).toBe(false);
+      expect((await withCache('test', 'ok', async () => ({ ok: false }), { ttlMs })).cache.hit).toBe(true);
+    });
+
+    it('should not cache errors', async () => {
+      await expect(withCache('test', 'key', async () => { throw new Error('Quota exceeded'); }, { ttlMs: 1000 }))
+        .rejects.toThrow('Quota exceeded');
+
+      expect((await withCache('test', 'key', async () => 'ok', { ttlMs: 1000 })).cache.hit).toBe(false);
+    });
+
+    it('should not share objects with callers', async () => {
+      const { value } = await withCache('test', 'key', async () => ({ list: [1] }), { ttlMs: 1000 });
+      value.list.push(2);
+
+      const cached = await withCache('test', 'key', async () => null, { ttlMs: 1000 });
+      cached.value.list.push(3);
+
+      expect((await withCache('test', 'key', async () => null, { ttlMs: 1000 })).value).toEqual({ list: [1] });
+    });
+
+    it('should evict the least recently used entry past CACHE_MAX_ENTRIES', async () => {
+      process.env.CACHE_MAX_ENTRIES = '2';
+      const compute = value => async () => value;
+
+      await withCache('test', 'a', compute('a'), { ttlMs: 1000 });
+      await withCache('test', 'b', compute('b'), { ttlMs: 1000 });
+      // Reading "a" makes "b" the least recently used
+      await withCache('test', 'a', compute('a2'), { ttlMs: 1000 });
+      await withCache('test', 'c', compute('c'), { ttlMs: 1000 });
+
+      expect((await withCache('test', 'a', compute('a3'), { ttlMs: 1000 })).value).toBe('a');
+      expect((await withCache('test', 'b', compute('b2'), { ttlMs: 1000 })).value).toBe('b2');
+    });
+
+    it('should always compute when caching is disabled', async () => {
+      process.env.CACHE_ENABLED = 'false';
+      const compute = jest.fn(async () => 'value');
+
+      await withCache('test', 'key', compute, { ttlMs: 1000 });
+      const second = await withCache('test', 'key', compute, { ttlMs: 1000 });
+
+      expect(compute).toHaveBeenCalledTimes(2);
+      expect(second.cache.hit).toBe(false);
+    });
+  });
+
+  describe('clearCaches', () => {
+    it('should clear one cache or all of them', async () => {
+      await withCache('a', 'key', async () => 'a', { ttlMs: 1000 });
+      await withCache('b', 'key', async () => 'b', { ttlMs: 1000 });
+
+      clearCaches('a');
+      expect((await withCache('a', 'key', async () => 'new', { ttlMs: 1000 })).cache.hit).toBe(false);
+      expect((await withCache('b', 'key', async () => 'new', { ttlMs: 1000 })).cache.hit).toBe(true);
+
+      clearCaches();
+      expect((await withCache('b', 'key', async () => 'new', { ttlMs: 1000 })).cache.hit).toBe(false);
+    });
+  });
+
+  describe('hashKey', () => {
+    it('should give the same key for the same inputs only', () => {
+      const key = hashKey(1, { provider: 'gemini', model: 'gemini-2.5-flash' }, '<p>Post</p>');
+
+      expect(key).toMatch(/^[0-9a-f]{64}$/);
+      expect(hashKey(1, { provider: 'gemini', model: 'gemini-2.5-flash' }, '<p>Post</p>')).toBe(key);
+      expect(hashKey(2, { provider: 'gemini', model: 'gemini-2.5-flash' }, '<p>Post</p>')).not.toBe(key);
+      expect(hashKey(1, { provider: 'gemini', model: 'gemini-2.5-pro' }, '<p>Post</p>')).not.toBe(key);
+    });
+  });
+
+  describe('getCacheConfig', () => {
+    it('should read TTLs from the environment', () => {
+      process.env.AI_CACHE_TTL_MS = '60000';
+      process.env.LINK_CACHE_TTL_BROKEN_MS = '1000';
+
+      expect(getCacheConfig()).toEqual({
+        enabled: true,
+        maxEntries: 1000,
+        aiTtlMs: 60000,
+        linkTtlMs: { working: 24 * 60 * 60 * 1000, broken: 1000, transient: 5 * 60 * 1000 }
+      });
+    });
+  });
+});
@@ -0,0 +1,156 @@
+import { extractMainContent, LOW_CONFIDENCE_THRESHOLD } from '../src/helpers/contentExtractor.js';
+
+const paragraph = (topic) =>
+  `<p>This paragraph explains ${topic} in enough detail, with commas, examples, and a few caveats, to look like real prose.</p>`;
+
+const longArticle = Array.from({ length: 12 }, (_, i) => paragraph(`point ${i}`)).join('');
+
+describe('Content Extractor', () => {
+  describe('extractMainContent', () => {
+    it('should use the semantic container when scoring agrees with it', () => {
+      const html = `
+        <html><body>
+          <nav><a href="/">Home</a><a href="/blog">Blog</a></nav>
+          <article><h1>Post</h1><div class="entry-content">${longArticle}</div></article>
+          <footer>Copyright</footer>
+        </body></html>`;
+
+      const result = extractMainContent(html);
+
+      expect(result.strategy).toBe('semantic');
+      expect(result.selector).toBe('article');
+      expect(result.content).toContain('<h1>Post</h1>');
+      expect(result.content).not.toContain('Home');
+      expect(result.content).not.toContain('Copyright');
+      expect(result.confidence).toBeGreaterThanOrEqual(LOW_CONFIDENCE_THRESHOLD);
+      expect(result.lowConfidence).toBe(false);
+    });
+
+    it('should strip comments, share bars, cookie banners and related-post lists inside the content', () => {
+      const html = `
+        <html><body><article>
+          ${longArticle}
+          <div class="share-buttons"><a href="#">Tweet</a><a href="#">Share</a></div>
+          <ul><li><a href="/a">Related post A</a></li><li><a href="/b">Related post B</a></li></ul>
+          <div id="comments"><p>Great post, thanks for sharing all of this with us!</p></div>
+          <div class="cookie-banner"><p>We use cookies to improve your experience on this site.</p></div>
+        </article></body></html>`;
+
+      const result = extractMainContent(html);
+
+      expect(result.content).toContain('point 0');
+      expect(result.content).not.toContain('Tweet');
+      expect(result.content).not.toContain('Related post A');
+      expect(result.content).not.toContain('Great post');
+      expect(result.content).not.toContain('cookies');
+    });
+
+    it('should keep embeds, inline diagrams and callouts inside the post', () => {
+      const html = `
+        <html><body>
+          <nav><a href="/">Home</a><a href="/blog">Blog</a></nav>
+          <article>
+            ${longArticle}
+            <iframe src="https://www.youtube.com/embed/abc" title="Demo"></iframe>
+            <svg aria-hidden="true" viewBox="0 0 10 10"><circle r="4"></circle></svg>
+            <aside class="callout"><p>Note: this only applies to version 2 and later.</p></aside>
+            <footer><a href="/tags/a">Tag A</a></footer>
+          </article>
+          <aside class="sidebar">${paragraph('the sidebar')}</aside>
+          <form action="/subscribe"><input name="email"></form>
+        </body></html>`;
+
+      const result = extractMainContent(html);
+
+      expect(result.selector).toBe('article');
+      expect(result.content).toContain('<iframe src="https://www.youtube.com/embed/abc" title="Demo"></iframe>');
+      expect(result.content).toContain('<circle r="4"></circle>');
+      expect(result.content).toContain('this only applies to version 2');
+      expect(result.content).not.toContain('Tag A');
+      expect(result.content).not.toContain('the sidebar');
+      expect(result.content).not.toContain('subscribe');
+    });
+
+    it('should not pick page chrome with more prose than the post', () => {
+      const html = `
+        <html><body>
+          <footer><div>${longArticle}${longArticle}</div></footer>
+          <div id="story">${longArticle}</div>
+        </body></html>`;
+
+      const result = extractMainContent(html);
+
+      expect(result.selector).toBe('div#story');
+    });
+
+    it('should fall back to the best-scoring block when there is no semantic markup', () => {
+      const html = `
+        <html><body>
+          <div class="sidebar">${paragraph('the sidebar')}</div>
+          <div id="story">${longArticle}</div>
+          <div class="menu"><a href="/1">One</a> <a href="/2">Two</a></div>
+        </body></html>`;
+
+      const result = extractMainContent(html);
+
+      expect(result.strategy).toBe('scoring');
+      expect(result.selector).toBe('div#story');
+      expect(result.content).toContain('point 11');
+      expect(result.content).not.toContain('the sidebar');
+    });
+
+    it('should prefer scoring and lower confidence when the semantic container is a teaser', () => {
+      const html = `
+        <html><body>
+          <article class="teaser"><p>Read our other post about something unrelated here.</p></article>
+          <div class="post">${longArticle}</div>
+        </body></html>`;
+
+      const result = extractMainContent(html);
+
+      expect(result.strategy).toBe('scoring');
+      expect(result.content).toContain('point 3');
+      expect(result.confidence).toBeLessThan(extractMainContent(`<article>${longArticle}</article>`).confidence);
+    });
+
+    it('should fall back to the body with low confidence', () => {
+      const result = extractMainContent('<html><body><span>Short</span></body></html>');
+
+      expect(result.strategy).toBe('body');
+      expect(result.content).toContain('Short');
+      expect(result.lowConfidence).toBe(true);
+    });
+
+    it('should use a site rule\'s content selector and strip selectors', () => {
+      const html = `
+        <html><body>
+          <article><p>A teaser for another post, which scoring would happily pick.</p></article>
+          <div class="layout-col-2">${paragraph('the real post')}<div class="signup">Subscribe to our list</div></div>
+        </body></html>`;
+
+      const result = extractMainContent(html, {
+        rule: { name: 'Blog', content: ['.missing', '.layout-col-2'], strip: ['.signup'] }
+      });
+
+      expect(result).toMatchObject({ strategy: 'site-rule', selector: '.layout-col-2', confidence: 1, lowConfidence: false });
+      expect(result.content).toContain('the real post');
+      expect(result.content).not.toContain('Subscribe');
+    });
+
+    it('should fall back to generic detection when no rule selector matches', () => {
+      const result = extractMainContent(`<article>${longArticle}</article>`, {
+        rule: { name: 'Blog', content: ['.missing'] }
+      });
+
+      expect(result.strategy).toBe('semantic');
+      expect(result.content).toContain('point 0');
+    });
+
+    it('should report word count and link density', () => {
+      const result = extractMainContent('<article><p>Read <a href="/x">this guide</a> before you start.</p></article>');
+
+      expect(result.wordCount).toBe(6);
+      expect(result.linkDensity).toBeCloseTo(0.3, 2);
+    });
+  });
+});
@@ -0,0 +1,211 @@
+import { verifyContentPreservation, extractInventory, extractSentences } from '../src/helpers/contentVerifier.js';
+
+describe('Content Verifier', () => {
+  describe('extractInventory', () => {
+    it('should collect sentences, links, images, code, tables and numbers', () => {
+      const inventory = extractInventory(`
+        <h2>Setup in 3 steps</h2>
+        <p>Install it first. Then run it 2 times!</p>
+        <ul><li><p>Nested item.</p></li></ul>
+        <a href="https://example.com">Example</a><a href="#">Dead</a>
+        <img src="/diagram.png" alt="Diagram">
+        <pre><code>npm install 42</code></pre>
+        <table><tr><th>Plan</th><th>Price</th></tr><tr><td>Pro</td><td>1,200</td></tr></table>
+      `);
+
+      expect(inventory.sentence).toEqual(['Install it first.', 'Then run it 2 times!', 'Nested item.', 'Plan', 'Price', 'Pro', '1,200']);
+      expect(inventory.link).toEqual(['https://example.com']);
+      expect(inventory.image).toEqual(['/diagram.png']);
+      expect(inventory.code).toEqual(['npm install 42']);
+      expect(inventory.table).toEqual(['Plan | Price\nPro | 1,200']);
+      expect(inventory.number).toEqual(['2', '1200']);
+    });
+  });
+
+  describe('extractSentences', () => {
+    it('should split leaf text blocks into sentences', () => {
+      expect(extractSentences('<h2>Title</h2><p>One. Two!</p><ul><li><p>Three?</p></li></ul><pre>Not prose.</pre>'))
+        .toEqual(['One.', 'Two!', 'Three?']);
+    });
+  });
+
+  describe('verifyContentPreservation', () => {
+    const original = `
+      <h2>Intro</h2><p>Caching cuts load time by 40 percent. It is easy to set up.</p>
+      <h2>Links</h2><p>See <a href="https://docs.example.com">the docs</a>.</p><img src="/chart.png">
+      <h2>Filler</h2><p>This section says nothing useful.</p>
+    `;
+    const sections = [
+      { heading: 'Intro', content: '<p>Caching cuts load time by 40 percent. It is easy to set up.</p>' },
+      { heading: 'Links', content: '<p>See <a href="https://docs.example.com">the docs</a>.</p><img src="/chart.png">' },
+      { heading: 'Filler', content: '<p>This section says nothing useful.</p>' }
+    ];
+
+    it('should report identical content as preserved', () => {
+      const report = verifyContentPreservation(original, original);
+
+      expect(report.preserved).toBe(true);
+      expect(report.issues).toEqual([]);
+      expect(report.counts.sentence).toEqual({ original: 4, refreshed: 4 });
+    });
+
+    it('should ignore markup and heading changes', () => {
+      const refreshed = original
+        .replace('<h2>Intro</h2>', '<h2>Why Caching Matters</h2>')
+        .replace('<img src="/chart.png">', '<figure><img src="/chart.png" alt="Chart"></figure>');
+
+      expect(verifyContentPreservation(original, refreshed).preserved).toBe(true);
+    });
+
+    it('should report dropped sentences, links, images and numbers', () => {
+      const refreshed = '<h2>Intro</h2><p>It is easy to set up.</p><h2>Filler</h2><p>This section says nothing useful.</p>';
+
+      const report = verifyContentPreservation(original, refreshed);
+
+      expect(report.preserved).toBe(false);
+      expect(report.issues).toEqual(expect.arrayContaining([
+        { type: 'sentence', status: 'missing', original: 'Caching cuts load time by 40 percent.' },
+        { type: 'sentence', status: 'missing', original: 'See the docs.' },
+        { type: 'link', status: 'missing', original: 'https://docs.example.com' },
+        { type: 'image', status: 'missing', original: '/chart.png' },
+        { type: 'number', status: 'missing', original: '40' }
+      ]));
+    });
+
+    it('should report reworded sentences as altered', () => {
+      const refreshed = original.replace('Caching cuts load time by 40 percent.', 'Caching cuts page load time by 40 percent.');
+
+      const report = verifyContentPreservation(original, refreshed);
+
+      expect(report.issues).toEqual([{
+        type: 'sentence',
+        status: 'altered',
+        original: 'Caching cuts load time by 40 percent.',
+        refreshed: 'Caching cuts page load time by 40 percent.'
+      }]);
+    });
+
+    it('should explain content from approved removals', () => {
+      const refreshed = original.replace('<h2>Filler</h2><p>This section says nothing useful.</p>', '');
+      const approved = [{ type: 'structure', action: 'remove', affectedSections: [2] }];
+
+      const report = verifyContentPreservation(original, refreshed, approved, sections);
+
+      expect(report.preserved).toBe(true);
+      expect(report.explained).toEqual([
+        { type: 'sentence', original: 'This section says nothing useful.', reason: 'Section "Filler" removed' }
+      ]);
+    });
+
+    it('should allow rewritten wording but still require facts to survive', () => {
+      const refreshed = original.replace(
+        'Caching cuts load time by 40 percent. It is easy to set up.',
+        'Caching makes pages load much faster. Setup takes minutes.'
+      );
+      const approved = [{ type: 'structure', action: 'rewrite', affectedSections: [0] }];
+
+      const report = verifyContentPreservation(original, refreshed, approved, sections);
+
+      expect(report.explained.map(item => item.type)).toEqual(['sentence', 'sentence']);
+      expect(report.issues).toEqual([{ type: 'number', status: 'missing', original: '40' }]);
+    });
+
+    it('should explain approved outdated statements, including their numbers', () => {
+      const dated = original.replace('It is easy to set up.', 'In 2019 the current release is 2.1.');
+      const refreshed = dated.replace('In 2019 the current release is 2.1.', 'As of 2019, the release was 2.1.');
+      const approved = [{
+        type: 'outdated-content',
+        occurrences: [
+          { sentence: 'In 2019 the current release is 2.1.', approved: true },
+          { sentence: 'Caching cuts load time by 40 percent.', approved: false }
+        ]
+      }];
+
+      const report = verifyContentPreservation(dated, refreshed, approved, sections);
+
+      expect(report.preserved).toBe(true);
+      expect(report.explained).toEqual([
+        { type: 'sentence', original: 'In 2019 the current release is 2.1.', reason: 'Outdated statement updated' }
+      ]);
+    });
+
+    it('should not explain outdated statements the reviewer left unapproved', () => {
+      const refreshed = original.replace('Caching cuts load time by 40 percent.', 'Caching cuts load time by 60 percent.');
+      const approved = [{
+        type: 'outdated-content',
+        occurrences: [{ sentence: 'Caching cuts load time by 40 percent.', approved: false }]
+      }];
+
+      const report = verifyContentPreservation(original, refreshed, approved, sections);
+
+      expect(report.issues.map(issue => issue.type)).toEqual(['sentence', 'number']);
+    });
+
+    it('should explain sentences reworded by approved link text', () => {
+      const linked = original.replace('It is easy to set up.', 'For setup, <a href="/setup">click here</a>.');
+      const refreshed = linked.replace('<a href="/setup">click here</a>', '<a href="/setup">read the setup guide</a>');
+      const approved = [{
+        type: 'link-text',
+        occurrences: [{ sentence: 'For setup, click here.', current: 'click here', suggested: 'read the setup guide', approved: true }]
+      }];
+
+      const report = verifyContentPreservation(linked, refreshed, approved, sections);
+
+      expect(report.preserved).toBe(true);
+      expect(report.explained).toEqual([
+        { type: 'sentence', original: 'For setup, click here.', reason: 'Link text improved' }
+      ]);
+    });
+
+    it('should explain links removed by approved link fixes', () => {
+      const refreshed = original.replace('href="https://docs.example.com"', 'href="#" class="broken-link-removed"');
+      const approved = [{ type: 'link-fixes', affectedLinks: [{ url: 'https://docs.example.com' }] }];
+
+      const report = verifyContentPreservation(original, refreshed, approved, sections);
+
+      expect(report.preserved).toBe(true);
+      expect(report.explained).toEqual([
+        { type: 'link', original: 'https://docs.example.com', reason: 'Broken link fix' }
+      ]);
+    });
+
+    it('should explain links updated to their redirect target', () => {
+      const refreshed = original.replace('https://docs.example.com', 'https://docs.example.com/v2/');
+      const approved = [{ type: 'redirect-updates', affectedLinks: [{ url: 'https://docs.example.com', finalUrl: 'https://docs.example.com/v2/', approved: true }] }];
+
+      const report = verifyContentPreservation(original, refreshed, approved, sections);
+
+      expect(report.preserved).toBe(true);
+      expect(report.explained).toEqual([
+        { type: 'link', original: 'https://docs.example.com', reason: 'Redirect updated to final URL' }
+      ]);
+    });
+
+    it('should not explain links the reviewer ignored', () => {
+      const refreshed = original.replace('<a href="https://docs.example.com">the docs</a>', 'the docs');
+      const approved = [{ type: 'link-fixes', affectedLinks: [{ url: 'https://docs.example.com', action: 'unlink', approved: false }] }];
+
+      const report = verifyContentPreservation(original, refreshed, approved, sections);
+
+      expect(report.issues.map(issue => [issue.type, issue.original])).toEqual([['link', 'https://docs.example.com']]);
+    });
+
+    it('should explain sentences removed with their broken link', () => {
+      const linked = original.replace('It is easy to set up.', 'Setup takes <a href="https://gone.example.com">5 minutes</a>.');
+      const refreshed = linked.replace(' Setup takes <a href="https://gone.example.com">5 minutes</a>.', '');
+      const approved = [{
+        type: 'link-fixes',
+        affectedLinks: [{ url: 'https://gone.example.com', action: 'remove-sentence', sentence: 'Setup takes 5 minutes.' }]
+      }];
+
+      const report = verifyContentPreservation(linked, refreshed, approved, sections);
+
+      expect(report.preserved).toBe(true);
+      expect(report.explained).toEqual(expect.arrayContaining([
+        { type: 'sentence', original: 'Setup takes 5 minutes.', reason: 'Sentence with broken link removed' },
+        { type: 'link', original: 'https://gone.example.com', reason: 'Broken link fix' },
+        { type: 'number', original: '5', reason: 'Sentence with broken link removed' }
+      ]));
+    });
+  });
+});
@@ -0,0 +1,11 @@
+import { readFileSync } from 'node:fs';
+
+describe('HTML Policy', () => {
+  // The frontend preview has its own copy so each package installs on its own - the two must not drift apart
+  it('should match the frontend copy', () => {
+    const backendCopy = readFileSync(new URL('../src/helpers/htmlPolicy.js', import.meta.url), 'utf8');
+    const frontendCopy = readFileSync(new URL('../../frontend/src/htmlPolicy.js', import.meta.url), 'utf8');
+
+    expect(frontendCopy).toBe(backendCopy);
+  });
+});
@@ -0,0 +1,133 @@
+import { sanitizeHtml } from '../src/helpers/htmlSanitizer.js';
+
+describe('HTML Sanitizer', () => {
+  it('should keep ordinary post markup unchanged', () => {
+    const html = '<h2 id="setup">Setup</h2><p>Read <a href="https://example.com/docs" title="Docs">the docs</a> or <a href="#faq">the FAQ</a>.</p>'
+      + '<figure><img src="/images/diagram.png" alt="Diagram" width="600"><figcaption>How it works</figcaption></figure>'
+      + '<table><thead><tr><th scope="col">Plan</th></tr></thead><tbody><tr><td colspan="2">Free</td></tr></tbody></table>'
+      + '<pre><code class="language-js">const a = 1 &lt; 2;</code></pre>';
+
+    const result = sanitizeHtml(html);
+
+    expect(result.html).toBe(html);
+    expect(result.removed).toEqual([]);
+  });
+
+  it('should drop scripts, styles and embedded objects with their content', () => {
+    const result = sanitizeHtml('<p>Keep</p><script>alert(1)</script><style>p { display: none }</style><object data="x.swf"><p>Fallback</p></object><script src="https://evil.example/a.js"></script>');
+
+    expect(result.html).toBe('<p>Keep</p>');
+    expect(result.removed).toEqual([
+      { type: 'element', name: 'script', count: 2 },
+      { type: 'element', name: 'style', count: 1 },
+      { type: 'element', name: 'object', count: 1 }
+    ]);
+  });
+
+  it('should strip event handlers and style attributes', () => {
+    const result = sanitizeHtml('<p onclick="steal()" style="color: red">Text</p><img src="a.png" alt="A" onerror="steal()" onload="steal()">');
+
+    expect(result.html).toBe('<p>Text</p><img src="a.png" alt="A">');
+    expect(result.removed).toEqual([
+      { type: 'attribute', name: 'onclick', element: 'p', count: 1 },
+      { type: 'attribute', name: 'style', element: 'p', count: 1 },
+      { type: 'attribute', name: 'onerror', element: 'img', count: 1 },
+      { type: 'attribute', name: 'onload', element: 'img', count: 1 }
+    ]);
+  });
+
+  it('should remove links and sources with unsafe schemes', () => {
+    const result = sanitizeHtml(
+      '<a href="javascript:alert(1)">one</a><a href="JaVa&#x09;ScRiPt:alert(1)">two</a>'
+      + '<a href="mailto:me@example.com">mail</a><a href="data:text/html,<script>alert(1)</script>">three</a>'
+      + '<img src="data:image/png;base64,iVBORw0KGgo=" alt="dot"><img src="data:image/svg+xml,<svg onload=alert(1)>" alt="svg">'
+      + '<iframe src="/admin" title="Local"></iframe><iframe src="https://www.youtube.com/embed/x" title="Video"></iframe>'
+    );
+
+    expect(result.html).toBe(
+      '<a>one</a><a>two</a><a href="mailto:me@example.com">mail</a><a>three</a>'
+      + '<img src="data:image/png;base64,iVBORw0KGgo=" alt="dot"><img alt="svg">'
+      + '<iframe title="Local" sandbox="allow-scripts allow-same-origin allow-presentation allow-popups"></iframe>'
+      + '<iframe src="https://www.youtube.com/embed/x" title="Video" sandbox="allow-scripts allow-same-origin allow-presentation allow-popups"></iframe>'
+    );
+    expect(result.removed).toEqual([
+      { type: 'url', name: 'href', element: 'a', example: 'javascript:alert(1)', count: 3 },
+      { type: 'url', name: 'src', element: 'img', example: 'data:image/svg+xml,<svg onload=alert(1)>', count: 1 },
+      { type: 'url', name: 'src', element: 'iframe', example: '/admin', count: 1 }
+    ]);
+  });
+
+  it('should only embed known players in a sandbox', () => {
+    const result = sanitizeHtml(
+      '<iframe src="https://player.vimeo.com/video/1" sandbox="allow-top-navigation"></iframe>'
+      + '<iframe src="https://evil.example/phish"></iframe>'
+      + '<iframe src="http://www.youtube.com/embed/x"></iframe>'
+      + '<iframe src="https://www.youtube.com.evil.example/embed/x"></iframe>'
+      + '<iframe src="https://www.youtube.com/watch?v=x"></iframe>'
+    );
+    const sandbox = 'sandbox="allow-scripts allow-same-origin allow-presentation allow-popups"';
+
+    expect(result.html).toBe(
+      `<iframe src="https://player.vimeo.com/video/1" ${sandbox}></iframe>`
+      + `<iframe ${sandbox}></iframe>`.repeat(4)
+    );
+    expect(result.removed).toEqual([
+      { type: 'url', name: 'src', element: 'iframe', example: 'https://evil.example/phish', count: 4 }
+    ]);
+  });
+
+  it('should add rel="noopener noreferrer" to links that keep a target', () => {
+    const result = sanitizeHtml(
+      '<a href="https://a.example" target="_blank">A</a>'
+      + '<a href="https://b.example" target="_blank" rel="nofollow noopener">B</a>'
+      + '<a href="https://c.example" rel="nofollow">C</a>'
+    );
+
+    expect(result.html).toBe(
+      '<a href="https://a.example" target="_blank" rel="noopener noreferrer">A</a>'
+      + '<a href="https://b.example" target="_blank" rel="nofollow noopener noreferrer">B</a>'
+      + '<a href="https://c.example" rel="nofollow">C</a>'
+    );
+    expect(result.removed).toEqual([]);
+  });
+
+  it('should check every srcset candidate', () => {
+    const result = sanitizeHtml('<img src="a.png" srcset="a.png 1x, javascript:alert(1) 2x" alt="A">');
+
+    expect(result.html).toBe('<img src="a.png" alt="A">');
+    expect(result.removed).toEqual([{ type: 'url', name: 'srcset', element: 'img', example: 'a.png 1x, javascript:alert(1) 2x', count: 1 }]);
+  });
+
+  it('should unwrap unknown tags and keep their content', () => {
+    const result = sanitizeHtml('<center><font color="red">Hello <b>there</b></font></center><!-- tracking -->');
+
+    expect(result.html).toBe('Hello <b>there</b>');
+    expect(result.removed).toEqual([
+      { type: 'attribute', name: 'color', element: 'font', count: 1 },
+      { type: 'element', name: 'font', contentKept: true, count: 1 },
+      { type: 'element', name: 'center', contentKept: true, count: 1 }
+    ]);
+  });
+
+  it('should sanitize nested markup inside dropped and kept elements', () => {
+    const result = sanitizeHtml('<div><form action="/login"><input name="password"></form><blockquote cite="javascript:x"><p>Quote <svg><script>alert(1)</script></svg></p></blockquote></div>');
+
+    expect(result.html).toBe('<div><blockquote><p>Quote </p></blockquote></div>');
+    expect(result.removed.map(item => `${item.type}:${item.name}`)).toEqual(['element:form', 'url:cite', 'element:svg']);
+  });
+
+  it('should keep the wrapper of full documents and drop head tags that load resources', () => {
+    const result = sanitizeHtml('<!DOCTYPE html><html><head><title>Post</title><meta http-equiv="refresh" content="0;url=https://evil.example"><link rel="stylesheet" href="x.css"></head><body><p>Body</p></body></html>');
+
+    expect(result.html).toBe('<!DOCTYPE html><html><head><title>Post</title></head><body><p>Body</p></body></html>');
+    expect(result.removed).toEqual([
+      { type: 'element', name: 'meta', count: 1 },
+      { type: 'element', name: 'link', count: 1 }
+    ]);
+  });
+
+  it('should handle empty content', () => {
+    expect(sanitizeHtml('')).toEqual({ html: '', removed: [] });
+    expect(sanitizeHtml(undefined)).toEqual({ html: '', removed: [] });
+  });
+});
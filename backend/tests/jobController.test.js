@@ -0,0 +1,314 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+import { EventEmitter } from 'node:events';
+
+// Create mocks before importing modules
+const mockRunAnalysis = jest.fn();
+const mockRunApply = jest.fn();
+
+jest.unstable_mockModule('../src/controllers/blogController.js', () => ({
+  runAnalysis: mockRunAnalysis,
+  runApply: mockRunApply
+}));
+
+// Import after mocking
+const {
+  submitAnalyzeJob,
+  submitApplyJob,
+  getJobStatus,
+  cancelJobRequest,
+  streamJobEvents,
+  analyzeBlogStream
+} = await import('../src/controllers/jobController.js');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.post('/jobs/analyze', submitAnalyzeJob);
+app.post('/jobs/apply', submitApplyJob);
+app.get('/jobs/:id', getJobStatus);
+app.get('/jobs/:id/events', streamJobEvents);
+app.post('/jobs/:id/cancel', cancelJobRequest);
+app.post('/analyze-blog/stream', analyzeBlogStream);
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Job Controller', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('submitAnalyzeJob', () => {
+    it('should return a job ID immediately', async () => {
+      mockRunAnalysis.mockReturnValue(new Promise(() => {}));
+
+      const response = await request(app)
+        .post('/jobs/analyze')
+        .send({ content: '<h2>A</h2>', title: 'Test', metadata: { publishedAt: '2020-01-01' }, postId: 'post-1', bypassCache: true });
+
+      expect(response.status).toBe(202);
+      expect(response.body.data).toMatchObject({ jobId: expect.any(String), status: 'running' });
+      expect(mockRunAnalysis).toHaveBeenCalledWith('<h2>A</h2>', 'Test', expect.objectContaining({
+        metadata: { publishedAt: '2020-01-01' },
+        postId: 'post-1',
+        bypassCache: true,
+        signal: expect.any(AbortSignal),
+        onProgress: expect.any(Function)
+      }));
+    });
+
+    it('should return 400 if content is missing', async () => {
+      const response = await request(app).post('/jobs/analyze').send({ title: 'Test' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Content is required');
+    });
+
+    it('should expose partial results while running', async () => {
+      mockRunAnalysis.mockImplementation((content, title, { onProgress }) => {
+        onProgress('links-found', { count: 2, links: [{ id: 'link-0', url: 'https://a.com' }, { id: 'link-1', url: 'https://b.com' }] });
+        onProgress('link', { index: 1, result: { id: 'link-1', url: 'https://b.com', state: 'broken' } });
+        onProgress('replacements', { count: 1 });
+        onProgress('staleness', { count: 3 });
+        onProgress('seo', { score: 77, issueCount: 2 });
+        onProgress('accessibility', { issueCount: 4 });
+        onProgress('text-suggestions', { count: 2, status: 'ok' });
+        return new Promise(() => {});
+      });
+
+      const submit = await request(app).post('/jobs/analyze').send({ content: '<p>x</p>' });
+      await flush();
+
+      const response = await request(app).get(`/jobs/${submit.body.data.jobId}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('running');
+      expect(response.body.data.partial.linkEvaluations).toEqual([
+        { id: 'link-0', url: 'https://a.com', state: 'pending' },
+        { id: 'link-1', url: 'https://b.com', state: 'broken' }
+      ]);
+      expect(response.body.data.partial.replacementCount).toBe(1);
+      expect(response.body.data.partial.stalenessCount).toBe(3);
+      expect(response.body.data.partial.seoScore).toBe(77);
+      expect(response.body.data.partial.accessibilityIssueCount).toBe(4);
+      expect(response.body.data.partial.textSuggestionCount).toBe(2);
+    });
+
+    it('should track sections, AI status and proposals while running', async () => {
+      let onProgress;
+      mockRunAnalysis.mockImplementation((content, title, options) => {
+        onProgress = options.onProgress;
+        return new Promise(() => {});
+      });
+      const submit = await request(app).post('/jobs/analyze').send({ content: '<p>x</p>' });
+      await flush();
+      const partial = async () => (await request(app).get(`/jobs/${submit.body.data.jobId}`)).body.data.partial;
+
+      onProgress('sections', { count: 2, headings: ['A', 'B'] });
+      onProgress('link', { index: 0, result: { id: 'link-0', url: 'https://a.com', state: 'ok' } });
+      onProgress('ai-started', {});
+      expect(await partial()).toEqual({
+        sectionCount: 2,
+        headings: ['A', 'B'],
+        linkEvaluations: [{ id: 'link-0', url: 'https://a.com', state: 'ok' }],
+        aiStatus: 'running'
+      });
+
+      onProgress('ai-finished', {});
+      onProgress('proposals', { count: 5 });
+      onProgress('unknown-step', { ignored: true });
+      expect(await partial()).toMatchObject({ aiStatus: 'done', proposalCount: 5 });
+      expect(await partial()).not.toHaveProperty('ignored');
+    });
+
+    it('should expose the result once finished', async () => {
+      mockRunAnalysis.mockResolvedValue({ proposals: [] });
+
+      const submit = await request(app).post('/jobs/analyze').send({ content: '<p>x</p>' });
+      await flush();
+
+      const response = await request(app).get(`/jobs/${submit.body.data.jobId}`);
+
+      expect(response.body.data).toMatchObject({ status: 'completed', result: { proposals: [] } });
+    });
+  });
+
+  describe('submitApplyJob', () => {
+    it('should apply changes in the background', async () => {
+      const preservationReport = { preserved: true, counts: {}, issues: [], explained: [] };
+      mockRunApply.mockResolvedValue({ refreshedContent: '<p>Refreshed</p>', preservationReport });
+
+      const submit = await request(app)
+        .post('/jobs/apply')
+        .send({ content: '<p>x</p>', approvedProposals: [], originalSections: [], analysisId: 'analysis-1', reviewer: 'Sam' });
+      await flush();
+
+      expect(submit.status).toBe(202);
+      const response = await request(app).get(`/jobs/${submit.body.data.jobId}`);
+      expect(response.body.data.result).toEqual({ refreshedContent: '<p>Refreshed</p>', preservationReport });
+      expect(mockRunApply).toHaveBeenCalledWith('<p>x</p>', [], [], { signal: expect.any(AbortSignal), analysisId: 'analysis-1', reviewer: 'Sam', bypassCache: false });
+    });
+
+    it('should return 400 if data is missing', async () => {
+      const response = await request(app).post('/jobs/apply').send({ content: '<p>x</p>' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Missing required data');
+    });
+
+    it('should return 400 for an approved replacement without an http(s) URL', async () => {
+      const approvedProposals = [{
+        type: 'link-fixes',
+        affectedLinks: [{ id: 'link-0', url: 'https://broken.com', action: 'replace', replacementUrl: '' }]
+      }];
+
+      const response = await request(app).post('/jobs/apply').send({ content: '<p>x</p>', approvedProposals });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        error: 'Invalid link replacement',
+        details: [{ id: 'link-0', url: 'https://broken.com', replacementUrl: '', issue: 'No replacement URL given' }]
+      });
+      expect(mockRunApply).not.toHaveBeenCalled();
+    });
+
+    it('should report failures', async () => {
+      mockRunApply.mockRejectedValue(new Error('AI Error'));
+
+      const submit = await request(app)
+        .post('/jobs/apply')
+        .send({ content: '<p>x</p>', approvedProposals: [] });
+      await flush();
+
+      const response = await request(app).get(`/jobs/${submit.body.data.jobId}`);
+      expect(response.body.data).toMatchObject({ status: 'failed', error: 'AI Error' });
+    });
+  });
+
+  describe('cancelJobRequest', () => {
+    it('should cancel a running job and abort its signal', async () => {
+      let jobSignal;
+      mockRunAnalysis.mockImplementation((content, title, { signal }) => {
+        jobSignal = signal;
+        return new Promise(() => {});
+      });
+
+      const submit = await request(app).post('/jobs/analyze').send({ content: '<p>x</p>' });
+      const response = await request(app).post(`/jobs/${submit.body.data.jobId}/cancel`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe('cancelled');
+      expect(jobSignal.aborted).toBe(true);
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+      const response = await request(app).post('/jobs/missing/cancel');
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('getJobStatus', () => {
+    it('should return 404 for unknown jobs', async () => {
+      const response = await request(app).get('/jobs/missing');
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Job not found');
+    });
+  });
+
+  describe('streamJobEvents', () => {
+    it('should send only the final result of a finished job as Server-Sent Events', async () => {
+      mockRunAnalysis.mockImplementation(async (content, title, { onProgress }) => {
+        onProgress('sections', { count: 1, headings: ['A'] });
+        return { proposals: [] };
+      });
+
+      const submit = await request(app).post('/jobs/analyze').send({ content: '<h2>A</h2>' });
+      await flush();
+
+      const response = await request(app).get(`/jobs/${submit.body.data.jobId}/events`);
+
+      expect(response.headers['content-type']).toContain('text/event-stream');
+      // The progress is folded into the result, so it is not replayed
+      expect(response.text).toBe('event: complete\ndata: {"proposals":[]}\n\n');
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+      const response = await request(app).get('/jobs/missing/events');
+      expect(response.status).toBe(404);
+    });
+  });
+
+  describe('analyzeBlogStream', () => {
+    it('should stream the analysis job over the same connection', async () => {
+      mockRunAnalysis.mockImplementation(async (content, title, { onProgress }) => {
+        onProgress('sections', { count: 1, headings: ['A'] });
+        return { proposals: [] };
+      });
+
+      const response = await request(app)
+        .post('/analyze-blog/stream')
+        .send({ content: '<h2>A</h2>', title: 'Test', bypassCache: true });
+
+      expect(response.status).toBe(200);
+      expect(response.headers['content-type']).toContain('text/event-stream');
+      expect(response.text).toBe(
+        'event: sections\ndata: {"count":1,"headings":["A"]}\n\n' +
+        'event: complete\ndata: {"proposals":[]}\n\n'
+      );
+      expect(mockRunAnalysis).toHaveBeenCalledWith('<h2>A</h2>', 'Test', expect.objectContaining({ bypassCache: true }));
+    });
+
+    it('should end with an error event when the analysis fails', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockRunAnalysis.mockRejectedValue(new Error('Link check failed'));
+
+      const response = await request(app)
+        .post('/analyze-blog/stream')
+        .send({ content: '<h2>A</h2>' });
+
+      expect(response.text).toBe('event: error\ndata: {"error":"Link check failed"}\n\n');
+      console.error.mockRestore();
+    });
+
+    it('should cancel the job when the client disconnects', async () => {
+      const res = Object.assign(new EventEmitter(), { writeHead: jest.fn(), write: jest.fn(), end: jest.fn() });
+      let signal;
+      mockRunAnalysis.mockImplementation((content, title, options) => {
+        signal = options.signal;
+        return new Promise(() => {});
+      });
+
+      analyzeBlogStream({ body: { content: '<h2>A</h2>' } }, res);
+      await flush();
+      res.emit('close');
+
+      expect(signal.aborted).toBe(true);
+      // The client is gone, so not even the cancellation is written
+      expect(res.write).not.toHaveBeenCalled();
+    });
+
+    it('should write a heartbeat comment while the stream is open', () => {
+      jest.useFakeTimers();
+      const res = Object.assign(new EventEmitter(), { writeHead: jest.fn(), write: jest.fn(), end: jest.fn() });
+      mockRunAnalysis.mockReturnValue(new Promise(() => {}));
+
+      analyzeBlogStream({ body: { content: '<h2>A</h2>' } }, res);
+      jest.advanceTimersByTime(30000);
+      res.emit('close');
+      jest.advanceTimersByTime(30000);
+
+      expect(res.write.mock.calls).toEqual([[': ping\n\n'], [': ping\n\n']]);
+      jest.useRealTimers();
+    });
+
+    it('should return 400 if content is missing', async () => {
+      const response = await request(app).post('/analyze-blog/stream').send({ title: 'Test' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Content is required');
+      expect(mockRunAnalysis).not.toHaveBeenCalled();
+    });
+  });
+});
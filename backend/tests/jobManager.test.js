@@ -0,0 +1,170 @@
+import { jest } from '@jest/globals';
+import { createJob, getJob, cancelJob, subscribeToJob } from '../src/helpers/jobManager.js';
+
+// Wait for queued promise callbacks to run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Job Manager', () => {
+  describe('createJob', () => {
+    it('should return a running job immediately', () => {
+      const job = createJob('analyze', () => new Promise(() => {}));
+
+      expect(job).toMatchObject({ type: 'analyze', status: 'running', result: null, error: null });
+      expect(job.id).toEqual(expect.any(String));
+      expect(getJob(job.id).status).toBe('running');
+    });
+
+    it('should store the result when the job completes', async () => {
+      const job = createJob('apply', async () => ({ refreshedContent: '<p>Done</p>' }));
+      await flush();
+
+      expect(getJob(job.id)).toMatchObject({
+        status: 'completed',
+        result: { refreshedContent: '<p>Done</p>' }
+      });
+    });
+
+    it('should record failures with the error message', async () => {
+      const job = createJob('apply', async () => {
+        throw new Error('AI Error');
+      });
+      await flush();
+
+      expect(getJob(job.id)).toMatchObject({ status: 'failed', error: 'AI Error' });
+    });
+
+    it('should fold progress events into partial results', async () => {
+      let emitProgress;
+      const job = createJob('analyze', ({ emit }) => {
+        emitProgress = emit;
+        return new Promise(() => {});
+      }, {
+        reducePartial: (partial, event, data) => ({ ...partial, [event]: data })
+      });
+      await flush();
+
+      emitProgress('sections', { count: 2 });
+
+      expect(getJob(job.id).partial).toEqual({ sections: { count: 2 } });
+      expect(getJob(job.id).eventCount).toBe(1);
+    });
+
+    it('should drop the oldest finished jobs once too many are kept', async () => {
+      const finished = createJob('apply', async () => ({ refreshedContent: 'x' }));
+      await flush();
+
+      const running = Array.from({ length: 100 }, () => createJob('analyze', () => new Promise(() => {})));
+
+      expect(getJob(finished.id)).toBeNull();
+      expect(running.every(job => getJob(job.id)?.status === 'running')).toBe(true);
+    });
+  });
+
+  describe('cancelJob', () => {
+    it('should abort the signal and mark the job cancelled', async () => {
+      let jobSignal;
+      const job = createJob('analyze', ({ signal }) => {
+        jobSignal = signal;
+        return new Promise(() => {});
+      });
+      await flush();
+
+      const cancelled = cancelJob(job.id);
+
+      expect(cancelled.status).toBe('cancelled');
+      expect(jobSignal.aborted).toBe(true);
+    });
+
+    it('should ignore results that arrive after cancellation', async () => {
+      let finish;
+      const job = createJob('analyze', () => new Promise(resolve => { finish = resolve; }));
+      await flush();
+
+      cancelJob(job.id);
+      finish({ proposals: [] });
+      await flush();
+
+      expect(getJob(job.id)).toMatchObject({ status: 'cancelled', result: null });
+    });
+
+    it('should not change jobs that already finished', async () => {
+      const job = createJob('apply', async () => ({ refreshedContent: 'x' }));
+      await flush();
+
+      expect(cancelJob(job.id).status).toBe('completed');
+    });
+
+    it('should return null for unknown jobs', () => {
+      expect(cancelJob('missing')).toBeNull();
+      expect(getJob('missing')).toBeNull();
+    });
+  });
+
+  describe('subscribeToJob', () => {
+    it('should replay past events and follow new ones until the job ends', async () => {
+      let emitProgress;
+      let finish;
+      const job = createJob('analyze', ({ emit }) => {
+        emitProgress = emit;
+        return new Promise(resolve => { finish = resolve; });
+      });
+      await flush();
+
+      emitProgress('sections', { count: 1 });
+
+      const onEvent = jest.fn();
+      const onEnd = jest.fn();
+      subscribeToJob(job.id, onEvent, onEnd);
+
+      emitProgress('proposals', { count: 0 });
+      finish({ proposals: [] });
+      await flush();
+
+      expect(onEvent.mock.calls.map(call => call[0])).toEqual(['sections', 'proposals', 'complete']);
+      expect(onEnd).toHaveBeenCalledTimes(1);
+    });
+
+    it('should end immediately for finished jobs', async () => {
+      const job = createJob('apply', async () => ({ refreshedContent: 'x' }));
+      await flush();
+
+      const onEvent = jest.fn();
+      const onEnd = jest.fn();
+      subscribeToJob(job.id, onEvent, onEnd);
+
+      expect(onEvent).toHaveBeenCalledWith('complete', { refreshedContent: 'x' });
+      expect(onEnd).toHaveBeenCalled();
+    });
+
+    it('should keep only the final event once the job finishes', async () => {
+      const job = createJob('analyze', async ({ emit }) => {
+        emit('sections', { count: 1 });
+        return { proposals: [] };
+      });
+      await flush();
+
+      const onEvent = jest.fn();
+      subscribeToJob(job.id, onEvent, jest.fn());
+
+      expect(getJob(job.id).eventCount).toBe(1);
+      expect(onEvent.mock.calls).toEqual([['complete', { proposals: [] }]]);
+    });
+
+    it('should emit a cancelled event to subscribers', async () => {
+      const job = createJob('analyze', () => new Promise(() => {}));
+      await flush();
+
+      const onEvent = jest.fn();
+      const onEnd = jest.fn();
+      subscribeToJob(job.id, onEvent, onEnd);
+      cancelJob(job.id);
+
+      expect(onEvent).toHaveBeenCalledWith('cancelled', {});
+      expect(onEnd).toHaveBeenCalled();
+    });
+
+    it('should return null for unknown jobs', () => {
+      expect(subscribeToJob('missing', jest.fn(), jest.fn())).toBeNull();
+    });
+  });
+});
@@ -4,6 +4,11 @@ import { jest } from '@jest/globals';
 const mockHead = jest.fn();
 const mockGet = jest.fn();
 
+// Every host resolves to a public address, so the URL policy lets requests through
+jest.unstable_mockModule('node:dns/promises', () => ({
+  lookup: jest.fn(async () => [{ address: '93.184.215.14', family: 4 }])
+}));
+
 // Mock axios before importing
 jest.unstable_mockModule('axios', () => ({
   default: {
@@ -14,10 +19,12 @@ jest.unstable_mockModule('axios', () => ({
 
 // Import after mocking
 const { evaluateLinks } = await import('../src/helpers/linkChecker.js');
+const { clearCaches } = await import('../src/helpers/cache.js');
 
 describe('LinkChecker', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    clearCaches();
   });
 
   describe('evaluateLinks', () => {
@@ -200,7 +207,7 @@ describe('LinkChecker', () => {
       });
     });
 
-    it('should limit to 20 links maximum', async () => {
+    it('should check more than 20 links by default', async () => {
       const links = Array.from({ length: 25 }, (_, i) => ({
         id: `link-${i}`,
         url: `https://example.com/${i}`,
@@ -211,8 +218,152 @@ describe('LinkChecker', () => {
 
       const result = await evaluateLinks(links);
 
-      expect(result).toHaveLength(20);
-      expect(mockHead).toHaveBeenCalledTimes(20);
+      expect(result).toHaveLength(25);
+      expect(mockHead).toHaveBeenCalledTimes(25);
+      expect(result.every(r => r.state === 'working')).toBe(true);
+    });
+
+    it('should return links over maxLinks as unchecked', async () => {
+      const links = Array.from({ length: 5 }, (_, i) => ({
+        id: `link-${i}`,
+        url: `https://example.com/${i}`,
+        text: `Link ${i}`
+      }));
+
+      mockHead.mockResolvedValue({ status: 200 });
+
+      const result = await evaluateLinks(links, { maxLinks: 3 });
+
+      expect(result).toHaveLength(5);
+      expect(mockHead).toHaveBeenCalledTimes(3);
+      expect(result[3]).toMatchObject({
+        id: 'link-3',
+        status: null,
+        working: null,
+        state: 'unchecked',
+        issue: 'Not checked (link limit reached)'
+      });
+    });
+
+    it('should mark links not started within the time budget as unchecked', async () => {
+      const links = Array.from({ length: 3 }, (_, i) => ({
+        id: `link-${i}`,
+        url: `https://example.com/${i}`,
+        text: `Link ${i}`
+      }));
+
+      mockHead.mockImplementation(() => new Promise(resolve => setTimeout(() => resolve({ status: 200 }), 30)));
+
+      const result = await evaluateLinks(links, { concurrency: 1, timeBudgetMs: 10 });
+
+      expect(mockHead).toHaveBeenCalledTimes(1);
+      expect(result.map(r => r.state)).toEqual(['working', 'unchecked', 'unchecked']);
+      expect(result[1].issue).toBe('Not checked (time budget exhausted)');
+    });
+
+    it('should stop checking links once the signal is aborted', async () => {
+      const links = Array.from({ length: 3 }, (_, i) => ({
+        id: `link-${i}`,
+        url: `https://example.com/${i}`,
+        text: `Link ${i}`
+      }));
+
+      const controller = new AbortController();
+      mockHead.mockImplementation(async () => {
+        controller.abort();
+        return { status: 200 };
+      });
+
+      const result = await evaluateLinks(links, { concurrency: 1, signal: controller.signal });
+
+      expect(mockHead).toHaveBeenCalledTimes(1);
+      // The request signal combines the cancellation with the time budget
+      expect(mockHead.mock.calls[0][1].signal.aborted).toBe(true);
+      expect(result.map(r => r.state)).toEqual(['working', 'unchecked', 'unchecked']);
+      expect(result[2].issue).toBe('Not checked (analysis cancelled)');
+    });
+
+    it('should report requests cut off by the abort as unchecked', async () => {
+      const links = [
+        { id: 'link-0', url: 'https://example.com/page', text: 'Page' },
+        { id: 'link-1', url: 'https://example.com/doc.pdf', text: 'PDF' }
+      ];
+
+      const controller = new AbortController();
+      // Requests stay in flight until the signal aborts them, as axios does
+      const inFlight = (url, config) => new Promise((resolve, reject) => {
+        config.signal.addEventListener('abort', () => reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' })));
+      });
+      mockHead.mockImplementation(inFlight);
+      mockGet.mockImplementation(inFlight);
+
+      const pending = evaluateLinks(links, { signal: controller.signal });
+      await new Promise(resolve => setTimeout(resolve, 0));
+      controller.abort();
+      const result = await pending;
+
+      expect(mockHead).toHaveBeenCalledTimes(2);
+      expect(mockGet).not.toHaveBeenCalled();
+      expect(result.map(r => r.state)).toEqual(['unchecked', 'unchecked']);
+      expect(result.map(r => r.issue)).toEqual(['Not checked (analysis cancelled)', 'Not checked (analysis cancelled)']);
+    });
+
+    it('should abort requests still in flight when the time budget runs out', async () => {
+      const links = [
+        { id: 'link-0', url: 'https://example.com/page', text: 'Page' },
+        { id: 'link-1', url: 'https://example.com/doc.pdf', text: 'PDF' },
+        { id: 'link-2', url: 'https://example.com/later', text: 'Later' }
+      ];
+
+      // Requests stay in flight until the signal aborts them, as axios does
+      const inFlight = (url, config) => new Promise((resolve, reject) => {
+        config.signal.addEventListener('abort', () => reject(Object.assign(new Error('canceled'), { code: 'ERR_CANCELED' })));
+      });
+      mockHead.mockImplementation(inFlight);
+      mockGet.mockImplementation(inFlight);
+
+      const result = await evaluateLinks(links, { concurrency: 2, timeBudgetMs: 20, signal: new AbortController().signal });
+
+      expect(mockHead).toHaveBeenCalledTimes(2);
+      expect(result.map(r => r.state)).toEqual(['unchecked', 'unchecked', 'unchecked']);
+      expect(result.map(r => r.issue)).toEqual(Array(3).fill('Not checked (time budget exhausted)'));
+
+      // Cut off by the budget, so not cached either
+      mockHead.mockResolvedValue({ status: 200 });
+      const [rerun] = await evaluateLinks(links.slice(0, 1));
+      expect(rerun).toMatchObject({ state: 'working' });
+      expect(rerun.cached).toBeUndefined();
+    });
+
+    it('should check links again after a cancelled analysis', async () => {
+      const links = [{ id: 'link-0', url: 'https://example.com/page', text: 'Page' }];
+
+      const controller = new AbortController();
+      // The response arrives, but only after the analysis was cancelled
+      mockHead.mockImplementationOnce(async () => {
+        controller.abort();
+        return { status: 503 };
+      });
+      await evaluateLinks(links, { signal: controller.signal });
+
+      mockHead.mockResolvedValueOnce({ status: 200 });
+      const [rerun] = await evaluateLinks(links);
+
+      expect(mockHead).toHaveBeenCalledTimes(2);
+      expect(rerun).toMatchObject({ state: 'working', status: 200 });
+      expect(rerun.cached).toBeUndefined();
+    });
+
+    it('should apply the per-request timeout to every request', async () => {
+      const links = [{ id: 'link-1', url: 'https://example.com', text: 'Example' }];
+
+      mockHead.mockResolvedValue({ status: 405 });
+      mockGet.mockResolvedValue({ status: 200, data: { destroy: jest.fn() } });
+
+      await evaluateLinks(links, { requestTimeoutMs: 3000 });
+
+      expect(mockHead.mock.calls[0][1].timeout).toBe(3000);
+      expect(mockGet.mock.calls[0][1].timeout).toBe(3000);
     });
 
     it('should handle empty links array', async () => {
@@ -235,6 +386,105 @@ describe('LinkChecker', () => {
       expect(result[0].working).toBe(true);
     });
 
+    it('should record the redirect chain and final URL', async () => {
+      const links = [{ id: 'link-0', url: 'http://example.com/old-post', text: 'Post' }];
+      mockHead
+        .mockResolvedValueOnce({ status: 301, headers: { location: 'https://example.com/old-post' } })
+        .mockResolvedValueOnce({ status: 308, headers: { location: '/blog/new-post' } })
+        .mockResolvedValueOnce({ status: 200, headers: {} });
+
+      const [result] = await evaluateLinks(links);
+
+      expect(mockHead.mock.calls.map(([url, options]) => [url, options.maxRedirects])).toEqual([
+        ['http://example.com/old-post', 0],
+        ['https://example.com/old-post', 0],
+        ['https://example.com/blog/new-post', 0]
+      ]);
+      expect(result).toMatchObject({
+        status: 200,
+        working: true,
+        state: 'working',
+        redirects: [
+          { url: 'http://example.com/old-post', status: 301, location: 'https://example.com/old-post' },
+          { url: 'https://example.com/old-post', status: 308, location: 'https://example.com/blog/new-post' }
+        ],
+        finalUrl: 'https://example.com/blog/new-post',
+        permanentRedirect: true
+      });
+    });
+
+    it('should not call a chain with a temporary hop permanent', async () => {
+      const links = [{ id: 'link-0', url: 'https://example.com/a', text: 'A' }];
+      mockHead
+        .mockResolvedValueOnce({ status: 301, headers: { location: 'https://example.com/b' } })
+        .mockResolvedValueOnce({ status: 302, headers: { location: 'https://example.com/c' } })
+        .mockResolvedValueOnce({ status: 200, headers: {} });
+
+      const [result] = await evaluateLinks(links);
+
+      expect(result).toMatchObject({ finalUrl: 'https://example.com/c', permanentRedirect: false, working: true });
+    });
+
+    it('should leave links that do not redirect without redirect fields', async () => {
+      mockHead.mockResolvedValue({ status: 200, headers: {} });
+
+      const [result] = await evaluateLinks([{ id: 'link-0', url: 'https://example.com', text: 'Example' }]);
+
+      expect(result).not.toHaveProperty('redirects');
+      expect(result).not.toHaveProperty('finalUrl');
+    });
+
+    it('should flag redirects to the homepage as probable soft 404s', async () => {
+      const links = [{ id: 'link-0', url: 'https://example.com/guides/removed', text: 'Guide' }];
+      mockHead
+        .mockResolvedValueOnce({ status: 301, headers: { location: 'https://www.example.com/' } })
+        .mockResolvedValueOnce({ status: 200, headers: {} });
+
+      const [result] = await evaluateLinks(links);
+
+      expect(result).toMatchObject({
+        status: 200,
+        working: false,
+        state: 'broken',
+        softNotFound: true,
+        issue: 'Redirects to the homepage (probable soft 404)',
+        finalUrl: 'https://www.example.com/'
+      });
+    });
+
+    it('should report redirect loops as broken', async () => {
+      mockHead.mockImplementation(async url => ({
+        status: 302,
+        headers: { location: url.endsWith('/a') ? '/b' : '/a' }
+      }));
+
+      const [result] = await evaluateLinks([{ id: 'link-0', url: 'https://example.com/a', text: 'Loop' }]);
+
+      expect(result).toMatchObject({ working: false, state: 'broken', issue: 'Too many redirects' });
+      expect(mockHead).toHaveBeenCalledTimes(6);
+    });
+
+    it('should not request links to private or loopback addresses', async () => {
+      const [result] = await evaluateLinks([{ id: 'link-0', url: 'http://127.0.0.1:80/admin', text: 'Admin' }]);
+
+      expect(result).toMatchObject({
+        state: 'unchecked',
+        issue: 'Not checked (127.0.0.1 is a loopback address)'
+      });
+      expect(mockHead).not.toHaveBeenCalled();
+      expect(mockGet).not.toHaveBeenCalled();
+    });
+
+    it('should stop at a redirect to a blocked address', async () => {
+      mockHead.mockResolvedValue({ status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } });
+
+      const [result] = await evaluateLinks([{ id: 'link-0', url: 'https://example.com/go', text: 'Go' }]);
+
+      expect(result).toMatchObject({ state: 'unchecked', issue: expect.stringContaining('link-local address') });
+      expect(mockHead).toHaveBeenCalledTimes(1);
+      expect(mockGet).not.toHaveBeenCalled();
+    });
+
     it('should handle 400 bad request', async () => {
       const links = [{ id: 'test', url: 'https://example.com', text: 'Test' }];
       mockHead.mockResolvedValue({ status: 400 });
@@ -447,10 +697,183 @@ describe('LinkChecker', () => {
       expect(result[0]).toMatchObject({ working: false, issue: 'HTTP error (status 999)' });
     });
   });
+
+  describe('caching', () => {
+    it('should reuse results for a URL that was already checked', async () => {
+      mockHead.mockResolvedValue({ status: 200 });
+
+      await evaluateLinks([{ id: 'link-0', url: 'https://example.com/a', text: 'First' }]);
+      const [result] = await evaluateLinks([{ id: 'link-3', url: 'https://example.com/a', text: 'Again' }]);
+
+      expect(mockHead).toHaveBeenCalledTimes(1);
+      expect(result).toMatchObject({
+        id: 'link-3',
+        text: 'Again',
+        status: 200,
+        state: 'working',
+        cached: true,
+        cachedAt: expect.any(String)
+      });
+    });
+
+    it('should check every link again when bypassing the cache', async () => {
+      mockHead.mockResolvedValueOnce({ status: 404 }).mockResolvedValueOnce({ status: 200 });
+
+      await evaluateLinks([{ id: 'link-0', url: 'https://example.com/a', text: 'A' }]);
+      const [result] = await evaluateLinks([{ id: 'link-0', url: 'https://example.com/a', text: 'A' }], { bypassCache: true });
+      const [next] = await evaluateLinks([{ id: 'link-0', url: 'https://example.com/a', text: 'A' }]);
+
+      expect(mockHead).toHaveBeenCalledTimes(2);
+      expect(result).toMatchObject({ state: 'working' });
+      expect(result.cached).toBeUndefined();
+      expect(next).toMatchObject({ state: 'working', cached: true });
+    });
+
+    it('should keep broken links for less time than working ones, and transient failures for minutes', async () => {
+      const now = jest.spyOn(Date, 'now').mockReturnValue(1_000_000_000);
+      const links = [
+        { id: 'working', url: 'https://a.com/ok', text: 'OK' },
+        { id: 'broken', url: 'https://b.com/gone', text: 'Gone' },
+        { id: 'transient', url: 'https://c.com/busy', text: 'Busy' }
+      ];
+      const statuses = { 'https://a.com/ok': 200, 'https://b.com/gone': 404, 'https://c.com/busy': 503 };
+      mockHead.mockImplementation(async url => ({ status: statuses[url] }));
+      mockGet.mockImplementation(async url => ({ status: statuses[url], data: { destroy: jest.fn() } }));
+
+      const cachedIds = async () => (await evaluateLinks(links)).filter(l => l.cached).map(l => l.id);
+
+      await evaluateLinks(links);
+      now.mockReturnValue(1_000_000_000 + 10 * 60 * 1000);
+      expect(await cachedIds()).toEqual(['working', 'broken']);
+      now.mockReturnValue(1_000_000_000 + 2 * 60 * 60 * 1000);
+      expect(await cachedIds()).toEqual(['working']);
+
+      now.mockRestore();
+    });
+
+    it('should not cache links that were never requested', async () => {
+      await evaluateLinks([{ id: 'link-0', url: 'http://127.0.0.1:80/admin', text: 'Admin' }]);
+      const [result] = await evaluateLinks([{ id: 'link-0', url: 'http://127.0.0.1:80/admin', text: 'Admin' }]);
+
+      expect(result).toMatchObject({ state: 'unchecked' });
+      expect(result.cached).toBeUndefined();
+    });
+  });
+
+  describe('concurrency', () => {
+    const deferred = () => {
+      let resolve;
+      const promise = new Promise(r => { resolve = r; });
+      return { promise, resolve };
+    };
+
+    it('should return results in the original link order', async () => {
+      const links = [
+        { id: 'slow', url: 'https://a.com/slow', text: 'Slow' },
+        { id: 'fast', url: 'https://b.com/fast', text: 'Fast' }
+      ];
+
+      mockHead.mockImplementation(url => url.includes('slow')
+        ? new Promise(resolve => setTimeout(() => resolve({ status: 404 }), 20))
+        : Promise.resolve({ status: 200 }));
+
+      const completed = [];
+      const result = await evaluateLinks(links, { onResult: r => completed.push(r.id) });
+
+      expect(result.map(r => r.id)).toEqual(['slow', 'fast']);
+      expect(completed).toEqual(['fast', 'slow']);
+    });
+
+    it('should finish even when the result callback throws', async () => {
+      const links = [
+        { id: 'a', url: 'https://a.com', text: 'A' },
+        { id: 'b', url: 'https://b.com', text: 'B' }
+      ];
+      mockHead.mockResolvedValue({ status: 200 });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await evaluateLinks(links, {
+        maxLinks: 1,
+        onResult: () => { throw new Error('Observer failed'); }
+      });
+
+      expect(result.map(r => r.state)).toEqual(['working', 'unchecked']);
+      expect(console.error).toHaveBeenCalledWith('Link result callback failed:', expect.any(Error));
+      console.error.mockRestore();
+    });
+
+    it('should not exceed the global concurrency limit', async () => {
+      const links = Array.from({ length: 6 }, (_, i) => ({
+        id: `link-${i}`,
+        url: `https://host${i}.com`,
+        text: `Link ${i}`
+      }));
+
+      let inFlight = 0;
+      let maxInFlight = 0;
+      mockHead.mockImplementation(async () => {
+        inFlight++;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        await new Promise(resolve => setTimeout(resolve, 5));
+        inFlight--;
+        return { status: 200 };
+      });
+
+      const result = await evaluateLinks(links, { concurrency: 2, perHostConcurrency: 2 });
+
+      expect(result).toHaveLength(6);
+      expect(maxInFlight).toBe(2);
+    });
+
+    it('should throttle requests to the same host', async () => {
+      const links = [
+        { id: 'a1', url: 'https://same.com/1', text: 'A1' },
+        { id: 'a2', url: 'https://same.com/2', text: 'A2' },
+        { id: 'b1', url: 'https://other.com/1', text: 'B1' }
+      ];
+
+      const gate = deferred();
+      mockHead.mockImplementation(url => url.startsWith('https://same.com')
+        ? gate.promise.then(() => ({ status: 200 }))
+        : Promise.resolve({ status: 200 }));
+
+      const pending = evaluateLinks(links, { concurrency: 5, perHostConcurrency: 1 });
+      await new Promise(resolve => setTimeout(resolve, 0));
+
+      // Only one same.com request may be in flight, other.com is not blocked by it
+      const calledUrls = mockHead.mock.calls.map(call => call[0]);
+      expect(calledUrls).toEqual(['https://same.com/1', 'https://other.com/1']);
+
+      gate.resolve();
+      const result = await pending;
+
+      expect(mockHead).toHaveBeenCalledTimes(3);
+      expect(result.map(r => r.id)).toEqual(['a1', 'a2', 'b1']);
+    });
+
+    it('should keep HEAD to GET fallback behaviour inside the pool', async () => {
+      const links = [
+        { id: 'pdf', url: 'https://a.com/doc.pdf', text: 'PDF' },
+        { id: 'page', url: 'https://b.com/page', text: 'Page' }
+      ];
+
+      mockHead.mockResolvedValue({ status: 405 });
+      mockGet.mockResolvedValue({ status: 200, data: { destroy: jest.fn() } });
+
+      const result = await evaluateLinks(links, { concurrency: 2 });
+
+      expect(result[0]).toMatchObject({ id: 'pdf', working: true, method: 'GET-SPECIAL' });
+      expect(result[1]).toMatchObject({ id: 'page', working: true, method: 'GET' });
+    });
+  });
 });
 
 
   describe('Additional Coverage', () => {
+    beforeEach(() => {
+      clearCaches();
+    });
+
     it('should handle special URL with 404 error', async () => {
       const links = [{ id: 'test', url: 'https://example.com/file.pdf', text: 'PDF' }];
       mockHead.mockResolvedValue({ status: 404 });
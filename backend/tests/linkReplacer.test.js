@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals';
+
+const mockAxiosGet = jest.fn();
+const mockEvaluateLinks = jest.fn();
+
+// Every host resolves to a public address, so the URL policy lets requests through
+jest.unstable_mockModule('node:dns/promises', () => ({
+  lookup: jest.fn(async () => [{ address: '93.184.215.14', family: 4 }])
+}));
+
+jest.unstable_mockModule('axios', () => ({
+  default: { get: mockAxiosGet }
+}));
+
+jest.unstable_mockModule('../src/helpers/linkChecker.js', () => ({
+  evaluateLinks: mockEvaluateLinks
+}));
+
+const { findReplacements } = await import('../src/helpers/linkReplacer.js');
+
+const sitemap = urls => `<?xml version="1.0"?><urlset>${urls.map(url => `<url><loc>${url}</loc></url>`).join('')}</urlset>`;
+
+const snapshot = (url, timestamp = '20190304120000') => ({
+  data: { archived_snapshots: { closest: { available: true, url, timestamp, status: '200' } } }
+});
+
+describe('Link Replacer', () => {
+  const originalWayback = process.env.WAYBACK_API_URL;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.WAYBACK_API_URL;
+    mockAxiosGet.mockRejectedValue(new Error('not found'));
+  });
+
+  afterAll(() => {
+    if (originalWayback === undefined) delete process.env.WAYBACK_API_URL;
+    else process.env.WAYBACK_API_URL = originalWayback;
+  });
+
+  it('should offer the archived snapshot closest to the publish date', async () => {
+    mockAxiosGet.mockImplementation(async url => {
+      if (url === 'https://archive.org/wayback/available') {
+        return snapshot('http://web.archive.org/web/20190304120000/https://gone.example.com/post');
+      }
+      throw new Error('not found');
+    });
+
+    const result = await findReplacements(
+      [{ id: 'link-0', url: 'https://gone.example.com/post', status: 404 }],
+      { publishedAt: '2019-03-01T10:00:00Z' }
+    );
+
+    expect(mockAxiosGet).toHaveBeenCalledWith('https://archive.org/wayback/available', expect.objectContaining({
+      params: { url: 'https://gone.example.com/post', timestamp: '20190301' }
+    }));
+    expect(result).toEqual({
+      'link-0': [{
+        source: 'archive',
+        url: 'https://web.archive.org/web/20190304120000/https://gone.example.com/post',
+        label: 'Archived copy from Mar 4, 2019'
+      }]
+    });
+  });
+
+  it('should use the configured archive endpoint, or none when turned off', async () => {
+    process.env.WAYBACK_API_URL = 'http://localhost:4010/available';
+    mockAxiosGet.mockResolvedValue({ data: { archived_snapshots: {} } });
+
+    await findReplacements([{ id: 'link-0', url: 'https://gone.example.com' }]);
+    expect(mockAxiosGet).toHaveBeenCalledWith('http://localhost:4010/available', expect.objectContaining({
+      params: { url: 'https://gone.example.com' }
+    }));
+
+    mockAxiosGet.mockClear();
+    process.env.WAYBACK_API_URL = 'off';
+
+    expect(await findReplacements([{ id: 'link-0', url: 'https://gone.example.com' }])).toEqual({});
+    expect(mockAxiosGet).not.toHaveBeenCalled();
+  });
+
+  it('should find a page with a matching address in the site\'s sitemap', async () => {
+    process.env.WAYBACK_API_URL = 'off';
+    mockAxiosGet.mockImplementation(async url => {
+      if (url === 'https://blog.example.com/sitemap.xml') {
+        return {
+          data: `<?xml version="1.0"?><sitemapindex><sitemap><loc>https://blog.example.com/posts.xml</loc></sitemap></sitemapindex>`
+        };
+      }
+      if (url === 'https://blog.example.com/posts.xml') {
+        return {
+          data: sitemap([
+            'https://blog.example.com/guides/redis-caching-guide',
+            'https://blog.example.com/about',
+            'https://blog.example.com/guides/caching'
+          ])
+        };
+      }
+      throw new Error('not found');
+    });
+
+    const result = await findReplacements([
+      { id: 'link-0', url: 'https://blog.example.com/2019/redis-caching-guide.html', status: 404 },
+      { id: 'link-1', url: 'https://blog.example.com/2019/kubernetes-intro', status: 404 }
+    ]);
+
+    expect(result).toEqual({
+      'link-0': [{ source: 'same-site', url: 'https://blog.example.com/guides/redis-caching-guide', label: 'Similar page on blog.example.com' }]
+    });
+    // One sitemap download per site
+    expect(mockAxiosGet.mock.calls.filter(([url]) => url === 'https://blog.example.com/sitemap.xml')).toHaveLength(1);
+  });
+
+  it('should not search the sitemap of a host that never answered', async () => {
+    process.env.WAYBACK_API_URL = 'off';
+
+    await findReplacements([{ id: 'link-0', url: 'https://down.example.com/post', status: null }]);
+
+    expect(mockAxiosGet).not.toHaveBeenCalled();
+  });
+
+  it('should only offer AI-suggested sources that respond', async () => {
+    process.env.WAYBACK_API_URL = 'off';
+    mockEvaluateLinks.mockImplementation(async links => links.map((link, i) => ({
+      ...link,
+      state: i === 0 ? 'working' : 'broken'
+    })));
+
+    const result = await findReplacements(
+      [{ id: 'link-2', url: 'https://gone.example.com' }],
+      {
+        aiSuggestions: {
+          'link-2': [
+            { url: 'https://redis.io/docs/', title: 'Redis docs' },
+            { url: 'https://invented.example.com/page', title: 'Invented' }
+          ]
+        }
+      }
+    );
+
+    expect(mockEvaluateLinks).toHaveBeenCalledWith([
+      { id: 'link-2-ai-0', linkId: 'link-2', url: 'https://redis.io/docs/', title: 'Redis docs' },
+      { id: 'link-2-ai-1', linkId: 'link-2', url: 'https://invented.example.com/page', title: 'Invented' }
+    ], expect.objectContaining({ maxLinks: 2 }));
+    expect(result).toEqual({
+      'link-2': [{ source: 'ai', url: 'https://redis.io/docs/', label: 'Suggested source: Redis docs' }]
+    });
+  });
+
+  it('should list same-site, archive and AI candidates in that order without duplicates', async () => {
+    mockAxiosGet.mockImplementation(async url => {
+      if (url === 'https://site.example.com/sitemap.xml') {
+        return { data: sitemap(['https://site.example.com/docs/setup-guide']) };
+      }
+      return snapshot('https://web.archive.org/web/2020/https://site.example.com/setup-guide', '20200101000000');
+    });
+    mockEvaluateLinks.mockImplementation(async links => links.map(link => ({ ...link, state: 'working' })));
+
+    const result = await findReplacements(
+      [{ id: 'link-0', url: 'https://site.example.com/setup-guide', status: 404 }],
+      { aiSuggestions: { 'link-0': [{ url: 'https://site.example.com/docs/setup-guide' }] } }
+    );
+
+    expect(result['link-0'].map(candidate => candidate.source)).toEqual(['same-site', 'archive']);
+  });
+});
@@ -0,0 +1,172 @@
+import { jest } from '@jest/globals';
+
+// Create mocks
+const mockGenerateContent = jest.fn();
+const mockGoogleGenAI = jest.fn().mockImplementation(() => ({
+  models: {
+    generateContent: mockGenerateContent
+  }
+}));
+const mockPost = jest.fn();
+
+jest.unstable_mockModule('@google/genai', () => ({
+  GoogleGenAI: mockGoogleGenAI
+}));
+
+jest.unstable_mockModule('axios', () => ({
+  default: {
+    post: mockPost
+  }
+}));
+
+// Import after mocking
+const { getLLMConfig, createProvider, generateText, getProviderInfo } = await import('../src/helpers/llmProvider.js');
+
+describe('LLM Provider', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.LLM_PROVIDER;
+    delete process.env.LLM_MODEL;
+    delete process.env.LLM_BASE_URL;
+    delete process.env.LLM_API_KEY;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  describe('getLLMConfig', () => {
+    it('should default to Gemini with gemini-2.5-flash', () => {
+      expect(getLLMConfig()).toMatchObject({ provider: 'gemini', model: 'gemini-2.5-flash' });
+    });
+
+    it('should read provider and model from the environment', () => {
+      process.env.LLM_PROVIDER = 'OpenAI';
+      process.env.LLM_MODEL = 'qwen2.5';
+      process.env.LLM_BASE_URL = 'http://localhost:8080/v1';
+
+      expect(getLLMConfig()).toMatchObject({
+        provider: 'openai',
+        model: 'qwen2.5',
+        baseUrl: 'http://localhost:8080/v1'
+      });
+    });
+  });
+
+  describe('createProvider', () => {
+    it('should reject unknown providers', () => {
+      expect(() => createProvider({ provider: 'nope' })).toThrow('Unknown LLM provider "nope"');
+    });
+  });
+
+  describe('gemini provider', () => {
+    it('should call generateContent with the configured model', async () => {
+      mockGenerateContent.mockResolvedValue({ text: 'hello' });
+      const provider = createProvider({ provider: 'gemini', model: 'gemini-2.0-pro', apiKey: 'key' });
+
+      const text = await provider.generate('prompt');
+
+      expect(text).toBe('hello');
+      expect(mockGoogleGenAI).toHaveBeenCalledWith({ apiKey: 'key' });
+      expect(mockGenerateContent).toHaveBeenCalledWith({ model: 'gemini-2.0-pro', contents: 'prompt' });
+    });
+
+    it('should not build a client until the first request', () => {
+      createProvider({ provider: 'gemini' });
+      expect(mockGoogleGenAI).not.toHaveBeenCalled();
+    });
+
+    it('should pass the abort signal through', async () => {
+      mockGenerateContent.mockResolvedValue({ text: 'ok' });
+      const signal = new AbortController().signal;
+
+      await createProvider({ provider: 'gemini' }).generate('prompt', { signal });
+
+      expect(mockGenerateContent.mock.calls[0][0].config).toEqual({ abortSignal: signal });
+    });
+  });
+
+  describe('openai-compatible provider', () => {
+    it('should post a chat completion to the base URL', async () => {
+      mockPost.mockResolvedValue({ data: { choices: [{ message: { content: 'local answer' } }] } });
+      const provider = createProvider({
+        provider: 'openai',
+        model: 'llama3.1',
+        baseUrl: 'http://localhost:11434/v1/',
+        apiKey: 'secret'
+      });
+
+      const text = await provider.generate('prompt');
+
+      expect(text).toBe('local answer');
+      expect(mockPost).toHaveBeenCalledWith(
+        'http://localhost:11434/v1/chat/completions',
+        expect.objectContaining({ model: 'llama3.1', messages: [{ role: 'user', content: 'prompt' }] }),
+        expect.objectContaining({ headers: expect.objectContaining({ Authorization: 'Bearer secret' }) })
+      );
+    });
+
+    it('should default to the local Ollama endpoint without auth', async () => {
+      mockPost.mockResolvedValue({ data: { choices: [{ message: { content: 'x' } }] } });
+
+      await createProvider({ provider: 'openai' }).generate('prompt');
+
+      expect(mockPost.mock.calls[0][0]).toBe('http://localhost:11434/v1/chat/completions');
+      expect(mockPost.mock.calls[0][2].headers.Authorization).toBeUndefined();
+    });
+
+    it('should throw when the response has no message', async () => {
+      mockPost.mockResolvedValue({ data: { choices: [] } });
+
+      await expect(createProvider({ provider: 'openai' }).generate('prompt'))
+        .rejects.toThrow('LLM response did not contain a message');
+    });
+  });
+
+  describe('mock provider', () => {
+    const provider = createProvider({ provider: 'mock' });
+
+    it('should return a deterministic structure analysis', async () => {
+      const first = await provider.generate('any prompt', { task: 'structure-analysis', context: { sectionCount: 4 } });
+      const second = await provider.generate('other prompt', { task: 'structure-analysis', context: { sectionCount: 4 } });
+
+      expect(first).toBe(second);
+      expect(JSON.parse(first)).toMatchObject({ needsRestructuring: false, currentSectionCount: 4, suggestions: [] });
+    });
+
+    it('should return the content unchanged when applying changes', async () => {
+      const text = await provider.generate('prompt', { task: 'apply-changes', context: { content: '<p>Same</p>' } });
+      expect(text).toBe('<p>Same</p>');
+    });
+
+    it('should suggest no alt or link text', async () => {
+      const text = await provider.generate('prompt', { task: 'text-suggestions', context: { count: 3 } });
+      expect(JSON.parse(text)).toEqual({ suggestions: [] });
+    });
+
+    it('should suggest no replacement sources', async () => {
+      const text = await provider.generate('prompt', { task: 'replacement-sources', context: { count: 2 } });
+      expect(JSON.parse(text)).toEqual({ replacements: [] });
+    });
+
+    it('should not touch the network', async () => {
+      await provider.generate('prompt', { task: 'unknown' });
+
+      expect(mockPost).not.toHaveBeenCalled();
+      expect(mockGenerateContent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('generateText', () => {
+    it('should use the provider selected by the environment', async () => {
+      process.env.LLM_PROVIDER = 'mock';
+
+      const text = await generateText('prompt', { task: 'apply-changes', context: { content: 'abc' } });
+
+      expect(text).toBe('abc');
+      expect(getProviderInfo()).toEqual({ provider: 'mock', model: 'mock-1' });
+    });
+  });
+});
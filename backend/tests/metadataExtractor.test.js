@@ -0,0 +1,124 @@
+import * as cheerio from 'cheerio';
+import { extractMetadata } from '../src/helpers/metadataExtractor.js';
+
+const page = (head, body = '<h1>Heading</h1>', htmlAttrs = '') =>
+  cheerio.load(`<html ${htmlAttrs}><head>${head}</head><body>${body}</body></html>`);
+
+describe('Metadata Extractor', () => {
+  describe('extractMetadata', () => {
+    it('should read description, canonical URL, Open Graph and Twitter card fields', () => {
+      const $ = page(`
+        <title>Page title</title>
+        <meta name="description" content="  Plain   description ">
+        <link rel="canonical" href="https://example.com/post">
+        <meta property="og:title" content="OG title">
+        <meta property="og:description" content="OG description">
+        <meta property="og:type" content="article">
+        <meta property="og:image" content="/cover.jpg">
+        <meta property="og:site_name" content="Example">
+        <meta name="twitter:card" content="summary_large_image">
+        <meta name="twitter:creator" content="@ada">
+      `);
+
+      const metadata = extractMetadata($, 'https://example.com/post?utm=1');
+
+      expect(metadata).toMatchObject({
+        title: 'OG title',
+        description: 'Plain description',
+        canonicalUrl: 'https://example.com/post',
+        author: '@ada',
+        featuredImage: 'https://example.com/cover.jpg'
+      });
+      expect(metadata.openGraph).toMatchObject({ title: 'OG title', type: 'article', siteName: 'Example' });
+      expect(metadata.twitter).toMatchObject({ card: 'summary_large_image', creator: '@ada', title: null });
+    });
+
+    it('should prefer JSON-LD Article data, including inside @graph', () => {
+      const jsonLd = {
+        '@context': 'https://schema.org',
+        '@graph': [
+          { '@type': 'WebSite', name: 'Example' },
+          {
+            '@type': ['BlogPosting'],
+            headline: 'JSON-LD headline',
+            author: [{ '@type': 'Person', name: 'Ada' }, 'Grace'],
+            datePublished: '2020-01-02T03:04:05+01:00',
+            dateModified: '2022-06-07',
+            image: { '@type': 'ImageObject', url: 'https://cdn.example.com/a.png' },
+            keywords: 'node, testing',
+            inLanguage: 'en-GB',
+            publisher: { '@type': 'Organization', name: 'Example Inc' }
+          }
+        ]
+      };
+      const $ = page(`
+        <meta property="og:title" content="OG title">
+        <meta name="author" content="Meta author">
+        <script type="application/ld+json">not json</script>
+        <script type="application/ld+json">${JSON.stringify(jsonLd)}</script>
+      `);
+
+      const metadata = extractMetadata($, 'https://example.com/post');
+
+      expect(metadata).toMatchObject({
+        title: 'JSON-LD headline',
+        author: 'Ada, Grace',
+        publishedAt: '2020-01-02T02:04:05.000Z',
+        modifiedAt: '2022-06-07T00:00:00.000Z',
+        language: 'en-GB',
+        tags: ['node', 'testing'],
+        featuredImage: 'https://cdn.example.com/a.png'
+      });
+      expect(metadata.jsonLd).toMatchObject({ type: 'BlogPosting', publisher: 'Example Inc' });
+    });
+
+    it('should fall back to article meta tags, <time> and the html lang attribute', () => {
+      const $ = page(`
+        <meta property="article:published_time" content="2019-05-06T07:08:09Z">
+        <meta property="article:modified_time" content="2019-07-01T00:00:00Z">
+        <meta property="article:tag" content="CSS">
+        <meta property="article:tag" content="Layout">
+        <meta name="keywords" content="css, grid">
+      `, '<h1>Heading</h1><time datetime="2001-01-01">Long ago</time>', 'lang="fr"');
+
+      const metadata = extractMetadata($, 'https://example.com/post');
+
+      expect(metadata).toMatchObject({
+        title: 'Heading',
+        language: 'fr',
+        publishedAt: '2019-05-06T07:08:09.000Z',
+        modifiedAt: '2019-07-01T00:00:00.000Z',
+        tags: ['CSS', 'Layout', 'grid']
+      });
+    });
+
+    it('should let site-rule fields win and keep unparseable dates as found', () => {
+      const $ = page('<meta name="author" content="Meta author">');
+
+      const metadata = extractMetadata($, 'https://example.com/post', {
+        title: 'Rule title',
+        author: 'Rule author',
+        date: 'Spring 2020'
+      });
+
+      expect(metadata).toMatchObject({ title: 'Rule title', author: 'Rule author', publishedAt: 'Spring 2020' });
+    });
+
+    it('should return nulls and no tags for a bare page', () => {
+      const metadata = extractMetadata(cheerio.load('<p>Just text</p>'), 'https://example.com/post');
+
+      expect(metadata).toMatchObject({
+        title: null,
+        description: null,
+        canonicalUrl: null,
+        language: null,
+        author: null,
+        publishedAt: null,
+        modifiedAt: null,
+        tags: [],
+        featuredImage: null,
+        jsonLd: null
+      });
+    });
+  });
+});
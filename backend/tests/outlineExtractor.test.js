@@ -0,0 +1,97 @@
+import { extractOutline, getSubtreeIndices } from '../src/helpers/outlineExtractor.js';
+
+describe('Outline Extractor', () => {
+  describe('extractOutline', () => {
+    it('should build a nested outline from H1-H6 headings', () => {
+      const html = '<h1>Guide</h1><p>intro</p><h2>Setup</h2><p>s</p><h3>Install</h3><p>i</p><h4>Linux</h4><p>l</p><h2>Usage</h2><p>u</p>';
+
+      const sections = extractOutline(html);
+
+      expect(sections.map(({ id, heading, level, depth, parentId }) => ({ id, heading, level, depth, parentId }))).toEqual([
+        { id: 'section-0', heading: 'Guide', level: 1, depth: 0, parentId: null },
+        { id: 'section-1', heading: 'Setup', level: 2, depth: 1, parentId: 'section-0' },
+        { id: 'section-2', heading: 'Install', level: 3, depth: 2, parentId: 'section-1' },
+        { id: 'section-3', heading: 'Linux', level: 4, depth: 3, parentId: 'section-2' },
+        { id: 'section-4', heading: 'Usage', level: 2, depth: 1, parentId: 'section-0' }
+      ]);
+      expect(sections[1].content).toBe('<p>s</p>');
+      expect(sections.every(s => s.pseudo === false)).toBe(true);
+    });
+
+    it('should treat an h1 matching the post title as the title, not a section', () => {
+      const sections = extractOutline('<h1>My Post</h1><h2>A</h2><p>a</p><h2>B</h2><p>b</p>', 'My Post');
+
+      expect(sections.map(s => s.heading)).toEqual(['A', 'B']);
+      expect(sections[0]).toMatchObject({ id: 'section-0', depth: 0, parentId: null, originalIndex: 0 });
+    });
+
+    it('should find posts that only use H3 headings', () => {
+      const sections = extractOutline('<h3>One</h3><p>1</p><h3>Two</h3><p>2</p>');
+
+      expect(sections.map(s => [s.heading, s.level, s.depth])).toEqual([['One', 3, 0], ['Two', 3, 0]]);
+    });
+
+    it('should attach skipped levels to the closest higher heading', () => {
+      const sections = extractOutline('<h2>A</h2><h4>Deep</h4><h3>Mid</h3>');
+
+      expect(sections.map(s => s.parentId)).toEqual([null, 'section-0', 'section-0']);
+    });
+
+    it('should report character ranges of each section in the source HTML', () => {
+      const html = '<h2>A</h2><p>a</p><h2>B</h2><p>b</p>';
+
+      const sections = extractOutline(html);
+
+      expect(html.slice(sections[0].contentRange.start, sections[0].contentRange.end)).toBe('<h2>A</h2><p>a</p>');
+      expect(html.slice(sections[1].contentRange.start, sections[1].contentRange.end)).toBe('<h2>B</h2><p>b</p>');
+    });
+
+    it('should stop a section body at a wrapper that contains the next heading', () => {
+      const sections = extractOutline('<h2>A</h2><p>a</p><section><h2>B</h2><p>b</p></section>');
+
+      expect(sections[0].content).toBe('<p>a</p>');
+      expect(sections[1].content).toBe('<p>b</p>');
+    });
+
+    it('should fall back to paragraph-cluster pseudo-sections when there are no headings', () => {
+      const html = '<article><p>First paragraph about caching strategies for busy web servers.</p><p>two</p><p>three</p><p>four</p><hr><p>five</p></article>';
+
+      const sections = extractOutline(html);
+
+      expect(sections).toHaveLength(3);
+      expect(sections[0]).toMatchObject({ heading: 'First paragraph about caching strategies for busy web…', pseudo: true, level: 2, depth: 0, parentId: null });
+      expect(sections[1]).toMatchObject({ heading: 'four', content: '<p>four</p>' });
+      expect(sections[2]).toMatchObject({ heading: 'five', content: '<p>five</p>' });
+    });
+
+    it('should not create pseudo-sections for a single cluster of paragraphs', () => {
+      expect(extractOutline('<p>Just a paragraph</p>')).toEqual([]);
+      expect(extractOutline('<h1>Title</h1><p>one</p><p>two</p>', 'Title')).toEqual([]);
+    });
+
+    it('should keep the title heading out of pseudo-sections', () => {
+      const sections = extractOutline('<h1>Title</h1><p>1</p><p>2</p><p>3</p><p>4</p>', 'Title');
+
+      expect(sections.map(s => s.content)).toEqual(['<p>1</p><p>2</p><p>3</p>', '<p>4</p>']);
+    });
+  });
+
+  describe('getSubtreeIndices', () => {
+    const sections = [
+      { id: 'section-0', parentId: null },
+      { id: 'section-1', parentId: 'section-0' },
+      { id: 'section-2', parentId: 'section-1' },
+      { id: 'section-3', parentId: null }
+    ];
+
+    it('should include every nested section', () => {
+      expect(getSubtreeIndices(sections, 0)).toEqual([0, 1, 2]);
+      expect(getSubtreeIndices(sections, 1)).toEqual([1, 2]);
+      expect(getSubtreeIndices(sections, 3)).toEqual([3]);
+    });
+
+    it('should return only the section itself when sections have no IDs', () => {
+      expect(getSubtreeIndices([{ heading: 'A' }, { heading: 'B' }], 0)).toEqual([0]);
+    });
+  });
+});
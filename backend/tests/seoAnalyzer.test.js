@@ -0,0 +1,181 @@
+import * as cheerio from 'cheerio';
+import { auditSeo, findHeadingSkips, applySeoFixes } from '../src/helpers/seoAnalyzer.js';
+
+const url = 'https://blog.example.com/posts/node-caching';
+
+const goodMetadata = {
+  title: 'Caching Strategies for Node APIs in Production',
+  description: 'How to pick between in-memory, Redis and HTTP caching for Node APIs, with benchmarks and pitfalls to avoid.',
+  canonicalUrl: 'https://blog.example.com/posts/node-caching/'
+};
+
+const goodContent = `
+  <h2>Why caching matters</h2><p>Intro.</p>
+  <h3>Node memory limits</h3><p>See <a href="/posts/node-memory">memory</a> and <a href="https://nodejs.org">Node</a>.</p>
+  <img src="chart.png" alt="Latency chart">
+`;
+
+const checks = audit => audit.issues.map(issue => issue.check);
+
+describe('SEO Analyzer', () => {
+  describe('auditSeo', () => {
+    it('should score a clean post 100', () => {
+      const audit = auditSeo(goodContent, { title: goodMetadata.title, metadata: goodMetadata, url });
+
+      expect(audit).toEqual({ score: 100, issues: [], skipped: [] });
+    });
+
+    it('should flag a missing meta description and canonical URL', () => {
+      const audit = auditSeo(goodContent, {
+        title: goodMetadata.title,
+        metadata: { title: goodMetadata.title, description: null, canonicalUrl: null },
+        url
+      });
+
+      expect(audit.issues).toEqual([
+        expect.objectContaining({ id: 'seo-meta-description', severity: 'high', weight: 15, fix: 'manual' }),
+        expect.objectContaining({ id: 'seo-canonical', severity: 'medium', weight: 8, fix: 'manual' })
+      ]);
+      expect(audit.score).toBe(77);
+    });
+
+    it('should flag titles outside the recommended length', () => {
+      const audit = auditSeo(goodContent, { title: 'Caching', metadata: { ...goodMetadata, title: 'Caching' }, url });
+
+      expect(audit.issues[0]).toEqual(expect.objectContaining({
+        check: 'title-length',
+        message: 'The title is 7 characters long',
+        details: { length: 7 }
+      }));
+    });
+
+    it('should flag a canonical URL that points elsewhere', () => {
+      const audit = auditSeo(goodContent, {
+        title: goodMetadata.title,
+        metadata: { ...goodMetadata, canonicalUrl: 'https://other.example.com/copy' },
+        url
+      });
+
+      expect(audit.issues).toEqual([expect.objectContaining({ check: 'canonical', severity: 'low' })]);
+    });
+
+    it('should skip head-level checks without metadata', () => {
+      const audit = auditSeo(goodContent, { title: goodMetadata.title, url });
+
+      expect(audit.issues).toEqual([]);
+      expect(audit.skipped).toEqual(['title-length', 'meta-description', 'canonical']);
+    });
+
+    it('should flag multiple H1 headings', () => {
+      const audit = auditSeo(`<h1>One</h1><h1>Two</h1>${goodContent}`, { title: goodMetadata.title, url });
+
+      expect(audit.issues).toEqual([expect.objectContaining({
+        check: 'h1-count',
+        message: 'The post has 2 H1 headings',
+        fix: 'deterministic'
+      })]);
+    });
+
+    it('should flag headings that skip a level', () => {
+      const audit = auditSeo(
+        '<h2>Node caching</h2><h4>Deep</h4><h2>Node tips</h2><h3>Fine</h3><h5>Deeper</h5>',
+        { title: 'Node caching' }
+      );
+
+      expect(audit.issues.find(issue => issue.check === 'heading-skips')).toEqual(expect.objectContaining({
+        message: '2 headings skip a level',
+        details: {
+          skips: [
+            { heading: 'Deep', from: 4, to: 3 },
+            { heading: 'Deeper', from: 5, to: 4 }
+          ]
+        }
+      }));
+    });
+
+    it('should flag images without an alt attribute but accept empty alt text', () => {
+      const audit = auditSeo(
+        `${goodContent}<img src="a.png"><img src="decorative.png" alt="">`,
+        { title: goodMetadata.title, url }
+      );
+
+      expect(audit.issues).toEqual([expect.objectContaining({
+        check: 'image-alt',
+        message: '1 image has no alt attribute',
+        fix: 'accessibility',
+        details: { images: ['a.png'] }
+      })]);
+    });
+
+    it('should flag subheadings that never mention the title keywords', () => {
+      const audit = auditSeo(
+        '<h2>Getting started</h2><p>See <a href="/about">us</a>.</p>',
+        { title: 'Caching Strategies for Node APIs', url }
+      );
+
+      expect(audit.issues).toEqual([expect.objectContaining({
+        check: 'keyword-in-headings',
+        details: { keywords: ['caching', 'strategies', 'node', 'apis'] }
+      })]);
+    });
+
+    it('should flag posts with few internal links', () => {
+      const audit = auditSeo(
+        `<h2>Node</h2>
+         <a href="https://a.com">a</a><a href="https://b.com">b</a><a href="https://c.com">c</a>
+         <a href="https://d.com">d</a><a href="https://e.com">e</a><a href="https://blog.example.com/x">x</a>
+         <a href="#top">top</a><a href="mailto:me@example.com">mail</a>`,
+        { title: 'Node', url }
+      );
+
+      expect(audit.issues).toEqual([expect.objectContaining({
+        check: 'internal-links',
+        message: 'Only 1 of 6 links point to the same site',
+        details: { internal: 1, external: 5 }
+      })]);
+    });
+
+    it('should never score below 0', () => {
+      const audit = auditSeo('<h1>A</h1><h1>B</h1><h4>C</h4><img src="x.png">', {
+        title: 'Caching',
+        metadata: { title: '', description: null, canonicalUrl: null },
+        url
+      });
+
+      expect(audit.score).toBeGreaterThanOrEqual(0);
+      expect(checks(audit)).toEqual(['title-length', 'meta-description', 'canonical', 'h1-count', 'heading-skips', 'image-alt', 'internal-links']);
+    });
+  });
+
+  describe('findHeadingSkips', () => {
+    it('should move children of a fixed heading with it', () => {
+      const $ = cheerio.load('<h2>A</h2><h4>B</h4><h5>C</h5><h4>D</h4><h3>E</h3>');
+
+      expect(findHeadingSkips($).map(({ from, to }) => [from, to])).toEqual([[4, 3], [5, 4], [4, 3]]);
+    });
+  });
+
+  describe('applySeoFixes', () => {
+    it('should demote extra H1s and close heading gaps', () => {
+      const $ = cheerio.load('<h1>Title</h1><h1>Second</h1><h3>Deep</h3><p>Text</p>', null, false);
+
+      applySeoFixes($, [
+        { type: 'seo', check: 'h1-count', fix: 'deterministic' },
+        { type: 'seo', check: 'heading-skips', fix: 'deterministic' }
+      ]);
+
+      expect($.html()).toBe('<h1>Title</h1><h2>Second</h2><h3>Deep</h3><p>Text</p>');
+    });
+
+    it('should leave AI and manual fixes alone', () => {
+      const $ = cheerio.load('<h2>A</h2><h4>B</h4><img src="x.png">', null, false);
+
+      applySeoFixes($, [
+        { type: 'seo', check: 'image-alt', fix: 'ai' },
+        { type: 'seo', check: 'meta-description', fix: 'manual' }
+      ]);
+
+      expect($.html()).toBe('<h2>A</h2><h4>B</h4><img src="x.png">');
+    });
+  });
+});
@@ -6,12 +6,14 @@ import cors from 'cors';
 // Create mock functions
 const mockFetchBlog = jest.fn((req, res) => res.json({ success: true }));
 const mockAnalyzeBlog = jest.fn((req, res) => res.json({ success: true }));
+const mockAnalyzeBlogStream = jest.fn((req, res) => res.json({ success: true }));
 const mockApplyBlogChanges = jest.fn((req, res) => res.json({ success: true }));
 
 // Mock the controller module
 jest.unstable_mockModule('../src/controllers/blogController.js', () => ({
   fetchBlog: mockFetchBlog,
   analyzeBlog: mockAnalyzeBlog,
+  analyzeBlogStream: mockAnalyzeBlogStream,
   applyBlogChanges: mockApplyBlogChanges
 }));
 
@@ -26,6 +28,7 @@ app.get('/health', (req, res) => {
 
 app.post('/api/fetch-blog', mockFetchBlog);
 app.post('/api/analyze-blog', mockAnalyzeBlog);
+app.post('/api/analyze-blog/stream', mockAnalyzeBlogStream);
 app.post('/api/apply-changes', mockApplyBlogChanges);
 
 describe('Server', () => {
@@ -64,6 +67,15 @@ describe('Server', () => {
       expect(mockAnalyzeBlog).toHaveBeenCalled();
     });
 
+    it('should have /api/analyze-blog/stream endpoint', async () => {
+      const response = await request(app)
+        .post('/api/analyze-blog/stream')
+        .send({ content: '<p>test</p>', title: 'Test' });
+
+      expect(response.status).toBe(200);
+      expect(mockAnalyzeBlogStream).toHaveBeenCalled();
+    });
+
     it('should have /api/apply-changes endpoint', async () => {
       const response = await request(app)
         .post('/api/apply-changes')
@@ -0,0 +1,153 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import * as cheerio from 'cheerio';
+import {
+  parseSiteRules,
+  validateSiteRule,
+  loadSiteRules,
+  getSiteRules,
+  findSiteRule,
+  extractSiteFields
+} from '../src/helpers/siteRules.js';
+
+describe('Site Rules', () => {
+  describe('parseSiteRules', () => {
+    it('should parse JSON rules', () => {
+      const rules = parseSiteRules(JSON.stringify({
+        rules: [{ name: 'Blog', hostnames: ['blog.example.com'], content: ['.post'] }]
+      }));
+
+      expect(rules).toEqual([{ name: 'Blog', hostnames: ['blog.example.com'], content: ['.post'] }]);
+    });
+
+    it('should parse YAML rules', () => {
+      const rules = parseSiteRules([
+        'rules:',
+        '  - name: Blog',
+        '    urlPattern: ^https://example\\.com/blog/',
+        '    content: [".post"]',
+        '    date: ["time"]'
+      ].join('\n'), 'yaml');
+
+      expect(rules[0]).toMatchObject({ name: 'Blog', urlPattern: '^https://example\\.com/blog/', date: ['time'] });
+    });
+
+    it('should accept a bare list of rules', () => {
+      expect(parseSiteRules('[{"name": "Blog", "hostnames": ["example.com"]}]')).toHaveLength(1);
+    });
+
+    it('should list every schema problem', () => {
+      expect(() => parseSiteRules(JSON.stringify({
+        rules: [{ name: 'No match' }, { name: 'Typo', hostnames: ['example.com'], contnet: ['.post'] }]
+      }))).toThrow(/\/rules\/0: must match a schema in anyOf.*\/rules\/1: must NOT have additional properties/);
+    });
+
+    it('should reject invalid JSON, YAML and URL patterns', () => {
+      expect(() => parseSiteRules('{ rules: ')).toThrow(/^Invalid site rules/);
+      expect(() => parseSiteRules('rules: [', 'yaml')).toThrow(/^Invalid site rules/);
+      expect(() => parseSiteRules(JSON.stringify({ rules: [{ name: 'Bad', urlPattern: '(' }] })))
+        .toThrow('rule "Bad" has an invalid urlPattern');
+    });
+
+    it('should reject selectors that do not compile', () => {
+      const rules = { rules: [{ name: 'Bad', hostnames: ['example.com'], content: ['article', 'div[[['], author: ['span:nope'] }] };
+
+      expect(() => parseSiteRules(JSON.stringify(rules)))
+        .toThrow(/rule "Bad" has an invalid content selector "div\[\[\[".*; rule "Bad" has an invalid author selector "span:nope"/);
+    });
+  });
+
+  describe('validateSiteRule', () => {
+    it('should return a valid rule and reject an invalid one', () => {
+      const rule = { name: 'Blog', hostnames: ['example.com'] };
+
+      expect(validateSiteRule(rule)).toBe(rule);
+      expect(() => validateSiteRule({ hostnames: ['example.com'] })).toThrow(/must have required property 'name'/);
+    });
+  });
+
+  describe('loadSiteRules / getSiteRules', () => {
+    let dir;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'site-rules-'));
+    });
+
+    afterEach(() => {
+      delete process.env.SITE_RULES_FILE;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('should pick the format from the file extension', () => {
+      const file = path.join(dir, 'rules.yml');
+      fs.writeFileSync(file, 'rules:\n  - name: Blog\n    hostnames: [example.com]\n');
+
+      expect(loadSiteRules(file)[0].name).toBe('Blog');
+    });
+
+    it('should load SITE_RULES_FILE and reload it when it changes', () => {
+      const file = path.join(dir, 'rules.json');
+      fs.writeFileSync(file, JSON.stringify({ rules: [{ name: 'First', hostnames: ['a.com'] }] }));
+      process.env.SITE_RULES_FILE = file;
+
+      expect(getSiteRules().map(r => r.name)).toEqual(['First']);
+
+      fs.writeFileSync(file, JSON.stringify({ rules: [{ name: 'Second', hostnames: ['b.com'] }] }));
+      const later = new Date(Date.now() + 5000);
+      fs.utimesSync(file, later, later);
+
+      expect(getSiteRules().map(r => r.name)).toEqual(['Second']);
+    });
+
+    it('should have no rules when no file is configured', () => {
+      expect(getSiteRules()).toEqual([]);
+    });
+  });
+
+  describe('findSiteRule', () => {
+    const rules = [
+      { name: 'Blog section', hostnames: ['example.com'], urlPattern: '/blog/' },
+      { name: 'Any subdomain', hostnames: ['*.example.org'] },
+      { name: 'Pattern only', urlPattern: '^https://news\\.site\\.net/' }
+    ];
+
+    it('should match hostnames, subdomain wildcards and URL patterns', () => {
+      expect(findSiteRule('https://example.com/blog/post', rules).name).toBe('Blog section');
+      expect(findSiteRule('https://www.example.com/blog/post', rules).name).toBe('Blog section');
+      expect(findSiteRule('https://team.example.org/post', rules).name).toBe('Any subdomain');
+      expect(findSiteRule('https://news.site.net/today', rules).name).toBe('Pattern only');
+    });
+
+    it('should require both the hostname and the pattern when a rule has both', () => {
+      expect(findSiteRule('https://example.com/about', rules)).toBeNull();
+      expect(findSiteRule('https://other.com/blog/post', rules)).toBeNull();
+    });
+
+    it('should return null for invalid URLs', () => {
+      expect(findSiteRule('not a url', rules)).toBeNull();
+    });
+  });
+
+  describe('extractSiteFields', () => {
+    const $ = cheerio.load(`
+      <html><head><meta name="author" content="Ada Lovelace"></head><body>
+        <h1>Site name</h1>
+        <div class="post"><h2 class="title">  Real   title </h2><time datetime="2024-03-01">March 1</time></div>
+      </body></html>`);
+
+    it('should use the first selector with a value and prefer machine-readable dates', () => {
+      const fields = extractSiteFields($, {
+        title: ['.missing', '.post .title'],
+        date: ['.post time'],
+        author: ['.byline', 'meta[name="author"]']
+      });
+
+      expect(fields).toEqual({ title: 'Real title', date: '2024-03-01', author: 'Ada Lovelace' });
+    });
+
+    it('should return null for fields without selectors or matches', () => {
+      expect(extractSiteFields($, { title: ['.missing'] })).toEqual({ title: null, date: null, author: null });
+    });
+  });
+});
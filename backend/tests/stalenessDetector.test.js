@@ -0,0 +1,111 @@
+import { detectStaleContent } from '../src/helpers/stalenessDetector.js';
+
+const now = new Date('2026-06-01T00:00:00Z');
+
+describe('Staleness Detector', () => {
+  describe('detectStaleContent', () => {
+    it('should flag past years presented as current', () => {
+      const findings = detectStaleContent(
+        '<p>In 2021, the latest version of Node is 16. Back in 2015 we used Grunt.</p>',
+        [],
+        { now }
+      );
+
+      expect(findings).toEqual([{
+        id: 'stale-0',
+        kind: 'past-year',
+        match: '2021',
+        sentence: 'In 2021, the latest version of Node is 16.',
+        sectionIndex: null,
+        reason: 'Presents 2021 as current - that was 5 years ago'
+      }]);
+    });
+
+    it('should not read a bare "now" as presenting a past year as current', () => {
+      const findings = detectStaleContent('<p>The company was founded in 2015 and now employs 40 people.</p>', [], { now });
+
+      expect(findings).toEqual([]);
+    });
+
+    it('should flag version numbers called the latest', () => {
+      const findings = detectStaleContent('<p>The current stable release is v3.4.1, so upgrade.</p>', [], { now });
+
+      expect(findings).toEqual([expect.objectContaining({
+        kind: 'version',
+        match: 'v3.4.1',
+        reason: 'Calls v3.4.1 the latest version - newer releases may exist'
+      })]);
+    });
+
+    it('should give the age of old posts in years or months', () => {
+      const content = '<p>The latest version is 3.4.</p><p>Currently we deploy on 2025 hardware.</p>';
+
+      const monthsOld = detectStaleContent(content, [], { publishedAt: '2025-11-01T00:00:00.000Z', now });
+      expect(monthsOld.map(f => f.reason)).toEqual([
+        'Calls 3.4 the latest version, written 7 months ago - newer releases may exist',
+        'Presents 2025 as current - that was 1 year ago'
+      ]);
+
+      const yearOld = detectStaleContent(content, [], { publishedAt: '2025-05-01T00:00:00.000Z', now });
+      expect(yearOld[0].reason).toBe('Calls 3.4 the latest version, written 1 year ago - newer releases may exist');
+    });
+
+    it('should not flag version claims in recent posts', () => {
+      const findings = detectStaleContent('<p>The latest version is 3.4.</p>', [], {
+        publishedAt: '2026-04-01T00:00:00.000Z',
+        now
+      });
+
+      expect(findings).toEqual([]);
+    });
+
+    it('should flag relative time wording against the post date', () => {
+      const content = '<p>We recently switched to Postgres.</p><p>This year we hired two people.</p>';
+
+      expect(detectStaleContent(content, [], { now })).toEqual([]);
+
+      const findings = detectStaleContent(content, [], { publishedAt: '2023-03-01T00:00:00.000Z', now });
+      expect(findings.map(f => [f.kind, f.match])).toEqual([['relative-time', 'recently'], ['relative-time', 'This year']]);
+      expect(findings[0].reason).toBe('"recently" was written 3 years ago (2023-03-01)');
+    });
+
+    it('should use the modified date when the post was updated later', () => {
+      const findings = detectStaleContent('<p>We recently switched to Postgres.</p>', [], {
+        publishedAt: '2019-01-01T00:00:00.000Z',
+        modifiedAt: '2026-05-01T00:00:00.000Z',
+        now
+      });
+
+      expect(findings).toEqual([]);
+    });
+
+    it('should flag deprecated product names', () => {
+      const findings = detectStaleContent('<ul><li>Track visits with Universal Analytics.</li><li>Lint with ESLint.</li></ul>', [], { now });
+
+      expect(findings).toEqual([expect.objectContaining({
+        kind: 'deprecated',
+        match: 'Universal Analytics',
+        reason: expect.stringContaining('Google Analytics 4')
+      })]);
+    });
+
+    it('should report each sentence once, under its section', () => {
+      const sections = [
+        { heading: 'Intro', content: '<p>Hello there.</p>' },
+        { heading: 'Tools', content: '<p>Share it on Google+ today.</p>' }
+      ];
+      const content = '<h2>Intro</h2><p>Hello there.</p><h2>Tools</h2><p>Share it on Google+ today.</p><p>Share it on Google+ today.</p>';
+
+      const findings = detectStaleContent(content, sections, { now });
+
+      expect(findings).toHaveLength(1);
+      expect(findings[0]).toMatchObject({ kind: 'deprecated', match: 'Google+', sectionIndex: 1 });
+    });
+
+    it('should ignore code blocks and plain statements', () => {
+      const findings = detectStaleContent('<pre>latest version 1.0 in 2020</pre><p>Caching is useful.</p>', [], { now });
+
+      expect(findings).toEqual([]);
+    });
+  });
+});
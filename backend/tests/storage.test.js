@@ -0,0 +1,323 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import Database from 'better-sqlite3';
+import { createStore, createSqliteStore, createMemoryStore, getStore, getPostKey } from '../src/helpers/storage.js';
+
+const analysisResult = (proposals = [{ id: 'proposal-1', type: 'structure', approved: false }]) => ({
+  sections: [{ id: 'section-0', heading: 'Intro' }],
+  proposals
+});
+
+describe.each([
+  ['sqlite', () => createSqliteStore({ path: ':memory:' })],
+  ['memory', () => createMemoryStore()]
+])('Storage (%s)', (name, create) => {
+  let store;
+
+  beforeEach(() => {
+    store = create();
+  });
+
+  afterEach(() => {
+    store.close?.();
+  });
+
+  it('should save and update posts by URL', async () => {
+    const post = await store.savePost({ url: 'https://example.com/a', title: 'First', content: '<p>1</p>', metadata: { author: 'Sam' } });
+    const updated = await store.savePost({ url: 'https://example.com/a', title: 'Second', content: '<p>2</p>' });
+
+    expect(post).toMatchObject({ url: 'https://example.com/a', title: 'First', metadata: { author: 'Sam' }, extraction: null });
+    expect(updated).toMatchObject({ id: post.id, title: 'Second', content: '<p>2</p>', metadata: null, createdAt: post.createdAt });
+    expect(await store.listPosts()).toHaveLength(1);
+  });
+
+  it('should key pasted posts by their content', async () => {
+    const first = await store.savePost({ title: 'Pasted', content: '<p>1</p>' });
+    await store.savePost({ title: 'Pasted', content: '<p>2</p>' });
+    const again = await store.savePost({ title: 'Pasted again', content: '<p>1</p>' });
+
+    const posts = await store.listPosts();
+    expect(posts).toHaveLength(2);
+    expect(posts.every(post => post.url === null && post.key.startsWith('sha256:'))).toBe(true);
+    expect(again).toMatchObject({ id: first.id, title: 'Pasted again' });
+  });
+
+  it('should key fetched posts by their canonical URL', async () => {
+    const post = await store.savePost({
+      url: 'https://example.com/a?utm_source=feed',
+      content: '<p>1</p>',
+      metadata: { canonicalUrl: 'https://example.com/a' }
+    });
+    const mirror = await store.savePost({
+      url: 'https://www.example.com/a',
+      content: '<p>2</p>',
+      metadata: { canonicalUrl: 'https://example.com/a#top' }
+    });
+
+    expect(mirror).toMatchObject({ id: post.id, key: 'https://example.com/a', url: 'https://www.example.com/a' });
+    expect(await store.listPosts()).toHaveLength(1);
+  });
+
+  it('should list posts newest first with their latest analysis and run', async () => {
+    const older = await store.savePost({ url: 'https://example.com/old', title: 'Old', content: '<p>old</p>' });
+    const newer = await store.savePost({ url: 'https://example.com/new', title: 'New', content: '<p>new</p>' });
+    await store.saveAnalysis(newer.id, { content: '<p>new</p>', result: analysisResult() });
+    const latest = await store.saveAnalysis(newer.id, { content: '<p>new</p>', result: analysisResult() });
+    const run = await store.saveRun({ analysisId: latest.id, approvedProposals: [], result: { refreshedContent: '<p>new</p>' } });
+
+    expect(await store.listPosts()).toEqual([
+      expect.objectContaining({ id: newer.id, title: 'New', analysisCount: 2, runCount: 1, latestAnalysisId: latest.id, latestRunId: run.id }),
+      expect.objectContaining({ id: older.id, analysisCount: 0, runCount: 0, latestAnalysisId: null, latestRunId: null })
+    ]);
+  });
+
+  it('should return a post with summaries of its analyses and runs', async () => {
+    const post = await store.savePost({ url: 'https://example.com/a', title: 'A', content: '<p>a</p>' });
+    const analysis = await store.saveAnalysis(post.id, {
+      content: '<p>a</p>',
+      result: analysisResult([{ id: 'p1', approved: true }, { id: 'p2', approved: false }])
+    });
+    const run = await store.saveRun({
+      analysisId: analysis.id,
+      approvedProposals: [{ id: 'p1', approved: true }],
+      result: { refreshedContent: '<p>b</p>', preservationReport: { preserved: false } }
+    });
+
+    expect(await store.getPost(post.id)).toMatchObject({
+      id: post.id,
+      content: '<p>a</p>',
+      analyses: [{ id: analysis.id, proposalCount: 2, approvedCount: 1 }],
+      runs: [{ id: run.id, analysisId: analysis.id, version: 1, approvedCount: 1, preserved: false }]
+    });
+    expect(await store.getPost('missing')).toBeNull();
+  });
+
+  it('should start an analysis with its own proposals and replace them with decisions', async () => {
+    const post = await store.savePost({ title: 'A', content: '<p>a</p>' });
+    const analysis = await store.saveAnalysis(post.id, { content: '<p>a</p>', result: analysisResult() });
+
+    expect(analysis).toMatchObject({
+      postId: post.id,
+      content: '<p>a</p>',
+      result: analysisResult(),
+      proposals: [{ id: 'proposal-1', approved: false }]
+    });
+
+    const decisions = [{ id: 'proposal-1', type: 'structure', approved: true }];
+    const updated = await store.saveDecisions(analysis.id, decisions);
+
+    expect(updated.proposals).toEqual(decisions);
+    expect((await store.getAnalysis(analysis.id)).proposals).toEqual(decisions);
+    // The analysis result itself is kept as analyzed
+    expect((await store.getAnalysis(analysis.id)).result.proposals[0].approved).toBe(false);
+    expect(await store.saveDecisions('missing', decisions)).toBeNull();
+  });
+
+  it('should not share objects with callers', async () => {
+    const post = await store.savePost({ title: 'A', content: '<p>a</p>' });
+    const proposals = [{ id: 'proposal-1', approved: false }];
+    const analysis = await store.saveAnalysis(post.id, { content: '<p>a</p>', result: { proposals } });
+
+    proposals[0].approved = true;
+    analysis.proposals.push({ id: 'extra' });
+
+    expect((await store.getAnalysis(analysis.id)).proposals).toEqual([{ id: 'proposal-1', approved: false }]);
+  });
+
+  it('should refuse analyses and runs for records that do not exist', async () => {
+    await expect(store.saveAnalysis('missing', { content: '', result: analysisResult() })).rejects.toThrow('Post missing does not exist');
+    await expect(store.saveRun({ analysisId: 'missing', approvedProposals: [], result: {} })).rejects.toThrow('Analysis missing does not exist');
+  });
+
+  it('should save runs with or without an analysis', async () => {
+    const post = await store.savePost({ title: 'A', content: '<p>a</p>' });
+    const analysis = await store.saveAnalysis(post.id, { content: '<p>a</p>', result: analysisResult() });
+    const result = { refreshedContent: '<p>b</p>', preservationReport: { preserved: true }, sanitizationReport: { removed: [] } };
+
+    const run = await store.saveRun({ analysisId: analysis.id, approvedProposals: [{ id: 'proposal-1' }], result });
+    const loose = await store.saveRun({ approvedProposals: [], result });
+
+    expect(await store.getRun(run.id)).toEqual({
+      id: run.id,
+      postId: post.id,
+      analysisId: analysis.id,
+      version: 1,
+      createdBy: null,
+      approvedProposals: [{ id: 'proposal-1' }],
+      ...result,
+      createdAt: run.createdAt
+    });
+    expect(loose).toMatchObject({ postId: null, analysisId: null, version: null });
+    expect(await store.getRun('missing')).toBeNull();
+  });
+
+  it('should delete a post with its analyses and runs', async () => {
+    const post = await store.savePost({ title: 'A', content: '<p>a</p>' });
+    const analysis = await store.saveAnalysis(post.id, { content: '<p>a</p>', result: analysisResult() });
+    const run = await store.saveRun({ analysisId: analysis.id, approvedProposals: [], result: {} });
+
+    expect(await store.deletePost(post.id)).toBe(true);
+    expect(await store.getAnalysis(analysis.id)).toBeNull();
+    expect(await store.getRun(run.id)).toBeNull();
+    expect(await store.deletePost(post.id)).toBe(false);
+  });
+
+  it('should keep runs when their analysis is deleted', async () => {
+    const post = await store.savePost({ title: 'A', content: '<p>a</p>' });
+    const analysis = await store.saveAnalysis(post.id, { content: '<p>a</p>', result: analysisResult() });
+    const run = await store.saveRun({ analysisId: analysis.id, approvedProposals: [], result: {} });
+
+    expect(await store.deleteAnalysis(analysis.id)).toBe(true);
+    expect(await store.getRun(run.id)).toMatchObject({ postId: post.id, analysisId: null });
+    expect(await store.deleteAnalysis(analysis.id)).toBe(false);
+    expect(await store.deleteRun(run.id)).toBe(true);
+    expect(await store.deleteRun(run.id)).toBe(false);
+  });
+
+  it('should number runs as versions of their post and make the newest the draft', async () => {
+    const post = await store.savePost({ url: 'https://example.com/a', content: '<p>a</p>' });
+    const analysis = await store.saveAnalysis(post.id, { content: '<p>a</p>', result: analysisResult() });
+    const approved = [{ id: 'proposal-1', type: 'structure', title: 'Add headings', approved: true, steps: ['...'] }];
+
+    const first = await store.saveRun({ analysisId: analysis.id, approvedProposals: approved, result: {}, createdBy: 'Sam' });
+    const second = await store.saveRun({ analysisId: analysis.id, approvedProposals: [], result: {} });
+
+    expect(first).toMatchObject({ version: 1, createdBy: 'Sam' });
+    expect(second).toMatchObject({ version: 2, createdBy: null });
+    expect(await store.getPost(post.id)).toMatchObject({
+      draftRunId: second.id,
+      runs: [
+        { id: second.id, version: 2, approved: [] },
+        { id: first.id, version: 1, createdBy: 'Sam', approved: [{ id: 'proposal-1', type: 'structure', title: 'Add headings' }] }
+      ]
+    });
+
+    // Numbers are never reused
+    await store.deleteRun(second.id);
+    const third = await store.saveRun({ analysisId: analysis.id, approvedProposals: [], result: {} });
+    expect(third.version).toBe(2);
+    await store.deleteRun(third.id);
+    expect((await store.getPost(post.id)).draftRunId).toBeNull();
+  });
+
+  it('should restore an earlier version as the draft', async () => {
+    const post = await store.savePost({ url: 'https://example.com/a', content: '<p>a</p>' });
+    const other = await store.savePost({ url: 'https://example.com/b', content: '<p>b</p>' });
+    const analysis = await store.saveAnalysis(post.id, { content: '<p>a</p>', result: analysisResult() });
+    const otherAnalysis = await store.saveAnalysis(other.id, { content: '<p>b</p>', result: analysisResult() });
+    const first = await store.saveRun({ analysisId: analysis.id, approvedProposals: [], result: {} });
+    await store.saveRun({ analysisId: analysis.id, approvedProposals: [], result: {} });
+    const foreign = await store.saveRun({ analysisId: otherAnalysis.id, approvedProposals: [], result: {} });
+
+    expect(await store.setDraft(post.id, first.id)).toMatchObject({ id: post.id, draftRunId: first.id });
+    expect((await store.listPosts()).find(p => p.id === post.id).draftRunId).toBe(first.id);
+    await expect(store.setDraft(post.id, foreign.id)).rejects.toThrow(`Run ${foreign.id} is not a version of post ${post.id}`);
+    await expect(store.setDraft(post.id, 'missing')).rejects.toThrow('is not a version of post');
+    expect(await store.setDraft('missing', first.id)).toBeNull();
+  });
+});
+
+describe('getPostKey', () => {
+  it('should prefer the canonical URL without its fragment', () => {
+    expect(getPostKey({ url: 'https://example.com/a?ref=x', metadata: { canonicalUrl: 'https://example.com/a#intro' } }))
+      .toBe('https://example.com/a');
+  });
+
+  it('should fall back to the fetched URL when the canonical URL is not a web address', () => {
+    expect(getPostKey({ url: 'https://example.com/a', metadata: { canonicalUrl: '/a' } })).toBe('https://example.com/a');
+  });
+
+  it('should hash the content of pasted posts', () => {
+    const key = getPostKey({ url: 'direct-input', content: '<p>a</p>' });
+
+    expect(key).toMatch(/^sha256:[0-9a-f]{64}$/);
+    expect(getPostKey({ content: '<p>a</p>' })).toBe(key);
+    expect(getPostKey({ content: '<p>b</p>' })).not.toBe(key);
+  });
+});
+
+describe('Storage configuration', () => {
+  const originalEnv = { driver: process.env.STORAGE_DRIVER, path: process.env.STORAGE_PATH };
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blog-refresh-storage-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  afterAll(() => {
+    for (const [key, value] of [['STORAGE_DRIVER', originalEnv.driver], ['STORAGE_PATH', originalEnv.path]]) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  it('should keep SQLite data across restarts', async () => {
+    const file = path.join(tempDir, 'nested', 'store.db');
+
+    const first = createStore({ driver: 'sqlite', path: file });
+    const post = await first.savePost({ url: 'https://example.com/a', title: 'A', content: '<p>a</p>' });
+    first.close();
+
+    const second = createStore({ driver: 'sqlite', path: file });
+    expect(await second.getPost(post.id)).toMatchObject({ title: 'A', analyses: [], runs: [] });
+    second.close();
+  });
+
+  it('should migrate databases created before version history', async () => {
+    const file = path.join(tempDir, 'old.db');
+    const old = new Database(file);
+    old.exec(`
+      CREATE TABLE posts (id TEXT PRIMARY KEY, url TEXT UNIQUE, title TEXT, content TEXT NOT NULL, metadata TEXT,
+        extraction TEXT, created_at TEXT NOT NULL, updated_at TEXT NOT NULL);
+      CREATE TABLE analyses (id TEXT PRIMARY KEY, post_id TEXT NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+        content TEXT NOT NULL, result TEXT NOT NULL, proposals TEXT NOT NULL, created_at TEXT NOT NULL, updated_at TEXT NOT NULL);
+      CREATE TABLE runs (id TEXT PRIMARY KEY, post_id TEXT REFERENCES posts(id) ON DELETE CASCADE,
+        analysis_id TEXT REFERENCES analyses(id) ON DELETE SET NULL, approved_proposals TEXT NOT NULL,
+        result TEXT NOT NULL, created_at TEXT NOT NULL);
+      INSERT INTO posts VALUES ('p1', 'https://example.com/a', 'A', '<p>a</p>', NULL, NULL, '2024-01-01', '2024-01-01');
+      INSERT INTO posts VALUES ('p2', NULL, 'Pasted', '<p>b</p>', NULL, NULL, '2024-01-01', '2024-01-01');
+      INSERT INTO analyses VALUES ('a1', 'p1', '<p>a</p>', '{}', '[]', '2024-01-01', '2024-01-01');
+      INSERT INTO runs VALUES ('r1', 'p1', 'a1', '[]', '{}', '2024-01-02');
+      INSERT INTO runs VALUES ('r2', 'p1', 'a1', '[]', '{}', '2024-01-03');
+      PRAGMA user_version = 1;
+    `);
+    old.close();
+
+    const store = createStore({ driver: 'sqlite', path: file });
+    expect(await store.getPost('p1')).toMatchObject({
+      key: 'https://example.com/a',
+      draftRunId: 'r2',
+      analyses: [{ id: 'a1' }],
+      runs: [{ id: 'r2', version: 2 }, { id: 'r1', version: 1 }]
+    });
+    expect(await store.getPost('p2')).toMatchObject({ key: 'post:p2', url: null });
+    expect((await store.saveRun({ analysisId: 'a1', approvedProposals: [], result: {} })).version).toBe(3);
+    store.close();
+  });
+
+  it('should pick the store from the environment', async () => {
+    process.env.STORAGE_DRIVER = 'memory';
+    expect(getStore().name).toBe('memory');
+    expect(getStore()).toBe(getStore());
+
+    process.env.STORAGE_DRIVER = 'sqlite';
+    process.env.STORAGE_PATH = path.join(tempDir, 'env.db');
+    const store = getStore();
+    expect(store.name).toBe('sqlite');
+    expect(fs.existsSync(process.env.STORAGE_PATH)).toBe(true);
+
+    // Switching back closes the SQLite file
+    process.env.STORAGE_DRIVER = 'memory';
+    getStore();
+    await expect(store.listPosts()).rejects.toThrow('The database connection is not open');
+  });
+
+  it('should reject unknown drivers', () => {
+    expect(() => createStore({ driver: 'mongo' })).toThrow('Unknown storage driver "mongo". Use one of: sqlite, memory');
+  });
+});
@@ -0,0 +1,227 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import express from 'express';
+
+// In-process store, so nothing is written to disk
+process.env.STORAGE_DRIVER = 'memory';
+
+const { getStore } = await import('../src/helpers/storage.js');
+const {
+  listPosts,
+  getPost,
+  deletePost,
+  setDraft,
+  getAnalysis,
+  saveDecisions,
+  deleteAnalysis,
+  getRun,
+  deleteRun
+} = await import('../src/controllers/storageController.js');
+
+// Create test app
+const app = express();
+app.use(express.json());
+app.get('/posts', listPosts);
+app.get('/posts/:id', getPost);
+app.delete('/posts/:id', deletePost);
+app.put('/posts/:id/draft', setDraft);
+app.get('/analyses/:id', getAnalysis);
+app.put('/analyses/:id/decisions', saveDecisions);
+app.delete('/analyses/:id', deleteAnalysis);
+app.get('/runs/:id', getRun);
+app.delete('/runs/:id', deleteRun);
+
+describe('Storage Controller', () => {
+  let post;
+  let analysis;
+  let run;
+
+  beforeEach(async () => {
+    const store = getStore();
+    for (const { id } of await store.listPosts()) {
+      await store.deletePost(id);
+    }
+
+    post = await store.savePost({ url: 'https://example.com/post', title: 'Post', content: '<p>Text</p>' });
+    analysis = await store.saveAnalysis(post.id, {
+      content: '<p>Text</p>',
+      result: { sections: [], proposals: [{ id: 'proposal-1', approved: false }] }
+    });
+    run = await store.saveRun({
+      analysisId: analysis.id,
+      approvedProposals: [{ id: 'proposal-1', approved: true }],
+      result: { refreshedContent: '<p>New</p>', preservationReport: { preserved: true } }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('posts', () => {
+    it('should list saved posts', async () => {
+      const response = await request(app).get('/posts');
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toEqual([expect.objectContaining({
+        id: post.id,
+        title: 'Post',
+        analysisCount: 1,
+        runCount: 1,
+        latestAnalysisId: analysis.id,
+        latestRunId: run.id
+      })]);
+    });
+
+    it('should return a post with its analyses and runs', async () => {
+      const response = await request(app).get(`/posts/${post.id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        url: 'https://example.com/post',
+        content: '<p>Text</p>',
+        analyses: [{ id: analysis.id, proposalCount: 1 }],
+        runs: [{ id: run.id, preserved: true }]
+      });
+    });
+
+    it('should delete a post with everything saved for it', async () => {
+      const response = await request(app).delete(`/posts/${post.id}`);
+
+      expect(response.status).toBe(200);
+      expect((await request(app).get(`/analyses/${analysis.id}`)).status).toBe(404);
+      expect((await request(app).get(`/runs/${run.id}`)).status).toBe(404);
+    });
+
+    it('should return 404 for unknown posts', async () => {
+      expect((await request(app).get('/posts/missing')).body.error).toBe('Post not found');
+      expect((await request(app).delete('/posts/missing')).status).toBe(404);
+    });
+
+    it('should restore an earlier version as the draft', async () => {
+      const store = getStore();
+      const second = await store.saveRun({ analysisId: analysis.id, approvedProposals: [], result: {}, createdBy: 'Sam' });
+
+      expect((await request(app).get(`/posts/${post.id}`)).body.data).toMatchObject({
+        draftRunId: second.id,
+        runs: [{ id: second.id, version: 2, createdBy: 'Sam' }, { id: run.id, version: 1 }]
+      });
+
+      const response = await request(app).put(`/posts/${post.id}/draft`).send({ runId: run.id });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({ id: post.id, draftRunId: run.id });
+      expect((await request(app).get(`/posts/${post.id}`)).body.data.draftRunId).toBe(run.id);
+    });
+
+    it('should only restore versions of the same post', async () => {
+      const store = getStore();
+      const other = await store.savePost({ url: 'https://example.com/other', content: '<p>Other</p>' });
+      const otherAnalysis = await store.saveAnalysis(other.id, { content: '<p>Other</p>', result: { proposals: [] } });
+      const otherRun = await store.saveRun({ analysisId: otherAnalysis.id, approvedProposals: [], result: {} });
+
+      const foreign = await request(app).put(`/posts/${post.id}/draft`).send({ runId: otherRun.id });
+      expect(foreign.status).toBe(400);
+      expect(foreign.body.error).toBe('Run is not a version of this post');
+
+      expect((await request(app).put(`/posts/${post.id}/draft`).send({})).body.error).toBe('Run ID is required');
+      expect((await request(app).put(`/posts/${post.id}/draft`).send({ runId: 'missing' })).body.error).toBe('Run not found');
+    });
+
+    it('should report storage failures', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(getStore(), 'listPosts').mockRejectedValue(new Error('disk I/O error'));
+
+      const response = await request(app).get('/posts');
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error: 'Failed to list posts', details: 'disk I/O error' });
+    });
+  });
+
+  describe('storage failures', () => {
+    it.each([
+      ['getPost', 'get', '/posts/post-1', undefined, 'Failed to load post'],
+      ['deletePost', 'delete', '/posts/post-1', undefined, 'Failed to delete post'],
+      ['getRun', 'put', '/posts/post-1/draft', { runId: 'run-1' }, 'Failed to restore version'],
+      ['getAnalysis', 'get', '/analyses/analysis-1', undefined, 'Failed to load analysis'],
+      ['saveDecisions', 'put', '/analyses/analysis-1/decisions', { proposals: [] }, 'Failed to save decisions'],
+      ['deleteAnalysis', 'delete', '/analyses/analysis-1', undefined, 'Failed to delete analysis'],
+      ['getRun', 'get', '/runs/run-1', undefined, 'Failed to load run'],
+      ['deleteRun', 'delete', '/runs/run-1', undefined, 'Failed to delete run']
+    ])('should return 500 when %s fails (%s %s)', async (method, verb, path, body, error) => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(getStore(), method).mockRejectedValue(new Error('disk I/O error'));
+
+      const response = await request(app)[verb](path).send(body);
+
+      expect(response.status).toBe(500);
+      expect(response.body).toEqual({ error, details: 'disk I/O error' });
+    });
+  });
+
+  describe('analyses', () => {
+    it('should return an analysis with its current decisions', async () => {
+      const response = await request(app).get(`/analyses/${analysis.id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        postId: post.id,
+        content: '<p>Text</p>',
+        proposals: [{ id: 'proposal-1', approved: false }]
+      });
+    });
+
+    it('should save proposal decisions', async () => {
+      const proposals = [{ id: 'proposal-1', approved: true, affectedLinks: [{ url: 'https://gone.com', action: 'unlink', approved: true }] }];
+
+      const response = await request(app)
+        .put(`/analyses/${analysis.id}/decisions`)
+        .send({ proposals });
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.id).toBe(analysis.id);
+      expect((await request(app).get(`/analyses/${analysis.id}`)).body.data.proposals).toEqual(proposals);
+    });
+
+    it('should require a proposal list', async () => {
+      const response = await request(app)
+        .put(`/analyses/${analysis.id}/decisions`)
+        .send({ proposals: 'all' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Proposals are required');
+    });
+
+    it('should return 404 for unknown analyses', async () => {
+      expect((await request(app).get('/analyses/missing')).status).toBe(404);
+      expect((await request(app).put('/analyses/missing/decisions').send({ proposals: [] })).status).toBe(404);
+      expect((await request(app).delete('/analyses/missing')).status).toBe(404);
+    });
+
+    it('should delete an analysis', async () => {
+      expect((await request(app).delete(`/analyses/${analysis.id}`)).status).toBe(200);
+      expect((await request(app).get(`/runs/${run.id}`)).body.data.analysisId).toBeNull();
+    });
+  });
+
+  describe('runs', () => {
+    it('should return a refresh run', async () => {
+      const response = await request(app).get(`/runs/${run.id}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data).toMatchObject({
+        postId: post.id,
+        analysisId: analysis.id,
+        refreshedContent: '<p>New</p>',
+        approvedProposals: [{ id: 'proposal-1', approved: true }]
+      });
+    });
+
+    it('should delete a refresh run', async () => {
+      expect((await request(app).delete(`/runs/${run.id}`)).status).toBe(200);
+      expect((await request(app).get(`/runs/${run.id}`)).body.error).toBe('Run not found');
+      expect((await request(app).delete(`/runs/${run.id}`)).status).toBe(404);
+    });
+  });
+});
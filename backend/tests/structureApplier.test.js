@@ -0,0 +1,95 @@
+import * as cheerio from 'cheerio';
+import { applyStructureProposals } from '../src/helpers/structureApplier.js';
+
+describe('Structure Applier', () => {
+  describe('applyStructureProposals', () => {
+    const sections = [{ heading: 'A' }, { heading: 'B' }];
+
+    it('should keep the original heading when a merge has no new heading', () => {
+      const $ = cheerio.load('<h2>A</h2><p>a</p><h2>B</h2><p>b</p>', null, false);
+
+      applyStructureProposals($, [{ action: 'merge', affectedSections: [0, 1] }], sections);
+
+      expect($.html()).toBe('<h2>A</h2><p>a</p><p>b</p>');
+    });
+
+    it('should merge into a heading with no body of its own', () => {
+      const $ = cheerio.load('<h2>A</h2><h2>B</h2><p>b</p>', null, false);
+
+      applyStructureProposals($, [{ action: 'merge', affectedSections: [0, 1], newHeading: 'AB' }], sections);
+
+      expect($.html()).toBe('<h2>AB</h2><p>b</p>');
+    });
+
+    it('should leave rewrite and keep proposals untouched', () => {
+      const html = '<h2>A</h2><p>a</p><h2>B</h2><p>b</p>';
+      const $ = cheerio.load(html, null, false);
+
+      applyStructureProposals($, [
+        { action: 'rewrite', affectedSections: [0] },
+        { action: 'keep', affectedSections: [1] }
+      ], sections);
+
+      expect($.html()).toBe(html);
+    });
+
+    it('should remove nested sections along with their parent', () => {
+      const $ = cheerio.load('<h2>A</h2><p>a</p><h3>A.1</h3><p>a1</p><h2>B</h2><p>b</p>', null, false);
+
+      applyStructureProposals($, [{ action: 'remove', affectedSections: [0] }], [
+        { id: 'section-0', heading: 'A', level: 2, parentId: null },
+        { id: 'section-1', heading: 'A.1', level: 3, parentId: 'section-0' },
+        { id: 'section-2', heading: 'B', level: 2, parentId: null }
+      ]);
+
+      expect($.html()).toBe('<h2>B</h2><p>b</p>');
+    });
+
+    it('should carry nested sections along when merging', () => {
+      const $ = cheerio.load('<h2>A</h2><p>a</p><h3>A.1</h3><p>a1</p><h2>B</h2><p>b</p><h3>B.1</h3><p>b1</p>', null, false);
+
+      applyStructureProposals($, [{ action: 'merge', affectedSections: [0, 2], newHeading: 'A and B' }], [
+        { id: 'section-0', heading: 'A', level: 2, parentId: null },
+        { id: 'section-1', heading: 'A.1', level: 3, parentId: 'section-0' },
+        { id: 'section-2', heading: 'B', level: 2, parentId: null },
+        { id: 'section-3', heading: 'B.1', level: 3, parentId: 'section-2' }
+      ]);
+
+      expect($.html()).toBe('<h2>A and B</h2><p>a</p><p>b</p><h3>B.1</h3><p>b1</p><h3>A.1</h3><p>a1</p>');
+    });
+
+    it('should skip the title h1 unless the analysis treated it as a section', () => {
+      const html = '<h1>Post</h1><p>intro</p><h2>A</h2><p>a</p>';
+
+      const $title = cheerio.load(html, null, false);
+      applyStructureProposals($title, [{ action: 'remove', affectedSections: [0] }], [{ heading: 'A', level: 2 }]);
+      expect($title.html()).toBe('<h1>Post</h1><p>intro</p>');
+
+      const $section = cheerio.load(html, null, false);
+      applyStructureProposals($section, [{ action: 'remove', affectedSections: [1] }], [
+        { id: 'section-0', heading: 'Post', level: 1, parentId: null },
+        { id: 'section-1', heading: 'A', level: 2, parentId: 'section-0' }
+      ]);
+      expect($section.html()).toBe('<h1>Post</h1><p>intro</p>');
+    });
+
+    it('should merge paragraph-cluster pseudo-sections under a new heading', () => {
+      const $ = cheerio.load('<p>one</p><p>two</p><p>three</p><p>four</p><hr><p>five</p>', null, false);
+
+      applyStructureProposals($, [{ action: 'merge', affectedSections: [0, 2], newHeading: 'Combined' }], [
+        { heading: 'one two three', pseudo: true },
+        { heading: 'four', pseudo: true },
+        { heading: 'five', pseudo: true }
+      ]);
+
+      expect($.html()).toBe('<h2>Combined</h2><p>one</p><p>two</p><p>three</p><p>five</p><p>four</p><hr>');
+    });
+
+    it('should throw for sections that do not exist', () => {
+      const $ = cheerio.load('<h2>A</h2><p>a</p>', null, false);
+
+      expect(() => applyStructureProposals($, [{ action: 'remove', affectedSections: [3] }], sections))
+        .toThrow('Section 3 does not exist in the content');
+    });
+  });
+});
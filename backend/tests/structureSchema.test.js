@@ -0,0 +1,132 @@
+import { parseStructureAnalysis, parseTextSuggestions, parseReplacementSources } from '../src/helpers/structureSchema.js';
+
+describe('Structure Schema', () => {
+  const validResponse = {
+    needsRestructuring: true,
+    currentSectionCount: 3,
+    restructuringReason: 'Two sections overlap',
+    suggestions: [
+      {
+        action: 'merge',
+        affectedSections: [0, 1],
+        newHeading: 'Getting Started',
+        rationale: 'Both sections cover installation',
+        confidenceLevel: 'high'
+      }
+    ]
+  };
+
+  describe('parseStructureAnalysis', () => {
+    it('should return the parsed value for a valid response', () => {
+      const result = parseStructureAnalysis(JSON.stringify(validResponse), 3);
+
+      expect(result).toEqual({ value: validResponse });
+    });
+
+    it('should accept responses wrapped in code fences', () => {
+      const result = parseStructureAnalysis('```json\n' + JSON.stringify(validResponse) + '\n```', 3);
+
+      expect(result.value).toEqual(validResponse);
+    });
+
+    it('should report empty responses', () => {
+      expect(parseStructureAnalysis('', 3)).toEqual({ errors: ['(root): response was empty'] });
+      expect(parseStructureAnalysis(undefined, 3)).toEqual({ errors: ['(root): response was empty'] });
+    });
+
+    it('should report responses with no JSON object', () => {
+      expect(parseStructureAnalysis('No changes needed.', 3)).toEqual({
+        errors: ['(root): no JSON object found in response']
+      });
+    });
+
+    it('should report invalid JSON', () => {
+      const result = parseStructureAnalysis('{ "needsRestructuring": true, }', 3);
+
+      expect(result.errors).toHaveLength(1);
+      expect(result.errors[0]).toMatch(/^\(root\): invalid JSON - /);
+    });
+
+    it('should report missing required fields', () => {
+      const result = parseStructureAnalysis(JSON.stringify({ needsRestructuring: false }), 3);
+
+      expect(result.errors).toEqual([
+        "(root): must have required property 'restructuringReason'",
+        "(root): must have required property 'suggestions'"
+      ]);
+    });
+
+    it('should report unknown actions with the allowed values', () => {
+      const response = {
+        ...validResponse,
+        suggestions: [{ ...validResponse.suggestions[0], action: 'combine' }]
+      };
+
+      expect(parseStructureAnalysis(JSON.stringify(response), 3).errors).toEqual([
+        '/suggestions/0/action: must be equal to one of the allowed values (merge, rewrite, keep, remove)'
+      ]);
+    });
+
+    it('should report section indices outside the post', () => {
+      const response = {
+        ...validResponse,
+        suggestions: [{ ...validResponse.suggestions[0], affectedSections: [1, 3] }]
+      };
+
+      expect(parseStructureAnalysis(JSON.stringify(response), 3).errors).toEqual([
+        '/suggestions/0/affectedSections/1: must be <= 2'
+      ]);
+    });
+
+    it('should report unexpected suggestion properties', () => {
+      const response = {
+        ...validResponse,
+        suggestions: [{ ...validResponse.suggestions[0], priority: 1 }]
+      };
+
+      expect(parseStructureAnalysis(JSON.stringify(response), 3).errors).toEqual([
+        '/suggestions/0: must NOT have additional properties ("priority")'
+      ]);
+    });
+
+    it('should require a confidence level on every suggestion', () => {
+      const { confidenceLevel, ...suggestion } = validResponse.suggestions[0];
+      const response = { ...validResponse, suggestions: [suggestion] };
+
+      expect(parseStructureAnalysis(JSON.stringify(response), 3).errors).toEqual([
+        "/suggestions/0: must have required property 'confidenceLevel'"
+      ]);
+    });
+  });
+
+  describe('parseTextSuggestions', () => {
+    it('should accept a list of id and text pairs', () => {
+      const response = '```json\n{"suggestions": [{"id": "text-0", "text": "A chart"}]}\n```';
+
+      expect(parseTextSuggestions(response)).toEqual({ value: { suggestions: [{ id: 'text-0', text: 'A chart' }] } });
+    });
+
+    it('should reject empty text and extra properties', () => {
+      const response = JSON.stringify({ suggestions: [{ id: 'text-0', text: '' }, { id: 'text-1', text: 'x', why: 'y' }] });
+
+      expect(parseTextSuggestions(response).errors).toEqual([
+        '/suggestions/0/text: must NOT have fewer than 1 characters',
+        '/suggestions/1: must NOT have additional properties ("why")'
+      ]);
+    });
+  });
+
+  describe('parseReplacementSources', () => {
+    it('should accept urls per link id, with an optional title', () => {
+      const response = JSON.stringify({ replacements: [{ id: 'link-0', url: 'https://nodejs.org/docs', title: 'Node docs' }, { id: 'link-1', url: 'https://redis.io' }] });
+
+      expect(parseReplacementSources(response).value.replacements).toHaveLength(2);
+    });
+
+    it('should reject urls that are not http', () => {
+      const response = JSON.stringify({ replacements: [{ id: 'link-0', url: 'javascript:alert(1)' }] });
+
+      expect(parseReplacementSources(response).errors).toEqual(['/replacements/0/url: must match pattern "^https?://"']);
+    });
+  });
+});
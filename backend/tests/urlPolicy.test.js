@@ -0,0 +1,181 @@
+import { jest } from '@jest/globals';
+import http from 'node:http';
+import https from 'node:https';
+
+const mockLookup = jest.fn();
+const mockConnectLookup = jest.fn();
+const mockGet = jest.fn();
+
+jest.unstable_mockModule('node:dns/promises', () => ({
+  lookup: mockLookup
+}));
+
+// The callback lookup the request agents resolve with when connecting
+jest.unstable_mockModule('node:dns', () => ({
+  default: { lookup: mockConnectLookup }
+}));
+
+jest.unstable_mockModule('axios', () => ({
+  default: { get: mockGet }
+}));
+
+const { assertUrlAllowed, requestFollowingRedirects, UrlBlockedError } = await import('../src/helpers/urlPolicy.js');
+
+const POLICY_ENV = ['URL_ALLOWED_SCHEMES', 'URL_ALLOWED_PORTS', 'URL_ALLOW_HOSTS', 'URL_DENY_HOSTS'];
+
+describe('URL Policy', () => {
+  const originalEnv = Object.fromEntries(POLICY_ENV.map(key => [key, process.env[key]]));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    POLICY_ENV.forEach(key => delete process.env[key]);
+    mockLookup.mockResolvedValue([{ address: '93.184.215.14', family: 4 }]);
+  });
+
+  afterAll(() => {
+    POLICY_ENV.forEach(key => {
+      if (originalEnv[key] === undefined) delete process.env[key];
+      else process.env[key] = originalEnv[key];
+    });
+  });
+
+  describe('assertUrlAllowed', () => {
+    it('should allow public http(s) URLs', async () => {
+      await expect(assertUrlAllowed('https://example.com/post')).resolves.toBeUndefined();
+      expect(mockLookup).toHaveBeenCalledWith('example.com', { all: true });
+    });
+
+    it.each([
+      ['http://127.0.0.1/admin', 'loopback address'],
+      ['http://10.1.2.3/', 'private address'],
+      ['http://192.168.0.1/', 'private address'],
+      ['http://172.20.0.5/', 'private address'],
+      ['http://169.254.169.254/latest/meta-data/', 'link-local address'],
+      ['http://0.0.0.0/', 'unspecified address'],
+      ['http://[::1]/', 'loopback address'],
+      ['http://[fd00::1]/', 'private address'],
+      ['http://[::ffff:127.0.0.1]/', 'loopback address'],
+      ['http://[::127.0.0.1]/', 'reserved address'],
+      ['http://192.0.2.10/', 'documentation address'],
+      ['http://198.51.100.10/', 'documentation address'],
+      ['http://203.0.113.10/', 'documentation address'],
+      ['http://[64:ff9b::a00:7]/', 'NAT64 address']
+    ])('should block %s', async (url, reason) => {
+      await expect(assertUrlAllowed(url)).rejects.toThrow(reason);
+      expect(mockLookup).not.toHaveBeenCalled();
+    });
+
+    it('should block hosts that resolve to a private address', async () => {
+      mockLookup.mockResolvedValue([
+        { address: '93.184.215.14', family: 4 },
+        { address: '10.0.0.7', family: 4 }
+      ]);
+
+      const error = await assertUrlAllowed('https://internal.example.com/').catch(e => e);
+
+      expect(error).toBeInstanceOf(UrlBlockedError);
+      expect(error).toMatchObject({
+        code: 'ERR_URL_BLOCKED',
+        url: 'https://internal.example.com/',
+        reason: 'internal.example.com is a private address (10.0.0.7)',
+        message: 'Request to https://internal.example.com/ blocked: internal.example.com is a private address (10.0.0.7)'
+      });
+    });
+
+    it('should enforce allowed schemes and ports', async () => {
+      await expect(assertUrlAllowed('ftp://example.com/file')).rejects.toThrow('scheme "ftp" is not allowed');
+      await expect(assertUrlAllowed('file:///etc/passwd')).rejects.toThrow('scheme "file" is not allowed');
+      await expect(assertUrlAllowed('http://example.com:6379/')).rejects.toThrow('port 6379 is not allowed');
+      await expect(assertUrlAllowed('not a url')).rejects.toThrow('not a valid URL');
+
+      process.env.URL_ALLOWED_PORTS = '80,443,8080';
+      await expect(assertUrlAllowed('http://example.com:8080/')).resolves.toBeUndefined();
+    });
+
+    it('should apply the deny and allow lists', async () => {
+      process.env.URL_DENY_HOSTS = 'tracker.example.com, *.ads.example';
+      process.env.URL_ALLOW_HOSTS = 'staging.internal';
+      mockLookup.mockResolvedValue([{ address: '10.0.0.7', family: 4 }]);
+
+      await expect(assertUrlAllowed('https://www.tracker.example.com/')).rejects.toThrow('host www.tracker.example.com is on the deny list');
+      await expect(assertUrlAllowed('https://cdn.ads.example/')).rejects.toThrow('on the deny list');
+      // Allowed hosts skip the address check
+      await expect(assertUrlAllowed('http://staging.internal/post')).resolves.toBeUndefined();
+    });
+
+    it('should pass DNS failures through', async () => {
+      mockLookup.mockRejectedValue(Object.assign(new Error('getaddrinfo ENOTFOUND nope.invalid'), { code: 'ENOTFOUND' }));
+
+      await expect(assertUrlAllowed('https://nope.invalid/')).rejects.toMatchObject({ code: 'ENOTFOUND' });
+    });
+  });
+
+  describe('requestFollowingRedirects', () => {
+    it('should check every hop before requesting it', async () => {
+      mockGet.mockResolvedValueOnce({ status: 302, headers: { location: 'http://169.254.169.254/latest/meta-data/' } });
+
+      await expect(requestFollowingRedirects('get', 'https://example.com/go')).rejects.toThrow(UrlBlockedError);
+      expect(mockGet).toHaveBeenCalledTimes(1);
+    });
+
+    it('should return the final response and the hops it took', async () => {
+      mockGet
+        .mockResolvedValueOnce({ status: 301, headers: { location: '/new' } })
+        .mockResolvedValueOnce({ status: 200, headers: {}, data: 'ok' });
+
+      const { response, redirects } = await requestFollowingRedirects('get', 'https://example.com/old', { timeout: 1000 });
+
+      expect(response.data).toBe('ok');
+      expect(redirects).toEqual([{ url: 'https://example.com/old', status: 301, location: 'https://example.com/new' }]);
+      expect(mockGet).toHaveBeenLastCalledWith('https://example.com/new', {
+        timeout: 1000,
+        maxRedirects: 0,
+        httpAgent: expect.any(http.Agent),
+        httpsAgent: expect.any(https.Agent)
+      });
+    });
+
+    it('should refuse a connection to a blocked address resolved after the check', async () => {
+      mockGet.mockResolvedValue({ status: 200, headers: {} });
+      await requestFollowingRedirects('get', 'https://example.com/');
+      const { lookup } = mockGet.mock.calls[0][1].httpsAgent.options;
+      // The host now resolves elsewhere (DNS rebinding)
+      mockConnectLookup.mockImplementation((hostname, options, callback) => callback(null, [{ address: '127.0.0.1', family: 4 }]));
+
+      const callback = jest.fn();
+      lookup('example.com', { all: true }, callback);
+
+      expect(callback).toHaveBeenCalledWith(expect.any(UrlBlockedError));
+      expect(callback.mock.calls[0][0].reason).toBe('example.com is a loopback address (127.0.0.1)');
+    });
+
+    it('should connect to public and allowed addresses', async () => {
+      process.env.URL_ALLOW_HOSTS = 'staging.internal';
+      mockGet.mockResolvedValue({ status: 200, headers: {} });
+      await requestFollowingRedirects('get', 'http://example.com/');
+      const { lookup } = mockGet.mock.calls[0][1].httpAgent.options;
+
+      const callback = jest.fn();
+      mockConnectLookup.mockImplementation((hostname, options, done) => done(null, '93.184.215.14', 4));
+      lookup('example.com', {}, callback);
+      mockConnectLookup.mockImplementation((hostname, options, done) => done(null, [{ address: '10.0.0.7', family: 4 }]));
+      lookup('staging.internal', { all: true }, callback);
+
+      expect(callback).toHaveBeenNthCalledWith(1, null, '93.184.215.14', 4);
+      expect(callback).toHaveBeenNthCalledWith(2, null, [{ address: '10.0.0.7', family: 4 }], undefined);
+    });
+
+    it('should report a connection refused by the agents as blocked for the requested URL', async () => {
+      const cause = new UrlBlockedError('example.com', 'example.com is a private address (10.0.0.7)');
+      mockGet.mockRejectedValue(Object.assign(new Error(cause.message), { code: cause.code, cause }));
+
+      const error = await requestFollowingRedirects('get', 'https://example.com/post').catch(e => e);
+
+      expect(error).toBeInstanceOf(UrlBlockedError);
+      expect(error).toMatchObject({
+        url: 'https://example.com/post',
+        reason: 'example.com is a private address (10.0.0.7)'
+      });
+    });
+  });
+});
@@ -1,13 +1,373 @@
-import { useState } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import axios from 'axios';
 import { diffLines } from 'diff';
 import TurndownService from 'turndown';
 import parse from 'html-react-parser';
+import { ALLOWED_TAGS, DROPPED_TAGS, IFRAME_SANDBOX, isAllowedAttribute, isSafeUrlAttribute, withTargetRel } from './htmlPolicy';
 import './App.css';
 
 const API_URL = 'http://localhost:3001';
 const turndownService = new TurndownService();
 
+// Read a Server-Sent Events response body, calling onEvent(event, data) per message
+async function readEventStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      block.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      if (data) onEvent(event, JSON.parse(data));
+    }
+  }
+}
+
+// Fold a single analysis progress event into the progress state
+function applyProgressEvent(progress, event, data) {
+  switch (event) {
+    case 'sections':
+      return { ...progress, sectionCount: data.count };
+    case 'links-found':
+      return { ...progress, links: data.links.map(link => ({ ...link, state: 'pending' })) };
+    case 'link':
+      return {
+        ...progress,
+        links: progress.links.map((link, idx) => idx === data.index ? { ...link, ...data.result } : link)
+      };
+    case 'links-complete':
+      return { ...progress, linksComplete: true };
+    case 'replacements':
+      return { ...progress, replacementCount: data.count };
+    case 'staleness':
+      return { ...progress, stalenessCount: data.count };
+    case 'seo':
+      return { ...progress, seoScore: data.score };
+    case 'accessibility':
+      return { ...progress, accessibilityIssueCount: data.issueCount };
+    case 'text-suggestions':
+      return { ...progress, textSuggestionCount: data.count };
+    case 'ai-started':
+      return { ...progress, aiStatus: 'running' };
+    case 'ai-finished':
+      return { ...progress, aiStatus: data.analysisStatus === 'failed' ? 'failed' : 'done' };
+    case 'proposals':
+      return { ...progress, proposalCount: data.count };
+    default:
+      return progress;
+  }
+}
+
+// Follow a backend job's event stream until it finishes.
+// Resolves with { status: 'completed', result } or { status: 'cancelled' }, throws if the job failed.
+async function followJob(jobId, onProgress) {
+  const response = await fetch(`${API_URL}/api/jobs/${jobId}/events`);
+
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || 'Failed to follow job');
+  }
+
+  let outcome = null;
+  await readEventStream(response, (event, data) => {
+    if (event === 'complete') {
+      outcome = { status: 'completed', result: data };
+    } else if (event === 'cancelled') {
+      outcome = { status: 'cancelled' };
+    } else if (event === 'error') {
+      throw new Error(data.error || 'Job failed');
+    } else {
+      onProgress(event, data);
+    }
+  });
+
+  if (!outcome) throw new Error('Lost connection to the running job');
+  return outcome;
+}
+
+// The running job is remembered so a page refresh can reattach to it.
+// Only IDs are kept ({ jobId, type, postId?, analysisId? }); the post and its analysis are fetched again,
+// since long posts would not fit in localStorage.
+const ACTIVE_JOB_KEY = 'blogRefresh.activeJob';
+
+const saveActiveJob = (job) => {
+  try {
+    localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify(job));
+  } catch {
+    // The job runs either way; only reattaching after a refresh is lost
+  }
+};
+const clearActiveJob = () => localStorage.removeItem(ACTIVE_JOB_KEY);
+const loadActiveJob = () => {
+  try {
+    return JSON.parse(localStorage.getItem(ACTIVE_JOB_KEY));
+  } catch {
+    return null;
+  }
+};
+
+// A saved post with one of its analyses, in the shape the approval step uses
+async function fetchSavedReview(postId, analysisId) {
+  if (!postId || !analysisId) throw new Error('The post was not saved, so it cannot be restored');
+
+  const [postResponse, analysisResponse] = await Promise.all([
+    axios.get(`${API_URL}/api/posts/${postId}`),
+    axios.get(`${API_URL}/api/analyses/${analysisId}`)
+  ]);
+  const saved = postResponse.data.data;
+  const savedAnalysis = analysisResponse.data.data;
+
+  return {
+    blogContent: {
+      title: saved.title,
+      content: savedAnalysis.content,
+      url: saved.url || 'direct-input',
+      metadata: saved.metadata,
+      extraction: saved.extraction,
+      postId: saved.id
+    },
+    analysis: { ...savedAnalysis.result, postId: saved.id, analysisId: savedAnalysis.id },
+    proposals: savedAnalysis.proposals
+  };
+}
+
+// The reviewer's name, remembered between sessions and saved with every refresh
+const REVIEWER_KEY = 'blogRefresh.reviewer';
+
+const INITIAL_PROGRESS = {
+  sectionCount: null,
+  links: [],
+  linksComplete: false,
+  replacementCount: null,
+  stalenessCount: null,
+  seoScore: null,
+  accessibilityIssueCount: null,
+  textSuggestionCount: null,
+  aiStatus: 'pending',
+  proposalCount: null
+};
+
+const LINK_STATE_ICONS = {
+  pending: '⏳',
+  working: '✓',
+  broken: '✕',
+  unchecked: '–'
+};
+
+// Names for the content types checked by the preservation report
+const PRESERVATION_TYPE_LABELS = {
+  sentence: 'sentence',
+  link: 'link',
+  image: 'image',
+  code: 'code block',
+  table: 'table',
+  number: 'number'
+};
+
+// Preview icons for each structure action
+const STRUCTURE_ACTION_ICONS = {
+  merge: '🔀',
+  rewrite: '✏️',
+  remove: '🗑️',
+  keep: '📌'
+};
+
+// Sentence with the first occurrence of `match` wrapped in <mark>
+const highlightMatch = (sentence, match) => {
+  const index = match ? sentence.indexOf(match) : -1;
+  if (index === -1) return sentence;
+  return (
+    <>
+      {sentence.slice(0, index)}
+      <mark>{match}</mark>
+      {sentence.slice(index + match.length)}
+    </>
+  );
+};
+
+// SEO score once the approved SEO proposals are applied - each one recovers its weight.
+// Alt text proposals recover the weight of the SEO issue they resolve (`resolvesSeoIssue`), once.
+const projectSeoScore = (seoAudit, proposals) => {
+  const recovered = new Map();
+  proposals.filter(p => p.approved).forEach(p => {
+    if (p.type === 'seo') recovered.set(p.id, p.weight);
+    else if (p.resolvesSeoIssue) recovered.set(p.resolvesSeoIssue.id, p.resolvesSeoIssue.weight);
+  });
+  return Math.min(100, seoAudit.score + [...recovered.values()].reduce((sum, weight) => sum + weight, 0));
+};
+
+// "2 replaced, 1 unlinked, 1 sentence removed" for the chosen broken-link actions
+const describeLinkActions = (links) => {
+  const count = (action) => links.filter(link => (link.action || 'unlink') === action).length;
+  return [
+    count('replace') > 0 && `${count('replace')} replaced`,
+    count('unlink') > 0 && `${count('unlink')} unlinked`,
+    count('remove-sentence') > 0 && `${count('remove-sentence')} sentence${count('remove-sentence') > 1 ? 's' : ''} removed`
+  ].filter(Boolean).join(', ');
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+// An approved broken link set to a typed replacement that is not a usable URL
+const hasInvalidReplacement = (proposals) => proposals.some(p =>
+  p.approved && p.type === 'link-fixes' &&
+  (p.affectedLinks || []).some(link => link.approved && link.action === 'replace' && !isHttpUrl(link.replacementUrl))
+);
+
+// Parse without running anything, strip what the allowlist (htmlPolicy.js, a copy of the backend's)
+// does not cover, and report it. Tags outside ALLOWED_TAGS are unwrapped; DROPPED_TAGS go with their content.
+// { html, removed: [{ type: 'element' | 'attribute' | 'url', name, element?, count, contentKept?, example? }] }
+const sanitizeHtml = (html) => {
+  const doc = new DOMParser().parseFromString(html || '', 'text/html');
+  const removed = new Map();
+
+  const record = (type, name, details = {}) => {
+    const key = [type, details.element, name].join(':');
+    const entry = removed.get(key) || { type, name, ...details, count: 0 };
+    entry.count++;
+    removed.set(key, entry);
+  };
+
+  const sanitizeChildren = (node) => {
+    for (const child of [...node.childNodes]) {
+      if (child.nodeType === Node.COMMENT_NODE) {
+        child.remove();
+        continue;
+      }
+      if (child.nodeType !== Node.ELEMENT_NODE) continue;
+
+      const tag = child.tagName.toLowerCase();
+      if (DROPPED_TAGS.has(tag)) {
+        child.remove();
+        record('element', tag);
+        continue;
+      }
+
+      for (const { name, value } of [...child.attributes]) {
+        const attribute = name.toLowerCase();
+
+        if (!isAllowedAttribute(tag, attribute)) {
+          child.removeAttribute(name);
+          record('attribute', attribute, { element: tag });
+        } else if (!isSafeUrlAttribute(tag, attribute, value)) {
+          child.removeAttribute(name);
+          record('url', attribute, { element: tag, example: value.slice(0, 80) });
+        }
+      }
+      if (tag === 'iframe') {
+        child.setAttribute('sandbox', IFRAME_SANDBOX);
+      }
+      if (tag === 'a' && child.hasAttribute('target')) {
+        child.setAttribute('rel', withTargetRel(child.getAttribute('rel')));
+      }
+
+      sanitizeChildren(child);
+
+      if (!ALLOWED_TAGS.has(tag)) {
+        child.replaceWith(...child.childNodes);
+        record('element', tag, { contentKept: true });
+      }
+    }
+  };
+
+  // <head> is never rendered inside the preview
+  sanitizeChildren(doc.body);
+  return { html: doc.body.innerHTML, removed: [...removed.values()] };
+};
+
+// "2 × <script> element", "onclick attribute on <p>", "unsafe href on <a> (javascript:...)"
+const describeRemoval = (item) => {
+  const count = item.count > 1 ? `${item.count} × ` : '';
+  switch (item.type) {
+    case 'attribute':
+      return `${count}${item.name} attribute on <${item.element}>`;
+    case 'url':
+      return `${count}unsafe ${item.name} on <${item.element}> (${item.example})`;
+    default:
+      return `${count}<${item.name}> ${item.contentKept ? 'tag (content kept)' : 'element'}`;
+  }
+};
+
+// Sentence-level text diff of two HTML strings.
+// Sanitized markup only: an <img onerror> fires even in a detached element.
+const diffText = (fromHtml, toHtml) => {
+  const toSentences = (html) => {
+    const temp = document.createElement('div');
+    temp.innerHTML = html;
+    const text = temp.textContent || temp.innerText || '';
+    // Split by sentences for better readability
+    return text.split(/(?<=[.!?])\s+/).filter(s => s.trim()).join('\n');
+  };
+
+  return diffLines(toSentences(fromHtml), toSentences(toHtml));
+};
+
+// Rendered diff lines; only the first 200 changes are shown
+function DiffLines({ parts }) {
+  return (
+    <div className="diff-view">
+      {parts.slice(0, 200).map((part, index) => {
+        // Skip very short or empty lines
+        const trimmedValue = part.value.trim();
+        if (!trimmedValue || trimmedValue.length < 3) return null;
+
+        // Split long values into multiple lines for readability
+        const lines = trimmedValue.split('\n').filter(line => line.trim());
+
+        return lines.map((line, lineIndex) => (
+          <div
+            key={`${index}-${lineIndex}`}
+            className={`diff-line ${
+              part.added ? 'added' : part.removed ? 'removed' : 'unchanged'
+            }`}
+          >
+            <span className="diff-marker">
+              {part.added ? '+ ' : part.removed ? '- ' : '  '}
+            </span>
+            <span className="diff-content">{line}</span>
+          </div>
+        ));
+      })}
+      {parts.length > 200 && (
+        <div className="diff-truncated">
+          ... {parts.length - 200} more changes (showing first 200 for performance)
+        </div>
+      )}
+    </div>
+  );
+}
+
+// "Mar 4, 2023, 2:05 PM" for the time a version was saved
+const formatVersionDate = (value) =>
+  new Date(value).toLocaleString('en-US', { dateStyle: 'medium', timeStyle: 'short' });
+
+// "Mar 4, 2023" for ISO dates from the fetched metadata; other text is shown as found
+const formatMetadataDate = (value) => {
+  const time = Date.parse(value);
+  return /^\d{4}-\d{2}-\d{2}/.test(value) && !Number.isNaN(time)
+    ? new Date(time).toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' })
+    : value;
+};
+
 function App() {
   //Instantiating state variables
   const [step, setStep] = useState('input');
@@ -18,11 +378,24 @@ function App() {
   const [analysis, setAnalysis] = useState(null);
   const [proposals, setProposals] = useState([]);
   const [refreshedContent, setRefreshedContent] = useState('');
+  const [preservationReport, setPreservationReport] = useState(null); // What the apply step lost or altered
+  const [sanitizationReport, setSanitizationReport] = useState(null); // Unsafe markup the backend stripped from the refreshed content
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [toast, setToast] = useState({ show: false, message: '', type: 'success' });
   const [viewMode, setViewMode] = useState('side-by-side'); // 'side-by-side', 'diff'
   const [syncScroll, setSyncScroll] = useState(true); // Synchronized scrolling
+  const [progress, setProgress] = useState(INITIAL_PROGRESS); // Live analysis progress
+  const [activeJobId, setActiveJobId] = useState(null); // Backend job currently running
+  const [savedPosts, setSavedPosts] = useState(null); // Saved reviews, once listed on the input step
+  const [reviewer, setReviewer] = useState(() => localStorage.getItem(REVIEWER_KEY) || ''); // Credited with each refresh
+  const [versions, setVersions] = useState(null); // Saved post with its refresh timeline: { id, draftRunId, runs }
+  const [currentRunId, setCurrentRunId] = useState(null); // Version shown as the refreshed content
+  const [compareRunIds, setCompareRunIds] = useState([]); // Up to two versions picked for comparison
+  const [versionDiff, setVersionDiff] = useState(null); // { from, to, parts } for the picked versions
+  const [bypassCache, setBypassCache] = useState(false); // Check links and ask the AI again instead of reusing cached results
+  const [applyCache, setApplyCache] = useState(null); // { hit, cachedAt } of the refreshed content shown
+  const reattachStarted = useRef(false);
 
   // Show toast notification
   const showToast = (message, type = 'success') => {
@@ -32,29 +405,43 @@ function App() {
     }, 3000);
   };
 
+  // Fetched, pasted and AI-written HTML is only ever rendered after sanitizing
+  const originalPreview = useMemo(() => sanitizeHtml(blogContent?.content), [blogContent]);
+  const refreshedPreview = useMemo(() => sanitizeHtml(refreshedContent), [refreshedContent]);
+  const strippedMarkup = [
+    { label: 'Original content', removed: originalPreview.removed },
+    { label: 'Refreshed content', removed: [...(sanitizationReport?.removed || []), ...refreshedPreview.removed] }
+  ].filter(group => group.removed.length > 0);
+
   // Calculate diff between original and refreshed content
   const calculateDiff = () => {
     if (!blogContent || !refreshedContent) return [];
-    
-    // Convert HTML to readable text by extracting text content
-    const stripHtml = (html) => {
-      const temp = document.createElement('div');
-      temp.innerHTML = html;
-      return temp.textContent || temp.innerText || '';
-    };
-    
-    const originalText = stripHtml(blogContent.content);
-    const refreshedText = stripHtml(refreshedContent);
-    
-    // Split by sentences for better readability
-    const originalSentences = originalText.split(/(?<=[.!?])\s+/).filter(s => s.trim());
-    const refreshedSentences = refreshedText.split(/(?<=[.!?])\s+/).filter(s => s.trim());
-    
-    return diffLines(originalSentences.join('\n'), refreshedSentences.join('\n'));
+    return diffText(originalPreview.html, refreshedPreview.html);
+  };
+
+  // Ask before exporting content that lost original information
+  const confirmExport = () => {
+    if (!preservationReport || preservationReport.preserved) return true;
+    return window.confirm(
+      `${preservationReport.issues.length} piece(s) of original content were lost or altered without an approved change. Export anyway?`
+    );
+  };
+
+  // Export as HTML
+  const exportAsHtml = () => {
+    if (!confirmExport()) return;
+    const blob = new Blob([refreshedContent], { type: 'text/html' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'refreshed-blog.html';
+    a.click();
+    showToast('HTML file downloaded!');
   };
 
   // Export as Markdown
   const exportAsMarkdown = () => {
+    if (!confirmExport()) return;
     const markdown = turndownService.turndown(refreshedContent);
     const blob = new Blob([markdown], { type: 'text/markdown' });
     const url = URL.createObjectURL(blob);
@@ -69,81 +456,85 @@ function App() {
   const handleTryDifferentChanges = () => {
     setStep('approval');
     setRefreshedContent('');
+    setPreservationReport(null);
+    setSanitizationReport(null);
+    setCompareRunIds([]);
+    setVersionDiff(null);
   };
 
   // Calculate final section count after approved changes
-  const calculateFinalSectionCount = () => {
-    if (!analysis) return 0;
-    
-    let count = analysis.sections.length;
-    const approvedStructureProposals = proposals.filter(p => p.approved && p.type === 'structure');
-    
-    approvedStructureProposals.forEach(proposal => {
-      if (proposal.action === 'merge') {
-        // Merging reduces count by (affected sections - 1)
-        count -= (proposal.affectedSections.length - 1);
-      } else if (proposal.action === 'remove') {
-        count -= proposal.affectedSections.length;
-      }
-    });
-    
-    return count;
+  const calculateFinalSectionCount = () => generateProjectedStructure().length;
+
+  // Indices of a section and everything nested under it (sections are a flat list in document order)
+  const getSubtreeIndices = (index) => {
+    const sections = analysis.sections;
+    const indices = [index];
+    if (!sections[index]?.id) return indices;
+
+    const ids = new Set([sections[index].id]);
+    for (let i = index + 1; i < sections.length && ids.has(sections[i].parentId); i++) {
+      ids.add(sections[i].id);
+      indices.push(i);
+    }
+    return indices;
   };
 
-  // Generate projected structure showing what sections will look like
+  // Generate projected structure showing what sections will look like.
+  // Mirrors the backend: removing a section drops its nested sections, and merging moves the
+  // later section's nested sections up under the merged heading.
   const generateProjectedStructure = () => {
     if (!analysis) return [];
     
     const approvedStructureProposals = proposals.filter(p => p.approved && p.type === 'structure');
-    const projectedSections = [];
-    const processedIndices = new Set();
-    
-    analysis.sections.forEach((section, idx) => {
-      if (processedIndices.has(idx)) return;
-      
-      // Check if this section is affected by any proposal
-      const affectingProposal = approvedStructureProposals.find(p => 
-        p.affectedSections.includes(idx)
-      );
-      
-      if (affectingProposal) {
-        if (affectingProposal.action === 'merge') {
-          // Add merged section
-          projectedSections.push({
-            heading: affectingProposal.newHeading || section.heading,
-            isNew: true,
-            isModified: false,
-            isRemoved: false
-          });
-          // Mark all merged sections as processed
-          affectingProposal.affectedSections.forEach(i => processedIndices.add(i));
-        } else if (affectingProposal.action === 'remove') {
-          // Skip removed sections
-          processedIndices.add(idx);
-        } else if (affectingProposal.action === 'rewrite') {
-          projectedSections.push({
-            heading: affectingProposal.newHeading || section.heading,
-            isNew: false,
-            isModified: true,
-            isRemoved: false
-          });
-          processedIndices.add(idx);
-        }
-      } else {
-        // Keep unchanged section
-        projectedSections.push({
-          heading: section.heading,
-          isNew: false,
-          isModified: false,
-          isRemoved: false
-        });
-        processedIndices.add(idx);
+    let projected = analysis.sections.map((section, idx) => ({
+      index: idx,
+      heading: section.heading,
+      depth: section.depth || 0,
+      pseudo: section.pseudo || false,
+      isNew: false,
+      isModified: false,
+      isRemoved: false
+    }));
+    const withoutIndices = (indices) => projected.filter(entry => !indices.includes(entry.index));
+
+    approvedStructureProposals.forEach(proposal => {
+      const [first, second] = [...proposal.affectedSections].sort((a, b) => a - b);
+
+      if (proposal.action === 'remove') {
+        projected = withoutIndices(getSubtreeIndices(first));
+      } else if (proposal.action === 'merge') {
+        const nested = getSubtreeIndices(second).slice(1);
+        const movedEntries = projected.filter(entry => nested.includes(entry.index));
+        projected = withoutIndices([second, ...nested]);
+
+        const targetPosition = projected.findIndex(entry => entry.index === first);
+        if (targetPosition === -1) return;
+        projected[targetPosition] = {
+          ...projected[targetPosition],
+          heading: proposal.newHeading || projected[targetPosition].heading,
+          pseudo: projected[targetPosition].pseudo && !proposal.newHeading,
+          isNew: true
+        };
+        projected.splice(targetPosition + 1, 0, ...movedEntries);
+      } else if (proposal.action === 'rewrite') {
+        projected = projected.map(entry => entry.index === first
+          ? { ...entry, heading: proposal.newHeading || entry.heading, isModified: true }
+          : entry);
       }
+      // "keep" leaves the section exactly as it is
     });
     
-    return projectedSections;
+    return projected;
   };
 
+  // Links skipped by the backend link-check budget
+  const uncheckedLinks = analysis
+    ? analysis.linkEvaluations.filter(l => l.state === 'unchecked')
+    : [];
+
+  // The AI returned nothing usable, so "no proposals" does not mean the structure is fine
+  const structureAnalysisFailed = analysis?.structureAnalysis?.analysisStatus === 'failed';
+
   // Step 1: Fetch blog content
   const handleFetchBlog = async () => {
     if (!blogUrl.trim()) {
@@ -199,34 +590,343 @@ function App() {
     }
   };
 
-  // Step 2: Analyze blog
+  // Step 2: Analyze blog - submitted as a backend job, progress is streamed from the job
   const analyzeBlog = async (content) => {
     setLoading(true);
+    setProgress(INITIAL_PROGRESS);
     try {
-      const response = await axios.post(`${API_URL}/api/analyze-blog`, {
+      const response = await axios.post(`${API_URL}/api/jobs/analyze`, {
         content: content.content,
-        title: content.title
+        title: content.title,
+        url: content.url,
+        metadata: content.metadata,
+        postId: content.postId,
+        ...(bypassCache && { bypassCache: true })
       });
 
-      setAnalysis(response.data.data);
-      setProposals(response.data.data.proposals.map(p => ({ ...p, approved: false })));
-      setStep('approval');
+      const { jobId } = response.data.data;
+      saveActiveJob({ jobId, type: 'analyze' });
+      await watchAnalysisJob(jobId);
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to analyze blog');
+      setLoading(false);
+    }
+  };
+
+  // Wait for an analysis job, showing its progress on the analyzing step.
+  // `restore` reloads the analyzed post from storage once the job is done (after reattaching to it).
+  const watchAnalysisJob = async (jobId, { restore = false } = {}) => {
+    setLoading(true);
+    setActiveJobId(jobId);
+    try {
+      const outcome = await followJob(jobId, (event, data) => {
+        setProgress(prev => applyProgressEvent(prev, event, data));
+      });
+
+      if (outcome.status === 'cancelled') {
+        setStep('input');
+        showToast('Analysis cancelled', 'warning');
+        return;
+      }
+
+      if (restore) {
+        const review = await fetchSavedReview(outcome.result.postId, outcome.result.analysisId);
+        setBlogContent(review.blogContent);
+      }
+      setAnalysis(outcome.result);
+      setProposals(outcome.result.proposals.map(p => ({ ...p, approved: false })));
+      setStep('approval');
+    } catch (err) {
+      setError(err.message || 'Failed to analyze blog');
+    } finally {
+      clearActiveJob();
+      setActiveJobId(null);
+      setLoading(false);
+    }
+  };
+
+  // Wait for an apply job on the generating step; the new refresh joins the version history of `postId`
+  const watchApplyJob = async (jobId, postId) => {
+    setLoading(true);
+    setActiveJobId(jobId);
+    try {
+      const outcome = await followJob(jobId, () => {});
+
+      if (outcome.status === 'cancelled') {
+        setStep('approval');
+        showToast('Generation cancelled', 'warning');
+        return;
+      }
+
+      setRefreshedContent(outcome.result.refreshedContent);
+      setPreservationReport(outcome.result.preservationReport || null);
+      setSanitizationReport(outcome.result.sanitizationReport || null);
+      setCurrentRunId(outcome.result.runId || null);
+      setApplyCache(outcome.result.cache || null);
+      setCompareRunIds([]);
+      setVersionDiff(null);
+      setStep('complete');
+      await loadVersions(postId);
+    } catch (err) {
+      setError(err.message || 'Failed to apply changes');
+    } finally {
+      clearActiveJob();
+      setActiveJobId(null);
+      setLoading(false);
+    }
+  };
+
+  // Cancel the running job - its event stream then reports 'cancelled'
+  const handleCancelJob = async () => {
+    if (!activeJobId) return;
+    try {
+      await axios.post(`${API_URL}/api/jobs/${activeJobId}/cancel`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to cancel job');
+    }
+  };
+
+  // Reattach to a job that was still running when the page was refreshed
+  useEffect(() => {
+    if (reattachStarted.current) return;
+    reattachStarted.current = true;
+
+    const saved = loadActiveJob();
+    if (!saved) return;
+
+    const reattach = async () => {
+      try {
+        await axios.get(`${API_URL}/api/jobs/${saved.jobId}`);
+      } catch {
+        // Job is gone (e.g. backend restarted) - nothing to reattach to
+        clearActiveJob();
+        return;
+      }
+
+      if (saved.type === 'apply') {
+        let review;
+        try {
+          review = await fetchSavedReview(saved.postId, saved.analysisId);
+        } catch (err) {
+          clearActiveJob();
+          setError(err.response?.data?.error || err.message || 'Failed to restore the running job');
+          return;
+        }
+        setBlogContent(review.blogContent);
+        setAnalysis(review.analysis);
+        setProposals(review.proposals);
+        setStep('generating');
+        await watchApplyJob(saved.jobId, saved.postId);
+      } else {
+        setStep('analyzing');
+        await watchAnalysisJob(saved.jobId, { restore: true });
+      }
+    };
+
+    reattach();
+  }, []);
+
+  // Save the reviewer's decisions as they are made, so the review can be resumed later
+  useEffect(() => {
+    const analysisId = analysis?.analysisId;
+    if (step !== 'approval' || !analysisId) return;
+
+    const timer = setTimeout(async () => {
+      try {
+        await axios.put(`${API_URL}/api/analyses/${analysisId}/decisions`, { proposals });
+      } catch {
+        // The review goes on; only resuming it later would miss these choices
+      }
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [proposals, step, analysis]);
+
+  // Saved reviews: list, resume at the approval step, or delete
+  const loadSavedPosts = async () => {
+    try {
+      const response = await axios.get(`${API_URL}/api/posts`);
+      setSavedPosts(response.data.data);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load saved reviews');
+    }
+  };
+
+  const handleResumeReview = async (post) => {
+    setLoading(true);
+    setError('');
+    try {
+      const review = await fetchSavedReview(post.id, post.latestAnalysisId);
+
+      setBlogContent(review.blogContent);
+      setAnalysis(review.analysis);
+      setProposals(review.proposals);
+      setStep('approval');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load saved review');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Open a saved post at its current draft, with the review it was generated from
+  const handleOpenDraft = async (post) => {
+    setLoading(true);
+    setError('');
+    try {
+      const [postResponse, runResponse] = await Promise.all([
+        axios.get(`${API_URL}/api/posts/${post.id}`),
+        axios.get(`${API_URL}/api/runs/${post.draftRunId}`)
+      ]);
+      const saved = postResponse.data.data;
+      const run = runResponse.data.data;
+      // The run's analysis holds the content it was generated from; without it, the post's latest content
+      const savedAnalysis = run.analysisId
+        ? (await axios.get(`${API_URL}/api/analyses/${run.analysisId}`)).data.data
+        : null;
+
+      setBlogContent({
+        title: saved.title,
+        content: savedAnalysis?.content || saved.content,
+        url: saved.url || 'direct-input',
+        metadata: saved.metadata,
+        extraction: saved.extraction,
+        postId: saved.id
+      });
+      setAnalysis(savedAnalysis && { ...savedAnalysis.result, postId: saved.id, analysisId: savedAnalysis.id });
+      setProposals(savedAnalysis?.proposals || []);
+      setRefreshedContent(run.refreshedContent);
+      setPreservationReport(run.preservationReport || null);
+      setSanitizationReport(run.sanitizationReport || null);
+      setCurrentRunId(run.id);
+      setApplyCache(null);
+      setVersions(saved);
+      setStep('complete');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load saved draft');
     } finally {
       setLoading(false);
     }
   };
 
-  // Step 3: Toggle proposal approval
+  const handleDeletePost = async (post) => {
+    if (!window.confirm(`Delete "${post.title || post.url}" with its saved analyses and refreshes?`)) return;
+    try {
+      await axios.delete(`${API_URL}/api/posts/${post.id}`);
+      setSavedPosts(prev => prev.filter(p => p.id !== post.id));
+      showToast('Saved review deleted');
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to delete saved review');
+    }
+  };
+
+  // Version history of a saved post: every refresh, newest first
+  const loadVersions = async (postId) => {
+    if (!postId) {
+      setVersions(null);
+      return;
+    }
+    try {
+      const response = await axios.get(`${API_URL}/api/posts/${postId}`);
+      setVersions(response.data.data);
+    } catch {
+      // The refresh is shown either way; only its history is missing
+      setVersions(null);
+    }
+  };
+
+  // Pick up to two versions; with two picked, show how the older one became the newer
+  const toggleCompareVersion = async (runId) => {
+    const picked = compareRunIds.includes(runId)
+      ? compareRunIds.filter(id => id !== runId)
+      : [...compareRunIds, runId].slice(-2);
+    setCompareRunIds(picked);
+    setVersionDiff(null);
+    if (picked.length < 2) return;
+
+    try {
+      const responses = await Promise.all(picked.map(id => axios.get(`${API_URL}/api/runs/${id}`)));
+      const [from, to] = responses.map(response => response.data.data).sort((a, b) => a.version - b.version);
+      setVersionDiff({
+        from,
+        to,
+        parts: diffText(sanitizeHtml(from.refreshedContent).html, sanitizeHtml(to.refreshedContent).html)
+      });
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to load versions');
+    }
+  };
+
+  // Make an earlier version the current draft again
+  const handleRestoreVersion = async (runId) => {
+    try {
+      const [, runResponse] = await Promise.all([
+        axios.put(`${API_URL}/api/posts/${versions.id}/draft`, { runId }),
+        axios.get(`${API_URL}/api/runs/${runId}`)
+      ]);
+      const run = runResponse.data.data;
+
+      setRefreshedContent(run.refreshedContent);
+      setPreservationReport(run.preservationReport || null);
+      setSanitizationReport(run.sanitizationReport || null);
+      setCurrentRunId(run.id);
+      setApplyCache(null);
+      setVersions(prev => ({ ...prev, draftRunId: run.id }));
+      showToast(`Version ${run.version} restored as the current draft`);
+    } catch (err) {
+      setError(err.response?.data?.error || 'Failed to restore version');
+    }
+  };
+
+  // Step 3: Toggle proposal approval (proposals with occurrences or links approve or clear all of them)
   const toggleProposal = (proposalId) => {
     setProposals(prev =>
-      prev.map(p => p.id === proposalId ? { ...p, approved: !p.approved } : p)
+      prev.map(p => {
+        if (p.id !== proposalId) return p;
+        const approved = !p.approved;
+        if (p.affectedLinks) {
+          return { ...p, approved, affectedLinks: p.affectedLinks.map(link => ({ ...link, approved })) };
+        }
+        // Occurrences without an automatic fix (fix: null) are left for the author
+        return p.occurrences
+          ? { ...p, approved, occurrences: p.occurrences.map(o => ({ ...o, approved: approved && o.fix !== null })) }
+          : { ...p, approved };
+      })
+    );
+  };
+
+  // Approve a single occurrence; the proposal counts as approved while any occurrence is
+  const toggleOccurrence = (proposalId, occurrenceId) => {
+    setProposals(prev =>
+      prev.map(p => {
+        if (p.id !== proposalId) return p;
+        const occurrences = p.occurrences.map(o => o.id === occurrenceId ? { ...o, approved: !o.approved } : o);
+        return { ...p, occurrences, approved: occurrences.some(o => o.approved) };
+      })
+    );
+  };
+
+  // Approve or ignore a single broken link; the proposal counts as approved while any link is
+  const toggleLink = (proposalId, linkIndex) => {
+    setProposals(prev =>
+      prev.map(p => {
+        if (p.id !== proposalId) return p;
+        const affectedLinks = p.affectedLinks.map((link, i) => i === linkIndex ? { ...link, approved: !link.approved } : link);
+        return { ...p, affectedLinks, approved: affectedLinks.some(link => link.approved) };
+      })
+    );
+  };
+
+  // Choose what happens to one broken link: { action, replacementUrl, manual }
+  const setLinkAction = (proposalId, linkIndex, choice) => {
+    setProposals(prev =>
+      prev.map(p => p.id === proposalId
+        ? { ...p, affectedLinks: p.affectedLinks.map((link, i) => i === linkIndex ? { ...link, ...choice } : link) }
+        : p)
     );
   };
 
-  // Step 4: Apply changes
-  const handleApplyChanges = async () => {
+  // Step 4: Apply changes (`bypassCache` generates again even when the same changes were applied before)
+  const handleApplyChanges = async ({ bypassCache: bypass = false } = {}) => {
     const approvedProposals = proposals.filter(p => p.approved);
     
     if (approvedProposals.length === 0) {
@@ -239,17 +939,20 @@ function App() {
     setStep('generating');
 
     try {
-      const response = await axios.post(`${API_URL}/api/apply-changes`, {
+      const response = await axios.post(`${API_URL}/api/jobs/apply`, {
         content: blogContent.content,
         approvedProposals,
-        originalSections: analysis.sections
+        originalSections: analysis.sections,
+        analysisId: analysis.analysisId,
+        reviewer,
+        ...(bypass && { bypassCache: true })
       });
 
-      setRefreshedContent(response.data.data.refreshedContent);
-      setStep('complete');
+      const { jobId } = response.data.data;
+      saveActiveJob({ jobId, type: 'apply', postId: analysis.postId, analysisId: analysis.analysisId });
+      await watchApplyJob(jobId, analysis.postId);
     } catch (err) {
       setError(err.response?.data?.error || 'Failed to apply changes');
-    } finally {
       setLoading(false);
     }
   };
@@ -262,6 +965,15 @@ function App() {
     setAnalysis(null);
     setProposals([]);
     setRefreshedContent('');
+    setPreservationReport(null);
+    setSanitizationReport(null);
+    setSavedPosts(null);
+    setVersions(null);
+    setCurrentRunId(null);
+    setCompareRunIds([]);
+    setVersionDiff(null);
+    setApplyCache(null);
+    setBypassCache(false);
     setError('');
   };
 
@@ -347,6 +1059,68 @@ function App() {
                 </button>
               </>
             )}
+
+            <label className="bypass-cache-toggle">
+              <input
+                type="checkbox"
+                checked={bypassCache}
+                onChange={(e) => setBypassCache(e.target.checked)}
+              />
+              <span>Ignore cached results (check every link and ask the AI again)</span>
+            </label>
+          </div>
+        )}
+
+        {step === 'input' && (
+          <div className="card saved-reviews">
+            <div className="saved-reviews-header">
+              <h3>📂 Saved Reviews</h3>
+              <button className="btn-secondary" onClick={loadSavedPosts} disabled={loading}>
+                {savedPosts ? '↻ Refresh' : 'Show saved reviews'}
+              </button>
+            </div>
+            {savedPosts && (savedPosts.length === 0 ? (
+              <p className="hint">Nothing saved yet. Analyzed posts appear here so you can come back to their review.</p>
+            ) : (
+              <ul className="saved-posts">
+                {savedPosts.map((post) => (
+                  <li key={post.id} className="saved-post">
+                    <div className="saved-post-info">
+                      <strong>{post.title || 'Untitled'}</strong>
+                      <span className="hint">
+                        {post.url || 'Pasted HTML'} • {post.analysisCount} analys{post.analysisCount === 1 ? 'is' : 'es'}
+                        {' '}• {post.runCount} refresh{post.runCount === 1 ? '' : 'es'} • updated {formatMetadataDate(post.updatedAt)}
+                      </span>
+                    </div>
+                    <div className="saved-post-actions">
+                      <button
+                        className="btn-secondary"
+                        onClick={() => handleResumeReview(post)}
+                        disabled={loading || !post.latestAnalysisId}
+                      >
+                        Resume review
+                      </button>
+                      {post.draftRunId && (
+                        <button
+                          className="btn-secondary"
+                          onClick={() => handleOpenDraft(post)}
+                          disabled={loading}
+                        >
+                          Open current draft
+                        </button>
+                      )}
+                      <button
+                        className="btn-secondary"
+                        onClick={() => handleDeletePost(post)}
+                        aria-label={`Delete ${post.title || post.url || 'saved review'}`}
+                      >
+                        🗑️
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            ))}
           </div>
         )}
 
@@ -356,6 +1130,66 @@ function App() {
             <div className="spinner"></div>
             <h3>🔍 Analyzing blog post...</h3>
             <p>Checking links, evaluating structure, and generating improvement proposals</p>
+
+            <ul className="progress-list">
+              <li className={progress.sectionCount !== null ? 'done' : ''}>
+                {progress.sectionCount !== null
+                  ? `${progress.sectionCount} sections found`
+                  : 'Extracting sections...'}
+              </li>
+              <li className={progress.linksComplete ? 'done' : ''}>
+                Checking links ({progress.links.filter(l => l.state !== 'pending').length}/{progress.links.length})
+                {progress.links.length > 0 && (
+                  <ul className="progress-links">
+                    {progress.links.map((link) => (
+                      <li key={link.id} className={`progress-link ${link.state}`}>
+                        <span className="progress-link-icon">{LINK_STATE_ICONS[link.state]}</span>
+                        <span className="progress-link-text">{link.text || link.url}</span>
+                        {link.issue && <span className="link-issue"> — {link.issue}</span>}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </li>
+              {progress.replacementCount !== null && (
+                <li className="done">Replacements found for {progress.replacementCount} broken links</li>
+              )}
+              <li className={progress.stalenessCount !== null ? 'done' : ''}>
+                {progress.stalenessCount !== null
+                  ? `${progress.stalenessCount} possibly outdated statements`
+                  : 'Checking for outdated information'}
+              </li>
+              <li className={progress.seoScore !== null ? 'done' : ''}>
+                {progress.seoScore !== null
+                  ? `SEO score ${progress.seoScore}/100`
+                  : 'Auditing SEO'}
+              </li>
+              <li className={progress.accessibilityIssueCount !== null ? 'done' : ''}>
+                {progress.accessibilityIssueCount !== null
+                  ? `${progress.accessibilityIssueCount} accessibility issues`
+                  : 'Checking accessibility'}
+              </li>
+              <li className={progress.aiStatus === 'done' ? 'done' : ''}>
+                {progress.aiStatus === 'running' && 'AI structure analysis running...'}
+                {progress.aiStatus === 'done' && 'AI structure analysis finished'}
+                {progress.aiStatus === 'failed' && 'AI structure analysis failed'}
+                {progress.aiStatus === 'pending' && 'AI structure analysis'}
+              </li>
+              {progress.textSuggestionCount !== null && (
+                <li className="done">{progress.textSuggestionCount} AI alt text and link text suggestions</li>
+              )}
+              <li className={progress.proposalCount !== null ? 'done' : ''}>
+                {progress.proposalCount !== null
+                  ? `${progress.proposalCount} proposals ready`
+                  : 'Preparing proposals'}
+              </li>
+            </ul>
+
+            {activeJobId && (
+              <button onClick={handleCancelJob} className="btn-secondary">
+                Cancel Analysis
+              </button>
+            )}
           </div>
         )}
 
@@ -367,9 +1201,67 @@ function App() {
               <div className="blog-info">
                 <h3>{blogContent.title}</h3>
                 <p className="meta">
-                  {analysis.sections.length} sections found • {analysis.linkEvaluations.length} links checked
+                  {analysis.sections.length} sections found • {analysis.linkEvaluations.filter(l => l.state !== 'unchecked').length} links checked
+                  {uncheckedLinks.length > 0 && ` • ${uncheckedLinks.length} not checked`}
                 </p>
+                {(analysis.cache?.links.hits > 0 || analysis.cache?.structureAnalysis?.hit) && (
+                  <p className="hint cache-note">
+                    ♻️ Reused cached results for unchanged content: {[
+                      analysis.cache.links.hits > 0 && `${analysis.cache.links.hits} of ${analysis.cache.links.total} link checks`,
+                      analysis.cache.structureAnalysis?.hit &&
+                        `structure analysis from ${formatVersionDate(analysis.cache.structureAnalysis.cachedAt)}`
+                    ].filter(Boolean).join(', ')}. Tick "Ignore cached results" when starting an analysis to check again.
+                  </p>
+                )}
+                {blogContent.metadata && (
+                  <div className="post-metadata">
+                    {(blogContent.metadata.author || blogContent.metadata.publishedAt || blogContent.metadata.modifiedAt) && (
+                      <p>
+                        {[
+                          blogContent.metadata.author && `By ${blogContent.metadata.author}`,
+                          blogContent.metadata.publishedAt && `Published ${formatMetadataDate(blogContent.metadata.publishedAt)}`,
+                          blogContent.metadata.modifiedAt && `Updated ${formatMetadataDate(blogContent.metadata.modifiedAt)}`
+                        ].filter(Boolean).join(' • ')}
+                      </p>
+                    )}
+                    {blogContent.metadata.description && (
+                      <p className="post-description">{blogContent.metadata.description}</p>
+                    )}
+                    {blogContent.metadata.tags.length > 0 && (
+                      <div className="post-tags">
+                        {blogContent.metadata.tags.map((tag) => <span key={tag} className="post-tag">{tag}</span>)}
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
+
+              {blogContent.extraction?.lowConfidence && (
+                <div className="analysis-warning">
+                  <strong>⚠️ The main content may not have been found correctly</strong>
+                  <p>
+                    Extracted using {blogContent.extraction.strategy === 'body' ? 'the whole page' : `"${blogContent.extraction.selector}"`} with
+                    {' '}{Math.round(blogContent.extraction.confidence * 100)}% confidence. Check that the post below does not include
+                    navigation, comments or other page content - or paste the post's HTML directly.
+                  </p>
+                </div>
+              )}
+
+              {uncheckedLinks.length > 0 && (
+                <div className="unchecked-links">
+                  <strong>Links not checked ({uncheckedLinks.length}):</strong>
+                  <p className="hint">These links were skipped by the link-check budget, so their status is unknown.</p>
+                  <ul>
+                    {uncheckedLinks.map((link) => (
+                      <li key={link.id}>
+                        {link.text || 'Unnamed link'}
+                        <span className="link-url">({link.url})</span>
+                        {link.issue && <span className="link-issue"> — {link.issue}</span>}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
 
             <div className="card">
@@ -379,9 +1271,32 @@ function App() {
                 Only approved changes will be implemented.
               </p>
 
+              {structureAnalysisFailed && (
+                <div className="analysis-warning">
+                  <strong>⚠️ AI structure analysis failed</strong>
+                  <p>The AI response could not be used, so structural issues were not checked. Try analyzing again.</p>
+                </div>
+              )}
+
+              {analysis.seoAudit && (
+                <div className="seo-score">
+                  <strong>SEO score:</strong>
+                  <span className="seo-score-value">{analysis.seoAudit.score}</span>
+                  {projectSeoScore(analysis.seoAudit, proposals) !== analysis.seoAudit.score && (
+                    <span className="seo-score-projected"> → {projectSeoScore(analysis.seoAudit, proposals)}</span>
+                  )}
+                  <span className="seo-score-max">/100</span>
+                  {analysis.seoAudit.skipped.length > 0 && (
+                    <span className="hint"> • Title, meta description and canonical checks need a fetched page</span>
+                  )}
+                </div>
+              )}
+
               {proposals.length === 0 ? (
                 <div className="no-proposals">
-                  <p> No improvements needed! This blog is already well-structured.</p>
+                  {structureAnalysisFailed
+                    ? <p>No proposals could be generated.</p>
+                    : <p> No improvements needed! This blog is already well-structured.</p>}
                 </div>
               ) : (
                 <div className="proposals-list">
@@ -400,7 +1315,9 @@ function App() {
                           <span className="proposal-title">{proposal.title}</span>
                         </label>
                         <span className={`badge ${proposal.type}`}>
-                          {proposal.type}
+                          {proposal.type === 'structure' && `structure · ${proposal.action}`}
+                          {(proposal.type === 'seo' || proposal.type === 'accessibility') && `${proposal.type} · ${proposal.severity}`}
+                          {!['structure', 'seo', 'accessibility'].includes(proposal.type) && proposal.type}
                         </span>
                       </div>
                       
@@ -412,12 +1329,212 @@ function App() {
 
                       {proposal.type === 'link-fixes' && proposal.affectedLinks && (
                         <div className="affected-items">
-                          <strong>Broken links ({proposal.affectedLinks.length}):</strong>
-                          <ul>
-                            {proposal.affectedLinks.slice(0, 5).map((link, idx) => (
-                              <li key={idx}>
-                                {link.text || 'Unnamed link'} 
-                                <span className="link-url">({link.url.substring(0, 50)}...)</span>
+                          <strong>
+                            Broken links ({proposal.affectedLinks.filter(link => link.approved).length} of {proposal.affectedLinks.length} approved):
+                          </strong>
+                          <ul className="occurrence-list">
+                            {proposal.affectedLinks.map((link, idx) => {
+                              const action = link.action || 'unlink';
+                              const name = `link-action-${proposal.id}-${idx}`;
+                              const manualInvalid = link.approved && action === 'replace' && link.manual && !isHttpUrl(link.replacementUrl);
+                              return (
+                                <li key={link.id || idx} className={`occurrence link-fix ${link.approved ? 'approved' : ''}`}>
+                                  <label className="checkbox-label">
+                                    <input
+                                      type="checkbox"
+                                      checked={Boolean(link.approved)}
+                                      onChange={() => toggleLink(proposal.id, idx)}
+                                    />
+                                    <span>
+                                      {link.text || 'Unnamed link'}
+                                      <span className="link-url">{link.url}</span>
+                                    </span>
+                                  </label>
+                                  <div className="occurrence-reason">
+                                    {[
+                                      link.status ? `HTTP ${link.status}` : 'No response',
+                                      link.issue,
+                                      link.method && `checked with ${link.method}`
+                                    ].filter(Boolean).join(' · ')}
+                                  </div>
+                                  {link.context && (
+                                    <div className="occurrence-reason link-context">"{link.context.trim()}"</div>
+                                  )}
+                                  <div className="link-actions">
+                                    {(link.candidates || []).map((candidate) => (
+                                      <label key={candidate.url} className="link-action">
+                                        <input
+                                          type="radio"
+                                          name={name}
+                                          checked={action === 'replace' && !link.manual && link.replacementUrl === candidate.url}
+                                          onChange={() => setLinkAction(proposal.id, idx, { action: 'replace', replacementUrl: candidate.url, manual: false })}
+                                        />
+                                        Replace with {candidate.label}
+                                        <span className="link-url">{candidate.url}</span>
+                                      </label>
+                                    ))}
+                                    <label className="link-action">
+                                      <input
+                                        type="radio"
+                                        name={name}
+                                        checked={action === 'replace' && Boolean(link.manual)}
+                                        onChange={() => setLinkAction(proposal.id, idx, { action: 'replace', replacementUrl: link.manualUrl || '', manual: true })}
+                                      />
+                                      Replace with
+                                      <input
+                                        type="url"
+                                        className="manual-url"
+                                        placeholder="https://..."
+                                        aria-label={`Replacement URL for ${link.url}`}
+                                        value={link.manualUrl || ''}
+                                        onChange={(e) => setLinkAction(proposal.id, idx, {
+                                          action: 'replace',
+                                          replacementUrl: e.target.value.trim(),
+                                          manualUrl: e.target.value,
+                                          manual: true
+                                        })}
+                                      />
+                                    </label>
+                                    {manualInvalid && <span className="link-issue">Enter an http(s) URL</span>}
+                                    <label className="link-action">
+                                      <input
+                                        type="radio"
+                                        name={name}
+                                        checked={action === 'unlink'}
+                                        onChange={() => setLinkAction(proposal.id, idx, { action: 'unlink', manual: false })}
+                                      />
+                                      Unlink (keep the text)
+                                    </label>
+                                    <label className="link-action">
+                                      <input
+                                        type="radio"
+                                        name={name}
+                                        checked={action === 'remove-sentence'}
+                                        onChange={() => setLinkAction(proposal.id, idx, { action: 'remove-sentence', manual: false })}
+                                      />
+                                      Remove the sentence
+                                      {link.sentence && <span className="link-url">"{link.sentence}"</span>}
+                                    </label>
+                                  </div>
+                                </li>
+                              );
+                            })}
+                          </ul>
+                        </div>
+                      )}
+
+                      {proposal.type === 'redirect-updates' && (
+                        <div className="affected-items">
+                          <strong>
+                            Redirected links ({proposal.affectedLinks.filter(link => link.approved).length} of {proposal.affectedLinks.length} approved):
+                          </strong>
+                          <ul className="occurrence-list">
+                            {proposal.affectedLinks.map((link, idx) => (
+                              <li key={link.id || idx} className={`occurrence ${link.approved ? 'approved' : ''}`}>
+                                <label className="checkbox-label">
+                                  <input
+                                    type="checkbox"
+                                    checked={Boolean(link.approved)}
+                                    onChange={() => toggleLink(proposal.id, idx)}
+                                  />
+                                  <span>
+                                    {link.text || 'Unnamed link'}
+                                    <span className="link-url">{link.url}</span>
+                                    {' → '}
+                                    <span className="suggested-text">{link.finalUrl}</span>
+                                  </span>
+                                </label>
+                                <div className="occurrence-reason">
+                                  {link.redirects.map(hop => hop.status).join(' → ')} · {link.redirects.length} redirect(s)
+                                </div>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+
+                      {proposal.type === 'outdated-content' && (
+                        <div className="affected-items">
+                          <strong>
+                            Statements ({proposal.occurrences.filter(o => o.approved).length} of {proposal.occurrences.length} approved):
+                          </strong>
+                          <ul className="occurrence-list">
+                            {proposal.occurrences.map((occurrence) => (
+                              <li key={occurrence.id} className={`occurrence ${occurrence.approved ? 'approved' : ''}`}>
+                                <label className="checkbox-label">
+                                  <input
+                                    type="checkbox"
+                                    checked={occurrence.approved}
+                                    onChange={() => toggleOccurrence(proposal.id, occurrence.id)}
+                                  />
+                                  <span className="occurrence-evidence">"{highlightMatch(occurrence.sentence, occurrence.match)}"</span>
+                                </label>
+                                <div className="occurrence-reason">
+                                  {occurrence.reason}
+                                  {occurrence.section && <span className="occurrence-section"> — in "{occurrence.section}"</span>}
+                                </div>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+
+                      {proposal.type === 'accessibility' && (
+                        <div className="affected-items">
+                          <strong>
+                            Elements ({proposal.occurrences.filter(o => o.approved).length} of {proposal.occurrences.length} approved):
+                          </strong>
+                          <ul className="occurrence-list">
+                            {proposal.occurrences.map((occurrence) => (
+                              <li key={occurrence.id} className={`occurrence ${occurrence.approved ? 'approved' : ''}`}>
+                                <label className="checkbox-label">
+                                  <input
+                                    type="checkbox"
+                                    checked={occurrence.approved}
+                                    disabled={occurrence.fix === null}
+                                    onChange={() => toggleOccurrence(proposal.id, occurrence.id)}
+                                  />
+                                  <code className="occurrence-element">{occurrence.evidence}</code>
+                                </label>
+                                <div className={`occurrence-reason ${occurrence.fix === null ? 'manual' : ''}`}>
+                                  {occurrence.description}
+                                </div>
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+
+                      {(proposal.type === 'alt-text' || proposal.type === 'link-text') && (
+                        <div className="affected-items">
+                          <strong>
+                            Suggestions ({proposal.occurrences.filter(o => o.approved).length} of {proposal.occurrences.length} approved):
+                          </strong>
+                          <ul className="occurrence-list">
+                            {proposal.occurrences.map((occurrence) => (
+                              <li key={occurrence.id} className={`occurrence ${occurrence.approved ? 'approved' : ''}`}>
+                                <label className="checkbox-label">
+                                  <input
+                                    type="checkbox"
+                                    checked={occurrence.approved}
+                                    onChange={() => toggleOccurrence(proposal.id, occurrence.id)}
+                                  />
+                                  {occurrence.kind === 'alt-text' ? (
+                                    <span>
+                                      <code className="occurrence-element">{occurrence.evidence}</code>
+                                      {' → '}alt="<span className="suggested-text">{occurrence.suggested}</span>"
+                                    </span>
+                                  ) : (
+                                    <span>
+                                      "{occurrence.current || 'empty link'}" → "<span className="suggested-text">{occurrence.suggested}</span>"
+                                    </span>
+                                  )}
+                                </label>
+                                {occurrence.sentence && (
+                                  <div className="occurrence-reason">
+                                    in "{highlightMatch(occurrence.sentence, occurrence.current)}"
+                                  </div>
+                                )}
                               </li>
                             ))}
                           </ul>
@@ -426,7 +1543,10 @@ function App() {
 
                       {proposal.type === 'structure' && (
                         <div className="affected-items">
-                          <strong>Affected sections:</strong> {proposal.affectedSections.join(', ')}
+                          <strong>Affected sections:</strong>{' '}
+                          {proposal.affectedSections
+                            .map(i => analysis.sections[i]?.heading || `Section ${i}`)
+                            .join(', ')}
                           {proposal.newHeading && (
                             <div className="new-heading">
                               New heading: "{proposal.newHeading}"
@@ -440,12 +1560,25 @@ function App() {
               )}
 
               <div className="approval-actions">
+                <label className="reviewer-field">
+                  <span>Reviewed by</span>
+                  <input
+                    type="text"
+                    value={reviewer}
+                    placeholder="Your name"
+                    maxLength={100}
+                    onChange={(e) => {
+                      setReviewer(e.target.value);
+                      localStorage.setItem(REVIEWER_KEY, e.target.value);
+                    }}
+                  />
+                </label>
                 <button onClick={handleReset} className="btn-secondary">
                   Cancel
                 </button>
                 <button 
-                  onClick={handleApplyChanges} 
-                  disabled={loading || proposals.filter(p => p.approved).length === 0}
+                  onClick={() => handleApplyChanges()} 
+                  disabled={loading || proposals.filter(p => p.approved).length === 0 || hasInvalidReplacement(proposals)}
                   className="btn-primary"
                 >
                   Apply {proposals.filter(p => p.approved).length} Approved Changes
@@ -469,8 +1602,13 @@ function App() {
                       <h4>Current ({analysis.sections.length} sections)</h4>
                       <ol className="section-list current">
                         {analysis.sections.map((section, idx) => (
-                          <li key={idx} className="section-item">
+                          <li
+                            key={idx}
+                            className={`section-item ${section.pseudo ? 'pseudo' : ''}`}
+                            style={{ marginLeft: `${(section.depth || 0) * 1.25}rem` }}
+                          >
                             {section.heading}
+                            {section.level && !section.pseudo && <span className="section-level">H{section.level}</span>}
                           </li>
                         ))}
                       </ol>
@@ -484,7 +1622,8 @@ function App() {
                         {generateProjectedStructure().map((section, idx) => (
                           <li 
                             key={idx} 
-                            className={`section-item ${section.isNew ? 'new' : ''} ${section.isModified ? 'modified' : ''} ${section.isRemoved ? 'removed' : ''}`}
+                            className={`section-item ${section.isNew ? 'new' : ''} ${section.isModified ? 'modified' : ''} ${section.isRemoved ? 'removed' : ''} ${section.pseudo ? 'pseudo' : ''}`}
+                            style={{ marginLeft: `${section.depth * 1.25}rem` }}
                           >
                             {section.heading}
                             {section.isNew && <span className="badge-new">New</span>}
@@ -506,14 +1645,64 @@ function App() {
                         <div className="preview-icon">🔗</div>
                         <div className="preview-content">
                           <strong>Link Fixes</strong>
-                          <p>{proposal.affectedLinks.length} broken links will be removed or replaced</p>
+                          <p>{describeLinkActions(proposal.affectedLinks.filter(link => link.approved))}</p>
                         </div>
                       </div>
                     ))}
                     
+                    {proposals.filter(p => p.approved && p.type === 'redirect-updates').map((proposal) => (
+                      <div key={proposal.id} className="preview-item">
+                        <div className="preview-icon">↪️</div>
+                        <div className="preview-content">
+                          <strong>Redirected Links</strong>
+                          <p>{proposal.affectedLinks.filter(link => link.approved).length} link(s) will point to their final URL</p>
+                        </div>
+                      </div>
+                    ))}
+
+                    {proposals.filter(p => p.approved && p.type === 'outdated-content').map((proposal) => (
+                      <div key={proposal.id} className="preview-item">
+                        <div className="preview-icon">🕰️</div>
+                        <div className="preview-content">
+                          <strong>Outdated Information</strong>
+                          <p>{proposal.occurrences.filter(o => o.approved).length} statement(s) will be updated</p>
+                        </div>
+                      </div>
+                    ))}
+
+                    {proposals.filter(p => p.approved && p.type === 'accessibility').map((proposal) => (
+                      <div key={proposal.id} className="preview-item">
+                        <div className="preview-icon">♿</div>
+                        <div className="preview-content">
+                          <strong>{proposal.title}</strong>
+                          <p>{proposal.occurrences.filter(o => o.approved).length} element(s) will be fixed</p>
+                        </div>
+                      </div>
+                    ))}
+
+                    {proposals.filter(p => p.approved && (p.type === 'alt-text' || p.type === 'link-text')).map((proposal) => (
+                      <div key={proposal.id} className="preview-item">
+                        <div className="preview-icon">✍️</div>
+                        <div className="preview-content">
+                          <strong>{proposal.title}</strong>
+                          <p>{proposal.occurrences.filter(o => o.approved).length} suggestion(s) will be applied</p>
+                        </div>
+                      </div>
+                    ))}
+
+                    {proposals.filter(p => p.approved && p.type === 'seo').map((proposal) => (
+                      <div key={proposal.id} className="preview-item">
+                        <div className="preview-icon">🔎</div>
+                        <div className="preview-content">
+                          <strong>SEO: {proposal.title}</strong>
+                          <p>{proposal.fix === 'manual' ? `To do yourself: ${proposal.description}` : proposal.description}</p>
+                        </div>
+                      </div>
+                    ))}
+
                     {proposals.filter(p => p.approved && p.type === 'structure').map((proposal) => (
                       <div key={proposal.id} className="preview-item">
-                        <div className="preview-icon">📐</div>
+                        <div className="preview-icon">{STRUCTURE_ACTION_ICONS[proposal.action] || '📐'}</div>
                         <div className="preview-content">
                           <strong>{proposal.title}</strong>
                           <p>{proposal.rationale}</p>
@@ -524,7 +1713,13 @@ function App() {
                 </div>
 
                 <div className="preview-note">
-                  <strong>Note:</strong> The AI will maintain all original information while applying these structural changes.
+                  <strong>Note:</strong> Merges, removals, accessibility fixes and approved alt and link text are applied exactly as previewed, without regenerating the post.
+                  {proposals.some(p => p.approved && p.action === 'rewrite') &&
+                    ' Rewritten sections are generated by the AI, which is instructed to keep all of their information.'}
+                  {proposals.some(p => p.approved && p.type === 'outdated-content') &&
+                    ' Outdated statements are updated by the AI; when it is unsure what is current, it dates the statement instead.'}
+                  {proposals.some(p => p.approved && p.type === 'seo' && p.fix === 'manual') &&
+                    ' Some SEO fixes are outside the post body (page title, meta description, canonical URL, site links) - they are listed for you to make in your CMS.'}
                 </div>
               </div>
             )}
@@ -537,6 +1732,11 @@ function App() {
             <div className="spinner"></div>
             <h3> Generating refreshed content...</h3>
             <p>Applying your approved changes with AI magic</p>
+            {activeJobId && (
+              <button onClick={handleCancelJob} className="btn-secondary">
+                Cancel Generation
+              </button>
+            )}
           </div>
         )}
 
@@ -546,8 +1746,82 @@ function App() {
             <div className="card success-card">
               <h2>✓ Blog Refreshed Successfully!</h2>
               <p>Your approved changes have been applied. Review the refreshed content below.</p>
+              {applyCache?.hit && (
+                <p className="hint cache-note">
+                  ♻️ Reused the refresh generated on {formatVersionDate(applyCache.cachedAt)} for the same content and changes.{' '}
+                  <button className="btn-secondary" onClick={() => handleApplyChanges({ bypassCache: true })} disabled={loading}>
+                    Generate again
+                  </button>
+                </p>
+              )}
             </div>
 
+            {/* Content preservation report */}
+            {preservationReport && (
+              <div className={`card preservation-report ${preservationReport.preserved ? 'preserved' : 'lost'}`}>
+                {preservationReport.preserved ? (
+                  <>
+                    <h3>✓ All original content preserved</h3>
+                    <p className="hint">
+                      {preservationReport.counts.sentence.original} sentences, {preservationReport.counts.link.original} links
+                      and {preservationReport.counts.image.original} images checked
+                      {preservationReport.explained.length > 0 && ` • ${preservationReport.explained.length} expected changes from approved proposals`}
+                    </p>
+                  </>
+                ) : (
+                  <>
+                    <h3>⚠️ {preservationReport.issues.length} unexplained content change{preservationReport.issues.length > 1 ? 's' : ''}</h3>
+                    <p className="hint">
+                      These items from the original were lost or altered, and no approved proposal explains it. Review them before exporting.
+                    </p>
+                    <ul className="preservation-issues">
+                      {preservationReport.issues.map((issue, idx) => (
+                        <li key={idx} className={`preservation-issue ${issue.status}`}>
+                          <span className="issue-label">{issue.status === 'altered' ? 'Altered' : 'Missing'} {PRESERVATION_TYPE_LABELS[issue.type]}:</span>
+                          <span className="issue-original">{issue.original}</span>
+                          {issue.refreshed && <span className="issue-refreshed"> → {issue.refreshed}</span>}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </div>
+            )}
+
+            {/* Markup removed before display */}
+            {strippedMarkup.length > 0 && (
+              <div className="card sanitization-report">
+                <h3>🛡️ Unsafe markup stripped</h3>
+                <p className="hint">
+                  Scripts, event handlers and unsafe links were removed before the content was shown or returned.
+                </p>
+                {strippedMarkup.map((group) => (
+                  <div key={group.label} className="sanitization-group">
+                    <strong>{group.label}:</strong>
+                    <ul>
+                      {group.removed.map((item) => (
+                        <li key={`${item.type}:${item.element || ''}:${item.name}`}>{describeRemoval(item)}</li>
+                      ))}
+                    </ul>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {/* SEO fixes the tool cannot make in the post body */}
+            {proposals.some(p => p.approved && p.type === 'seo' && p.fix === 'manual') && (
+              <div className="card manual-steps">
+                <h3>🔎 SEO fixes to make in your CMS</h3>
+                <ul>
+                  {proposals.filter(p => p.approved && p.type === 'seo' && p.fix === 'manual').map((proposal) => (
+                    <li key={proposal.id}>
+                      <strong>{proposal.title}:</strong> {proposal.description}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
             {/* View Mode Toggle */}
             <div className="card">
               <div className="view-controls">
@@ -607,7 +1881,7 @@ function App() {
                         }
                       }
                     }}
-                    dangerouslySetInnerHTML={{ __html: blogContent.content }}
+                    dangerouslySetInnerHTML={{ __html: originalPreview.html }}
                   />
                 </div>
                 
@@ -636,7 +1910,7 @@ function App() {
                         }
                       }
                     }}
-                    dangerouslySetInnerHTML={{ __html: refreshedContent }}
+                    dangerouslySetInnerHTML={{ __html: refreshedPreview.html }}
                   />
                 </div>
               </div>
@@ -655,57 +1929,73 @@ function App() {
                 <p className="hint">
                   Showing text-level changes. Large structural changes may show many differences. Use side-by-side view for easier comparison.
                 </p>
-                <div className="diff-view">
-                  {calculateDiff().slice(0, 200).map((part, index) => {
-                    // Skip very short or empty lines
-                    const trimmedValue = part.value.trim();
-                    if (!trimmedValue || trimmedValue.length < 3) return null;
-                    
-                    // Split long values into multiple lines for readability
-                    const lines = trimmedValue.split('\n').filter(line => line.trim());
-                    
-                    return lines.map((line, lineIndex) => (
-                      <div
-                        key={`${index}-${lineIndex}`}
-                        className={`diff-line ${
-                          part.added ? 'added' : part.removed ? 'removed' : 'unchanged'
-                        }`}
-                      >
-                        <span className="diff-marker">
-                          {part.added ? '+ ' : part.removed ? '- ' : '  '}
+                <DiffLines parts={calculateDiff()} />
+              </div>
+            )}
+
+            {/* Every saved refresh of this post */}
+            {versions?.runs.length > 0 && (
+              <div className="card version-history">
+                <h3>🕘 Version History</h3>
+                <p className="hint">
+                  Every refresh of this post is kept. Tick two versions to compare them, or restore one as the current draft.
+                </p>
+                <ul className="versions">
+                  {versions.runs.map((run) => (
+                    <li key={run.id} className={`version ${run.id === currentRunId ? 'shown' : ''}`}>
+                      <input
+                        type="checkbox"
+                        checked={compareRunIds.includes(run.id)}
+                        onChange={() => toggleCompareVersion(run.id)}
+                        aria-label={`Compare version ${run.version}`}
+                      />
+                      <div className="version-info">
+                        <strong>
+                          Version {run.version}
+                          {run.id === versions.draftRunId && <span className="version-badge">Current draft</span>}
+                        </strong>
+                        <span className="hint">
+                          {formatVersionDate(run.createdAt)} • {run.createdBy || 'Unknown reviewer'}
+                          {' '}• {run.approvedCount} approved change{run.approvedCount === 1 ? '' : 's'}
                         </span>
-                        <span className="diff-content">{line}</span>
+                        {run.approved.length > 0 && (
+                          <span className="version-proposals">{run.approved.map(p => p.title || p.type).join(', ')}</span>
+                        )}
                       </div>
-                    ));
-                  })}
-                  {calculateDiff().length > 200 && (
-                    <div className="diff-truncated">
-                      ... {calculateDiff().length - 200} more changes (showing first 200 for performance)
-                    </div>
-                  )}
-                </div>
+                      {run.id !== versions.draftRunId && (
+                        <button
+                          className="btn-secondary"
+                          onClick={() => handleRestoreVersion(run.id)}
+                          aria-label={`Restore version ${run.version}`}
+                        >
+                          Restore
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+                {versionDiff && (
+                  <div className="version-diff">
+                    <h4>Version {versionDiff.from.version} → Version {versionDiff.to.version}</h4>
+                    <DiffLines parts={versionDiff.parts} />
+                  </div>
+                )}
               </div>
             )}
 
             {/* Action Buttons */}
             <div className="card">
               <div className="final-actions">
-                <button onClick={handleTryDifferentChanges} className="btn-secondary">
-                  ← Try Different Changes
-                </button>
+                {analysis && (
+                  <button onClick={handleTryDifferentChanges} className="btn-secondary">
+                    ← Try Different Changes
+                  </button>
+                )}
                 <button onClick={handleReset} className="btn-secondary">
                   🔄 Refresh Another Blog
                 </button>
                 <button 
-                  onClick={() => {
-                    const blob = new Blob([refreshedContent], { type: 'text/html' });
-                    const url = URL.createObjectURL(blob);
-                    const a = document.createElement('a');
-                    a.href = url;
-                    a.download = 'refreshed-blog.html';
-                    a.click();
-                    showToast('HTML file downloaded!');
-                  }}
+                  onClick={exportAsHtml}
                   className="btn-primary"
                 >
                   📥 Download HTML
@@ -0,0 +1,115 @@
+// Allowlist for HTML that is rendered or leaves the backend, applied by the backend sanitizer
+// (backend/src/helpers/htmlSanitizer.js, on cheerio) and the browser preview (frontend/src/app.jsx, on DOMParser).
+// Each package has its own copy so it can be installed on its own: backend/src/helpers/htmlPolicy.js and
+// frontend/src/htmlPolicy.js must stay identical (backend/tests/htmlPolicy.test.js checks).
+// Plain data and pure functions only, so both sides can import it as-is.
+
+// Tags that are kept (with their allowed attributes). Anything else is unwrapped: its content stays.
+export const ALLOWED_TAGS = new Set([
+  'html', 'head', 'body', 'title',
+  'a', 'abbr', 'article', 'aside', 'audio', 'b', 'blockquote', 'br', 'caption', 'cite', 'code',
+  'col', 'colgroup', 'dd', 'del', 'details', 'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure',
+  'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'i', 'iframe', 'img', 'ins', 'kbd',
+  'li', 'main', 'mark', 'nav', 'ol', 'p', 'picture', 'pre', 'q', 's', 'samp', 'section', 'small',
+  'source', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th',
+  'thead', 'time', 'tr', 'u', 'ul', 'var', 'video'
+]);
+
+// Tags that are removed together with their content: scripts, styles, embedded documents and forms
+export const DROPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'object', 'embed', 'applet', 'frame', 'frameset',
+  'base', 'link', 'meta', 'svg', 'math', 'form', 'input', 'button', 'select', 'textarea', 'option'
+]);
+
+// Every kept iframe gets this sandbox, whatever the content said. Scripts and same-origin access are
+// fine because the src can only be one of the third-party players below, never our own origin.
+export const IFRAME_SANDBOX = 'allow-scripts allow-same-origin allow-presentation allow-popups';
+
+// A link that keeps its target always gets these rel values, so the page it opens cannot
+// reach back through window.opener or learn where the reader came from
+const TARGET_REL = ['noopener', 'noreferrer'];
+
+// Players an iframe may embed, as https host + path prefix
+const EMBED_SOURCES = [
+  'www.youtube.com/embed/',
+  'www.youtube-nocookie.com/embed/',
+  'player.vimeo.com/video/',
+  'open.spotify.com/embed/',
+  'w.soundcloud.com/player/',
+  'codepen.io/',
+  'www.loom.com/embed/',
+  'www.google.com/maps/embed'
+];
+
+const GLOBAL_ATTRIBUTES = new Set(['id', 'class', 'title', 'lang', 'dir', 'role']);
+
+const TAG_ATTRIBUTES = {
+  a: ['href', 'name', 'target', 'rel', 'hreflang'],
+  audio: ['src', 'controls', 'loop', 'muted', 'preload'],
+  blockquote: ['cite'],
+  col: ['span'],
+  colgroup: ['span'],
+  del: ['cite', 'datetime'],
+  details: ['open'],
+  iframe: ['src', 'width', 'height', 'allow', 'allowfullscreen', 'frameborder', 'loading', 'referrerpolicy', 'sandbox'],
+  img: ['src', 'srcset', 'sizes', 'alt', 'width', 'height', 'loading'],
+  ins: ['cite', 'datetime'],
+  ol: ['start', 'reversed', 'type'],
+  li: ['value'],
+  q: ['cite'],
+  source: ['src', 'srcset', 'sizes', 'type', 'media'],
+  td: ['colspan', 'rowspan', 'headers'],
+  th: ['colspan', 'rowspan', 'headers', 'scope', 'abbr'],
+  time: ['datetime'],
+  video: ['src', 'poster', 'controls', 'loop', 'muted', 'preload', 'playsinline', 'width', 'height']
+};
+
+const URL_ATTRIBUTES = new Set(['href', 'src', 'cite', 'poster']);
+const SAFE_URL_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+const SAFE_IMAGE_DATA = /^data:image\/(png|gif|jpe?g|webp|avif);/i;
+
+export function isAllowedAttribute(tag, attribute) {
+  return GLOBAL_ATTRIBUTES.has(attribute)
+    || attribute.startsWith('aria-')
+    || (TAG_ATTRIBUTES[tag] || []).includes(attribute);
+}
+
+// rel for a link that keeps its target: the given values plus TARGET_REL
+export function withTargetRel(rel) {
+  const values = (rel || '').split(/\s+/).filter(Boolean);
+  return [...new Set([...values, ...TARGET_REL])].join(' ');
+}
+
+export function isSafeUrlAttribute(tag, attribute, value) {
+  if (attribute === 'srcset') {
+    // "a.jpg 1x, b.jpg 2x" - every candidate must be safe
+    return value.split(',').every(candidate => isSafeUrl(candidate.trim().split(/\s+/)[0], { image: true }));
+  }
+  if (!URL_ATTRIBUTES.has(attribute)) return true;
+
+  // Embedded pages must come from a known player, never our own origin or a data: document
+  if (tag === 'iframe') return isEmbedSource(value);
+
+  return isSafeUrl(value, { image: ['img', 'source', 'video'].includes(tag) });
+}
+
+function isEmbedSource(value) {
+  let url;
+  try {
+    url = new URL(value.trim());
+  } catch {
+    return false;
+  }
+  return url.protocol === 'https:' && !url.port && EMBED_SOURCES.some(source => `${url.hostname}${url.pathname}`.startsWith(source));
+}
+
+function isSafeUrl(value, { image = false } = {}) {
+  // Browsers ignore whitespace and control characters inside a scheme ("java\tscript:")
+  const url = value.replace(/[\u0000- \u007f-\u009f]/g, '');
+  const scheme = /^([a-z][a-z0-9+.-]*):/i.exec(url)?.[1].toLowerCase();
+
+  // No scheme: a relative URL or a fragment
+  if (!scheme) return true;
+  if (SAFE_URL_SCHEMES.includes(scheme)) return true;
+  return image && SAFE_IMAGE_DATA.test(url);
+}
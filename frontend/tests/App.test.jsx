@@ -7,9 +7,33 @@ import App from '../src/app';
 // Mock axios
 vi.mock('axios');
 
+// Server-Sent Events response made of the given events
+const eventStreamResponse = (events) => {
+  const body = events
+    .map(({ event, data }) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    .join('');
+  return new Response(body, { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+};
+
+// Queue a job submission (axios.post) followed by its event stream (fetch)
+const mockJob = (jobId, events) => {
+  axios.post.mockResolvedValueOnce({ data: { success: true, data: { jobId, status: 'running' } } });
+  fetch.mockResolvedValueOnce(eventStreamResponse(events));
+};
+
+// Analysis job that finishes with the given analysis result
+const mockAnalysisJob = (data, progressEvents = []) =>
+  mockJob('job-analyze', [...progressEvents, { event: 'complete', data }]);
+
+// Apply job that finishes with the given refreshed content
+const mockApplyJob = (refreshedContent, preservationReport, sanitizationReport) =>
+  mockJob('job-apply', [{ event: 'complete', data: { refreshedContent, preservationReport, sanitizationReport } }]);
+
 describe('App Component', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    vi.stubGlobal('fetch', vi.fn());
+    localStorage.clear();
   });
 
   describe('Initial Render', () => {
@@ -94,9 +118,8 @@ describe('App Component', () => {
         }
       };
 
-      axios.post
-        .mockResolvedValueOnce(mockBlogData)
-        .mockResolvedValueOnce(mockAnalysisData);
+      axios.post.mockResolvedValueOnce(mockBlogData);
+      mockAnalysisJob(mockAnalysisData.data.data);
 
       const user = userEvent.setup();
       render(<App />);
@@ -136,6 +159,229 @@ describe('App Component', () => {
     });
   });
 
+  describe('Analysis Progress', () => {
+    const mockBlogData = {
+      data: {
+        success: true,
+        data: { title: 'Test Blog', content: '<p>Content</p>', url: 'https://example.com/blog' }
+      }
+    };
+
+    // Event stream that stays open after the given events, so the job looks still running
+    const openStreamResponse = (events) => {
+      const body = events
+        .map(({ event, data }) => `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+        .join('');
+      const stream = new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode(body));
+        }
+      });
+      return new Response(stream, { status: 200 });
+    };
+
+    const startAnalysis = async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+      return user;
+    };
+
+    it('should render live per-link progress while analyzing', async () => {
+      axios.post
+        .mockResolvedValueOnce(mockBlogData)
+        .mockResolvedValueOnce({ data: { success: true, data: { jobId: 'job-1', status: 'running' } } });
+      fetch.mockResolvedValueOnce(openStreamResponse([
+        { event: 'sections', data: { count: 3, headings: ['A', 'B', 'C'] } },
+        { event: 'links-found', data: { count: 2, links: [
+          { id: 'link-0', url: 'https://ok.com', text: 'Good link' },
+          { id: 'link-1', url: 'https://bad.com', text: 'Bad link' }
+        ] } },
+        { event: 'link', data: { index: 1, result: { id: 'link-1', url: 'https://bad.com', text: 'Bad link', state: 'broken', issue: 'Page not found' } } },
+        { event: 'ai-started', data: { sectionCount: 3 } }
+      ]));
+
+      await startAnalysis();
+
+      await waitFor(() => {
+        expect(screen.getByText('3 sections found')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      expect(screen.getByText(/Checking links \(1\/2\)/)).toBeInTheDocument();
+      expect(screen.getByText('Bad link').closest('li')).toHaveClass('broken');
+      expect(screen.getByText('Good link').closest('li')).toHaveClass('pending');
+      expect(screen.getByText(/Page not found/)).toBeInTheDocument();
+      expect(screen.getByText('AI structure analysis running...')).toBeInTheDocument();
+    });
+
+    it('should submit an analysis job and follow its events', async () => {
+      axios.post.mockResolvedValueOnce(mockBlogData);
+      mockAnalysisJob({
+        sections: [],
+        linkEvaluations: [],
+        structureAnalysis: { needsRestructuring: false, suggestions: [] },
+        proposals: []
+      });
+
+      await startAnalysis();
+
+      await waitFor(() => {
+        expect(screen.getByText('Blog Analysis Complete')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      expect(axios.post).toHaveBeenCalledWith(
+        'http://localhost:3001/api/jobs/analyze',
+        { content: '<p>Content</p>', title: 'Test Blog', url: 'https://example.com/blog' }
+      );
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/api/jobs/job-analyze/events');
+      expect(localStorage.getItem('blogRefresh.activeJob')).toBeNull();
+    });
+
+    it('should remember the running job so a refresh can reattach', async () => {
+      axios.post
+        .mockResolvedValueOnce(mockBlogData)
+        .mockResolvedValueOnce({ data: { success: true, data: { jobId: 'job-1', status: 'running' } } });
+      fetch.mockResolvedValueOnce(openStreamResponse([]));
+
+      await startAnalysis();
+
+      await waitFor(() => {
+        expect(JSON.parse(localStorage.getItem('blogRefresh.activeJob'))).toEqual({
+          jobId: 'job-1',
+          type: 'analyze'
+        });
+      }, { timeout: 3000 });
+    });
+
+    it('should keep following the job when it cannot be remembered', async () => {
+      const setItem = vi.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+        throw new DOMException('Quota exceeded', 'QuotaExceededError');
+      });
+      axios.post.mockResolvedValueOnce(mockBlogData);
+      mockAnalysisJob({
+        sections: [],
+        linkEvaluations: [],
+        structureAnalysis: { needsRestructuring: false, suggestions: [] },
+        proposals: []
+      });
+
+      await startAnalysis();
+
+      await waitFor(() => {
+        expect(screen.getByText('Blog Analysis Complete')).toBeInTheDocument();
+      }, { timeout: 3000 });
+      expect(screen.queryByText(/Failed to analyze blog/)).not.toBeInTheDocument();
+      setItem.mockRestore();
+    });
+
+    it('should return to the input step when the job reports cancellation', async () => {
+      axios.post.mockResolvedValueOnce(mockBlogData);
+      mockJob('job-1', [
+        { event: 'sections', data: { count: 1, headings: ['A'] } },
+        { event: 'cancelled', data: {} }
+      ]);
+
+      await startAnalysis();
+
+      await waitFor(() => {
+        expect(screen.getByText('Enter Blog Content')).toBeInTheDocument();
+      }, { timeout: 3000 });
+      expect(screen.getByText(/Analysis cancelled/)).toBeInTheDocument();
+    });
+
+    it('should call the cancel endpoint from the analyzing step', async () => {
+      axios.post
+        .mockResolvedValueOnce(mockBlogData)
+        .mockResolvedValueOnce({ data: { success: true, data: { jobId: 'job-1', status: 'running' } } })
+        .mockResolvedValueOnce({ data: { success: true, data: { id: 'job-1', status: 'cancelled' } } });
+      fetch.mockResolvedValueOnce(openStreamResponse([]));
+
+      const user = await startAnalysis();
+
+      const cancelButton = await screen.findByText('Cancel Analysis', {}, { timeout: 3000 });
+      await user.click(cancelButton);
+
+      expect(axios.post).toHaveBeenLastCalledWith('http://localhost:3001/api/jobs/job-1/cancel');
+    });
+
+    it('should reattach to a running job after a page refresh', async () => {
+      localStorage.setItem('blogRefresh.activeJob', JSON.stringify({ jobId: 'job-1', type: 'analyze' }));
+      axios.get
+        .mockResolvedValueOnce({ data: { success: true, data: { id: 'job-1', status: 'running' } } })
+        .mockResolvedValueOnce({ data: { success: true, data: { id: 'post-1', title: 'Restored Blog', url: 'https://example.com/blog' } } })
+        .mockResolvedValueOnce({ data: { success: true, data: { id: 'analysis-1', content: '<p>Content</p>', result: {}, proposals: [] } } });
+      fetch.mockResolvedValueOnce(eventStreamResponse([
+        { event: 'sections', data: { count: 0, headings: [] } },
+        { event: 'complete', data: {
+          sections: [],
+          linkEvaluations: [],
+          structureAnalysis: { needsRestructuring: false, suggestions: [] },
+          proposals: [],
+          postId: 'post-1',
+          analysisId: 'analysis-1'
+        } }
+      ]));
+
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText('Blog Analysis Complete')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      expect(screen.getByText('Restored Blog')).toBeInTheDocument();
+      expect(axios.get).toHaveBeenCalledWith('http://localhost:3001/api/jobs/job-1');
+      expect(axios.get).toHaveBeenCalledWith('http://localhost:3001/api/posts/post-1');
+      expect(axios.get).toHaveBeenCalledWith('http://localhost:3001/api/analyses/analysis-1');
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/api/jobs/job-1/events');
+    });
+
+    it('should reload the post of a running apply job after a page refresh', async () => {
+      localStorage.setItem('blogRefresh.activeJob', JSON.stringify({
+        jobId: 'job-2',
+        type: 'apply',
+        postId: 'post-1',
+        analysisId: 'analysis-1'
+      }));
+      axios.get
+        .mockResolvedValueOnce({ data: { success: true, data: { id: 'job-2', status: 'running' } } })
+        .mockResolvedValueOnce({ data: { success: true, data: { id: 'post-1', title: 'Restored Blog', url: 'https://example.com/blog' } } })
+        .mockResolvedValueOnce({ data: { success: true, data: {
+          id: 'analysis-1',
+          content: '<p>Content</p>',
+          result: { sections: [], linkEvaluations: [], proposals: [] },
+          proposals: []
+        } } })
+        .mockResolvedValue({ data: { success: true, data: { id: 'post-1', runs: [] } } });
+      fetch.mockResolvedValueOnce(eventStreamResponse([
+        { event: 'complete', data: { refreshedContent: '<p>Refreshed</p>', runId: 'run-1' } }
+      ]));
+
+      render(<App />);
+
+      await waitFor(() => {
+        expect(screen.getByText('✓ Blog Refreshed Successfully!')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      expect(axios.get).toHaveBeenCalledWith('http://localhost:3001/api/analyses/analysis-1');
+      expect(fetch).toHaveBeenCalledWith('http://localhost:3001/api/jobs/job-2/events');
+      expect(localStorage.getItem('blogRefresh.activeJob')).toBeNull();
+    });
+
+    it('should forget a saved job the backend no longer knows', async () => {
+      localStorage.setItem('blogRefresh.activeJob', JSON.stringify({ jobId: 'gone', type: 'analyze' }));
+      axios.get.mockRejectedValueOnce({ response: { status: 404 } });
+
+      render(<App />);
+
+      await waitFor(() => {
+        expect(localStorage.getItem('blogRefresh.activeJob')).toBeNull();
+      });
+      expect(screen.getByText('Enter Blog Content')).toBeInTheDocument();
+    });
+  });
+
   describe('Analyze Blog', () => {
     const setupAnalysisStep = async () => {
       const mockBlogData = {
@@ -195,34 +441,595 @@ describe('App Component', () => {
             ]
           }
         }
-      };
-
-      axios.post
-        .mockResolvedValueOnce(mockBlogData)
-        .mockResolvedValueOnce(mockAnalysisData);
+      };
+
+      axios.post.mockResolvedValueOnce(mockBlogData);
+      mockAnalysisJob(mockAnalysisData.data.data);
+
+      const user = userEvent.setup();
+      render(<App />);
+      
+      const input = screen.getByPlaceholderText('https://example.com/blog-post');
+      await user.type(input, 'https://example.com/blog');
+      
+      const analyzeButton = screen.getByText('Analyze Blog');
+      await user.click(analyzeButton);
+      
+      await waitFor(() => {
+        expect(screen.getByText('Blog Analysis Complete')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      return user;
+    };
+
+    it('should display analysis results', async () => {
+      await setupAnalysisStep();
+      
+      expect(screen.getByText('Test Blog')).toBeInTheDocument();
+      expect(screen.getByText(/2 sections found/i)).toBeInTheDocument();
+      expect(screen.getByText('Proposed Improvements')).toBeInTheDocument();
+    });
+
+    it('should list links skipped by the link-check budget', async () => {
+      const mockBlogData = {
+        data: {
+          success: true,
+          data: { title: 'Test Blog', content: '<p>Content</p>', url: 'https://example.com/blog' }
+        }
+      };
+
+      const mockAnalysisData = {
+        data: {
+          success: true,
+          data: {
+            sections: [],
+            linkEvaluations: [
+              { id: 'link-0', url: 'https://ok.com', text: 'Ok', working: true, state: 'working' },
+              { id: 'link-1', url: 'https://later.com', text: 'Later', working: null, state: 'unchecked', issue: 'Not checked (link limit reached)' }
+            ],
+            structureAnalysis: { needsRestructuring: false, suggestions: [] },
+            proposals: []
+          }
+        }
+      };
+
+      axios.post.mockResolvedValueOnce(mockBlogData);
+      mockAnalysisJob(mockAnalysisData.data.data);
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Blog Analysis Complete')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      expect(screen.getByText(/1 links checked • 1 not checked/i)).toBeInTheDocument();
+      expect(screen.getByText('Links not checked (1):')).toBeInTheDocument();
+      expect(screen.getByText('(https://later.com)')).toBeInTheDocument();
+    });
+
+    it('should warn instead of reporting a clean result when structure analysis failed', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          success: true,
+          data: { title: 'Test Blog', content: '<h2>Intro</h2><p>Content</p>', url: 'https://example.com/blog' }
+        }
+      });
+      mockAnalysisJob({
+        sections: [{ id: 'section-0', heading: 'Intro', content: '<p>Content</p>' }],
+        linkEvaluations: [],
+        structureAnalysis: {
+          needsRestructuring: false,
+          suggestions: [],
+          analysisStatus: 'failed',
+          analysisErrors: ['(root): no JSON object found in response']
+        },
+        proposals: []
+      });
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Blog Analysis Complete')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      expect(screen.getByText(/AI structure analysis failed/)).toBeInTheDocument();
+      expect(screen.queryByText(/No improvements needed/)).not.toBeInTheDocument();
+    });
+
+    it('should show the fetched post metadata', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          success: true,
+          data: {
+            title: 'Test Blog',
+            content: '<h2>Intro</h2><p>Content</p>',
+            url: 'https://example.com/blog',
+            metadata: {
+              author: 'Ada Lovelace',
+              publishedAt: '2021-02-03T00:00:00.000Z',
+              modifiedAt: 'last spring',
+              description: 'A post about engines',
+              tags: ['history', 'computing']
+            }
+          }
+        }
+      });
+      mockAnalysisJob({
+        sections: [{ id: 'section-0', heading: 'Intro', content: '<p>Content</p>' }],
+        linkEvaluations: [],
+        structureAnalysis: { needsRestructuring: false, suggestions: [], analysisStatus: 'ok' },
+        proposals: []
+      });
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Blog Analysis Complete')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      expect(screen.getByText('By Ada Lovelace • Published Feb 3, 2021 • Updated last spring')).toBeInTheDocument();
+      expect(screen.getByText('A post about engines')).toBeInTheDocument();
+      expect(screen.getByText('computing')).toBeInTheDocument();
+    });
+
+    it('should approve outdated statements one at a time', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          success: true,
+          data: {
+            title: 'Test Blog',
+            content: '<h2>Intro</h2><p>In 2019 the latest version is 1.2. We use Google+.</p>',
+            url: 'https://example.com/blog',
+            metadata: { publishedAt: '2019-05-01T00:00:00.000Z', tags: [] }
+          }
+        }
+      });
+      mockAnalysisJob({
+        sections: [{ id: 'section-0', heading: 'Intro', content: '<p>In 2019 the latest version is 1.2. We use Google+.</p>' }],
+        linkEvaluations: [],
+        structureAnalysis: { needsRestructuring: false, suggestions: [], analysisStatus: 'ok' },
+        proposals: [{
+          id: 'proposal-outdated',
+          type: 'outdated-content',
+          title: 'Update Outdated Information',
+          description: 'Found 2 statements that may be out of date.',
+          rationale: 'Old years make a post look neglected.',
+          occurrences: [
+            { id: 'stale-0', kind: 'past-year', match: '2019', sentence: 'In 2019 the latest version is 1.2.', section: 'Intro', reason: 'Presents 2019 as current', approved: false },
+            { id: 'stale-1', kind: 'deprecated', match: 'Google+', sentence: 'We use Google+.', section: 'Intro', reason: 'Google+ was shut down in 2019', approved: false }
+          ],
+          approved: false
+        }]
+      });
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Update Outdated Information')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      expect(axios.post).toHaveBeenCalledWith('http://localhost:3001/api/jobs/analyze', expect.objectContaining({
+        metadata: { publishedAt: '2019-05-01T00:00:00.000Z', tags: [] }
+      }));
+      expect(screen.getByText('Statements (0 of 2 approved):')).toBeInTheDocument();
+      expect(screen.getByText('Google+', { selector: 'mark' })).toBeInTheDocument();
+
+      const [proposalCheckbox, firstOccurrence] = screen.getAllByRole('checkbox');
+      await user.click(firstOccurrence);
+
+      expect(proposalCheckbox).toBeChecked();
+      expect(screen.getByText('Statements (1 of 2 approved):')).toBeInTheDocument();
+      expect(screen.getByText('1 statement(s) will be updated')).toBeInTheDocument();
+
+      mockApplyJob('<h2>Intro</h2><p>As of 2019, the latest version was 1.2. We use Google+.</p>');
+      await user.click(screen.getByText('Apply 1 Approved Changes'));
+
+      await waitFor(() => {
+        expect(axios.post).toHaveBeenCalledWith('http://localhost:3001/api/jobs/apply', expect.objectContaining({
+          approvedProposals: [expect.objectContaining({
+            occurrences: [
+              expect.objectContaining({ id: 'stale-0', approved: true }),
+              expect.objectContaining({ id: 'stale-1', approved: false })
+            ]
+          })]
+        }));
+      });
+    });
+
+    it('should project the SEO score as SEO proposals are approved', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          success: true,
+          data: { title: 'Test Blog', content: '<h1>A</h1><h1>B</h1>', url: 'https://example.com/blog', metadata: { tags: [] } }
+        }
+      });
+      mockAnalysisJob({
+        sections: [{ id: 'section-0', heading: 'A', content: '' }],
+        linkEvaluations: [],
+        structureAnalysis: { needsRestructuring: false, suggestions: [], analysisStatus: 'ok' },
+        seoAudit: { score: 77, issues: [], skipped: [] },
+        proposals: [
+          { id: 'proposal-seo-meta-description', type: 'seo', check: 'meta-description', severity: 'high', title: 'The page has no meta description', description: 'Add a meta description', rationale: 'Shown in search results.', fix: 'manual', weight: 15, approved: false },
+          { id: 'proposal-seo-h1-count', type: 'seo', check: 'h1-count', severity: 'medium', title: 'The post has 2 H1 headings', description: 'Keep a single H1', rationale: 'One topic.', fix: 'deterministic', weight: 8, approved: false }
+        ]
+      });
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+
+      await waitFor(() => {
+        expect(screen.getByText('The page has no meta description')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      expect(axios.post).toHaveBeenCalledWith('http://localhost:3001/api/jobs/analyze', expect.objectContaining({
+        url: 'https://example.com/blog'
+      }));
+      expect(screen.getByText('77')).toBeInTheDocument();
+      expect(screen.getByText('seo · high')).toBeInTheDocument();
+      expect(screen.queryByText(/→ \d+/)).not.toBeInTheDocument();
+
+      const [metaDescription, h1Count] = screen.getAllByRole('checkbox');
+      await user.click(metaDescription);
+      expect(screen.getByText('→ 92')).toBeInTheDocument();
+
+      await user.click(h1Count);
+      expect(screen.getByText('→ 100')).toBeInTheDocument();
+      expect(screen.getByText('To do yourself: Add a meta description')).toBeInTheDocument();
+
+      mockApplyJob('<h1>A</h1><h2>B</h2>');
+      await user.click(screen.getByText('Apply 2 Approved Changes'));
+
+      await waitFor(() => {
+        expect(screen.getByText('🔎 SEO fixes to make in your CMS')).toBeInTheDocument();
+      });
+      expect(screen.getByText('The page has no meta description:')).toBeInTheDocument();
+    });
+
+    it('should approve accessibility fixes per element, skipping ones without a fix', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          success: true,
+          data: { title: 'Test Blog', content: '<img src="team-photo.png"><img src="IMG_1.jpg">', url: 'https://example.com/blog' }
+        }
+      });
+      mockAnalysisJob({
+        sections: [],
+        linkEvaluations: [],
+        structureAnalysis: { needsRestructuring: false, suggestions: [], analysisStatus: 'skipped' },
+        seoAudit: { score: 92, issues: [], skipped: [] },
+        proposals: [{
+          id: 'proposal-a11y-image-alt',
+          type: 'accessibility',
+          check: 'image-alt',
+          severity: 'high',
+          title: 'Add Missing Alt Text',
+          description: 'Found 2 elements to fix.',
+          rationale: 'Screen readers need it.',
+          occurrences: [
+            { id: 'a11y-image-alt-0', target: { kind: 'image', index: 0, key: 'team-photo.png' }, evidence: '<img src="team-photo.png">', description: 'Set alt="Team photo"', fix: { attribute: 'alt', value: 'Team photo' }, approved: false },
+            { id: 'a11y-image-alt-1', target: { kind: 'image', index: 1, key: 'IMG_1.jpg' }, evidence: '<img src="IMG_1.jpg">', description: 'Describe this image by hand', fix: null, approved: false }
+          ],
+          resolvesSeoIssue: { id: 'seo-image-alt', weight: 8 },
+          approved: false
+        }]
+      });
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Add Missing Alt Text')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      expect(screen.getByText('accessibility · high')).toBeInTheDocument();
+      expect(screen.getByText('<img src="team-photo.png">')).toBeInTheDocument();
+
+      const [proposalCheckbox, fixable, manual] = screen.getAllByRole('checkbox');
+      expect(manual).toBeDisabled();
+
+      await user.click(proposalCheckbox);
+
+      expect(fixable).toBeChecked();
+      expect(manual).not.toBeChecked();
+      expect(screen.getByText('Elements (1 of 2 approved):')).toBeInTheDocument();
+      expect(screen.getByText('1 element(s) will be fixed')).toBeInTheDocument();
+      // Alt text fixes clear the SEO issue for missing alt text too
+      expect(screen.getByText('→ 100')).toBeInTheDocument();
+    });
+
+    it('should show AI link text suggestions with the sentence they change', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          success: true,
+          data: { title: 'Test Blog', content: '<p>For setup, <a href="/setup">click here</a>.</p>', url: 'https://example.com/blog' }
+        }
+      });
+      mockAnalysisJob({
+        sections: [],
+        linkEvaluations: [],
+        structureAnalysis: { needsRestructuring: false, suggestions: [], analysisStatus: 'skipped' },
+        proposals: [{
+          id: 'proposal-link-text',
+          type: 'link-text',
+          title: 'Improve Link Text',
+          description: 'AI suggested new text for 1 link.',
+          rationale: 'Link text should name its destination.',
+          occurrences: [{
+            id: 'text-0',
+            kind: 'link-text',
+            target: { kind: 'link', index: 0, key: '/setup' },
+            current: 'click here',
+            sentence: 'For setup, click here.',
+            suggested: 'read the setup guide',
+            approved: false
+          }],
+          approved: false
+        }]
+      });
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Improve Link Text')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      expect(screen.getByText('read the setup guide')).toBeInTheDocument();
+      expect(screen.getByText('click here', { selector: 'mark' })).toBeInTheDocument();
+
+      const [, suggestion] = screen.getAllByRole('checkbox');
+      await user.click(suggestion);
+
+      expect(screen.getByText('Suggestions (1 of 1 approved):')).toBeInTheDocument();
+      expect(screen.getByText('1 suggestion(s) will be applied')).toBeInTheDocument();
+    });
+
+    it('should let the reviewer replace, unlink or remove the sentence of each broken link', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          success: true,
+          data: { title: 'Test Blog', content: '<p>See <a href="https://old.com">the guide</a>.</p>', url: 'https://example.com/blog' }
+        }
+      });
+      mockAnalysisJob({
+        sections: [],
+        linkEvaluations: [],
+        structureAnalysis: { needsRestructuring: false, suggestions: [], analysisStatus: 'skipped' },
+        proposals: [{
+          id: 'proposal-links',
+          type: 'link-fixes',
+          title: 'Fix Broken Links',
+          description: 'Found 2 broken or inaccessible links that should be updated or removed.',
+          rationale: 'Broken links harm user experience and SEO.',
+          affectedLinks: [
+            {
+              id: 'link-0',
+              url: 'https://old.com',
+              text: 'the guide',
+              sentence: 'See the guide.',
+              candidates: [
+                { source: 'archive', url: 'https://web.archive.org/web/2019/https://old.com', label: 'Archived copy from Mar 4, 2019' },
+                { source: 'ai', url: 'https://docs.new.com', label: 'Suggested source: New docs' }
+              ],
+              action: 'replace',
+              replacementUrl: 'https://web.archive.org/web/2019/https://old.com'
+            },
+            { id: 'link-1', url: 'https://gone.com', text: 'benchmarks', sentence: 'Our benchmarks agree.', candidates: [], action: 'unlink', replacementUrl: null }
+          ],
+          approved: false
+        }]
+      });
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Fix Broken Links')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      expect(screen.getByLabelText(/Replace with Archived copy from Mar 4, 2019/)).toBeChecked();
+      expect(screen.getAllByLabelText(/Unlink \(keep the text\)/)[1]).toBeChecked();
+
+      await user.click(screen.getByLabelText(/Replace with Suggested source: New docs/));
+      await user.click(screen.getAllByLabelText(/Remove the sentence/)[1]);
+      await user.click(screen.getAllByRole('checkbox')[0]);
+
+      expect(screen.getByText('1 replaced, 1 sentence removed')).toBeInTheDocument();
+
+      mockApplyJob('<p>See <a href="https://docs.new.com">the guide</a>.</p>');
+      await user.click(screen.getByText('Apply 1 Approved Changes'));
+
+      await waitFor(() => {
+        expect(axios.post).toHaveBeenCalledWith('http://localhost:3001/api/jobs/apply', expect.objectContaining({
+          approvedProposals: [expect.objectContaining({
+            affectedLinks: [
+              expect.objectContaining({ id: 'link-0', action: 'replace', replacementUrl: 'https://docs.new.com' }),
+              expect.objectContaining({ id: 'link-1', action: 'remove-sentence' })
+            ]
+          })]
+        }));
+      });
+    });
+
+    it('should approve broken links one at a time, with a typed replacement URL', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          success: true,
+          data: { title: 'Test Blog', content: '<p><a href="https://old.com">docs</a> <a href="https://down.com">status</a></p>', url: 'https://example.com/blog' }
+        }
+      });
+      mockAnalysisJob({
+        sections: [],
+        linkEvaluations: [],
+        structureAnalysis: { needsRestructuring: false, suggestions: [], analysisStatus: 'skipped' },
+        proposals: [{
+          id: 'proposal-links',
+          type: 'link-fixes',
+          title: 'Fix Broken Links',
+          description: 'Found 2 broken or inaccessible link(s) to review one by one.',
+          rationale: 'Broken links harm user experience and SEO.',
+          affectedLinks: [
+            { id: 'link-0', url: 'https://old.com', text: 'docs', context: 'Read the docs first', status: 404, issue: 'Page not found', method: 'HEAD', candidates: [], action: 'unlink', replacementUrl: null, approved: false },
+            { id: 'link-1', url: 'https://down.com', text: 'status', status: null, issue: 'Host not found', method: 'HEAD', candidates: [], action: 'unlink', replacementUrl: null, approved: false }
+          ],
+          approved: false
+        }]
+      });
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Fix Broken Links')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      expect(screen.getByText('HTTP 404 · Page not found · checked with HEAD')).toBeInTheDocument();
+      expect(screen.getByText('No response · Host not found · checked with HEAD')).toBeInTheDocument();
+      expect(screen.getByText('"Read the docs first"')).toBeInTheDocument();
+
+      const [proposalCheckbox, firstLink] = screen.getAllByRole('checkbox');
+      await user.click(firstLink);
+
+      expect(proposalCheckbox).toBeChecked();
+      expect(screen.getByText('Broken links (1 of 2 approved):')).toBeInTheDocument();
+
+      const manualUrl = screen.getByLabelText('Replacement URL for https://old.com');
+      await user.type(manualUrl, 'old.com/docs');
+      expect(screen.getByText('Enter an http(s) URL')).toBeInTheDocument();
+      expect(screen.getByText('Apply 1 Approved Changes')).toBeDisabled();
+
+      await user.clear(manualUrl);
+      await user.type(manualUrl, 'https://new.com/docs');
+      expect(screen.getByText('1 replaced')).toBeInTheDocument();
+
+      mockApplyJob('<p><a href="https://new.com/docs">docs</a> <a href="https://down.com">status</a></p>');
+      await user.click(screen.getByText('Apply 1 Approved Changes'));
+
+      await waitFor(() => {
+        expect(axios.post).toHaveBeenCalledWith('http://localhost:3001/api/jobs/apply', expect.objectContaining({
+          approvedProposals: [expect.objectContaining({
+            affectedLinks: [
+              expect.objectContaining({ id: 'link-0', approved: true, action: 'replace', replacementUrl: 'https://new.com/docs' }),
+              expect.objectContaining({ id: 'link-1', approved: false })
+            ]
+          })]
+        }));
+      });
+    });
+
+    it('should show the redirect chain of links that moved', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          success: true,
+          data: { title: 'Test Blog', content: '<p><a href="http://old.com/a">docs</a></p>', url: 'https://example.com/blog' }
+        }
+      });
+      mockAnalysisJob({
+        sections: [],
+        linkEvaluations: [],
+        structureAnalysis: { needsRestructuring: false, suggestions: [], analysisStatus: 'skipped' },
+        proposals: [{
+          id: 'proposal-redirects',
+          type: 'redirect-updates',
+          title: 'Update Redirected Links',
+          description: 'Found 1 link(s) that permanently redirect to a new address.',
+          rationale: 'Every redirect costs a round trip.',
+          affectedLinks: [{
+            id: 'link-0',
+            url: 'http://old.com/a',
+            text: 'docs',
+            finalUrl: 'https://new.com/docs',
+            redirects: [
+              { url: 'http://old.com/a', status: 301, location: 'https://old.com/a' },
+              { url: 'https://old.com/a', status: 308, location: 'https://new.com/docs' }
+            ],
+            approved: false
+          }],
+          approved: false
+        }]
+      });
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Update Redirected Links')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      expect(screen.getByText('https://new.com/docs')).toBeInTheDocument();
+      expect(screen.getByText('301 → 308 · 2 redirect(s)')).toBeInTheDocument();
+
+      await user.click(screen.getAllByRole('checkbox')[1]);
+
+      expect(screen.getByText('Redirected links (1 of 1 approved):')).toBeInTheDocument();
+      expect(screen.getByText('1 link(s) will point to their final URL')).toBeInTheDocument();
+    });
+
+    it('should warn when the main content was extracted with low confidence', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          success: true,
+          data: {
+            title: 'Test Blog',
+            content: '<h2>Intro</h2><p>Content</p>',
+            url: 'https://example.com/blog',
+            extraction: { strategy: 'body', confidence: 0.25, lowConfidence: true, selector: 'body' }
+          }
+        }
+      });
+      mockAnalysisJob({
+        sections: [{ id: 'section-0', heading: 'Intro', content: '<p>Content</p>' }],
+        linkEvaluations: [],
+        structureAnalysis: { needsRestructuring: false, suggestions: [], analysisStatus: 'ok' },
+        proposals: []
+      });
 
       const user = userEvent.setup();
       render(<App />);
-      
-      const input = screen.getByPlaceholderText('https://example.com/blog-post');
-      await user.type(input, 'https://example.com/blog');
-      
-      const analyzeButton = screen.getByText('Analyze Blog');
-      await user.click(analyzeButton);
-      
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+
       await waitFor(() => {
         expect(screen.getByText('Blog Analysis Complete')).toBeInTheDocument();
       }, { timeout: 3000 });
 
-      return user;
-    };
-
-    it('should display analysis results', async () => {
-      await setupAnalysisStep();
-      
-      expect(screen.getByText('Test Blog')).toBeInTheDocument();
-      expect(screen.getByText(/2 sections found/i)).toBeInTheDocument();
-      expect(screen.getByText('Proposed Improvements')).toBeInTheDocument();
+      expect(screen.getByText(/main content may not have been found correctly/)).toBeInTheDocument();
+      expect(screen.getByText(/the whole page with 25% confidence/)).toBeInTheDocument();
     });
 
     it('should display proposals', async () => {
@@ -262,16 +1069,104 @@ describe('App Component', () => {
         expect(screen.getByText(/Preview: Projected Final Structure/i)).toBeInTheDocument();
       });
     });
+
+    it('should preview remove and keep proposals', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          success: true,
+          data: { title: 'Test Blog', content: '<h2>Intro</h2><p>A</p><h2>Filler</h2><p>B</p>', url: 'https://example.com/blog' }
+        }
+      });
+      mockAnalysisJob({
+        sections: [
+          { id: 'section-0', heading: 'Intro', content: '<p>A</p>' },
+          { id: 'section-1', heading: 'Filler', content: '<p>B</p>' }
+        ],
+        linkEvaluations: [],
+        structureAnalysis: { needsRestructuring: true, suggestions: [], analysisStatus: 'ok' },
+        proposals: [
+          { id: 'proposal-structure-0', type: 'structure', action: 'keep', title: 'Keep: Intro', description: 'Keep "Intro" exactly as it is', affectedSections: [0], rationale: 'Clear', approved: false },
+          { id: 'proposal-structure-1', type: 'structure', action: 'remove', title: 'Remove: Filler', description: 'Remove the "Filler" section and its content from the post', affectedSections: [1], rationale: 'Off-topic', approved: false }
+        ]
+      });
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Blog Analysis Complete')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      expect(screen.getByText('structure · remove')).toBeInTheDocument();
+
+      const checkboxes = screen.getAllByRole('checkbox');
+      await user.click(checkboxes[0]);
+      await user.click(checkboxes[1]);
+
+      expect(screen.getByText('After Changes (1 sections)')).toBeInTheDocument();
+      const projected = document.querySelector('.section-list.projected');
+      expect(projected.textContent).toContain('Intro');
+      expect(projected.textContent).not.toContain('Filler');
+    });
+  });
+
+  describe('Outline Preview', () => {
+    it('should drop nested sections with a removed parent and carry them along in merges', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: {
+          success: true,
+          data: { title: 'Test Blog', content: '<h2>A</h2>', url: 'https://example.com/blog' }
+        }
+      });
+      mockAnalysisJob({
+        sections: [
+          { id: 'section-0', heading: 'Setup', level: 2, depth: 0, parentId: null },
+          { id: 'section-1', heading: 'Install', level: 3, depth: 1, parentId: 'section-0' },
+          { id: 'section-2', heading: 'Usage', level: 2, depth: 0, parentId: null },
+          { id: 'section-3', heading: 'Examples', level: 3, depth: 1, parentId: 'section-2' },
+          { id: 'section-4', heading: 'Old Notes', level: 2, depth: 0, parentId: null },
+          { id: 'section-5', heading: 'Changelog', level: 3, depth: 1, parentId: 'section-4' }
+        ],
+        linkEvaluations: [],
+        structureAnalysis: { needsRestructuring: true, suggestions: [], analysisStatus: 'ok' },
+        proposals: [
+          { id: 'proposal-structure-0', type: 'structure', action: 'merge', title: 'Getting Started', description: 'Merge', affectedSections: [0, 2], newHeading: 'Getting Started', rationale: 'Overlap', approved: false },
+          { id: 'proposal-structure-1', type: 'structure', action: 'remove', title: 'Remove: Old Notes', description: 'Remove', affectedSections: [4], rationale: 'Outdated', approved: false }
+        ]
+      });
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Blog Analysis Complete')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      const checkboxes = screen.getAllByRole('checkbox');
+      await user.click(checkboxes[0]);
+      await user.click(checkboxes[1]);
+
+      expect(screen.getByText('After Changes (3 sections)')).toBeInTheDocument();
+      const projected = [...document.querySelectorAll('.section-list.projected .section-item')]
+        .map(item => item.firstChild.textContent);
+      expect(projected).toEqual(['Getting Started', 'Examples', 'Install']);
+    });
   });
 
   describe('Apply Changes', () => {
-    const setupApplyStep = async () => {
+    const setupApplyStep = async (preservationReport, { content = '<h2>Section 1</h2><p>Content</p>', sanitizationReport } = {}) => {
       const mockBlogData = {
         data: {
           success: true,
           data: {
             title: 'Test Blog',
-            content: '<h2>Section 1</h2><p>Content</p>',
+            content,
             url: 'https://example.com/blog'
           }
         }
@@ -308,10 +1203,9 @@ describe('App Component', () => {
         }
       };
 
-      axios.post
-        .mockResolvedValueOnce(mockBlogData)
-        .mockResolvedValueOnce(mockAnalysisData)
-        .mockResolvedValueOnce(mockRefreshedData);
+      axios.post.mockResolvedValueOnce(mockBlogData);
+      mockAnalysisJob(mockAnalysisData.data.data);
+      mockApplyJob(mockRefreshedData.data.data.refreshedContent, preservationReport, sanitizationReport);
 
       const user = userEvent.setup();
       render(<App />);
@@ -326,7 +1220,8 @@ describe('App Component', () => {
         expect(screen.getByText('Blog Analysis Complete')).toBeInTheDocument();
       }, { timeout: 3000 });
 
-      const checkbox = screen.getByRole('checkbox');
+      // The proposal checkbox approves every link it lists
+      const [checkbox] = screen.getAllByRole('checkbox');
       await user.click(checkbox);
       
       const applyButton = screen.getByText(/Apply 1 Approved Changes/i);
@@ -397,6 +1292,89 @@ describe('App Component', () => {
       expect(HTMLAnchorElement.prototype.click).toHaveBeenCalled();
     });
 
+    it('should show when all original content was preserved', async () => {
+      await setupApplyStep({
+        preserved: true,
+        counts: { sentence: { original: 1, refreshed: 1 }, link: { original: 0, refreshed: 0 }, image: { original: 0, refreshed: 0 } },
+        issues: [],
+        explained: []
+      });
+
+      expect(screen.getByText('✓ All original content preserved')).toBeInTheDocument();
+    });
+
+    it('should list lost content and confirm before exporting', async () => {
+      const user = await setupApplyStep({
+        preserved: false,
+        counts: { sentence: { original: 1, refreshed: 1 }, link: { original: 0, refreshed: 0 }, image: { original: 0, refreshed: 0 } },
+        issues: [{ type: 'sentence', status: 'altered', original: 'Content', refreshed: 'Refreshed content' }],
+        explained: []
+      });
+
+      expect(screen.getByText('⚠️ 1 unexplained content change')).toBeInTheDocument();
+      expect(screen.getByText('Altered sentence:')).toBeInTheDocument();
+      expect(screen.getByText('→ Refreshed content')).toBeInTheDocument();
+
+      const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(false);
+      await user.click(screen.getByText('📥 Download HTML'));
+
+      expect(confirmSpy).toHaveBeenCalledWith(expect.stringContaining('1 piece(s) of original content were lost or altered'));
+      expect(URL.createObjectURL).not.toHaveBeenCalled();
+
+      confirmSpy.mockReturnValue(true);
+      await user.click(screen.getByText('📝 Download Markdown'));
+
+      expect(URL.createObjectURL).toHaveBeenCalled();
+      confirmSpy.mockRestore();
+    });
+
+    it('should render sanitized content and list what was stripped', async () => {
+      await setupApplyStep(undefined, {
+        content: '<h2>Section 1</h2><p onmouseover="steal()">Content <a href="javascript:steal()">here</a></p><script>steal()</script><img src="x" onerror="steal()" alt="X">',
+        sanitizationReport: { removed: [{ type: 'element', name: 'script', count: 2 }] }
+      });
+
+      const original = document.getElementById('original-content');
+      expect(original.innerHTML).toBe('<h2>Section 1</h2><p>Content <a>here</a></p><img src="x" alt="X">');
+      expect(original.querySelector('script')).toBeNull();
+
+      expect(screen.getByText('🛡️ Unsafe markup stripped')).toBeInTheDocument();
+      expect(screen.getByText('onmouseover attribute on <p>')).toBeInTheDocument();
+      expect(screen.getByText('unsafe href on <a> (javascript:steal())')).toBeInTheDocument();
+      expect(screen.getByText('<script> element')).toBeInTheDocument();
+      expect(screen.getByText('onerror attribute on <img>')).toBeInTheDocument();
+      // Reported by the backend for the refreshed content
+      expect(screen.getByText('2 × <script> element')).toBeInTheDocument();
+    });
+
+    it('should only preview embeds from known players, sandboxed', async () => {
+      await setupApplyStep(undefined, {
+        content: '<h2>Section 1</h2><iframe src="https://www.youtube.com/embed/x" title="Video"></iframe><iframe src="https://evil.example/phish" title="Phish"></iframe>'
+      });
+
+      const frames = document.getElementById('original-content').querySelectorAll('iframe');
+      expect(frames[0].getAttribute('src')).toBe('https://www.youtube.com/embed/x');
+      expect(frames[1].hasAttribute('src')).toBe(false);
+      frames.forEach(frame => expect(frame.getAttribute('sandbox')).toBe('allow-scripts allow-same-origin allow-presentation allow-popups'));
+      expect(screen.getByText('unsafe src on <iframe> (https://evil.example/phish)')).toBeInTheDocument();
+    });
+
+    it('should preview links that open a new tab with rel="noopener noreferrer"', async () => {
+      await setupApplyStep(undefined, {
+        content: '<h2>Section 1</h2><p><a href="https://example.com" target="_blank" rel="nofollow">Example</a></p>'
+      });
+
+      const link = document.getElementById('original-content').querySelector('a');
+      expect(link.getAttribute('target')).toBe('_blank');
+      expect(link.getAttribute('rel')).toBe('nofollow noopener noreferrer');
+    });
+
+    it('should not show a sanitization report for clean content', async () => {
+      await setupApplyStep();
+
+      expect(screen.queryByText('🛡️ Unsafe markup stripped')).not.toBeInTheDocument();
+    });
+
     it('should go back to approval step', async () => {
       const user = await setupApplyStep();
       
@@ -459,11 +1437,8 @@ describe('App Component', () => {
         }
       };
 
-      axios.post
-        .mockResolvedValueOnce(mockBlogData)
-        .mockRejectedValueOnce({
-          response: { data: { error: 'Analysis failed' } }
-        });
+      axios.post.mockResolvedValueOnce(mockBlogData);
+      mockJob('job-analyze', [{ event: 'error', data: { error: 'Analysis failed' } }]);
 
       const user = userEvent.setup();
       render(<App />);
@@ -521,10 +1496,9 @@ describe('App Component', () => {
         }
       };
 
-      axios.post
-        .mockResolvedValueOnce(mockBlogData)
-        .mockResolvedValueOnce(mockAnalysisData)
-        .mockResolvedValueOnce(mockRefreshedData);
+      axios.post.mockResolvedValueOnce(mockBlogData);
+      mockAnalysisJob(mockAnalysisData.data.data);
+      mockApplyJob(mockRefreshedData.data.data.refreshedContent);
 
       const user = userEvent.setup();
       render(<App />);
@@ -590,9 +1564,8 @@ describe('App Component', () => {
         }
       };
 
-      axios.post
-        .mockResolvedValueOnce(mockBlogData)
-        .mockResolvedValueOnce(mockAnalysisData);
+      axios.post.mockResolvedValueOnce(mockBlogData);
+      mockAnalysisJob(mockAnalysisData.data.data);
 
       const user = userEvent.setup();
       render(<App />);
@@ -612,4 +1585,402 @@ describe('App Component', () => {
       });
     });
   });
+
+  describe('Saved Reviews', () => {
+    const savedProposal = {
+      id: 'proposal-1',
+      type: 'link-fixes',
+      title: 'Fix Broken Links',
+      description: 'Found 1 broken link',
+      affectedLinks: [{ url: 'https://broken.com', action: 'unlink', approved: true }],
+      rationale: 'Broken links harm UX',
+      approved: true
+    };
+
+    const savedPost = {
+      id: 'post-1',
+      url: 'https://example.com/blog',
+      title: 'Saved Blog',
+      createdAt: '2026-10-01T09:00:00.000Z',
+      updatedAt: '2026-10-02T09:00:00.000Z',
+      analysisCount: 2,
+      runCount: 1,
+      latestAnalysisId: 'analysis-2',
+      latestRunId: 'run-1'
+    };
+
+    it('should resume the latest analysis with the saved decisions', async () => {
+      axios.get
+        .mockResolvedValueOnce({ data: { success: true, data: [savedPost] } })
+        .mockResolvedValueOnce({ data: { success: true, data: { ...savedPost, content: '<p>Latest</p>', metadata: null, extraction: null } } })
+        .mockResolvedValueOnce({
+          data: {
+            success: true,
+            data: {
+              id: 'analysis-2',
+              postId: 'post-1',
+              content: '<h2>Section 1</h2><p>Content</p>',
+              result: {
+                sections: [{ id: 'section-0', heading: 'Section 1', content: '<p>Content</p>' }],
+                linkEvaluations: [],
+                structureAnalysis: { needsRestructuring: false, suggestions: [] },
+                proposals: [{ ...savedProposal, approved: false }]
+              },
+              proposals: [savedProposal]
+            }
+          }
+        });
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.click(screen.getByText('Show saved reviews'));
+
+      expect(await screen.findByText('Saved Blog')).toBeInTheDocument();
+      expect(screen.getByText(/https:\/\/example.com\/blog • 2 analyses • 1 refresh • updated Oct 2, 2026/)).toBeInTheDocument();
+
+      await user.click(screen.getByText('Resume review'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Blog Analysis Complete')).toBeInTheDocument();
+      });
+      expect(axios.get).toHaveBeenCalledWith('http://localhost:3001/api/posts/post-1');
+      expect(axios.get).toHaveBeenCalledWith('http://localhost:3001/api/analyses/analysis-2');
+      expect(screen.getAllByRole('checkbox')[0]).toBeChecked();
+      expect(screen.getByText(/Apply 1 Approved Changes/i)).toBeInTheDocument();
+
+      // Applying the resumed review records the run under the saved analysis
+      mockApplyJob('<h2>Section 1</h2><p>Content</p>');
+      await user.click(screen.getByText(/Apply 1 Approved Changes/i));
+
+      await waitFor(() => {
+        expect(screen.getByText('✓ Blog Refreshed Successfully!')).toBeInTheDocument();
+      });
+      expect(axios.post).toHaveBeenCalledWith('http://localhost:3001/api/jobs/apply', expect.objectContaining({
+        content: '<h2>Section 1</h2><p>Content</p>',
+        analysisId: 'analysis-2'
+      }));
+    });
+
+    it('should delete a saved review after confirming', async () => {
+      axios.get.mockResolvedValueOnce({ data: { success: true, data: [savedPost] } });
+      axios.delete.mockResolvedValueOnce({ data: { success: true } });
+      const confirmSpy = vi.spyOn(window, 'confirm').mockReturnValue(true);
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.click(screen.getByText('Show saved reviews'));
+      await user.click(await screen.findByLabelText('Delete Saved Blog'));
+
+      expect(confirmSpy).toHaveBeenCalledWith('Delete "Saved Blog" with its saved analyses and refreshes?');
+      expect(axios.delete).toHaveBeenCalledWith('http://localhost:3001/api/posts/post-1');
+      await waitFor(() => {
+        expect(screen.queryByText('Saved Blog')).not.toBeInTheDocument();
+      });
+      confirmSpy.mockRestore();
+    });
+
+    it('should say when nothing is saved yet', async () => {
+      axios.get.mockResolvedValueOnce({ data: { success: true, data: [] } });
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.click(screen.getByText('Show saved reviews'));
+
+      expect(await screen.findByText(/Nothing saved yet/)).toBeInTheDocument();
+    });
+
+    it('should analyze under the fetched post and save decisions as they are made', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { success: true, data: { title: 'Test Blog', content: '<p>Content</p>', url: 'https://example.com/blog', postId: 'post-1' } }
+      });
+      mockAnalysisJob({
+        sections: [],
+        linkEvaluations: [],
+        structureAnalysis: { needsRestructuring: false, suggestions: [] },
+        proposals: [{ ...savedProposal, approved: false }],
+        postId: 'post-1',
+        analysisId: 'analysis-1'
+      });
+      axios.put.mockResolvedValue({ data: { success: true } });
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+
+      await waitFor(() => {
+        expect(screen.getByText('Blog Analysis Complete')).toBeInTheDocument();
+      }, { timeout: 3000 });
+      expect(axios.post).toHaveBeenCalledWith('http://localhost:3001/api/jobs/analyze', expect.objectContaining({ postId: 'post-1' }));
+
+      await user.click(screen.getAllByRole('checkbox')[0]);
+
+      await waitFor(() => {
+        expect(axios.put).toHaveBeenLastCalledWith('http://localhost:3001/api/analyses/analysis-1/decisions', {
+          proposals: [expect.objectContaining({ id: 'proposal-1', approved: true })]
+        });
+      });
+    });
+  });
+
+  describe('Version History', () => {
+    const versionsPost = {
+      id: 'post-1',
+      url: 'https://example.com/blog',
+      title: 'Saved Blog',
+      content: '<p>Original.</p>',
+      metadata: null,
+      extraction: null,
+      createdAt: '2026-10-01T09:00:00.000Z',
+      updatedAt: '2026-10-03T09:00:00.000Z',
+      analysisCount: 1,
+      runCount: 2,
+      latestAnalysisId: 'analysis-1',
+      latestRunId: 'run-2',
+      draftRunId: 'run-2',
+      analyses: [],
+      runs: [
+        {
+          id: 'run-2',
+          analysisId: 'analysis-1',
+          version: 2,
+          createdAt: '2026-10-03T09:00:00.000Z',
+          createdBy: 'Sam',
+          approvedCount: 1,
+          approved: [{ id: 'proposal-1', type: 'link-fixes', title: 'Fix Broken Links' }],
+          preserved: true
+        },
+        {
+          id: 'run-1',
+          analysisId: 'analysis-1',
+          version: 1,
+          createdAt: '2026-10-02T09:00:00.000Z',
+          createdBy: null,
+          approvedCount: 0,
+          approved: [],
+          preserved: true
+        }
+      ]
+    };
+
+    const savedRun = (id, version, refreshedContent) => ({
+      id,
+      postId: 'post-1',
+      analysisId: 'analysis-1',
+      version,
+      createdBy: null,
+      approvedProposals: [],
+      refreshedContent,
+      preservationReport: null,
+      sanitizationReport: { removed: [] },
+      createdAt: '2026-10-02T09:00:00.000Z'
+    });
+
+    // Saved records served by path
+    const mockSavedRecords = (records) => axios.get.mockImplementation(async (url) => {
+      const path = url.replace('http://localhost:3001', '');
+      if (!(path in records)) throw new Error(`Unexpected GET ${path}`);
+      return { data: { success: true, data: records[path] } };
+    });
+
+    beforeEach(() => {
+      mockSavedRecords({
+        '/api/posts': [versionsPost],
+        '/api/posts/post-1': versionsPost,
+        '/api/runs/run-1': savedRun('run-1', 1, '<p>First draft.</p>'),
+        '/api/runs/run-2': savedRun('run-2', 2, '<p>Second draft.</p>'),
+        '/api/analyses/analysis-1': {
+          id: 'analysis-1',
+          postId: 'post-1',
+          content: '<p>Original.</p>',
+          result: { sections: [], linkEvaluations: [], structureAnalysis: { needsRestructuring: false, suggestions: [] }, proposals: [] },
+          proposals: []
+        }
+      });
+    });
+
+    it('should open the current draft with its version timeline', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.click(screen.getByText('Show saved reviews'));
+      await user.click(await screen.findByText('Open current draft'));
+
+      expect(await screen.findByText('🕘 Version History')).toBeInTheDocument();
+      expect(screen.getByText('Second draft.')).toBeInTheDocument();
+      expect(screen.getByText('Current draft').closest('strong')).toHaveTextContent('Version 2');
+      expect(screen.getByText(/Sam • 1 approved change$/)).toBeInTheDocument();
+      expect(screen.getByText(/Unknown reviewer • 0 approved changes/)).toBeInTheDocument();
+      expect(screen.getByText('Fix Broken Links')).toBeInTheDocument();
+      expect(screen.getByLabelText('Restore version 1')).toBeInTheDocument();
+      expect(screen.queryByLabelText('Restore version 2')).not.toBeInTheDocument();
+    });
+
+    it('should compare two versions', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.click(screen.getByText('Show saved reviews'));
+      await user.click(await screen.findByText('Open current draft'));
+      await user.click(await screen.findByLabelText('Compare version 2'));
+      await user.click(screen.getByLabelText('Compare version 1'));
+
+      expect(await screen.findByText('Version 1 → Version 2')).toBeInTheDocument();
+      expect(screen.getByText('First draft.').closest('.diff-line')).toHaveClass('removed');
+      expect(screen.getAllByText('Second draft.').some(line => line.closest('.diff-line')?.classList.contains('added'))).toBe(true);
+
+      // Unticking one version hides the comparison
+      await user.click(screen.getByLabelText('Compare version 1'));
+      expect(screen.queryByText('Version 1 → Version 2')).not.toBeInTheDocument();
+    });
+
+    it('should restore an earlier version as the current draft', async () => {
+      axios.put.mockResolvedValueOnce({ data: { success: true, data: { id: 'post-1', draftRunId: 'run-1' } } });
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.click(screen.getByText('Show saved reviews'));
+      await user.click(await screen.findByText('Open current draft'));
+      await user.click(await screen.findByLabelText('Restore version 1'));
+
+      expect(axios.put).toHaveBeenCalledWith('http://localhost:3001/api/posts/post-1/draft', { runId: 'run-1' });
+      expect(await screen.findByText(/Version 1 restored as the current draft/)).toBeInTheDocument();
+      expect(screen.getByText('First draft.')).toBeInTheDocument();
+      expect(screen.queryByText('Second draft.')).not.toBeInTheDocument();
+      expect(screen.getByLabelText('Restore version 2')).toBeInTheDocument();
+    });
+
+    it('should credit refreshes to the reviewer and show the post history afterwards', async () => {
+      axios.post.mockResolvedValueOnce({
+        data: { success: true, data: { title: 'Saved Blog', content: '<p>Original.</p>', url: 'https://example.com/blog', postId: 'post-1' } }
+      });
+      mockAnalysisJob({
+        sections: [],
+        linkEvaluations: [],
+        structureAnalysis: { needsRestructuring: false, suggestions: [] },
+        proposals: [{
+          id: 'proposal-1',
+          type: 'link-fixes',
+          title: 'Fix Broken Links',
+          description: 'Found 1 broken link',
+          affectedLinks: [{ url: 'https://broken.com', action: 'unlink', approved: false }],
+          rationale: 'Broken links harm UX',
+          approved: false
+        }],
+        postId: 'post-1',
+        analysisId: 'analysis-1'
+      });
+      axios.put.mockResolvedValue({ data: { success: true } });
+      mockApplyJob('<p>Second draft.</p>');
+
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+      await waitFor(() => {
+        expect(screen.getByText('Blog Analysis Complete')).toBeInTheDocument();
+      }, { timeout: 3000 });
+
+      await user.type(screen.getByPlaceholderText('Your name'), 'Sam');
+      await user.click(screen.getAllByRole('checkbox')[0]);
+      await user.click(screen.getByText(/Apply 1 Approved Changes/i));
+
+      expect(await screen.findByText('🕘 Version History')).toBeInTheDocument();
+      expect(axios.post).toHaveBeenCalledWith('http://localhost:3001/api/jobs/apply', expect.objectContaining({
+        analysisId: 'analysis-1',
+        reviewer: 'Sam'
+      }));
+      expect(axios.get).toHaveBeenCalledWith('http://localhost:3001/api/posts/post-1');
+      expect(localStorage.getItem('blogRefresh.reviewer')).toBe('Sam');
+    });
+  });
+
+  describe('Cached Results', () => {
+    const linkProposal = {
+      id: 'proposal-1',
+      type: 'link-fixes',
+      title: 'Fix Broken Links',
+      description: 'Found 1 broken link',
+      affectedLinks: [{ url: 'https://broken.com', action: 'unlink', approved: false }],
+      rationale: 'Broken links harm UX',
+      approved: false
+    };
+
+    const analyzeFetchedPost = async (user, cache) => {
+      axios.post.mockResolvedValueOnce({
+        data: { success: true, data: { title: 'Test Blog', content: '<p>Content</p>', url: 'https://example.com/blog' } }
+      });
+      mockAnalysisJob({
+        sections: [],
+        linkEvaluations: [],
+        structureAnalysis: { needsRestructuring: false, suggestions: [] },
+        proposals: [linkProposal],
+        cache
+      });
+
+      await user.type(screen.getByPlaceholderText('https://example.com/blog-post'), 'https://example.com/blog');
+      await user.click(screen.getByText('Analyze Blog'));
+      await waitFor(() => {
+        expect(screen.getByText('Blog Analysis Complete')).toBeInTheDocument();
+      }, { timeout: 3000 });
+    };
+
+    it('should ask the backend to ignore cached results', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await user.click(screen.getByLabelText(/Ignore cached results/));
+      await analyzeFetchedPost(user, { bypassed: true, links: { hits: 0, total: 0 }, structureAnalysis: null });
+
+      expect(axios.post).toHaveBeenCalledWith('http://localhost:3001/api/jobs/analyze', expect.objectContaining({ bypassCache: true }));
+      expect(screen.queryByText(/Reused cached results/)).not.toBeInTheDocument();
+    });
+
+    it('should say which analysis results came from the cache', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await analyzeFetchedPost(user, {
+        bypassed: false,
+        links: { hits: 3, total: 4 },
+        structureAnalysis: { hit: true, cachedAt: '2026-10-02T09:00:00.000Z' }
+      });
+
+      expect(axios.post.mock.calls.find(([url]) => url.endsWith('/api/jobs/analyze'))[1].bypassCache).toBeUndefined();
+      expect(screen.getByText(/Reused cached results for unchanged content: 3 of 4 link checks, structure analysis from Oct 2, 2026/))
+        .toBeInTheDocument();
+    });
+
+    it('should generate again when a cached refresh was reused', async () => {
+      const user = userEvent.setup();
+      render(<App />);
+
+      await analyzeFetchedPost(user, { bypassed: false, links: { hits: 0, total: 0 }, structureAnalysis: null });
+      await user.click(screen.getAllByRole('checkbox')[0]);
+
+      mockJob('job-apply', [{
+        event: 'complete',
+        data: { refreshedContent: '<p>Cached refresh</p>', cache: { hit: true, cachedAt: '2026-10-02T09:00:00.000Z', bypassed: false } }
+      }]);
+      await user.click(screen.getByText(/Apply 1 Approved Changes/i));
+
+      expect(await screen.findByText(/Reused the refresh generated on Oct 2, 2026/)).toBeInTheDocument();
+
+      mockJob('job-apply-2', [{
+        event: 'complete',
+        data: { refreshedContent: '<p>New refresh</p>', cache: { hit: false, cachedAt: null, bypassed: true } }
+      }]);
+      await user.click(screen.getByText('Generate again'));
+
+      expect(await screen.findByText('New refresh')).toBeInTheDocument();
+      expect(axios.post).toHaveBeenLastCalledWith('http://localhost:3001/api/jobs/apply', expect.objectContaining({ bypassCache: true }));
+      expect(screen.queryByText(/Reused the refresh/)).not.toBeInTheDocument();
+    });
+  });
 });